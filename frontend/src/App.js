@@ -3,8 +3,13 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { AuthProvider } from './contexts/AuthContext';
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
+import VerifyEmail from './components/auth/VerifyEmail';
 import Dashboard from './components/dashboard/Dashboard';
 import Profile from './components/profile/Profile';
+import PatientVitals from './components/vitals/PatientVitals';
+import PatientLabs from './components/labs/PatientLabs';
 import Layout from './components/layout/Layout';
 import ProtectedRoute from './components/auth/ProtectedRoute';
 
@@ -17,6 +22,9 @@ function App() {
             {/* Public Routes */}
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
             
             {/* Protected Routes */}
             <Route path="/" element={
@@ -33,6 +41,20 @@ function App() {
                 </Layout>
               </ProtectedRoute>
             } />
+            <Route path="/patients/:id/vitals" element={
+              <ProtectedRoute>
+                <Layout>
+                  <PatientVitals />
+                </Layout>
+              </ProtectedRoute>
+            } />
+            <Route path="/patients/:id/labs" element={
+              <ProtectedRoute>
+                <Layout>
+                  <PatientLabs />
+                </Layout>
+              </ProtectedRoute>
+            } />
             
             {/* Default redirect */}
             <Route path="*" element={<Navigate to="/" replace />} />
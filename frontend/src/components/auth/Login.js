@@ -9,8 +9,14 @@ const Login = () => {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // 'credentials', then 'code' (2FA enabled) or 'setup' followed by 'backupCodes' (2FA required by role)
+  const [step, setStep] = useState('credentials');
+  const [challengeToken, setChallengeToken] = useState('');
+  const [code, setCode] = useState('');
+  const [setupData, setSetupData] = useState(null);
+  const [backupCodes, setBackupCodes] = useState([]);
   
-  const { login } = useAuth();
+  const { login, verifyTwoFactor, setupTwoFactor, enableTwoFactor } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -29,6 +35,18 @@ const Login = () => {
       const result = await login(formData.email, formData.password);
       if (result.success) {
         navigate('/');
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        setStep('code');
+      } else if (result.twoFactorSetupRequired) {
+        const setup = await setupTwoFactor(result.challengeToken);
+        if (setup.success) {
+          setChallengeToken(result.challengeToken);
+          setSetupData(setup.data);
+          setStep('setup');
+        } else {
+          setError(setup.error);
+        }
       } else {
         setError(result.error);
       }
@@ -39,6 +57,125 @@ const Login = () => {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      if (step === 'code') {
+        const result = await verifyTwoFactor(challengeToken, code);
+        if (result.success) {
+          navigate('/');
+        } else {
+          setError(result.error);
+        }
+      } else {
+        const result = await enableTwoFactor(challengeToken, code);
+        if (result.success) {
+          setBackupCodes(result.backupCodes);
+          setStep('backupCodes');
+        } else {
+          setError(result.error);
+        }
+      }
+    } catch (err) {
+      setError('An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const errorMessage = error && (
+    <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+      {error}
+    </div>
+  );
+
+  if (step === 'backupCodes') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Save your backup codes
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              Each code can be used once if you lose access to your authenticator app. They will not be shown again.
+            </p>
+          </div>
+          <ul className="grid grid-cols-2 gap-2 font-mono text-center bg-white border border-gray-300 rounded-md p-4">
+            {backupCodes.map((backupCode) => (
+              <li key={backupCode}>{backupCode}</li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            onClick={() => navigate('/')}
+            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          >
+            Continue
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (step === 'code' || step === 'setup') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              {step === 'code' ? 'Two-factor authentication' : 'Set up two-factor authentication'}
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {step === 'code'
+                ? 'Enter the 6-digit code from your authenticator app, or one of your backup codes.'
+                : 'Your account requires two-factor authentication. Scan the QR code with your authenticator app, then enter the 6-digit code it shows.'}
+            </p>
+          </div>
+          {step === 'setup' && setupData && (
+            <div className="flex flex-col items-center space-y-2">
+              <img src={setupData.qrCode} alt="Two-factor authentication QR code" className="w-48 h-48" />
+              <p className="text-xs text-gray-500 font-mono break-all">{setupData.secret}</p>
+            </div>
+          )}
+          <form className="mt-8 space-y-6" onSubmit={handleCodeSubmit}>
+            {errorMessage}
+            <div>
+              <label htmlFor="code" className="sr-only">
+                Verification code
+              </label>
+              <input
+                id="code"
+                name="code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm"
+                placeholder="Verification code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -57,11 +194,7 @@ const Login = () => {
           </p>
         </div>
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          {error && (
-            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
-              {error}
-            </div>
-          )}
+          {errorMessage}
           <div className="rounded-md shadow-sm -space-y-px">
             <div>
               <label htmlFor="email" className="sr-only">
@@ -97,6 +230,15 @@ const Login = () => {
             </div>
           </div>
 
+          <div className="flex items-center justify-end">
+            <Link
+              to="/forgot-password"
+              className="text-sm font-medium text-blue-600 hover:text-blue-500"
+            >
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
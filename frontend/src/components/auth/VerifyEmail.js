@@ -0,0 +1,62 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../../services/api';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so make sure the request is only sent once
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    api.post('/api/auth/verify-email', { token })
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.data.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Email verification failed');
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Email verification
+          </h2>
+        </div>
+        {status === 'verifying' && (
+          <p className="text-center text-sm text-gray-600">Verifying your email...</p>
+        )}
+        {status === 'success' && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+            {message}
+          </div>
+        )}
+        {status === 'error' && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+            {message}
+          </div>
+        )}
+        <p className="text-center text-sm text-gray-600">
+          <Link
+            to="/login"
+            className="font-medium text-blue-600 hover:text-blue-500"
+          >
+            Continue to sign in
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
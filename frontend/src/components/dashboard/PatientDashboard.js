@@ -1,8 +1,22 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
+import api from '../../services/api';
+import VitalsTrends from '../vitals/VitalsTrends';
+import CumulativeLabs from '../labs/CumulativeLabs';
 
 const PatientDashboard = () => {
   const { user } = useAuth();
+  const [patientId, setPatientId] = useState(null);
+
+  useEffect(() => {
+    // Patients only see their own profile
+    api.get('/api/patients')
+      .then((response) => {
+        const [patient] = response.data.data.patients;
+        if (patient) setPatientId(patient.id);
+      })
+      .catch(() => setPatientId(null));
+  }, []);
 
   return (
     <div className="space-y-6">
@@ -38,6 +52,9 @@ const PatientDashboard = () => {
           </button>
         </div>
       </div>
+
+      {patientId && <VitalsTrends patientId={patientId} />}
+      {patientId && <CumulativeLabs patientId={patientId} />}
     </div>
   );
 };
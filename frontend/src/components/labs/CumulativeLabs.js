@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api';
+
+const FLAG_LABELS = {
+  critical_low: 'LL',
+  low: 'L',
+  high: 'H',
+  critical_high: 'HH',
+  abnormal: 'A'
+};
+
+const formatRange = ({ referenceLow, referenceHigh, referenceText }) => {
+  if (referenceText) return referenceText;
+  if (referenceLow !== null && referenceHigh !== null) return `${referenceLow}–${referenceHigh}`;
+  if (referenceLow !== null) return `≥ ${referenceLow}`;
+  if (referenceHigh !== null) return `≤ ${referenceHigh}`;
+  return '';
+};
+
+// Cumulative lab results of a patient: one row per analyte, one column per collection
+// date, with out-of-range values highlighted
+const CumulativeLabs = ({ patientId }) => {
+  const [cumulative, setCumulative] = useState(null);
+  const [abnormalOnly, setAbnormalOnly] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!patientId) return;
+
+    const params = abnormalOnly ? { abnormal: 'true' } : {};
+    api.get(`/api/patients/${patientId}/labs`, { params })
+      .then((response) => {
+        setCumulative(response.data.data);
+        setError('');
+      })
+      .catch((err) => {
+        setError(err.response?.data?.message || 'Failed to load lab results');
+      });
+  }, [patientId, abnormalOnly]);
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Lab Results</h3>
+        <label className="flex items-center text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={abnormalOnly}
+            onChange={(e) => setAbnormalOnly(e.target.checked)}
+            className="mr-2"
+          />
+          Out of range only
+        </label>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {cumulative && cumulative.analytes.length === 0 && (
+        <p className="text-sm text-gray-500">No lab results.</p>
+      )}
+
+      {cumulative && cumulative.analytes.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 text-left text-gray-500">
+                <th className="py-2 pr-4 font-medium">Test</th>
+                <th className="py-2 pr-4 font-medium">Reference</th>
+                {cumulative.dates.map((date) => (
+                  <th key={date} className="py-2 pr-4 font-medium whitespace-nowrap">
+                    {new Date(date).toLocaleDateString()}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {cumulative.analytes.map((analyte) => {
+                const latest = analyte.results[analyte.results.length - 1];
+                return (
+                  <tr key={analyte.code} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 text-gray-900">
+                      {analyte.name}
+                      {analyte.unit && <span className="text-gray-500"> ({analyte.unit})</span>}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-500 whitespace-nowrap">{formatRange(latest)}</td>
+                    {cumulative.dates.map((date) => {
+                      const result = analyte.results.find((entry) => entry.date === date);
+                      if (!result) return <td key={date} className="py-2 pr-4" />;
+
+                      const abnormal = result.flag && result.flag !== 'normal';
+                      return (
+                        <td
+                          key={date}
+                          className={`py-2 pr-4 whitespace-nowrap ${abnormal ? 'bg-red-50 text-red-700 font-medium' : 'text-gray-900'}`}
+                        >
+                          {result.value ?? result.valueText}
+                          {abnormal && ` ${FLAG_LABELS[result.flag]}`}
+                          {result.status !== 'final' && (
+                            <span className="ml-1 text-xs text-gray-500">({result.status})</span>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CumulativeLabs;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import CumulativeLabs from './CumulativeLabs';
+
+// Cumulative lab results of the patient in the URL, for doctors and admins
+const PatientLabs = () => {
+  const { id } = useParams();
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <CumulativeLabs patientId={id} />
+    </div>
+  );
+};
+
+export default PatientLabs;
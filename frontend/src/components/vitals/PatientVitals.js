@@ -0,0 +1,16 @@
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import VitalsTrends from './VitalsTrends';
+
+// Vital sign trends of the patient in the URL, for doctors and admins
+const PatientVitals = () => {
+  const { id } = useParams();
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <VitalsTrends patientId={id} />
+    </div>
+  );
+};
+
+export default PatientVitals;
@@ -0,0 +1,78 @@
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 44 };
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Line chart of one vital sign series with its normal range shaded; out-of-range
+// readings are drawn in red
+const VitalTrendChart = ({ vitals, range, unit }) => {
+  if (vitals.length === 0) {
+    return <p className="text-sm text-gray-500">No readings in this period.</p>;
+  }
+
+  const times = vitals.map((vital) => new Date(vital.observedAt).getTime());
+  const values = vitals.map((vital) => vital.value);
+  const bounds = [...values];
+  if (range?.low !== undefined) bounds.push(range.low);
+  if (range?.high !== undefined) bounds.push(range.high);
+
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const spread = Math.max(...bounds) - Math.min(...bounds) || 1;
+  const minValue = Math.min(...bounds) - spread * 0.1;
+  const maxValue = Math.max(...bounds) + spread * 0.1;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) => PADDING.left + (maxTime === minTime ? plotWidth / 2 : ((time - minTime) / (maxTime - minTime)) * plotWidth);
+  const y = (value) => PADDING.top + (1 - (value - minValue) / (maxValue - minValue)) * plotHeight;
+
+  const points = vitals.map((vital, index) => `${x(times[index])},${y(vital.value)}`).join(' ');
+  const bandTop = range?.high !== undefined ? y(range.high) : PADDING.top;
+  const bandBottom = range?.low !== undefined ? y(range.low) : PADDING.top + plotHeight;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img">
+      {range && (
+        <rect
+          x={PADDING.left}
+          y={bandTop}
+          width={plotWidth}
+          height={Math.max(bandBottom - bandTop, 0)}
+          className="fill-green-50"
+        />
+      )}
+      <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={PADDING.top + plotHeight} className="stroke-gray-300" />
+      <line x1={PADDING.left} y1={PADDING.top + plotHeight} x2={WIDTH - PADDING.right} y2={PADDING.top + plotHeight} className="stroke-gray-300" />
+      <text x={PADDING.left - 6} y={PADDING.top + 4} textAnchor="end" className="fill-gray-500 text-xs">
+        {Math.round(maxValue)}
+      </text>
+      <text x={PADDING.left - 6} y={PADDING.top + plotHeight} textAnchor="end" className="fill-gray-500 text-xs">
+        {Math.round(minValue)}
+      </text>
+      <text x={PADDING.left} y={HEIGHT - 8} className="fill-gray-500 text-xs">{formatDate(minTime)}</text>
+      <text x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end" className="fill-gray-500 text-xs">{formatDate(maxTime)}</text>
+
+      <polyline points={points} fill="none" strokeWidth="2" className="stroke-blue-600" />
+      {vitals.map((vital, index) => {
+        const abnormal = vital.flag && vital.flag !== 'normal';
+        return (
+          <circle
+            key={vital.id}
+            cx={x(times[index])}
+            cy={y(vital.value)}
+            r={abnormal ? 5 : 3}
+            className={abnormal ? 'fill-red-600' : 'fill-blue-600'}
+          >
+            <title>{`${vital.value} ${unit} on ${formatDate(vital.observedAt)}${abnormal ? ` (${vital.flag.replace('_', ' ')})` : ''}`}</title>
+          </circle>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default VitalTrendChart;
@@ -0,0 +1,118 @@
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api';
+import VitalTrendChart from './VitalTrendChart';
+
+const VITAL_SIGN_LABELS = {
+  systolic_bp: 'Systolic blood pressure',
+  diastolic_bp: 'Diastolic blood pressure',
+  heart_rate: 'Heart rate',
+  respiratory_rate: 'Respiratory rate',
+  temperature: 'Temperature',
+  oxygen_saturation: 'Oxygen saturation',
+  blood_glucose: 'Blood glucose',
+  weight: 'Weight',
+  height: 'Height',
+  waist_circumference: 'Waist circumference'
+};
+
+const DIRECTION_LABELS = {
+  rising: '↑ rising',
+  falling: '↓ falling',
+  stable: '→ stable'
+};
+
+// Trend charts of a patient's vital signs over a selectable period
+const VitalsTrends = ({ patientId }) => {
+  const [type, setType] = useState('systolic_bp');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [series, setSeries] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!patientId) return;
+
+    const params = { type };
+    if (from) params.from = from;
+    if (to) params.to = `${to}T23:59:59`;
+
+    api.get(`/api/patients/${patientId}/vitals`, { params })
+      .then((response) => {
+        setSeries(response.data.data);
+        setError('');
+      })
+      .catch((err) => {
+        setError(err.response?.data?.message || 'Failed to load vital signs');
+      });
+  }, [patientId, type, from, to]);
+
+  const vitals = series?.vitals || [];
+  const trend = series?.trends[type];
+  const range = series?.ranges[type];
+  const unit = vitals.length ? vitals[0].unit : '';
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">Vital Signs</h3>
+
+      <div className="flex flex-wrap gap-4 mb-4">
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          {Object.entries(VITAL_SIGN_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        />
+        <input
+          type="date"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        />
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {series && <VitalTrendChart vitals={vitals} range={range} unit={unit} />}
+
+      {trend && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4 text-sm">
+          <div>
+            <div className="text-gray-500">Latest</div>
+            <div className={trend.latest.flag && trend.latest.flag !== 'normal' ? 'text-red-600 font-medium' : 'text-gray-900'}>
+              {trend.latest.value} {unit}
+            </div>
+          </div>
+          <div>
+            <div className="text-gray-500">Trend</div>
+            <div className="text-gray-900">{DIRECTION_LABELS[trend.direction]}</div>
+          </div>
+          <div>
+            <div className="text-gray-500">Range</div>
+            <div className="text-gray-900">{trend.min} – {trend.max} {unit}</div>
+          </div>
+          <div>
+            <div className="text-gray-500">Abnormal readings</div>
+            <div className={trend.abnormalCount ? 'text-red-600 font-medium' : 'text-gray-900'}>
+              {trend.abnormalCount} of {trend.count}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VitalsTrends;
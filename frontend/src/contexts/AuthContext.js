@@ -33,20 +33,37 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Token verification failed:', error);
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       delete api.defaults.headers.common['Authorization'];
     } finally {
       setLoading(false);
     }
   };
 
+  // Store the tokens of a completed login
+  const startSession = ({ token, refreshToken, user: userData }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    setUser(userData);
+  };
+
   const login = async (email, password) => {
     try {
       const response = await api.post('/api/auth/login', { email, password });
-      const { token, user: userData } = response.data.data;
+      const data = response.data.data;
+
+      // Password accepted, but a second factor (or enrolment in one) is still needed
+      if (data.twoFactorRequired || data.twoFactorSetupRequired) {
+        return {
+          success: false,
+          twoFactorRequired: Boolean(data.twoFactorRequired),
+          twoFactorSetupRequired: Boolean(data.twoFactorSetupRequired),
+          challengeToken: data.challengeToken
+        };
+      }
       
-      localStorage.setItem('token', token);
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      setUser(userData);
+      startSession(data);
       
       return { success: true };
     } catch (error) {
@@ -58,6 +75,51 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await api.post('/api/auth/2fa/verify', { challengeToken, code });
+      startSession(response.data.data);
+      return { success: true };
+    } catch (error) {
+      console.error('Two-factor verification failed:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Verification failed'
+      };
+    }
+  };
+
+  const setupTwoFactor = async (challengeToken) => {
+    try {
+      const response = await api.post('/api/auth/2fa/setup', { challengeToken });
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      console.error('Two-factor setup failed:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Two-factor setup failed'
+      };
+    }
+  };
+
+  // Confirms enrolment; when enrolment was forced at login this also completes the login
+  const enableTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await api.post('/api/auth/2fa/enable', { challengeToken, code });
+      const data = response.data.data;
+      if (data.token) {
+        startSession(data);
+      }
+      return { success: true, backupCodes: data.backupCodes };
+    } catch (error) {
+      console.error('Enabling two-factor failed:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Enabling two-factor failed'
+      };
+    }
+  };
+
   const register = async (userData) => {
     try {
       const response = await api.post('/api/auth/register', userData);
@@ -71,16 +133,27 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    delete api.defaults.headers.common['Authorization'];
-    setUser(null);
+  const logout = async () => {
+    try {
+      // Revoke the session server-side so its tokens stop working
+      await api.post('/api/auth/logout');
+    } catch (error) {
+      console.error('Logout failed:', error);
+    } finally {
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      delete api.defaults.headers.common['Authorization'];
+      setUser(null);
+    }
   };
 
   const value = {
     user,
     loading,
     login,
+    verifyTwoFactor,
+    setupTwoFactor,
+    enableTwoFactor,
     register,
     logout
   };
@@ -21,13 +21,62 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle auth errors
+// Clear stored credentials and send the user back to the login page
+const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  window.location.href = '/login';
+};
+
+// A single in-flight refresh shared by all requests that failed with 401,
+// since the server revokes the session if a rotated refresh token is reused
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/api/auth/refresh`, { refreshToken })
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Response interceptor to refresh expired access tokens and handle auth errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRequest = originalRequest?.url?.startsWith('/api/auth/');
+
+    if (error.response?.status === 401 && !isAuthRequest && !originalRequest._retry) {
+      if (!localStorage.getItem('refreshToken')) {
+        endSession();
+        return Promise.reject(error);
+      }
+
+      originalRequest._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        endSession();
+        return Promise.reject(refreshError);
+      }
+    }
+
+    if (error.response?.status === 401 && originalRequest?._retry) {
+      endSession();
     }
     return Promise.reject(error);
   }
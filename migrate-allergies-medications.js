@@ -0,0 +1,90 @@
+require('dotenv').config({ path: './config.env' });
+const { Op } = require('sequelize');
+const { sequelize } = require('./src/config/database');
+const { Patient, Allergy, Medication } = require('./src/models');
+const { parseAllergies, parseMedications } = require('./src/services/clinicalTextParser');
+
+// Creates Allergy and Medication entries from the legacy free-text `allergies` and
+// `currentMedications` columns of each patient. Patients that already have structured
+// entries of a kind are skipped for that kind, so the script is safe to re-run.
+// The free text is left in place; review migrated entries (source = 'migrated').
+//
+// Usage: node migrate-allergies-medications.js [--dry-run]
+
+const BATCH_SIZE = 200;
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+const migratePatient = async (patient, counts, transaction) => {
+  const [allergyCount, medicationCount] = await Promise.all([
+    Allergy.count({ where: { patientId: patient.id }, transaction }),
+    Medication.count({ where: { patientId: patient.id }, transaction })
+  ]);
+
+  const allergies = allergyCount === 0 ? parseAllergies(patient.allergies) : [];
+  const medications = medicationCount === 0 ? parseMedications(patient.currentMedications) : [];
+
+  counts.allergies += allergies.length;
+  counts.medications += medications.length;
+  if (dryRun) {
+    allergies.forEach(allergy => console.log(`   ${patient.id} allergy: ${JSON.stringify(allergy)}`));
+    medications.forEach(medication => console.log(`   ${patient.id} medication: ${JSON.stringify(medication)}`));
+    return;
+  }
+
+  for (const allergy of allergies) {
+    await Allergy.create({ ...allergy, patientId: patient.id, source: 'migrated' }, { transaction });
+  }
+  for (const medication of medications) {
+    await Medication.create({
+      ...medication,
+      drug: medication.drug.slice(0, 255),
+      patientId: patient.id,
+      source: 'migrated'
+    }, { transaction });
+  }
+};
+
+async function migrateAllergiesAndMedications() {
+  try {
+    console.log(`📋 Migrating free-text allergies and medications${dryRun ? ' (dry run)' : ''}...`);
+    await sequelize.authenticate();
+
+    const counts = { patients: 0, allergies: 0, medications: 0 };
+    let lastId = null;
+
+    for (;;) {
+      const patients = await Patient.findAll({
+        attributes: ['id', 'allergies', 'currentMedications'],
+        where: {
+          ...(lastId ? { id: { [Op.gt]: lastId } } : {}),
+          [Op.or]: [
+            { allergies: { [Op.ne]: null } },
+            { currentMedications: { [Op.ne]: null } }
+          ]
+        },
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE
+      });
+      if (patients.length === 0) break;
+
+      await sequelize.transaction(async (transaction) => {
+        for (const patient of patients) {
+          await migratePatient(patient, counts, transaction);
+        }
+      });
+
+      counts.patients += patients.length;
+      lastId = patients[patients.length - 1].id;
+    }
+
+    console.log(`✅ ${counts.patients} patients scanned`);
+    console.log(`✅ ${counts.allergies} allergies and ${counts.medications} medications ${dryRun ? 'would be created' : 'created'}`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrateAllergiesAndMedications();
@@ -0,0 +1,70 @@
+require('dotenv').config({ path: './config.env' });
+const { Op } = require('sequelize');
+const { sequelize } = require('./src/config/database');
+const { MedicalRecord, Patient, VitalSign } = require('./src/models');
+
+// Creates VitalSign observations from the `vitalSigns` JSON of existing medical records so
+// their readings show up in the patient's vital sign series. Records that already have
+// observations are skipped, so the script is safe to re-run.
+//
+// Usage: node migrate-vital-signs.js [--dry-run]
+
+const BATCH_SIZE = 200;
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+async function migrateVitalSigns() {
+  try {
+    console.log(`🩺 Migrating medical record vital signs${dryRun ? ' (dry run)' : ''}...`);
+    await sequelize.authenticate();
+
+    const counts = { records: 0, observations: 0 };
+    let lastId = null;
+
+    for (;;) {
+      const records = await MedicalRecord.findAll({
+        attributes: ['id', 'patientId', 'vitalSigns', 'createdAt', 'createdBy'],
+        where: {
+          ...(lastId ? { id: { [Op.gt]: lastId } } : {}),
+          vitalSigns: { [Op.ne]: null }
+        },
+        include: [{
+          model: Patient,
+          as: 'patient',
+          attributes: ['id', 'dateOfBirth', 'gender']
+        }],
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE
+      });
+      if (records.length === 0) break;
+
+      await sequelize.transaction(async (transaction) => {
+        for (const record of records) {
+          const existing = await VitalSign.count({ where: { medicalRecordId: record.id }, transaction });
+          const observations = existing === 0 ? VitalSign.fromRecordVitals(record.vitalSigns) : [];
+          if (observations.length === 0) continue;
+
+          counts.observations += observations.length;
+          if (dryRun) {
+            console.log(`   ${record.id}: ${observations.map(({ type, value }) => `${type}=${value}`).join(', ')}`);
+            continue;
+          }
+
+          await VitalSign.syncFromRecord(record, record.patient, { recordedBy: record.createdBy, transaction });
+        }
+      });
+
+      counts.records += records.length;
+      lastId = records[records.length - 1].id;
+    }
+
+    console.log(`✅ ${counts.records} medical records scanned`);
+    console.log(`✅ ${counts.observations} observations ${dryRun ? 'would be created' : 'created'}`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrateVitalSigns();
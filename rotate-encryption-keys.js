@@ -0,0 +1,96 @@
+require('dotenv').config({ path: './config.env' });
+const { Op } = require('sequelize');
+const { sequelize } = require('./src/config/database');
+const { Patient, MedicalRecord, Allergy, Medication, Hl7Message } = require('./src/models');
+const {
+  blindIndex,
+  getCurrentKeyVersion,
+  getValueKeyVersion,
+  getEncryptedAttributes
+} = require('./src/services/fieldEncryption');
+
+// Re-encrypts every encrypted column that is still plaintext or uses an older key
+// version, and refreshes blind indexes. Safe to re-run; rows already on the current
+// key are skipped. Old keys must stay in FIELD_ENCRYPTION_KEYS until this completes.
+//
+// Usage: node rotate-encryption-keys.js [--dry-run] [--reindex]
+//   --dry-run  report what would change without writing
+//   --reindex  recompute every blind index (after changing BLIND_INDEX_KEY)
+
+const MODELS = [Patient, MedicalRecord, Allergy, Medication, Hl7Message];
+const BATCH_SIZE = 500;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const reindex = args.includes('--reindex');
+
+// Attributes of a row that need rewriting
+const getStaleAttributes = (row, fields, currentVersion) => {
+  return fields.filter(({ attribute, context, blindIndex: indexAttribute }) => {
+    const stored = row.getDataValue(attribute);
+    if (stored === null || stored === undefined) return false;
+    if (getValueKeyVersion(stored) !== currentVersion) return true;
+    return Boolean(indexAttribute) &&
+      (reindex || row.getDataValue(indexAttribute) !== blindIndex(row.get(attribute), context));
+  });
+};
+
+const rotateModel = async (model, currentVersion) => {
+  const fields = getEncryptedAttributes(model);
+  const attributes = ['id', ...fields.flatMap(field => [field.attribute, field.blindIndex].filter(Boolean))];
+  let lastId = null;
+  let scanned = 0;
+  let updated = 0;
+
+  for (;;) {
+    const rows = await model.findAll({
+      attributes,
+      where: lastId ? { id: { [Op.gt]: lastId } } : {},
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    });
+    if (rows.length === 0) break;
+
+    await sequelize.transaction(async (transaction) => {
+      for (const row of rows) {
+        const stale = getStaleAttributes(row, fields, currentVersion);
+        if (stale.length === 0) continue;
+
+        updated++;
+        if (dryRun) continue;
+
+        // Reading through the getter decrypts with the old key; the setter re-encrypts with the current one
+        stale.forEach(({ attribute }) => row.set(attribute, row.get(attribute)));
+        await row.save({ transaction, hooks: false, validate: false, silent: true });
+      }
+    });
+
+    scanned += rows.length;
+    lastId = rows[rows.length - 1].id;
+  }
+
+  return { scanned, updated };
+};
+
+async function rotateEncryptionKeys() {
+  try {
+    const currentVersion = getCurrentKeyVersion();
+    console.log(`🔑 Re-encrypting columns with key version ${currentVersion}${dryRun ? ' (dry run)' : ''}...`);
+
+    await sequelize.authenticate();
+
+    for (const model of MODELS) {
+      const { scanned, updated } = await rotateModel(model, currentVersion);
+      console.log(`✅ ${model.tableName}: ${updated} of ${scanned} rows ${dryRun ? 'need updating' : 'updated'}`);
+    }
+
+    console.log('🎉 Key rotation complete!');
+  } catch (error) {
+    console.error('❌ Key rotation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+rotateEncryptionKeys();
@@ -0,0 +1,27 @@
+require('dotenv').config({ path: './config.env' });
+const { sequelize } = require('./src/config/database');
+const { DrugInteraction } = require('./src/models');
+
+// Loads the bundled drug interaction table (src/data/drugSafety.js) used by prescription
+// safety checks. Existing pairs are kept, so the script is safe to re-run after adding
+// entries. Development servers seed the table on startup.
+//
+// Usage: node seed-drug-interactions.js
+
+async function seedDrugInteractions() {
+  try {
+    console.log('💊 Seeding drug interactions...');
+    await sequelize.authenticate();
+    await DrugInteraction.sync();
+
+    const count = await DrugInteraction.seedDefaults();
+    console.log(`✅ ${count} drug interactions loaded`);
+  } catch (error) {
+    console.error('❌ Seeding failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+seedDrugInteractions();
@@ -8,12 +8,29 @@ const { sequelize } = require('./src/config/database');
 const authRoutes = require('./src/routes/authRoutes');
 const userRoutes = require('./src/routes/userRoutes');
 const patientRoutes = require('./src/routes/patientRoutes');
+const allergyRoutes = require('./src/routes/allergyRoutes');
+const medicationRoutes = require('./src/routes/medicationRoutes');
+const vitalSignRoutes = require('./src/routes/vitalSignRoutes');
+const labResultRoutes = require('./src/routes/labResultRoutes');
+const labOrderRoutes = require('./src/routes/labOrderRoutes');
+const integrationRoutes = require('./src/routes/integrationRoutes');
+const fhirRoutes = require('./src/routes/fhirRoutes');
 const doctorRoutes = require('./src/routes/doctorRoutes');
+const scheduleRoutes = require('./src/routes/scheduleRoutes');
+const holidayRoutes = require('./src/routes/holidayRoutes');
+const waitlistRoutes = require('./src/routes/waitlistRoutes');
 const patientDoctorRoutes = require('./src/routes/patientDoctorRoutes');
+const appointmentReminderRoutes = require('./src/routes/appointmentReminderRoutes');
 const appointmentRoutes = require('./src/routes/appointmentRoutes');
 const medicalRecordRoutes = require('./src/routes/medicalRecordRoutes');
 const fileUploadRoutes = require('./src/routes/fileUploadRoutes');
-// const auditRoutes = require('./src/routes/auditRoutes');
+const auditRoutes = require('./src/routes/auditRoutes');
+const consentDocumentRoutes = require('./src/routes/consentDocumentRoutes');
+const prescriptionRoutes = require('./src/routes/prescriptionRoutes');
+const { auditLogger } = require('./src/middleware/auditLogger');
+const { hasApiKey } = require('./src/middleware/auth');
+const { expireOffers } = require('./src/services/waitlist');
+const { createReminderScheduler } = require('./src/services/appointmentReminders');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -26,7 +43,9 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // The lab sends results in bursts from one address, so its messages have a limit of their own
+  skip: (req) => req.path === '/api/integrations/hl7' && hasApiKey(req, 'HL7_API_KEY')
 });
 app.use(limiter);
 
@@ -58,16 +77,35 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Audit trail for every API request (user is resolved by the route-level auth middleware)
+app.use('/api', auditLogger());
+app.use('/fhir', auditLogger());
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/patients/:id/allergies', allergyRoutes);
+app.use('/api/patients/:id/medications', medicationRoutes);
+app.use('/api/patients/:id/vitals', vitalSignRoutes);
+app.use('/api/patients/:id/labs', labResultRoutes);
 app.use('/api/patients', patientRoutes);
+app.use('/api/doctors/:id/schedule', scheduleRoutes);
 app.use('/api/doctors', doctorRoutes);
+app.use('/api/holidays', holidayRoutes);
 app.use('/api/patient-doctors', patientDoctorRoutes);
+app.use('/api/appointments/reminders', appointmentReminderRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/waitlist', waitlistRoutes);
 app.use('/api/medical-records', medicalRecordRoutes);
 app.use('/api/upload', fileUploadRoutes);
-// app.use('/api/audit', auditRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/consent-documents', consentDocumentRoutes);
+app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/lab-orders', labOrderRoutes);
+app.use('/api/integrations', integrationRoutes);
+
+// FHIR R4 API
+app.use('/fhir', fhirRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -97,6 +135,10 @@ const startServer = async () => {
     if (process.env.NODE_ENV === 'development') {
       await sequelize.sync({ force: true }); // Force recreate tables
       console.log('✅ Database models synchronized.');
+
+      const { DrugInteraction } = require('./src/models');
+      await DrugInteraction.seedDefaults();
+      console.log('✅ Drug interaction table seeded.');
     }
 
     // Start server
@@ -105,6 +147,14 @@ const startServer = async () => {
       console.log(`📊 Environment: ${process.env.NODE_ENV}`);
       console.log(`🔗 Health check: http://localhost:${PORT}/health`);
     });
+
+    // Pass expired waitlist offers on to the next patient
+    setInterval(() => {
+      expireOffers().catch(error => console.error('Expire waitlist offers error:', error));
+    }, 60 * 1000);
+
+    // Send appointment reminders as they come due
+    createReminderScheduler().start();
   } catch (error) {
     console.error('❌ Unable to start server:', error);
     process.exit(1);
@@ -124,4 +174,9 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
-startServer();
+// Start listening only when run directly, so tests can load the app without a database or port
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
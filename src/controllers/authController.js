@@ -1,7 +1,115 @@
-const { User } = require('../models');
-const { generateToken } = require('../middleware/auth');
+const { Op } = require('sequelize');
+const { User, Session, TwoFactorPolicy } = require('../models');
+const { generateToken, generateChallengeToken, verifyChallengeToken } = require('../middleware/auth');
+const { logSecurityEvent, logAuthenticationEvent } = require('../middleware/auditLogger');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/emailService');
+const { generateSecret, verifyTotp, generateBackupCodes, consumeBackupCode } = require('../services/twoFactorService');
 const { validationResult } = require('express-validator');
 
+// Respond to a login attempt on a locked account
+const sendLockedResponse = (res, user) => {
+  const retryAfterSeconds = Math.max(1, Math.ceil((new Date(user.lockedUntil) - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(423).json({
+    status: 'error',
+    message: `Account is temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minutes.`,
+    data: { lockedUntil: user.lockedUntil }
+  });
+};
+
+// Count a failed password or second-factor attempt; returns true if it locked the account.
+// The user is reloaded, so a lockout by a parallel attempt shows in user.isLocked().
+const recordFailedLogin = async (user, req) => {
+  const locked = await user.registerFailedLogin();
+  
+  if (locked) {
+    await logAuthenticationEvent({
+      userId: user.id,
+      action: 'account_locked',
+      resource: 'authentication',
+      resourceId: user.id,
+      ipAddress: getClientInfo(req).ipAddress,
+      userAgent: getClientInfo(req).userAgent,
+      requestData: { email: user.email },
+      statusCode: 423,
+      severity: 'high',
+      description: `Account locked until ${new Date(user.lockedUntil).toISOString()} after repeated failed logins (lockout #${user.lockoutCount})`,
+      isSuccessful: false
+    });
+  }
+
+  return locked;
+};
+
+// Finish a login: record it, clear failed attempts, open a session and send the tokens
+const completeLogin = async (user, req, res, extraData = {}) => {
+  await user.update({
+    lastLogin: new Date(),
+    failedLoginAttempts: 0,
+    lockoutCount: 0,
+    lockedUntil: null
+  });
+
+  const { token, refreshToken } = await issueTokens(user, req);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user: user.toJSON(),
+      token,
+      refreshToken,
+      ...extraData
+    }
+  });
+};
+
+// Check a TOTP or backup code; returns the user fields to save on success, or null.
+// A TOTP code is only accepted once, and a backup code is removed when used.
+const checkSecondFactor = (user, code) => {
+  const step = verifyTotp(code, user.twoFactorSecret);
+  if (step !== null && (user.twoFactorLastUsedStep === null || step > user.twoFactorLastUsedStep)) {
+    return { twoFactorLastUsedStep: step };
+  }
+
+  const remainingBackupCodes = consumeBackupCode(code, user.twoFactorBackupCodes || []);
+  if (remainingBackupCodes) {
+    return { twoFactorBackupCodes: remainingBackupCodes };
+  }
+
+  return null;
+};
+
+// Login is refused until the email is verified when REQUIRE_EMAIL_VERIFICATION=true
+const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Create a verification token for the user and email it; delivery failures are logged, not raised
+const issueVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  try {
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
+
+// Client details recorded against a session
+const getClientInfo = (req) => ({
+  ipAddress: req.ip || req.connection.remoteAddress,
+  userAgent: req.get('User-Agent')
+});
+
+// Open a session and issue its access and refresh tokens
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user.id, getClientInfo(req));
+  return {
+    token: generateToken(user.id, session.id),
+    refreshToken
+  };
+};
+
 // Register a new user
 const register = async (req, res) => {
   try {
@@ -36,15 +144,43 @@ const register = async (req, res) => {
       role: role || 'patient'
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    await issueVerificationEmail(user);
+
+    // Unverified accounts cannot sign in, so they get no tokens until they verify and log in
+    if (isEmailVerificationRequired()) {
+      return res.status(201).json({
+        status: 'success',
+        message: 'User registered successfully. Please verify your email address before logging in',
+        data: {
+          user: user.toJSON(),
+          emailVerificationRequired: true
+        }
+      });
+    }
+
+    // Roles that require 2FA enrol before receiving tokens, as at login
+    if (await TwoFactorPolicy.isRequiredFor(user.role)) {
+      return res.status(201).json({
+        status: 'success',
+        message: 'User registered successfully. Two-factor authentication must be set up before logging in',
+        data: {
+          user: user.toJSON(),
+          twoFactorSetupRequired: true,
+          challengeToken: generateChallengeToken(user.id, '2fa_setup')
+        }
+      });
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       status: 'success',
       message: 'User registered successfully',
       data: {
         user: user.toJSON(),
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -88,29 +224,54 @@ const login = async (req, res) => {
       });
     }
 
+    // Locked accounts are refused before the password is checked
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user);
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      if (await recordFailedLogin(user, req) || user.isLocked()) {
+        return sendLockedResponse(res, user);
+      }
       return res.status(401).json({
         status: 'error',
         message: 'Invalid email or password'
       });
     }
 
-    // Update last login
-    await user.update({ lastLogin: new Date() });
+    if (isEmailVerificationRequired() && !user.emailVerified) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Please verify your email address before logging in'
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Second factor: verify the code, or enrol first if the role requires it
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user.id, '2fa_login')
+        }
+      });
+    }
 
-    res.status(200).json({
-      status: 'success',
-      message: 'Login successful',
-      data: {
-        user: user.toJSON(),
-        token
-      }
-    });
+    if (await TwoFactorPolicy.isRequiredFor(user.role)) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication must be set up before logging in',
+        data: {
+          twoFactorSetupRequired: true,
+          challengeToken: generateChallengeToken(user.id, '2fa_setup')
+        }
+      });
+    }
+
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -216,6 +377,9 @@ const changePassword = async (req, res) => {
     // Update password
     await user.update({ password: newPassword });
 
+    // Sign out every other device
+    await Session.revokeAllForUser(user.id, 'password_change', req.sessionId);
+
     res.status(200).json({
       status: 'success',
       message: 'Password changed successfully'
@@ -229,11 +393,567 @@ const changePassword = async (req, res) => {
   }
 };
 
-// Logout (client-side token removal, but we can track it)
+// Complete login with a TOTP or backup code
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code } = req.body;
+
+    const userId = verifyChallengeToken(challengeToken, '2fa_login');
+    const user = userId && await User.findByPk(userId);
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user);
+    }
+
+    const updates = checkSecondFactor(user, code);
+    if (!updates) {
+      if (await recordFailedLogin(user, req) || user.isLocked()) {
+        return sendLockedResponse(res, user);
+      }
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid verification code'
+      });
+    }
+
+    await user.update(updates);
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Verify two-factor error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Resolve the user enrolling in two-factor authentication: the signed-in user,
+// or the user of a '2fa_setup' login challenge when the role policy requires enrolment
+const getTwoFactorSetupUser = async (req) => {
+  if (req.user) return { user: req.user, fromChallenge: false };
+
+  const userId = verifyChallengeToken(req.body.challengeToken, '2fa_setup');
+  const user = userId && await User.findByPk(userId);
+  return { user: user && user.isActive ? user : null, fromChallenge: true };
+};
+
+// Start two-factor enrolment: generate a secret and its QR code
+const setupTwoFactor = async (req, res) => {
+  try {
+    const { user } = await getTwoFactorSetupUser(req);
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication required'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await generateSecret(user.email);
+    await user.update({ twoFactorSecret: secret });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Finish two-factor enrolment by confirming a code; returns the backup codes once
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { user, fromChallenge } = await getTwoFactorSetupUser(req);
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication required'
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor setup has not been started'
+      });
+    }
+
+    const step = verifyTotp(req.body.code, user.twoFactorSecret);
+    if (step === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await user.update({
+      twoFactorEnabled: true,
+      twoFactorBackupCodes: hashes,
+      twoFactorLastUsedStep: step
+    });
+
+    // Enrolment that was forced at login finishes the login
+    if (fromChallenge) {
+      return await completeLogin(user, req, res, { backupCodes: codes });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Turn off two-factor authentication (requires password and a current code)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code } = req.body;
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await TwoFactorPolicy.isRequiredFor(user.role)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !checkSecondFactor(user, code)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Password or verification code is incorrect'
+      });
+    }
+
+    await user.update({
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorBackupCodes: [],
+      twoFactorLastUsedStep: null
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Replace all backup codes (requires a current TOTP code)
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByPk(req.user.id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const step = verifyTotp(req.body.code, user.twoFactorSecret);
+    if (step === null || (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await user.update({
+      twoFactorBackupCodes: hashes,
+      twoFactorLastUsedStep: step
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Backup codes regenerated',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Get the two-factor requirement of every role (admin only)
+const getTwoFactorPolicy = async (req, res) => {
+  try {
+    const policies = await TwoFactorPolicy.getAll();
+
+    res.status(200).json({
+      status: 'success',
+      data: { policies }
+    });
+  } catch (error) {
+    console.error('Get two-factor policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Require or stop requiring two-factor authentication for a role (admin only)
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role, isRequired } = req.body;
+
+    const [policy] = await TwoFactorPolicy.upsert({
+      role,
+      isRequired,
+      updatedBy: req.user.id
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Two-factor authentication is ${isRequired ? 'now required' : 'no longer required'} for ${role}s`,
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Verify email address with the emailed token
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      where: {
+        emailVerificationToken: User.hashToken(req.body.token),
+        emailVerificationExpires: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    // Tokens are single-use
+    await user.update({
+      emailVerified: true,
+      emailVerificationToken: null,
+      emailVerificationExpires: null
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Send a fresh verification email
+const resendVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ where: { email: req.body.email } });
+    if (user && user.isActive && !user.emailVerified) {
+      await issueVerificationEmail(user);
+    }
+
+    // Same response whether or not the account exists
+    res.status(200).json({
+      status: 'success',
+      message: 'If the account exists and is unverified, a verification email has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Request a password reset email
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ where: { email: req.body.email } });
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Send password reset email error:', error);
+      }
+    }
+
+    // Same response whether or not the account exists
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Reset password with the emailed token
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      where: {
+        passwordResetToken: User.hashToken(token),
+        passwordResetExpires: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Tokens are single-use; receiving the email also proves ownership of the address
+    await user.update({
+      password,
+      passwordResetToken: null,
+      passwordResetExpires: null,
+      emailVerified: true
+    });
+
+    // Sign out every device that used the old password
+    await Session.revokeAllForUser(user.id, 'password_reset');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password has been reset successfully'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token
+const refresh = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const clientInfo = getClientInfo(req);
+    const result = await Session.rotate(req.body.refreshToken, clientInfo);
+
+    if (result.error === 'reused') {
+      await logSecurityEvent({
+        userId: result.session.userId,
+        action: 'refresh_token_reuse',
+        resource: 'session',
+        resourceId: result.session.id,
+        ipAddress: clientInfo.ipAddress,
+        userAgent: clientInfo.userAgent,
+        description: 'Rotated refresh token was presented again; session revoked',
+        isSuccessful: false
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findByPk(result.session.userId);
+    if (!user || !user.isActive) {
+      await result.session.revoke('account_inactive');
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is deactivated'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Token refreshed successfully',
+      data: {
+        token: generateToken(user.id, result.session.id),
+        refreshToken: result.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Logout (revokes the current session, invalidating its access and refresh tokens)
 const logout = async (req, res) => {
   try {
-    // In a more sophisticated setup, you might want to blacklist the token
-    // For now, we'll just return a success message
+    const session = await Session.findByPk(req.sessionId);
+    if (session) {
+      await session.revoke('logout');
+    }
+
     res.status(200).json({
       status: 'success',
       message: 'Logged out successfully'
@@ -253,5 +973,17 @@ module.exports = {
   getProfile,
   updateProfile,
   changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  refresh,
   logout
 };
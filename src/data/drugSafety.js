@@ -0,0 +1,42 @@
+// Reference data for prescription safety checks, seeded into the drug_interactions table.
+// Drug names are generic names in lower case and match any prescribed drug containing them.
+
+// severity: minor | moderate | major | contraindicated
+const DRUG_INTERACTIONS = [
+  { drugA: 'warfarin', drugB: 'aspirin', severity: 'major', description: 'Increased risk of bleeding' },
+  { drugA: 'warfarin', drugB: 'ibuprofen', severity: 'major', description: 'Increased risk of bleeding' },
+  { drugA: 'warfarin', drugB: 'naproxen', severity: 'major', description: 'Increased risk of bleeding' },
+  { drugA: 'warfarin', drugB: 'fluconazole', severity: 'major', description: 'Raised INR from inhibited warfarin metabolism' },
+  { drugA: 'simvastatin', drugB: 'clarithromycin', severity: 'contraindicated', description: 'Risk of myopathy and rhabdomyolysis' },
+  { drugA: 'simvastatin', drugB: 'itraconazole', severity: 'contraindicated', description: 'Risk of myopathy and rhabdomyolysis' },
+  { drugA: 'sildenafil', drugB: 'nitroglycerin', severity: 'contraindicated', description: 'Severe hypotension' },
+  { drugA: 'sildenafil', drugB: 'isosorbide', severity: 'contraindicated', description: 'Severe hypotension' },
+  { drugA: 'phenelzine', drugB: 'fluoxetine', severity: 'contraindicated', description: 'Serotonin syndrome' },
+  { drugA: 'tizanidine', drugB: 'ciprofloxacin', severity: 'contraindicated', description: 'Raised tizanidine levels, severe hypotension and sedation' },
+  { drugA: 'fluoxetine', drugB: 'tramadol', severity: 'major', description: 'Serotonin syndrome and lowered seizure threshold' },
+  { drugA: 'sertraline', drugB: 'tramadol', severity: 'major', description: 'Serotonin syndrome and lowered seizure threshold' },
+  { drugA: 'methotrexate', drugB: 'trimethoprim', severity: 'major', description: 'Bone marrow suppression' },
+  { drugA: 'lisinopril', drugB: 'spironolactone', severity: 'major', description: 'Hyperkalaemia' },
+  { drugA: 'spironolactone', drugB: 'potassium chloride', severity: 'major', description: 'Hyperkalaemia' },
+  { drugA: 'digoxin', drugB: 'amiodarone', severity: 'major', description: 'Raised digoxin levels and toxicity' },
+  { drugA: 'lithium', drugB: 'ibuprofen', severity: 'major', description: 'Raised lithium levels and toxicity' },
+  { drugA: 'allopurinol', drugB: 'azathioprine', severity: 'major', description: 'Bone marrow suppression' },
+  { drugA: 'clopidogrel', drugB: 'omeprazole', severity: 'moderate', description: 'Reduced antiplatelet effect of clopidogrel' },
+  { drugA: 'levothyroxine', drugB: 'calcium carbonate', severity: 'moderate', description: 'Reduced levothyroxine absorption; separate doses by 4 hours' },
+  { drugA: 'metformin', drugB: 'furosemide', severity: 'minor', description: 'Possible raised metformin levels' }
+];
+
+// Allergies to a drug class also cover the drugs in it
+const ALLERGY_CLASSES = {
+  penicillin: ['amoxicillin', 'ampicillin', 'piperacillin', 'flucloxacillin', 'dicloxacillin', 'benzylpenicillin'],
+  cephalosporin: ['cefalexin', 'cephalexin', 'cefuroxime', 'ceftriaxone', 'cefazolin', 'cefixime'],
+  sulfa: ['sulfamethoxazole', 'sulfasalazine', 'sulfadiazine'],
+  nsaid: ['ibuprofen', 'naproxen', 'diclofenac', 'aspirin', 'celecoxib', 'indomethacin'],
+  opioid: ['morphine', 'codeine', 'oxycodone', 'hydromorphone', 'tramadol', 'fentanyl'],
+  statin: ['simvastatin', 'atorvastatin', 'rosuvastatin', 'pravastatin']
+};
+
+module.exports = {
+  DRUG_INTERACTIONS,
+  ALLERGY_CLASSES
+};
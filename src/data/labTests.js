@@ -0,0 +1,90 @@
+// Common lab analytes keyed by LOINC code, with their reporting unit and adult reference
+// ranges (matched by age and gender, see src/services/referenceRanges.js). Results for
+// analytes not listed here, or reported in another unit, carry the range given with them.
+
+const LAB_TESTS = {
+  '2345-7': {
+    name: 'Glucose',
+    unit: 'mg/dL',
+    ranges: [{ low: 70, high: 99, criticalLow: 50, criticalHigh: 400 }]
+  },
+  '4548-4': {
+    name: 'Hemoglobin A1c',
+    unit: '%',
+    ranges: [{ low: 4, high: 5.6 }]
+  },
+  '718-7': {
+    name: 'Hemoglobin',
+    unit: 'g/dL',
+    ranges: [
+      { minAge: 18, gender: 'male', low: 13.5, high: 17.5, criticalLow: 7, criticalHigh: 20 },
+      { minAge: 18, gender: 'female', low: 12, high: 15.5, criticalLow: 7, criticalHigh: 20 },
+      { low: 11, high: 16, criticalLow: 7, criticalHigh: 20 }
+    ]
+  },
+  '6690-2': {
+    name: 'Leukocytes',
+    unit: '10*3/uL',
+    ranges: [{ low: 4.5, high: 11, criticalLow: 2, criticalHigh: 30 }]
+  },
+  '777-3': {
+    name: 'Platelets',
+    unit: '10*3/uL',
+    ranges: [{ low: 150, high: 450, criticalLow: 50, criticalHigh: 1000 }]
+  },
+  '2951-2': {
+    name: 'Sodium',
+    unit: 'mmol/L',
+    ranges: [{ low: 136, high: 145, criticalLow: 120, criticalHigh: 160 }]
+  },
+  '2823-3': {
+    name: 'Potassium',
+    unit: 'mmol/L',
+    ranges: [{ low: 3.5, high: 5.1, criticalLow: 2.5, criticalHigh: 6.5 }]
+  },
+  '2160-0': {
+    name: 'Creatinine',
+    unit: 'mg/dL',
+    ranges: [
+      { minAge: 18, gender: 'male', low: 0.74, high: 1.35 },
+      { minAge: 18, gender: 'female', low: 0.59, high: 1.04 }
+    ]
+  },
+  '1742-6': {
+    name: 'Alanine aminotransferase',
+    unit: 'U/L',
+    ranges: [{ low: 7, high: 56 }]
+  },
+  '2093-3': {
+    name: 'Cholesterol',
+    unit: 'mg/dL',
+    ranges: [{ high: 200 }]
+  },
+  '2085-9': {
+    name: 'HDL cholesterol',
+    unit: 'mg/dL',
+    ranges: [
+      { gender: 'male', low: 40 },
+      { low: 50 }
+    ]
+  },
+  '13457-7': {
+    name: 'LDL cholesterol (calculated)',
+    unit: 'mg/dL',
+    ranges: [{ high: 100 }]
+  },
+  '2571-8': {
+    name: 'Triglycerides',
+    unit: 'mg/dL',
+    ranges: [{ high: 150 }]
+  },
+  '3016-3': {
+    name: 'Thyrotropin',
+    unit: 'mIU/L',
+    ranges: [{ low: 0.4, high: 4 }]
+  }
+};
+
+module.exports = {
+  LAB_TESTS
+};
@@ -0,0 +1,90 @@
+// Vital sign types with their LOINC codes, canonical units and reference ranges.
+// Values are stored in the canonical unit; `conversions` turn accepted alternatives into it.
+
+const VITAL_SIGN_TYPES = {
+  systolic_bp: { label: 'Systolic blood pressure', unit: 'mmHg', loinc: '8480-6' },
+  diastolic_bp: { label: 'Diastolic blood pressure', unit: 'mmHg', loinc: '8462-4' },
+  heart_rate: { label: 'Heart rate', unit: 'bpm', loinc: '8867-4' },
+  respiratory_rate: { label: 'Respiratory rate', unit: 'breaths/min', loinc: '9279-1' },
+  temperature: {
+    label: 'Temperature',
+    unit: '°C',
+    loinc: '8310-5',
+    conversions: { '°F': value => (value - 32) * 5 / 9 }
+  },
+  oxygen_saturation: { label: 'Oxygen saturation', unit: '%', loinc: '2708-6' },
+  blood_glucose: {
+    label: 'Blood glucose',
+    unit: 'mg/dL',
+    loinc: '2339-0',
+    conversions: { 'mmol/L': value => value * 18 }
+  },
+  weight: {
+    label: 'Weight',
+    unit: 'kg',
+    loinc: '29463-7',
+    conversions: { lb: value => value * 0.45359237 }
+  },
+  height: {
+    label: 'Height',
+    unit: 'cm',
+    loinc: '8302-2',
+    conversions: { in: value => value * 2.54 }
+  },
+  waist_circumference: {
+    label: 'Waist circumference',
+    unit: 'cm',
+    loinc: '8280-0',
+    conversions: { in: value => value * 2.54 }
+  }
+};
+
+// Reference ranges per type, matched by age and gender (see src/services/referenceRanges.js).
+// Types without an entry (weight, height) are not flagged.
+const REFERENCE_RANGES = {
+  heart_rate: [
+    { maxAge: 1, low: 100, high: 160, criticalLow: 80, criticalHigh: 200 },
+    { minAge: 1, maxAge: 3, low: 90, high: 150, criticalLow: 70, criticalHigh: 190 },
+    { minAge: 3, maxAge: 6, low: 80, high: 140, criticalLow: 60, criticalHigh: 180 },
+    { minAge: 6, maxAge: 13, low: 70, high: 120, criticalLow: 50, criticalHigh: 160 },
+    { minAge: 13, low: 60, high: 100, criticalLow: 40, criticalHigh: 130 }
+  ],
+  respiratory_rate: [
+    { maxAge: 1, low: 30, high: 60, criticalLow: 20, criticalHigh: 70 },
+    { minAge: 1, maxAge: 3, low: 24, high: 40, criticalLow: 16, criticalHigh: 50 },
+    { minAge: 3, maxAge: 6, low: 22, high: 34, criticalLow: 14, criticalHigh: 45 },
+    { minAge: 6, maxAge: 13, low: 18, high: 30, criticalLow: 12, criticalHigh: 40 },
+    { minAge: 13, low: 12, high: 20, criticalLow: 8, criticalHigh: 30 }
+  ],
+  systolic_bp: [
+    { maxAge: 3, low: 70, high: 105, criticalLow: 60, criticalHigh: 130 },
+    { minAge: 3, maxAge: 6, low: 80, high: 110, criticalLow: 65, criticalHigh: 140 },
+    { minAge: 6, maxAge: 13, low: 90, high: 120, criticalLow: 70, criticalHigh: 150 },
+    { minAge: 13, maxAge: 18, low: 90, high: 130, criticalLow: 70, criticalHigh: 170 },
+    { minAge: 18, low: 90, high: 129, criticalLow: 70, criticalHigh: 180 }
+  ],
+  diastolic_bp: [
+    { maxAge: 6, low: 40, high: 70, criticalLow: 30, criticalHigh: 90 },
+    { minAge: 6, maxAge: 13, low: 50, high: 80, criticalLow: 35, criticalHigh: 100 },
+    { minAge: 13, low: 60, high: 80, criticalLow: 40, criticalHigh: 120 }
+  ],
+  temperature: [
+    { low: 36.1, high: 37.5, criticalLow: 35, criticalHigh: 40 }
+  ],
+  oxygen_saturation: [
+    { low: 95, high: 100, criticalLow: 90 }
+  ],
+  blood_glucose: [
+    { low: 70, high: 140, criticalLow: 54, criticalHigh: 400 }
+  ],
+  // Waist circumference above these thresholds marks raised cardiometabolic risk in adults
+  waist_circumference: [
+    { minAge: 18, gender: 'male', high: 102 },
+    { minAge: 18, gender: 'female', high: 88 }
+  ]
+};
+
+module.exports = {
+  VITAL_SIGN_TYPES,
+  REFERENCE_RANGES
+};
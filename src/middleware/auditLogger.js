@@ -1,10 +1,24 @@
 const AuditLog = require('../models/AuditLog');
 
+// Methods the audit_logs.method enum can store; preflight and HEAD requests are not audited
+const AUDITED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
 // Middleware to log API requests
 const auditLogger = (options = {}) => {
-  return async (req, res, next) => {
+  return (req, res, next) => {
+    if (!AUDITED_METHODS.includes(req.method)) {
+      return next();
+    }
+
     const startTime = Date.now();
     const originalSend = res.send;
+
+    // Routers rewrite req.url while handling the request, so capture the path up front
+    const path = req.path;
+    const endpoint = `${req.baseUrl}${req.path}`;
+    const requestData = sanitizeRequestData(req.body, req.query, req.params);
     
     // Capture response data
     let responseData = null;
@@ -13,45 +27,44 @@ const auditLogger = (options = {}) => {
       return originalSend.call(this, data);
     };
     
-    // Get user info
-    const userId = req.user?.id || null;
-    const userRole = req.user?.role || 'anonymous';
-    
-    // Determine action based on method and endpoint
-    const action = getActionFromRequest(req);
-    const resource = getResourceFromEndpoint(req.path);
-    const category = getCategoryFromRequest(req, action);
-    const severity = getSeverityFromRequest(req, action);
-    
-    // Log the request
+    // Log the request once the response is sent, when authentication has run and the status is known
     res.on('finish', async () => {
       try {
         const duration = Date.now() - startTime;
+        const statusCode = res.statusCode;
+        const userRole = req.user?.role || 'anonymous';
+        
+        // Determine action based on method and endpoint
+        const action = getActionFromRequest(req.method, path);
+        const resource = getResourceFromEndpoint(path);
+        const category = getCategoryFromRequest(path, action, statusCode);
+        const severity = getSeverityFromRequest(path, action, statusCode);
+        const response = sanitizeResponseData(responseData);
         
         await AuditLog.logAction({
-          userId,
+          userId: req.user?.id || null,
           action,
           resource,
-          resourceId: req.params.id || null,
+          resourceId: getResourceIdFromEndpoint(path),
           method: req.method,
-          endpoint: req.path,
+          endpoint,
           ipAddress: req.ip || req.connection.remoteAddress,
           userAgent: req.get('User-Agent'),
-          requestData: sanitizeRequestData(req.body, req.query, req.params),
-          responseData: sanitizeResponseData(responseData),
-          statusCode: res.statusCode,
+          requestData: req.auditRequestData || requestData,
+          responseData: response,
+          statusCode,
           duration,
           severity,
           category,
-          description: generateDescription(req, action, res.statusCode),
+          description: generateDescription(userRole, action, endpoint, statusCode),
           metadata: {
             userRole,
             timestamp: new Date().toISOString(),
             requestId: req.headers['x-request-id'] || null
           },
-          sessionId: req.sessionID || null,
-          isSuccessful: res.statusCode < 400,
-          errorMessage: res.statusCode >= 400 ? responseData : null
+          sessionId: req.sessionId || null,
+          isSuccessful: statusCode < 400,
+          errorMessage: statusCode >= 400 ? (response?.message || `HTTP ${statusCode}`) : null
         });
       } catch (error) {
         console.error('Audit logging error:', error);
@@ -63,15 +76,18 @@ const auditLogger = (options = {}) => {
 };
 
 // Helper function to determine action from request
-const getActionFromRequest = (req) => {
-  const method = req.method;
-  const path = req.path;
-  
+const getActionFromRequest = (method, path) => {
   // Authentication actions
   if (path.includes('/auth/login')) return 'login_attempt';
   if (path.includes('/auth/logout')) return 'logout';
+  if (path.includes('/auth/refresh')) return 'token_refresh';
   if (path.includes('/auth/register')) return 'user_registration';
   if (path.includes('/auth/change-password')) return 'password_change';
+  if (path.includes('/auth/verify-email')) return 'email_verification';
+  if (path.includes('/auth/forgot-password')) return 'password_reset_request';
+  if (path.includes('/auth/reset-password')) return 'password_reset';
+  if (path.includes('/auth/2fa/verify')) return 'two_factor_verification';
+  if (path.includes('/auth/2fa/')) return 'two_factor_change';
   
   // CRUD actions
   if (method === 'GET') return 'read';
@@ -82,55 +98,74 @@ const getActionFromRequest = (req) => {
   return 'unknown';
 };
 
+// Resource names keyed by the first path segment below /api, or the resource type below /fhir.
+// Routers mounted within another's path (appointments/reminders) are keyed by both segments.
+const RESOURCES = {
+  users: 'user',
+  patients: 'patient',
+  doctors: 'doctor',
+  holidays: 'holiday',
+  appointments: 'appointment',
+  'appointments/reminders': 'appointment_reminder',
+  waitlist: 'waitlist_entry',
+  'waitlist/offers': 'waitlist_offer',
+  'medical-records': 'medical_record',
+  'patient-doctors': 'patient_doctor_relationship',
+  auth: 'authentication',
+  upload: 'file_upload',
+  audit: 'audit_log',
+  'consent-documents': 'consent_document',
+  prescriptions: 'prescription',
+  'lab-orders': 'lab_order',
+  integrations: 'integration',
+  metadata: 'fhir_capability_statement',
+  Patient: 'patient',
+  Practitioner: 'doctor',
+  Appointment: 'appointment',
+  Encounter: 'appointment',
+  Observation: 'observation'
+};
+
 // Helper function to determine resource from endpoint
 const getResourceFromEndpoint = (path) => {
-  if (path.includes('/users')) return 'user';
-  if (path.includes('/patients')) return 'patient';
-  if (path.includes('/doctors')) return 'doctor';
-  if (path.includes('/appointments')) return 'appointment';
-  if (path.includes('/medical-records')) return 'medical_record';
-  if (path.includes('/patient-doctors')) return 'patient_doctor_relationship';
-  if (path.includes('/auth')) return 'authentication';
-  if (path.includes('/upload')) return 'file_upload';
-  
-  return 'unknown';
+  const segments = path.split('/').filter(Boolean);
+  return RESOURCES[segments.slice(0, 2).join('/')] || RESOURCES[segments[0]] || 'unknown';
+};
+
+// Helper function to pick the resource ID out of the endpoint
+const getResourceIdFromEndpoint = (path) => {
+  const match = path.match(UUID_PATTERN);
+  return match ? match[0].toLowerCase() : null;
 };
 
 // Helper function to determine category
-const getCategoryFromRequest = (req, action) => {
-  const path = req.path;
-  
-  if (path.includes('/auth')) return 'authentication';
-  if (action === 'read' && req.user?.role === 'patient') return 'data_access';
+const getCategoryFromRequest = (path, action, statusCode) => {
+  if (path.startsWith('/auth')) return 'authentication';
+  if (statusCode === 401 || statusCode === 403) return 'authorization';
+  if (statusCode >= 500) return 'error';
+  if (action === 'read') return 'data_access';
   if (['create', 'update', 'delete'].includes(action)) return 'data_modification';
-  if (path.includes('/upload')) return 'system';
-  if (req.statusCode >= 400) return 'error';
   
   return 'system';
 };
 
 // Helper function to determine severity
-const getSeverityFromRequest = (req, action) => {
-  const path = req.path;
-  const statusCode = req.statusCode;
-  
+const getSeverityFromRequest = (path, action, statusCode) => {
   // Critical security events
-  if (action === 'login_attempt' && statusCode >= 400) return 'high';
-  if (path.includes('/auth/change-password')) return 'high';
-  if (action === 'delete') return 'high';
   if (statusCode >= 500) return 'critical';
+  if (['login_attempt', 'two_factor_verification'].includes(action) && statusCode >= 400) return 'high';
+  if (action === 'two_factor_change') return 'high';
+  if (path.includes('/auth/change-password') || path.includes('/auth/reset-password')) return 'high';
+  if (action === 'delete') return 'high';
+  if (statusCode === 401 || statusCode === 403) return 'high';
   if (statusCode >= 400) return 'medium';
   
   return 'low';
 };
 
 // Helper function to generate description
-const generateDescription = (req, action, statusCode) => {
-  const method = req.method;
-  const path = req.path;
-  const userRole = req.user?.role || 'anonymous';
-  
-  let description = `${userRole} performed ${action} on ${path}`;
+const generateDescription = (userRole, action, endpoint, statusCode) => {
+  let description = `${userRole} performed ${action} on ${endpoint}`;
   
   if (statusCode >= 400) {
     description += ` (failed with status ${statusCode})`;
@@ -141,23 +176,41 @@ const generateDescription = (req, action, statusCode) => {
   return description;
 };
 
+// Fields whose values must never reach the audit trail (matched case-insensitively).
+// Columns encrypted at rest are included so their plaintext is not copied into the log.
+const SENSITIVE_FIELD_PATTERN = /password|token|secret|key|ssn|creditcard|insurancenumber|medicalhistory|allergies|diagnosis|prescription|substance|reaction|notes/i;
+
+// Redacts sensitive fields at any depth, so clinical data nested in arrays or sub-objects
+// (e.g. `observations[].notes`) is caught as well as top-level fields
+const redactSensitiveFields = (data) => {
+  if (Array.isArray(data)) {
+    return data.map(redactSensitiveFields);
+  }
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+  
+  const redacted = {};
+  
+  Object.keys(data).forEach(field => {
+    redacted[field] = SENSITIVE_FIELD_PATTERN.test(field) && data[field]
+      ? '[REDACTED]'
+      : redactSensitiveFields(data[field]);
+  });
+  
+  return redacted;
+};
+
 // Helper function to sanitize request data
 const sanitizeRequestData = (body, query, params) => {
   const sanitized = {
-    params: params || {},
-    query: query || {}
+    params: { ...(params || {}) },
+    query: redactSensitiveFields(query || {})
   };
   
   // Remove sensitive data from body
-  if (body) {
-    const sensitiveFields = ['password', 'token', 'secret', 'key', 'ssn', 'creditCard'];
-    sanitized.body = { ...body };
-    
-    sensitiveFields.forEach(field => {
-      if (sanitized.body[field]) {
-        sanitized.body[field] = '[REDACTED]';
-      }
-    });
+  if (body && typeof body === 'object') {
+    sanitized.body = redactSensitiveFields(body);
   }
   
   return sanitized;
@@ -168,7 +221,7 @@ const sanitizeResponseData = (data) => {
   if (!data) return null;
   
   try {
-    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    const parsed = Buffer.isBuffer(data) || typeof data === 'string' ? JSON.parse(data.toString()) : data;
     
     // Only log basic response info, not full data
     return {
@@ -177,10 +230,24 @@ const sanitizeResponseData = (data) => {
       dataCount: parsed.data ? (Array.isArray(parsed.data) ? parsed.data.length : 1) : 0
     };
   } catch (error) {
-    return { error: 'Failed to parse response data' };
+    // Non-JSON payloads such as CSV exports or files
+    return null;
   }
 };
 
+// Middleware to log `summarize(req)` as the request data in place of the request itself, for
+// routes whose body is too large or too sensitive for the audit trail (e.g. chart imports)
+const auditRequestSummary = (summarize) => {
+  return (req, res, next) => {
+    req.auditRequestData = {
+      params: { ...(req.params || {}) },
+      query: redactSensitiveFields(req.query || {}),
+      summary: summarize(req)
+    };
+    next();
+  };
+};
+
 // Specific audit logging functions
 const logSecurityEvent = async (data) => {
   return await AuditLog.logAction({
@@ -270,6 +337,7 @@ const auditDataModification = async (req, resource, resourceId = null, action =
 
 module.exports = {
   auditLogger,
+  auditRequestSummary,
   logSecurityEvent,
   logDataAccess,
   logDataModification,
@@ -1,13 +1,41 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { validationResult } = require('express-validator');
+const { User, Session } = require('../models');
+const { RESOURCES, getScopes, canAccess, getAccessFilter } = require('../services/accessPolicy');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
+// Generate a short-lived token for an unfinished login step ('2fa_login' or '2fa_setup').
+// It carries no session, so it is never accepted as an access token.
+const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign({ userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Verify a challenge token for the given purpose; returns the user ID or null
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Look up the session an access token belongs to; revoked or expired sessions yield null
+const findActiveSession = async (sessionId) => {
+  if (!sessionId) return null;
+  const session = await Session.findByPk(sessionId);
+  return session && session.isActive() ? session : null;
+};
+
 // Verify JWT token middleware
 const authenticateToken = async (req, res, next) => {
   try {
@@ -22,6 +50,14 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const session = await findActiveSession(decoded.sessionId);
+    if (!session || session.userId !== decoded.userId) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has been revoked'
+      });
+    }
     
     // Find user and attach to request
     const user = await User.findByPk(decoded.userId, {
@@ -43,6 +79,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -67,24 +104,74 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Role-based authorization middleware
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Authentication required'
-      });
-    }
+// Enforce a `resource:action` permission from the access policy.
+// With `options.target` the permission is checked against one instance: the function returns its ID
+// (loaded from the model of `options.resource`, which defaults to the permission's resource) or a
+// plain object such as the request body. `:list` permissions without a target get `req.access.where`,
+// which handlers merge into their query so users only see what their scope covers.
+const requirePermission = (permission, options = {}) => {
+  const resourceType = options.resource || permission.split(':')[0];
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Authentication required'
+        });
+      }
+
+      const scopes = getScopes(req.user.role, permission);
+      if (scopes.length === 0) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Insufficient permissions'
+        });
+      }
+
+      req.access = { permission, scopes, any: scopes.includes('any') };
+
+      if (!options.target) {
+        if (permission.endsWith(':list')) {
+          req.access.where = await getAccessFilter(req.user, permission, resourceType);
+        }
+        return next();
+      }
+
+      // Let the handler report invalid input before anything is looked up
+      if (!validationResult(req).isEmpty()) {
+        return next();
+      }
+
+      let target = options.target(req);
+      if (!target || typeof target === 'string') {
+        const { model, label } = RESOURCES[resourceType];
+        const Model = require('../models')[model];
+        target = /^[0-9a-f-]{36}$/i.test(target || '') ? await Model.findByPk(target) : null;
+
+        if (!target) {
+          return res.status(404).json({
+            status: 'error',
+            message: `${label} not found`
+          });
+        }
+      }
+
+      if (!(await canAccess(req.user, permission, target, resourceType))) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Access denied'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
         status: 'error',
-        message: 'Insufficient permissions'
+        message: 'Internal server error'
       });
     }
-
-    next();
   };
 };
 
@@ -96,12 +183,14 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findByPk(decoded.userId, {
+      const session = await findActiveSession(decoded.sessionId);
+      const user = session && await User.findByPk(decoded.userId, {
         attributes: { exclude: ['password', 'emailVerificationToken', 'passwordResetToken'] }
       });
 
-      if (user && user.isActive) {
+      if (user && user.isActive && session.userId === user.id) {
         req.user = user;
+        req.sessionId = session.id;
       }
     }
 
@@ -141,10 +230,48 @@ const checkOwnership = (resourceUserIdField = 'userId') => {
   };
 };
 
+// Whether the request's X-API-Key header holds the shared API key in the environment variable
+// `envName`; false when the key is not configured
+const hasApiKey = (req, envName) => {
+  const expected = process.env[envName];
+  const provided = req.headers['x-api-key'];
+  if (!expected || !provided) return false;
+
+  // Compare digests so the comparison takes the same time whatever the key length
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+};
+
+// Require the shared API key in the environment variable `envName` as the X-API-Key header,
+// for system-to-system integrations that have no user session
+const requireApiKey = (envName) => {
+  return (req, res, next) => {
+    if (!process.env[envName]) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Integration is not configured'
+      });
+    }
+
+    if (!hasApiKey(req, envName)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Valid API key is required'
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   authenticateToken,
-  authorize,
+  requirePermission,
   optionalAuth,
-  checkOwnership
+  checkOwnership,
+  hasApiKey,
+  requireApiKey
 };
@@ -43,48 +43,48 @@ const storage = multer.diskStorage({
   }
 });
 
+// Allowed file types per upload field
+const allowedTypes = {
+  'medicalDocument': [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'text/plain',
+    'image/jpeg',
+    'image/png',
+    'image/gif'
+  ],
+  'labResult': [
+    'application/pdf',
+    'image/jpeg',
+    'image/png',
+    'text/plain',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ],
+  'imaging': [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/bmp',
+    'image/tiff',
+    'application/dicom'
+  ],
+  'prescription': [
+    'application/pdf',
+    'image/jpeg',
+    'image/png',
+    'text/plain'
+  ],
+  'profileImage': [
+    'image/jpeg',
+    'image/png',
+    'image/gif'
+  ]
+};
+
 // File filter function
 const fileFilter = (req, file, cb) => {
-  // Define allowed file types
-  const allowedTypes = {
-    'medicalDocument': [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain',
-      'image/jpeg',
-      'image/png',
-      'image/gif'
-    ],
-    'labResult': [
-      'application/pdf',
-      'image/jpeg',
-      'image/png',
-      'text/plain',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-    ],
-    'imaging': [
-      'image/jpeg',
-      'image/png',
-      'image/gif',
-      'image/bmp',
-      'image/tiff',
-      'application/dicom'
-    ],
-    'prescription': [
-      'application/pdf',
-      'image/jpeg',
-      'image/png',
-      'text/plain'
-    ],
-    'profileImage': [
-      'image/jpeg',
-      'image/png',
-      'image/gif'
-    ]
-  };
-  
   const allowedMimeTypes = allowedTypes[file.fieldname] || allowedTypes['medicalDocument'];
   
   if (allowedMimeTypes.includes(file.mimetype)) {
@@ -188,5 +188,6 @@ module.exports = {
   handleUploadError,
   deleteFile,
   getFileInfo,
-  uploadsDir
+  uploadsDir,
+  allowedTypes
 };
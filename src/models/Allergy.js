@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { encryptedAttribute } = require('../services/fieldEncryption');
+
+// A single allergy or intolerance of a patient
+const Allergy = sequelize.define('Allergy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  substance: encryptedAttribute('allergies.substance', {
+    allowNull: false
+  }),
+  category: {
+    type: DataTypes.ENUM('drug', 'food', 'environmental', 'other'),
+    allowNull: false,
+    defaultValue: 'other'
+  },
+  reaction: encryptedAttribute('allergies.reaction', {
+    allowNull: true
+  }),
+  severity: {
+    type: DataTypes.ENUM('mild', 'moderate', 'severe', 'life_threatening', 'unknown'),
+    allowNull: false,
+    defaultValue: 'unknown'
+  },
+  onsetDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'inactive', 'resolved'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  notes: encryptedAttribute('allergies.notes', {
+    allowNull: true
+  }),
+  source: {
+    type: DataTypes.ENUM('manual', 'migrated', 'imported'),
+    allowNull: false,
+    defaultValue: 'manual'
+    // `migrated` entries were parsed from the legacy free-text field; `imported` ones came in a FHIR bundle
+  },
+  recordedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'allergies',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['patient_id', 'status']
+    }
+  ]
+});
+
+module.exports = Allergy;
@@ -28,6 +28,17 @@ const Appointment = sequelize.define('Appointment', {
     onUpdate: 'CASCADE',
     onDelete: 'CASCADE'
   },
+  seriesId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'appointment_series',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+    // Set on the occurrences of a recurring appointment
+  },
   appointmentDate: {
     type: DataTypes.DATE,
     allowNull: false
@@ -129,6 +140,9 @@ const Appointment = sequelize.define('Appointment', {
     },
     {
       fields: ['status']
+    },
+    {
+      fields: ['series_id', 'appointment_date']
     }
   ]
 });
@@ -152,13 +166,57 @@ Appointment.prototype.getDurationInHours = function() {
   return (this.duration / 60).toFixed(2);
 };
 
-// Instance method to check if appointment can be cancelled
-Appointment.prototype.canBeCancelled = function() {
-  const now = new Date();
+// Instance method to check if appointment can be cancelled (at `now`, by default the current time)
+Appointment.prototype.canBeCancelled = function(now = new Date()) {
   const appointmentTime = new Date(this.appointmentDate);
   const hoursUntilAppointment = (appointmentTime - now) / (1000 * 60 * 60);
   
   return ['scheduled', 'confirmed'].includes(this.status) && hoursUntilAppointment > 2;
 };
 
+// Static method to move appointments by `shift` milliseconds and apply the other `changes`
+// (duration, type, reason) in one transaction, or in `options.transaction`. Moved appointments
+// go back to `scheduled` and get a new reminder.
+Appointment.reschedule = async (appointments, { shift = 0, ...changes }, options = {}) => {
+  const reschedule = async (transaction) => {
+    for (const appointment of appointments) {
+      await appointment.update({
+        ...changes,
+        ...(shift ? {
+          appointmentDate: new Date(new Date(appointment.appointmentDate).getTime() + shift),
+          status: 'scheduled',
+          reminderSent: false,
+          reminderSentAt: null
+        } : {})
+      }, { transaction });
+    }
+    return appointments;
+  };
+
+  return options.transaction ? await reschedule(options.transaction) : await sequelize.transaction(reschedule);
+};
+
+// Static method to cancel appointments in one transaction, cancelling the series they belong to
+// once none of its occurrences is left
+Appointment.cancel = async (appointments, { cancelledBy, cancellationReason }) => {
+  const { AppointmentSeries } = sequelize.models;
+
+  return await sequelize.transaction(async (transaction) => {
+    for (const appointment of appointments) {
+      await appointment.update({
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy,
+        cancellationReason
+      }, { transaction });
+    }
+
+    const seriesIds = [...new Set(appointments.map(appointment => appointment.seriesId).filter(Boolean))];
+    for (const seriesId of seriesIds) {
+      await AppointmentSeries.refreshStatus(seriesId, { transaction });
+    }
+    return appointments;
+  });
+};
+
 module.exports = Appointment;
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A reminder of an appointment sent `offsetMinutes` before it. There is at most one per appointment,
+// offset and appointment time, so each is sent once and a rescheduled appointment is reminded anew.
+// The emailed link lets the patient confirm or cancel the appointment until it starts.
+const AppointmentReminder = sequelize.define('AppointmentReminder', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  appointmentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  offsetMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  appointmentDate: {
+    type: DataTypes.DATE,
+    allowNull: false
+    // The time the reminder is about; the link stops working if the appointment is moved
+  },
+  status: {
+    type: DataTypes.ENUM('sending', 'sent', 'failed'),
+    allowNull: false,
+    defaultValue: 'sending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  claimedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+    // When the last attempt started
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true
+  },
+  response: {
+    type: DataTypes.ENUM('confirmed', 'cancelled'),
+    allowNull: true
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'appointment_reminders',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['appointment_id', 'offset_minutes', 'appointment_date']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Instance method to check if the reminder's link can still be used: the reminder was sent and its
+// appointment is still scheduled or confirmed at the time it was about
+AppointmentReminder.prototype.isActionable = function(appointment) {
+  return this.status === 'sent' && ['scheduled', 'confirmed'].includes(appointment.status) &&
+    new Date(appointment.appointmentDate).getTime() === new Date(this.appointmentDate).getTime() &&
+    new Date(this.appointmentDate) > new Date();
+};
+
+// Instance method to get a client-safe view of the reminder
+AppointmentReminder.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.tokenHash;
+  return values;
+};
+
+// Static method to create a link token; returns the raw token to email and its hash to store
+AppointmentReminder.createToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: AppointmentReminder.hashToken(token) };
+};
+
+// Static method to hash an emailed token; only the hash is stored
+AppointmentReminder.hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = AppointmentReminder;
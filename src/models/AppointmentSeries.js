@@ -0,0 +1,150 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { FREQUENCIES } = require('../services/appointmentScheduling');
+
+// A recurring appointment, e.g. physiotherapy every Tuesday for 8 weeks. Its occurrences are
+// ordinary Appointments with the series' ID, generated when the series is scheduled.
+const AppointmentSeries = sequelize.define('AppointmentSeries', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'doctors',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  startDate: {
+    type: DataTypes.DATE,
+    allowNull: false
+    // Time of the first occurrence
+  },
+  frequency: {
+    type: DataTypes.ENUM(...FREQUENCIES),
+    allowNull: false
+  },
+  interval: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1,
+      max: 12
+    }
+  },
+  daysOfWeek: {
+    type: DataTypes.JSON,
+    allowNull: true
+    // Weekdays of weekly series, e.g. ['tuesday', 'thursday']
+  },
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  duration: {
+    type: DataTypes.INTEGER, // in minutes
+    allowNull: false,
+    defaultValue: 30,
+    validate: {
+      min: 15,
+      max: 240
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('consultation', 'follow_up', 'emergency', 'routine_checkup', 'specialist_referral'),
+    allowNull: false,
+    defaultValue: 'consultation'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
+    // `cancelled` once all of its occurrences are
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'appointment_series',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['patient_id']
+    },
+    {
+      fields: ['doctor_id']
+    }
+  ]
+});
+
+// Static method to create a series with an appointment at each of `dates` in one transaction
+// (the occurrences of its rule, less any skipped for conflicts), or in `options.transaction`.
+// The appointments take their patient, doctor, duration, type and reason from the series.
+AppointmentSeries.schedule = async ({ dates, symptoms, ...fields }, options = {}) => {
+  const { Appointment } = sequelize.models;
+
+  const schedule = async (transaction) => {
+    const series = await AppointmentSeries.create(fields, { transaction });
+    const appointments = await Appointment.bulkCreate(dates.map(date => ({
+      patientId: series.patientId,
+      doctorId: series.doctorId,
+      seriesId: series.id,
+      appointmentDate: date,
+      duration: series.duration,
+      type: series.type,
+      reason: series.reason,
+      symptoms,
+      status: 'scheduled'
+    })), { transaction });
+
+    return { series, appointments };
+  };
+
+  return options.transaction ? await schedule(options.transaction) : await sequelize.transaction(schedule);
+};
+
+// Static method to mark a series cancelled once all of its occurrences are
+AppointmentSeries.refreshStatus = async (seriesId, { transaction } = {}) => {
+  const { Op } = require('sequelize');
+  const { Appointment } = sequelize.models;
+
+  const remaining = await Appointment.count({
+    where: { seriesId, status: { [Op.ne]: 'cancelled' } },
+    transaction
+  });
+  if (remaining === 0) {
+    await AppointmentSeries.update({ status: 'cancelled' }, { where: { id: seriesId }, transaction });
+  }
+};
+
+module.exports = AppointmentSeries;
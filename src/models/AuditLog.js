@@ -1,6 +1,21 @@
+const crypto = require('crypto');
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 
+// previousHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Advisory lock key serialising appends so every entry links to its true predecessor
+const CHAIN_LOCK_KEY = 7301;
+
+// Fields covered by an entry's hash, in the order they are serialised
+const HASHED_FIELDS = [
+  'sequence', 'previousHash', 'userId', 'action', 'resource', 'resourceId', 'method',
+  'endpoint', 'ipAddress', 'userAgent', 'requestData', 'responseData', 'statusCode',
+  'duration', 'severity', 'category', 'description', 'metadata', 'sessionId',
+  'isSuccessful', 'errorMessage', 'createdAt'
+];
+
 const AuditLog = sequelize.define('AuditLog', {
   id: {
     type: DataTypes.UUID,
@@ -10,13 +25,8 @@ const AuditLog = sequelize.define('AuditLog', {
   },
   userId: {
     type: DataTypes.UUID,
-    allowNull: true,
-    references: {
-      model: 'users',
-      key: 'id'
-    },
-    onUpdate: 'CASCADE',
-    onDelete: 'SET NULL'
+    allowNull: true
+    // No foreign key: a cascade from deleting the user would rewrite hashed entries and break the chain
   },
   action: {
     type: DataTypes.STRING,
@@ -96,11 +106,42 @@ const AuditLog = sequelize.define('AuditLog', {
   errorMessage: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  sequence: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  previousHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
   }
 }, {
   tableName: 'audit_logs',
   timestamps: true,
+  hooks: {
+    // Audit entries are append-only; any change would break the hash chain
+    beforeUpdate: () => {
+      throw new Error('Audit log entries cannot be modified');
+    },
+    beforeBulkUpdate: () => {
+      throw new Error('Audit log entries cannot be modified');
+    },
+    beforeDestroy: () => {
+      throw new Error('Audit log entries cannot be deleted');
+    },
+    beforeBulkDestroy: () => {
+      throw new Error('Audit log entries cannot be deleted');
+    }
+  },
   indexes: [
+    {
+      unique: true,
+      fields: ['sequence']
+    },
     {
       fields: ['user_id', 'created_at']
     },
@@ -157,29 +198,73 @@ AuditLog.prototype.getUserInfo = function() {
   };
 };
 
+// Serialise a value with sorted object keys so the hash does not depend on key order
+const canonicalize = (value) => {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value).filter(key => value[key] !== undefined).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Static method to compute the chain hash of an entry.
+// With AUDIT_CHAIN_SECRET set the hash is an HMAC, so rows rewritten directly in the
+// database cannot be re-chained without the key; set it once and never rotate it.
+AuditLog.computeHash = (entry) => {
+  const content = canonicalize(HASHED_FIELDS.map(field => {
+    const value = entry[field];
+    return field === 'sequence' ? String(value) : value;
+  }));
+  
+  const secret = process.env.AUDIT_CHAIN_SECRET;
+  const hasher = secret ? crypto.createHmac('sha256', secret) : crypto.createHash('sha256');
+  return hasher.update(content).digest('hex');
+};
+
 // Static method to log an action
 AuditLog.logAction = async (data) => {
   try {
-    const log = await AuditLog.create({
-      userId: data.userId,
-      action: data.action,
-      resource: data.resource,
-      resourceId: data.resourceId,
-      method: data.method,
-      endpoint: data.endpoint,
-      ipAddress: data.ipAddress,
-      userAgent: data.userAgent,
-      requestData: data.requestData,
-      responseData: data.responseData,
-      statusCode: data.statusCode,
-      duration: data.duration,
-      severity: data.severity || 'low',
-      category: data.category || 'system',
-      description: data.description,
-      metadata: data.metadata,
-      sessionId: data.sessionId,
-      isSuccessful: data.isSuccessful !== false,
-      errorMessage: data.errorMessage
+    const log = await sequelize.transaction(async (transaction) => {
+      await sequelize.query('SELECT pg_advisory_xact_lock(:lockKey)', {
+        replacements: { lockKey: CHAIN_LOCK_KEY },
+        transaction
+      });
+      
+      const previous = await AuditLog.findOne({
+        attributes: ['sequence', 'hash'],
+        order: [['sequence', 'DESC']],
+        transaction
+      });
+      
+      const entry = AuditLog.build({
+        userId: data.userId,
+        action: data.action,
+        resource: data.resource,
+        resourceId: data.resourceId,
+        method: data.method,
+        endpoint: data.endpoint,
+        ipAddress: data.ipAddress,
+        userAgent: data.userAgent,
+        requestData: data.requestData,
+        responseData: data.responseData,
+        statusCode: data.statusCode,
+        duration: data.duration,
+        severity: data.severity || 'low',
+        category: data.category || 'system',
+        description: data.description,
+        metadata: data.metadata,
+        sessionId: data.sessionId,
+        isSuccessful: data.isSuccessful !== false,
+        errorMessage: data.errorMessage,
+        sequence: previous ? Number(previous.sequence) + 1 : 1,
+        previousHash: previous ? previous.hash : GENESIS_HASH,
+        createdAt: new Date()
+      });
+      
+      entry.hash = AuditLog.computeHash(entry);
+      return await entry.save({ transaction });
     });
     
     return log;
@@ -189,6 +274,67 @@ AuditLog.logAction = async (data) => {
   }
 };
 
+// Static method to walk the hash chain in sequence order and report the first broken link.
+// Truncation of the newest entries cannot be detected from the chain alone, so the
+// report includes the last sequence and hash for auditors to anchor externally.
+AuditLog.verifyChain = async (options = {}) => {
+  const { Op } = require('sequelize');
+  const { batchSize = 1000 } = options;
+  
+  let checked = 0;
+  let expectedSequence = 1;
+  let previousHash = GENESIS_HASH;
+  let lastSequence = 0;
+  
+  const broken = (entry, reason) => ({
+    valid: false,
+    checked,
+    brokenLink: {
+      id: entry.id,
+      sequence: Number(entry.sequence),
+      createdAt: entry.createdAt,
+      reason
+    },
+    lastSequence,
+    lastHash: previousHash
+  });
+  
+  for (;;) {
+    const entries = await AuditLog.findAll({
+      where: { sequence: { [Op.gt]: lastSequence } },
+      order: [['sequence', 'ASC']],
+      limit: batchSize
+    });
+    
+    if (entries.length === 0) break;
+    
+    for (const entry of entries) {
+      if (Number(entry.sequence) !== expectedSequence) {
+        return broken(entry, `sequence gap: expected ${expectedSequence}`);
+      }
+      if (entry.previousHash !== previousHash) {
+        return broken(entry, 'previous hash does not match the preceding entry');
+      }
+      if (entry.hash !== AuditLog.computeHash(entry)) {
+        return broken(entry, 'entry content does not match its hash');
+      }
+      
+      checked++;
+      expectedSequence++;
+      previousHash = entry.hash;
+      lastSequence = Number(entry.sequence);
+    }
+  }
+  
+  return {
+    valid: true,
+    checked,
+    brokenLink: null,
+    lastSequence,
+    lastHash: previousHash
+  };
+};
+
 // Static method to get security events
 AuditLog.getSecurityEvents = async (options = {}) => {
   const { Op } = require('sequelize');
@@ -238,17 +384,21 @@ AuditLog.getFailedLogins = async (options = {}) => {
     limit = 50, 
     dateFrom, 
     dateTo,
-    ipAddress 
+    ipAddress,
+    userId,
+    action
   } = options;
   
   const offset = (page - 1) * limit;
+  // Failed password and second-factor attempts, plus the lockouts they triggered
   const whereClause = {
-    action: 'login_attempt',
+    action: action || { [Op.in]: ['login_attempt', 'two_factor_verification', 'account_locked'] },
     isSuccessful: false,
     category: 'authentication'
   };
   
   if (ipAddress) whereClause.ipAddress = ipAddress;
+  if (userId) whereClause.userId = userId;
   
   if (dateFrom || dateTo) {
     whereClause.createdAt = {};
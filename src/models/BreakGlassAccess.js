@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Emergency ("break-glass") access of a user to a patient they have no care relationship with
+const BreakGlassAccess = sequelize.define('BreakGlassAccess', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'break_glass_accesses',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id', 'expires_at']
+    },
+    {
+      fields: ['patient_id']
+    }
+  ]
+});
+
+// Instance method to check if the grant still applies
+BreakGlassAccess.prototype.isActive = function() {
+  return new Date(this.expiresAt) > new Date();
+};
+
+// Static method to open emergency access for BREAK_GLASS_DURATION_MINUTES (default 60)
+BreakGlassAccess.grant = async ({ userId, patientId, reason, ipAddress }) => {
+  const minutes = parseInt(process.env.BREAK_GLASS_DURATION_MINUTES) || 60;
+  return await BreakGlassAccess.create({
+    userId,
+    patientId,
+    reason,
+    ipAddress,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+};
+
+// Static method to get the IDs of patients a user currently has emergency access to
+BreakGlassAccess.getActivePatientIds = async (userId) => {
+  const { Op } = require('sequelize');
+  const grants = await BreakGlassAccess.findAll({
+    where: {
+      userId,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    attributes: ['patientId']
+  });
+
+  return grants.map(grant => grant.patientId);
+};
+
+module.exports = BreakGlassAccess;
@@ -0,0 +1,145 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A patient's consent to a consent document; data sharing consent names the doctor it applies to
+const Consent = sequelize.define('Consent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  type: {
+    type: DataTypes.ENUM('treatment', 'data_sharing', 'research'),
+    allowNull: false
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'doctors',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  documentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'consent_documents',
+      key: 'id'
+    }
+  },
+  documentVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('granted', 'withdrawn'),
+    allowNull: false,
+    defaultValue: 'granted'
+  },
+  signature: {
+    type: DataTypes.STRING,
+    allowNull: false
+    // Full name typed by the signer
+  },
+  signedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  signedBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  signatureIp: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  withdrawnAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  withdrawnBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  withdrawalReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'consents',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['patient_id', 'type', 'status']
+    },
+    {
+      fields: ['doctor_id', 'type', 'status']
+    }
+  ],
+  validate: {
+    doctorMatchesType() {
+      if (this.type === 'data_sharing' && !this.doctorId) {
+        throw new Error('Data sharing consent must name a doctor');
+      }
+      if (this.type !== 'data_sharing' && this.doctorId) {
+        throw new Error('Only data sharing consent applies to a doctor');
+      }
+    }
+  }
+});
+
+// Instance method to check if consent is currently given
+Consent.prototype.isActive = function() {
+  return this.status === 'granted';
+};
+
+// Instance method to withdraw consent
+Consent.prototype.withdraw = async function(userId, reason) {
+  return await this.update({
+    status: 'withdrawn',
+    withdrawnAt: new Date(),
+    withdrawnBy: userId,
+    withdrawalReason: reason
+  });
+};
+
+// Static method to check if a patient currently consents (to sharing with `doctorId` for data_sharing)
+Consent.hasActiveConsent = async (patientId, type, doctorId = null) => {
+  const consent = await Consent.findOne({
+    where: { patientId, type, doctorId, status: 'granted' }
+  });
+  return Boolean(consent);
+};
+
+// Static method to get the IDs of patients sharing their data with a doctor
+Consent.getSharingPatientIds = async (doctorId) => {
+  const consents = await Consent.findAll({
+    where: { doctorId, type: 'data_sharing', status: 'granted' },
+    attributes: ['patientId']
+  });
+  return consents.map(consent => consent.patientId);
+};
+
+module.exports = Consent;
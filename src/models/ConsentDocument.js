@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Versioned text a patient agrees to when giving consent; published versions are never edited
+const ConsentDocument = sequelize.define('ConsentDocument', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('treatment', 'data_sharing', 'research'),
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  publishedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'consent_documents',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['type', 'version']
+    }
+  ]
+});
+
+// Static method to get the latest version of a consent document type
+ConsentDocument.getCurrent = async (type) => {
+  return await ConsentDocument.findOne({
+    where: { type },
+    order: [['version', 'DESC']]
+  });
+};
+
+// Static method to publish a new version of a consent document type
+ConsentDocument.publish = async ({ type, title, content, publishedBy }) => {
+  return await sequelize.transaction(async (transaction) => {
+    const latest = await ConsentDocument.findOne({
+      where: { type },
+      order: [['version', 'DESC']],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    return await ConsentDocument.create({
+      type,
+      version: latest ? latest.version + 1 : 1,
+      title,
+      content,
+      publishedBy
+    }, { transaction });
+  });
+};
+
+module.exports = ConsentDocument;
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A known interaction between two drugs; names are stored in lower case
+const DrugInteraction = sequelize.define('DrugInteraction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  drugA: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  drugB: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  severity: {
+    type: DataTypes.ENUM('minor', 'moderate', 'major', 'contraindicated'),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  }
+}, {
+  tableName: 'drug_interactions',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['drug_a', 'drug_b']
+    }
+  ]
+});
+
+// Static method to load the bundled interaction table; existing pairs are left alone
+DrugInteraction.seedDefaults = async () => {
+  const { DRUG_INTERACTIONS } = require('../data/drugSafety');
+  await DrugInteraction.bulkCreate(DRUG_INTERACTIONS, { ignoreDuplicates: true });
+  return DRUG_INTERACTIONS.length;
+};
+
+module.exports = DrugInteraction;
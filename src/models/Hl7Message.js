@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { encryptedAttribute } = require('../services/fieldEncryption');
+
+// An inbound HL7 v2 message; messages that could not be matched to a patient or order
+// wait here for an admin to review
+const Hl7Message = sequelize.define('Hl7Message', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  controlId: {
+    type: DataTypes.STRING,
+    allowNull: false
+    // MSH-10, unique per sending application
+  },
+  sendingApplication: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  sendingFacility: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  messageType: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  raw: encryptedAttribute('hl7_messages.raw', {
+    allowNull: false
+  }),
+  status: {
+    type: DataTypes.ENUM('processed', 'pending_review', 'resolved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending_review'
+  },
+  reviewReason: {
+    type: DataTypes.ENUM('patient_not_found', 'patient_ambiguous', 'order_mismatch'),
+    allowNull: true
+  },
+  reviewDetails: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  candidatePatientIds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+    // Patients matching the demographics when the match was ambiguous
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'patients',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
+  labOrderIds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  resultCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  reviewedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reviewNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'hl7_messages',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['sending_application', 'control_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Instance method to get the review queue view of the message, without the raw text
+Hl7Message.prototype.toSummary = function() {
+  const values = Object.assign({}, this.get());
+  delete values.raw;
+  return values;
+};
+
+module.exports = Hl7Message;
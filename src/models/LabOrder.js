@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A request for lab tests; the values reported back are its LabResults
+const LabOrder = sequelize.define('LabOrder', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  orderNumber: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    defaultValue: () => `LAB-${crypto.randomBytes(5).toString('hex').toUpperCase()}`
+    // Quoted by the lab when reporting results (HL7 placer order number)
+  },
+  fillerOrderNumber: {
+    type: DataTypes.STRING,
+    allowNull: true
+    // The lab's own accession number for the order
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'doctors',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+    // Null for results the lab sent without one of our orders
+  },
+  appointmentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
+  tests: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+    // [{ code, name }] with LOINC codes
+  },
+  priority: {
+    type: DataTypes.ENUM('routine', 'urgent', 'stat'),
+    allowNull: false,
+    defaultValue: 'routine'
+  },
+  status: {
+    type: DataTypes.ENUM('ordered', 'partial', 'completed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'ordered'
+    // `partial` until every ordered test has a final result
+  },
+  clinicalNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  orderedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelledBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  cancellationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'lab_orders',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['patient_id', 'status']
+    },
+    {
+      fields: ['doctor_id']
+    },
+    {
+      fields: ['appointment_id']
+    }
+  ]
+});
+
+// Static method to turn requested tests into order entries, naming known analytes
+LabOrder.buildTests = (tests) => {
+  const { LAB_TESTS } = require('../data/labTests');
+  return tests.map(({ code, name }) => ({
+    code,
+    name: name || (LAB_TESTS[code] && LAB_TESTS[code].name) || code
+  }));
+};
+
+// Instance method to record results for the order in one transaction, or in `options.transaction`.
+// A result for an analyte that already has one on the order replaces it (see LabResult.prototype.revise).
+LabOrder.prototype.recordResults = async function(results, patient, options = {}) {
+  const { LabResult } = sequelize.models;
+  const { enteredBy = null } = options;
+
+  const record = async (transaction) => {
+    const existing = await LabResult.findAll({ where: { labOrderId: this.id }, transaction });
+    const byCode = new Map(existing.map(result => [result.analyteCode, result]));
+
+    const saved = [];
+    for (const input of results) {
+      const fields = LabResult.evaluate(input, patient);
+      const current = byCode.get(fields.analyteCode);
+
+      if (current) {
+        saved.push(await current.revise(fields, enteredBy, { transaction }));
+      } else {
+        const result = await LabResult.create({
+          ...fields,
+          labOrderId: this.id,
+          patientId: this.patientId,
+          enteredBy
+        }, { transaction });
+        byCode.set(result.analyteCode, result);
+        saved.push(result);
+      }
+    }
+
+    await this.refreshStatus([...byCode.values()], { transaction });
+    return saved;
+  };
+
+  return options.transaction ? await record(options.transaction) : await sequelize.transaction(record);
+};
+
+// Instance method to derive the order status from its results
+LabOrder.prototype.refreshStatus = async function(results, { transaction } = {}) {
+  if (this.status === 'cancelled') return this;
+
+  const finalCodes = new Set(results.filter(result => result.status !== 'preliminary').map(result => result.analyteCode));
+  const complete = this.tests.length > 0 && this.tests.every(test => finalCodes.has(test.code));
+
+  let status = 'ordered';
+  if (complete) status = 'completed';
+  else if (results.length > 0) status = 'partial';
+
+  return await this.update({
+    status,
+    completedAt: complete ? (this.completedAt || new Date()) : null
+  }, { transaction });
+};
+
+module.exports = LabOrder;
@@ -0,0 +1,229 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { LAB_TESTS } = require('../data/labTests');
+const { findReferenceRange, getFlag } = require('../services/referenceRanges');
+
+// The reported value of one analyte for a lab order
+const LabResult = sequelize.define('LabResult', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  labOrderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'lab_orders',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  analyteCode: {
+    type: DataTypes.STRING,
+    allowNull: false
+    // LOINC code
+  },
+  analyteName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  value: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  valueText: {
+    type: DataTypes.STRING,
+    allowNull: true
+    // Non-numeric results such as "positive" or "<0.01"
+  },
+  unit: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  referenceLow: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  referenceHigh: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  referenceText: {
+    type: DataTypes.STRING,
+    allowNull: true
+    // Reference range as reported, e.g. "negative"
+  },
+  flag: {
+    type: DataTypes.ENUM('critical_low', 'low', 'normal', 'high', 'critical_high', 'abnormal'),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('preliminary', 'final', 'amended'),
+    allowNull: false,
+    defaultValue: 'final'
+  },
+  observedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+    // When the specimen was collected
+  },
+  resultedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  history: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+    // Earlier versions of the result, oldest first
+  },
+  enteredBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'lab_results',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['lab_order_id', 'analyte_code']
+    },
+    {
+      fields: ['patient_id', 'analyte_code', 'observed_at']
+    }
+  ]
+});
+
+// Fields copied into `history` when a result is revised
+const VERSIONED_FIELDS = ['value', 'valueText', 'unit', 'referenceLow', 'referenceHigh', 'referenceText', 'flag', 'status', 'resultedAt', 'enteredBy', 'notes'];
+
+// Static method to complete a reported result: names known analytes, fills in the catalog
+// reference range for the patient's age and gender when the result has none in the catalog
+// unit, and flags numeric values against the range. A flag reported with the result wins.
+LabResult.evaluate = (input, patient) => {
+  const test = LAB_TESTS[input.analyteCode];
+  const unit = input.unit || (test && test.unit) || null;
+  const observedAt = input.observedAt || new Date();
+  const hasValue = input.value !== undefined && input.value !== null && input.value !== '';
+  const value = hasValue ? Number(input.value) : null;
+
+  let referenceLow = input.referenceLow !== undefined ? input.referenceLow : null;
+  let referenceHigh = input.referenceHigh !== undefined ? input.referenceHigh : null;
+  let range = referenceLow !== null || referenceHigh !== null ? { low: referenceLow, high: referenceHigh } : null;
+
+  if (!range && test && unit === test.unit) {
+    range = findReferenceRange(test.ranges, patient, observedAt);
+    if (range) {
+      referenceLow = range.low !== undefined ? range.low : null;
+      referenceHigh = range.high !== undefined ? range.high : null;
+    }
+  }
+
+  return {
+    analyteCode: input.analyteCode,
+    analyteName: input.analyteName || (test && test.name) || input.analyteCode,
+    value,
+    valueText: input.valueText || null,
+    unit,
+    referenceLow,
+    referenceHigh,
+    referenceText: input.referenceText || null,
+    flag: input.flag || getFlag(value, range),
+    status: input.status || 'final',
+    observedAt,
+    resultedAt: input.resultedAt || new Date(),
+    notes: input.notes || null
+  };
+};
+
+// Instance method to replace the result with a new version, keeping the current one in
+// `history`. Changing a result that was already released makes it `amended`.
+LabResult.prototype.revise = async function(fields, enteredBy, { transaction } = {}) {
+  const previous = VERSIONED_FIELDS.reduce((version, field) => {
+    version[field] = this[field];
+    return version;
+  }, {});
+
+  const released = this.status !== 'preliminary';
+  return await this.update({
+    ...fields,
+    status: released && fields.status !== 'preliminary' ? 'amended' : fields.status,
+    history: [...this.history, previous],
+    enteredBy
+  }, { transaction });
+};
+
+// Instance method to check if the value is outside its reference range
+LabResult.prototype.isAbnormal = function() {
+  return Boolean(this.flag) && this.flag !== 'normal';
+};
+
+// Static method to arrange results (sorted by observedAt) into a cumulative view: one row
+// per analyte with its results over time, and the collection dates as columns
+LabResult.cumulate = (results) => {
+  const analytes = new Map();
+  const dates = new Set();
+
+  results.forEach(result => {
+    const date = new Date(result.observedAt).toISOString().slice(0, 10);
+    dates.add(date);
+
+    if (!analytes.has(result.analyteCode)) {
+      analytes.set(result.analyteCode, {
+        code: result.analyteCode,
+        name: result.analyteName,
+        unit: result.unit,
+        results: []
+      });
+    }
+    const analyte = analytes.get(result.analyteCode);
+    analyte.results.push({
+      id: result.id,
+      labOrderId: result.labOrderId,
+      date,
+      observedAt: result.observedAt,
+      value: result.value,
+      valueText: result.valueText,
+      unit: result.unit,
+      referenceLow: result.referenceLow,
+      referenceHigh: result.referenceHigh,
+      referenceText: result.referenceText,
+      flag: result.flag,
+      status: result.status
+    });
+  });
+
+  return {
+    dates: [...dates],
+    analytes: [...analytes.values()].map(analyte => ({
+      ...analyte,
+      abnormalCount: analyte.results.filter(result => result.flag && result.flag !== 'normal').length
+    }))
+  };
+};
+
+module.exports = LabResult;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { encryptedAttribute } = require('../services/fieldEncryption');
 
 const MedicalRecord = sequelize.define('MedicalRecord', {
   id: {
@@ -58,18 +59,16 @@ const MedicalRecord = sequelize.define('MedicalRecord', {
     type: DataTypes.TEXT,
     allowNull: true
   },
-  diagnosis: {
-    type: DataTypes.TEXT,
+  diagnosis: encryptedAttribute('medical_records.diagnosis', {
     allowNull: true
-  },
+  }),
   treatment: {
     type: DataTypes.TEXT,
     allowNull: true
   },
-  prescription: {
-    type: DataTypes.TEXT,
+  prescription: encryptedAttribute('medical_records.prescription', {
     allowNull: true
-  },
+  }),
   vitalSigns: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Explicit grant letting a user read a confidential medical record
+const MedicalRecordAccess = sequelize.define('MedicalRecordAccess', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  medicalRecordId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'medical_records',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  grantedBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'medical_record_accesses',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['medical_record_id', 'user_id']
+    },
+    {
+      fields: ['user_id', 'revoked_at']
+    }
+  ]
+});
+
+// Where clause matching grants that are neither revoked nor expired
+const activeGrantWhere = () => {
+  const { Op } = require('sequelize');
+  return {
+    revokedAt: null,
+    [Op.or]: [
+      { expiresAt: null },
+      { expiresAt: { [Op.gt]: new Date() } }
+    ]
+  };
+};
+
+// Instance method to check if the grant still applies
+MedicalRecordAccess.prototype.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || new Date(this.expiresAt) > new Date());
+};
+
+// Static method to check if a user holds an active grant for a record
+MedicalRecordAccess.hasActiveGrant = async (medicalRecordId, userId) => {
+  const grant = await MedicalRecordAccess.findOne({
+    where: { medicalRecordId, userId, ...activeGrantWhere() }
+  });
+  return Boolean(grant);
+};
+
+// Static method to get the IDs of records a user currently holds grants for
+MedicalRecordAccess.getGrantedRecordIds = async (userId) => {
+  const grants = await MedicalRecordAccess.findAll({
+    where: { userId, ...activeGrantWhere() },
+    attributes: ['medicalRecordId']
+  });
+  return grants.map(grant => grant.medicalRecordId);
+};
+
+// Static method to get the active grants of a record
+MedicalRecordAccess.findActiveForRecord = async (medicalRecordId, options = {}) => {
+  return await MedicalRecordAccess.findAll({
+    where: { medicalRecordId, ...activeGrantWhere() },
+    order: [['createdAt', 'DESC']],
+    ...options
+  });
+};
+
+module.exports = MedicalRecordAccess;
@@ -0,0 +1,108 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { encryptedAttribute } = require('../services/fieldEncryption');
+
+// A medication a patient takes or has taken
+const Medication = sequelize.define('Medication', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  drug: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  dose: {
+    type: DataTypes.STRING,
+    allowNull: true
+    // e.g. "10 mg"
+  },
+  route: {
+    type: DataTypes.ENUM(
+      'oral', 'sublingual', 'intravenous', 'intramuscular', 'subcutaneous', 'topical',
+      'transdermal', 'inhalation', 'nasal', 'ophthalmic', 'otic', 'rectal', 'other'
+    ),
+    allowNull: true
+  },
+  frequency: {
+    type: DataTypes.STRING,
+    allowNull: true
+    // e.g. "twice daily"
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  stopDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  prescriberId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'doctors',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
+  prescriberName: {
+    type: DataTypes.STRING,
+    allowNull: true
+    // Prescribers outside the system
+  },
+  notes: encryptedAttribute('medications.notes', {
+    allowNull: true
+  }),
+  source: {
+    type: DataTypes.ENUM('manual', 'migrated', 'prescribed', 'imported'),
+    allowNull: false,
+    defaultValue: 'manual'
+    // `migrated` entries were parsed from the legacy free-text field,
+    // `prescribed` ones were added by a prescription, `imported` ones came in a FHIR bundle
+  },
+  recordedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'medications',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['patient_id', 'stop_date']
+    }
+  ],
+  validate: {
+    stopDateAfterStartDate() {
+      if (this.startDate && this.stopDate && new Date(this.stopDate) < new Date(this.startDate)) {
+        throw new Error('Stop date must not be before start date');
+      }
+    }
+  }
+});
+
+// Instance method to check if the medication is currently taken
+Medication.prototype.isActive = function() {
+  if (!this.stopDate) return true;
+  return new Date(this.stopDate) >= new Date(new Date().toISOString().slice(0, 10));
+};
+
+module.exports = Medication;
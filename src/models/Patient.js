@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { encryptedAttribute, blindIndexAttribute } = require('../services/fieldEncryption');
 
 const Patient = sequelize.define('Patient', {
   id: {
@@ -18,6 +20,13 @@ const Patient = sequelize.define('Patient', {
     onUpdate: 'CASCADE',
     onDelete: 'CASCADE'
   },
+  medicalRecordNumber: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    defaultValue: () => `MRN${crypto.randomInt(1000000000).toString().padStart(9, '0')}`
+    // Identifies the patient to external systems such as the lab
+  },
   dateOfBirth: {
     type: DataTypes.DATEONLY,
     allowNull: false
@@ -58,14 +67,12 @@ const Patient = sequelize.define('Patient', {
     type: DataTypes.STRING,
     allowNull: true
   },
-  medicalHistory: {
-    type: DataTypes.TEXT,
+  medicalHistory: encryptedAttribute('patients.medicalHistory', {
     allowNull: true
-  },
-  allergies: {
-    type: DataTypes.TEXT,
+  }),
+  allergies: encryptedAttribute('patients.allergies', {
     allowNull: true
-  },
+  }),
   currentMedications: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -74,10 +81,11 @@ const Patient = sequelize.define('Patient', {
     type: DataTypes.STRING,
     allowNull: true
   },
-  insuranceNumber: {
-    type: DataTypes.STRING,
-    allowNull: true
-  },
+  insuranceNumber: encryptedAttribute('patients.insuranceNumber', {
+    allowNull: true,
+    blindIndex: 'insuranceNumberIndex'
+  }),
+  insuranceNumberIndex: blindIndexAttribute(),
   address: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -101,7 +109,12 @@ const Patient = sequelize.define('Patient', {
   }
 }, {
   tableName: 'patients',
-  timestamps: true
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['insurance_number_index']
+    }
+  ]
 });
 
 // Virtual field for age calculation
@@ -126,4 +139,11 @@ Patient.prototype.getBMI = function() {
   return (this.weight / (heightInMeters * heightInMeters)).toFixed(2);
 };
 
+// Instance method to get a client-safe view of the patient
+Patient.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.insuranceNumberIndex;
+  return values;
+};
+
 module.exports = Patient;
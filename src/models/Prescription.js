@@ -0,0 +1,211 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A prescription written by a doctor; the drugs are its PrescriptionItems
+const Prescription = sequelize.define('Prescription', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'doctors',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  appointmentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'renewed', 'discontinued'),
+    allowNull: false,
+    defaultValue: 'active'
+    // `renewed` prescriptions were replaced by the one that renewed them
+  },
+  prescribedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  validUntil: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  alerts: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+    // Allergy and interaction conflicts found when it was written
+  },
+  overrideReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+    // Why the doctor prescribed despite blocking conflicts
+  },
+  renewedFromId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'prescriptions',
+      key: 'id'
+    }
+  },
+  discontinuedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  discontinuedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  discontinuationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'prescriptions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['patient_id', 'status']
+    },
+    {
+      fields: ['doctor_id']
+    }
+  ]
+});
+
+// Days a prescription stays valid
+const getValidityDays = () => parseInt(process.env.PRESCRIPTION_VALIDITY_DAYS) || 365;
+
+// Static method to compute the validity end date of a prescription written on `date`
+Prescription.getValidUntil = (date = new Date()) => {
+  const validUntil = new Date(date);
+  validUntil.setDate(validUntil.getDate() + getValidityDays());
+  return validUntil.toISOString().slice(0, 10);
+};
+
+// Instance method to check if the prescription can still be dispensed
+Prescription.prototype.isActive = function() {
+  return this.status === 'active' && new Date(this.validUntil) >= new Date(new Date().toISOString().slice(0, 10));
+};
+
+// Static method to write a prescription with its items in one transaction.
+// Items without a `medicationId` are added to the patient's medication list; renewals pass
+// the medication of the item they continue instead.
+Prescription.prescribe = async ({ items, recordedBy, ...fields }) => {
+  const { Medication, PrescriptionItem } = sequelize.models;
+  const today = new Date().toISOString().slice(0, 10);
+
+  return await sequelize.transaction(async (transaction) => {
+    const prescription = await Prescription.create({
+      ...fields,
+      prescribedAt: new Date(),
+      validUntil: Prescription.getValidUntil()
+    }, { transaction });
+
+    const createdItems = [];
+    for (const item of items) {
+      let { medicationId } = item;
+      if (!medicationId) {
+        const medication = await Medication.create({
+          patientId: fields.patientId,
+          drug: item.drug,
+          dose: item.strength,
+          frequency: item.dosage,
+          startDate: today,
+          prescriberId: fields.doctorId,
+          source: 'prescribed',
+          recordedBy
+        }, { transaction });
+        medicationId = medication.id;
+      }
+
+      createdItems.push(await PrescriptionItem.create({
+        prescriptionId: prescription.id,
+        medicationId,
+        drug: item.drug,
+        strength: item.strength,
+        dosage: item.dosage,
+        quantity: item.quantity,
+        refills: item.refills || 0
+      }, { transaction }));
+    }
+    prescription.setDataValue('items', createdItems);
+
+    if (fields.renewedFromId) {
+      await Prescription.update(
+        { status: 'renewed' },
+        { where: { id: fields.renewedFromId }, transaction }
+      );
+    }
+
+    return prescription;
+  });
+};
+
+// Instance method to discontinue the prescription and stop its medications from today
+Prescription.prototype.discontinue = async function(userId, reason) {
+  const { Op } = require('sequelize');
+  const { Medication, PrescriptionItem } = sequelize.models;
+  const today = new Date().toISOString().slice(0, 10);
+
+  return await sequelize.transaction(async (transaction) => {
+    const items = await PrescriptionItem.findAll({
+      where: { prescriptionId: this.id },
+      attributes: ['medicationId'],
+      transaction
+    });
+    const medicationIds = items.map(item => item.medicationId).filter(Boolean);
+
+    if (medicationIds.length) {
+      await Medication.update({ stopDate: today }, {
+        where: {
+          id: { [Op.in]: medicationIds },
+          [Op.or]: [{ stopDate: null }, { stopDate: { [Op.gt]: today } }]
+        },
+        transaction
+      });
+    }
+
+    return await this.update({
+      status: 'discontinued',
+      discontinuedAt: new Date(),
+      discontinuedBy: userId,
+      discontinuationReason: reason
+    }, { transaction });
+  });
+};
+
+module.exports = Prescription;
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A drug on a prescription
+const PrescriptionItem = sequelize.define('PrescriptionItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  prescriptionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'prescriptions',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  medicationId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'medications',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+    // The entry on the patient's medication list
+  },
+  drug: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  strength: {
+    type: DataTypes.STRING,
+    allowNull: false
+    // e.g. "500 mg"
+  },
+  dosage: {
+    type: DataTypes.STRING,
+    allowNull: false
+    // Directions, e.g. "1 tablet twice daily with meals"
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  refills: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      max: 12
+    }
+  }
+}, {
+  tableName: 'prescription_items',
+  timestamps: true
+});
+
+module.exports = PrescriptionItem;
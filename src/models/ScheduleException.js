@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A change to a doctor's weekly hours on given days:
+//   override - other working hours (`hours`, none for a day off)
+//   blocked  - a period taken out of the working hours, e.g. a meeting
+//   time_off - whole days away, e.g. a vacation
+//   holiday  - a day the practice is closed, for every doctor (no doctorId)
+const ScheduleException = sequelize.define('ScheduleException', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'doctors',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  type: {
+    type: DataTypes.ENUM('override', 'blocked', 'time_off', 'holiday'),
+    allowNull: false
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+    // Same as startDate for single days
+  },
+  startTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true
+    // "HH:MM", blocked periods only (applied on each day from startDate to endDate)
+  },
+  endTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true
+  },
+  hours: {
+    type: DataTypes.JSONB,
+    allowNull: true
+    // [{ start, end }], overrides only
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'schedule_exceptions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['doctor_id', 'start_date']
+    },
+    {
+      fields: ['type', 'start_date']
+    }
+  ]
+});
+
+module.exports = ScheduleException;
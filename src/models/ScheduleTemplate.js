@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A doctor's weekly working hours, e.g. { monday: [{ start: '09:00', end: '12:30' },
+// { start: '13:30', end: '17:00' }], ... }. Several templates can cover a day (such as summer
+// hours over the usual ones); the one that took effect last applies.
+const ScheduleTemplate = sequelize.define('ScheduleTemplate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'doctors',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'Regular hours'
+  },
+  weeklyHours: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+    // Weekdays left out are days off
+  },
+  effectiveFrom: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+    // Null for templates in effect from the start
+  },
+  effectiveUntil: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'schedule_templates',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['doctor_id', 'effective_from']
+    }
+  ]
+});
+
+module.exports = ScheduleTemplate;
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'sessions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id', 'revoked_at']
+    },
+    {
+      fields: ['expires_at']
+    }
+  ]
+});
+
+// Refresh token lifetime in days
+const getRefreshTokenLifetimeDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+
+// Only a SHA-256 of the refresh token secret is stored
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(48).toString('hex');
+
+const getExpiryDate = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + getRefreshTokenLifetimeDays());
+  return expiresAt;
+};
+
+// Instance method to check if session can still be used
+Session.prototype.isActive = function() {
+  return !this.revokedAt && new Date(this.expiresAt) > new Date();
+};
+
+// Instance method to revoke the session
+Session.prototype.revoke = async function(reason = 'logout', options = {}) {
+  if (this.revokedAt) return this;
+  return await this.update({ revokedAt: new Date(), revokedReason: reason }, options);
+};
+
+// Instance method to get a client-safe view of the session
+Session.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.refreshTokenHash;
+  return values;
+};
+
+// Static method to open a session; refresh tokens have the form `<sessionId>.<secret>`
+Session.start = async (userId, { ipAddress, userAgent } = {}) => {
+  const secret = generateSecret();
+  const session = await Session.create({
+    userId,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: getExpiryDate(),
+    lastUsedAt: new Date(),
+    ipAddress,
+    userAgent
+  });
+
+  return { session, refreshToken: `${session.id}.${secret}` };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Presenting an already rotated token means it was copied, so the whole session is revoked.
+// Resolves to { session, refreshToken } on success or { error } otherwise.
+Session.rotate = async (refreshToken, { ipAddress, userAgent } = {}) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !/^[0-9a-f-]{36}$/i.test(sessionId)) {
+    return { error: 'invalid' };
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    const session = await Session.findByPk(sessionId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!session || !session.isActive()) {
+      return { error: 'invalid' };
+    }
+
+    if (session.refreshTokenHash !== hashToken(secret)) {
+      await session.revoke('refresh_token_reuse', { transaction });
+      return { error: 'reused', session };
+    }
+
+    const nextSecret = generateSecret();
+    await session.update({
+      refreshTokenHash: hashToken(nextSecret),
+      expiresAt: getExpiryDate(),
+      lastUsedAt: new Date(),
+      ipAddress: ipAddress || session.ipAddress,
+      userAgent: userAgent || session.userAgent
+    }, { transaction });
+
+    return { session, refreshToken: `${session.id}.${nextSecret}` };
+  });
+};
+
+// Static method to revoke every active session of a user, optionally keeping one
+Session.revokeAllForUser = async (userId, reason, exceptSessionId = null) => {
+  const { Op } = require('sequelize');
+  const whereClause = {
+    userId,
+    revokedAt: null
+  };
+
+  if (exceptSessionId) whereClause.id = { [Op.ne]: exceptSessionId };
+
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: whereClause }
+  );
+
+  return count;
+};
+
+module.exports = Session;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const TwoFactorPolicy = sequelize.define('TwoFactorPolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  role: {
+    type: DataTypes.ENUM('admin', 'doctor', 'patient'),
+    allowNull: false,
+    unique: true
+  },
+  isRequired: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  }
+}, {
+  tableName: 'two_factor_policies',
+  timestamps: true
+});
+
+// Static method to check if two-factor authentication is mandatory for a role
+TwoFactorPolicy.isRequiredFor = async (role) => {
+  const policy = await TwoFactorPolicy.findOne({ where: { role } });
+  return policy ? policy.isRequired : false;
+};
+
+// Static method to get the policy of every role, defaulting to not required
+TwoFactorPolicy.getAll = async () => {
+  const policies = await TwoFactorPolicy.findAll();
+  return ['admin', 'doctor', 'patient'].map(role => {
+    const policy = policies.find(p => p.role === role);
+    return {
+      role,
+      isRequired: policy ? policy.isRequired : false,
+      updatedBy: policy ? policy.updatedBy : null,
+      updatedAt: policy ? policy.updatedAt : null
+    };
+  });
+};
+
+module.exports = TwoFactorPolicy;
@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const User = sequelize.define('User', {
   id: {
@@ -66,6 +67,10 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  emailVerificationExpires: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   passwordResetToken: {
     type: DataTypes.STRING,
     allowNull: true
@@ -73,6 +78,44 @@ const User = sequelize.define('User', {
   passwordResetExpires: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  twoFactorSecret: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  twoFactorBackupCodes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+    // SHA-256 hashes of unused backup codes
+  },
+  twoFactorLastUsedStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+    // TOTP time step of the last accepted code, to prevent replay
+  },
+  failedLoginAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lockoutCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+    // Consecutive lockouts; each one doubles the next lockout duration
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastFailedLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'users',
@@ -100,9 +143,86 @@ User.prototype.toJSON = function() {
   const values = Object.assign({}, this.get());
   delete values.password;
   delete values.emailVerificationToken;
+  delete values.emailVerificationExpires;
   delete values.passwordResetToken;
   delete values.passwordResetExpires;
+  delete values.twoFactorSecret;
+  delete values.twoFactorBackupCodes;
+  delete values.twoFactorLastUsedStep;
   return values;
 };
 
+// Instance method to check if the account is temporarily locked
+User.prototype.isLocked = function() {
+  return Boolean(this.lockedUntil && new Date(this.lockedUntil) > new Date());
+};
+
+// Instance method to record a failed login. After LOGIN_MAX_ATTEMPTS failures the account is
+// locked for LOGIN_LOCKOUT_MINUTES, doubling with each consecutive lockout (capped at 24 hours).
+// Counters are forgotten after a day without failures. The user's row is locked while counting so
+// parallel attempts cannot all read the same count. Returns true if this attempt locked the account.
+User.prototype.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const baseLockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+  
+  const locked = await sequelize.transaction(async (transaction) => {
+    const user = await User.findByPk(this.id, { lock: transaction.LOCK.UPDATE, transaction });
+    const now = new Date();
+    
+    // A parallel attempt locked the account while this one was being checked; it is not counted
+    if (user.isLocked()) return false;
+    
+    const isStale = !user.lastFailedLoginAt || now - new Date(user.lastFailedLoginAt) > 24 * 60 * 60 * 1000;
+    const attempts = (isStale ? 0 : user.failedLoginAttempts) + 1;
+    const lockoutCount = isStale ? 0 : user.lockoutCount;
+    
+    if (attempts < maxAttempts) {
+      await user.update({ failedLoginAttempts: attempts, lockoutCount, lastFailedLoginAt: now }, { transaction });
+      return false;
+    }
+    
+    const lockoutMinutes = Math.min(baseLockoutMinutes * 2 ** lockoutCount, 24 * 60);
+    await user.update({
+      failedLoginAttempts: 0,
+      lockoutCount: lockoutCount + 1,
+      lockedUntil: new Date(now.getTime() + lockoutMinutes * 60 * 1000),
+      lastFailedLoginAt: now
+    }, { transaction });
+    return true;
+  });
+  
+  await this.reload();
+  return locked;
+};
+
+// Instance method to clear failed login tracking and any lockout
+User.prototype.resetLoginFailures = async function() {
+  return await this.update({
+    failedLoginAttempts: 0,
+    lockoutCount: 0,
+    lockedUntil: null
+  });
+};
+
+// Instance method to set a new email verification token (valid 24 hours); returns the raw token to email
+User.prototype.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = User.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Instance method to set a new password reset token (valid 1 hour); returns the raw token to email
+User.prototype.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = User.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+  return token;
+};
+
+// Static method to hash an emailed token; only the hash is stored
+User.hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 module.exports = User;
@@ -0,0 +1,213 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { VITAL_SIGN_TYPES, REFERENCE_RANGES } = require('../data/vitalSigns');
+const { findReferenceRange, getFlag } = require('../services/referenceRanges');
+
+// A single vital sign observation, standalone or taken as part of a medical record
+const VitalSign = sequelize.define('VitalSign', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  medicalRecordId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'medical_records',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  type: {
+    type: DataTypes.ENUM(...Object.keys(VITAL_SIGN_TYPES)),
+    allowNull: false
+  },
+  value: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  unit: {
+    type: DataTypes.STRING,
+    allowNull: false
+    // Always the canonical unit of the type
+  },
+  observedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  flag: {
+    type: DataTypes.ENUM('critical_low', 'low', 'normal', 'high', 'critical_high'),
+    allowNull: true
+    // Null for types without a reference range
+  },
+  referenceLow: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  referenceHigh: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  recordedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'vital_signs',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['patient_id', 'type', 'observed_at']
+    },
+    {
+      fields: ['medical_record_id']
+    }
+  ]
+});
+
+// Keys of the legacy MedicalRecord.vitalSigns JSON and the types they map to.
+// Temperatures in that JSON are in °F.
+const RECORD_VITAL_KEYS = {
+  heartRate: { type: 'heart_rate' },
+  respiratoryRate: { type: 'respiratory_rate' },
+  temperature: { type: 'temperature', unit: '°F' },
+  oxygenSaturation: { type: 'oxygen_saturation' },
+  bloodGlucose: { type: 'blood_glucose' },
+  weight: { type: 'weight' },
+  height: { type: 'height' }
+};
+
+// Static method to get the reference range of a type for a patient (age, gender) at a date
+VitalSign.getReferenceRange = (type, patient, at = new Date()) => {
+  return findReferenceRange(REFERENCE_RANGES[type], patient, at);
+};
+
+// Static method to flag a value against a reference range
+VitalSign.getFlag = getFlag;
+
+// Static method to convert an observation to its type's canonical unit.
+// Returns null if the unit is not accepted for the type.
+VitalSign.normalize = ({ type, value, unit }) => {
+  const definition = VITAL_SIGN_TYPES[type];
+  if (!definition) return null;
+
+  const numericValue = Number(value);
+  if (!unit || unit === definition.unit) return { type, value: numericValue, unit: definition.unit };
+
+  const convert = definition.conversions && definition.conversions[unit];
+  if (!convert) return null;
+  return { type, value: Math.round(convert(numericValue) * 100) / 100, unit: definition.unit };
+};
+
+// Static method to turn the MedicalRecord.vitalSigns JSON into observations;
+// blood pressure such as "120/80" becomes systolic and diastolic readings
+VitalSign.fromRecordVitals = (vitalSigns) => {
+  if (!vitalSigns || typeof vitalSigns !== 'object') return [];
+  const observations = [];
+
+  const bloodPressure = String(vitalSigns.bloodPressure || '').match(/^\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/);
+  if (bloodPressure) {
+    observations.push({ type: 'systolic_bp', value: Number(bloodPressure[1]) });
+    observations.push({ type: 'diastolic_bp', value: Number(bloodPressure[2]) });
+  }
+
+  Object.entries(RECORD_VITAL_KEYS).forEach(([key, { type, unit }]) => {
+    const value = Number(vitalSigns[key]);
+    if (vitalSigns[key] !== undefined && vitalSigns[key] !== null && vitalSigns[key] !== '' && !Number.isNaN(value)) {
+      observations.push({ type, value, unit });
+    }
+  });
+
+  return observations;
+};
+
+// Static method to record observations for a patient, converting units and flagging
+// each value against the reference range for the patient's age and gender
+VitalSign.record = async (patient, observations, { observedAt = new Date(), medicalRecordId = null, recordedBy = null, transaction } = {}) => {
+  const rows = observations.map(observation => {
+    const { type, value, unit } = VitalSign.normalize(observation);
+    const at = observation.observedAt || observedAt;
+    const range = VitalSign.getReferenceRange(type, patient, at);
+
+    return {
+      patientId: patient.id,
+      medicalRecordId,
+      type,
+      value,
+      unit,
+      observedAt: at,
+      flag: VitalSign.getFlag(value, range),
+      referenceLow: range && range.low !== undefined ? range.low : null,
+      referenceHigh: range && range.high !== undefined ? range.high : null,
+      recordedBy
+    };
+  });
+
+  return await VitalSign.bulkCreate(rows, { transaction, returning: true });
+};
+
+// Static method to replace the observations taken as part of a medical record with those in its vitalSigns JSON
+VitalSign.syncFromRecord = async (record, patient, { recordedBy = null, transaction } = {}) => {
+  await VitalSign.destroy({ where: { medicalRecordId: record.id }, transaction });
+  return await VitalSign.record(patient, VitalSign.fromRecordVitals(record.vitalSigns), {
+    observedAt: record.createdAt || new Date(),
+    medicalRecordId: record.id,
+    recordedBy,
+    transaction
+  });
+};
+
+// Static method to summarize a series (sorted by observedAt) for trend display.
+// `slopePerDay` is the least-squares slope of value over time.
+VitalSign.summarizeSeries = (observations) => {
+  if (observations.length === 0) return null;
+
+  const values = observations.map(observation => observation.value);
+  const latest = observations[observations.length - 1];
+  const previous = observations.length > 1 ? observations[observations.length - 2] : null;
+
+  const days = observations.map(observation => new Date(observation.observedAt).getTime() / 86400000);
+  const meanDay = days.reduce((sum, day) => sum + day, 0) / days.length;
+  const meanValue = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const covariance = days.reduce((sum, day, index) => sum + (day - meanDay) * (values[index] - meanValue), 0);
+  const variance = days.reduce((sum, day) => sum + (day - meanDay) ** 2, 0);
+  const slopePerDay = variance > 0 ? covariance / variance : 0;
+
+  // Changes smaller than 1% of the mean over the whole period count as stable
+  const spanDays = days[days.length - 1] - days[0];
+  const threshold = Math.abs(meanValue) * 0.01;
+  let direction = 'stable';
+  if (slopePerDay * spanDays > threshold) direction = 'rising';
+  if (slopePerDay * spanDays < -threshold) direction = 'falling';
+
+  return {
+    count: observations.length,
+    latest: { value: latest.value, observedAt: latest.observedAt, flag: latest.flag },
+    change: previous ? Math.round((latest.value - previous.value) * 100) / 100 : null,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    average: Math.round(meanValue * 100) / 100,
+    slopePerDay: Math.round(slopePerDay * 1000) / 1000,
+    direction,
+    abnormalCount: observations.filter(observation => observation.flag && observation.flag !== 'normal').length
+  };
+};
+
+module.exports = VitalSign;
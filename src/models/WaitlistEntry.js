@@ -0,0 +1,114 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A patient waiting for an appointment with a doctor between two dates. When an appointment of
+// the doctor in that range is cancelled, the freed time is offered to the patients waiting
+// longest (see WaitlistOffer).
+const WaitlistEntry = sequelize.define('WaitlistEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  patientId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'patients',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'doctors',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  earliestDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  latestDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  earliestTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true
+    // "HH:MM"; with latestTime, the times of day the patient can come
+  },
+  latestTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true
+  },
+  type: {
+    type: DataTypes.ENUM('consultation', 'follow_up', 'emergency', 'routine_checkup', 'specialist_referral'),
+    allowNull: false,
+    defaultValue: 'consultation'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('waiting', 'offered', 'booked', 'cancelled', 'expired'),
+    allowNull: false,
+    defaultValue: 'waiting'
+    // `offered` while an offer is pending, `expired` once latestDate has passed
+  },
+  appointmentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+    // The appointment booked from an accepted offer
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'waitlist_entries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['doctor_id', 'status', 'created_at']
+    },
+    {
+      fields: ['patient_id']
+    }
+  ]
+});
+
+// Instance method to check if the patient is still waiting (with or without a pending offer)
+WaitlistEntry.prototype.isOpen = function() {
+  return ['waiting', 'offered'].includes(this.status);
+};
+
+// Instance method to check if an appointment at `start` is within the patient's preferences
+WaitlistEntry.prototype.accepts = function(start) {
+  const { dateKey, timeOfDay } = require('../services/doctorSchedule');
+  const key = dateKey(start);
+  const time = timeOfDay(start);
+
+  return key >= this.earliestDate && key <= this.latestDate &&
+    (!this.earliestTime || time >= this.earliestTime) &&
+    (!this.latestTime || time <= this.latestTime);
+};
+
+module.exports = WaitlistEntry;
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A freed appointment time offered to a waitlisted patient, who accepts or declines it through an
+// emailed link until it expires. The time is not held: if someone books it first, accepting fails.
+const WaitlistOffer = sequelize.define('WaitlistOffer', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  entryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'waitlist_entries',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  doctorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'doctors',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE'
+  },
+  appointmentDate: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  duration: {
+    type: DataTypes.INTEGER, // in minutes
+    allowNull: false
+  },
+  cancelledAppointmentId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'appointments',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+    // The cancellation that freed the time
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'declined', 'expired', 'withdrawn'),
+    allowNull: false,
+    defaultValue: 'pending'
+    // `withdrawn` when the patient left the waitlist or the time was booked by someone else
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'waitlist_offers',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['entry_id']
+    },
+    {
+      fields: ['doctor_id', 'appointment_date']
+    },
+    {
+      fields: ['status', 'expires_at']
+    }
+  ]
+});
+
+// Instance method to check if the offer can still be accepted
+WaitlistOffer.prototype.isPending = function() {
+  return this.status === 'pending' && new Date(this.expiresAt) > new Date();
+};
+
+// Instance method to get a client-safe view of the offer
+WaitlistOffer.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.tokenHash;
+  return values;
+};
+
+// Static method to create a pending offer valid WAITLIST_OFFER_MINUTES (default 120), but no longer
+// than until the appointment starts; resolves to { offer, token } with the raw token to email
+WaitlistOffer.issue = async ({ entryId, doctorId, appointmentDate, duration, cancelledAppointmentId }, { transaction } = {}) => {
+  const minutes = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 120;
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const offer = await WaitlistOffer.create({
+    entryId,
+    doctorId,
+    appointmentDate,
+    duration,
+    cancelledAppointmentId,
+    tokenHash: WaitlistOffer.hashToken(token),
+    expiresAt: new Date(Math.min(Date.now() + minutes * 60 * 1000, new Date(appointmentDate).getTime()))
+  }, { transaction });
+
+  return { offer, token };
+};
+
+// Static method to hash an emailed token; only the hash is stored
+WaitlistOffer.hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = WaitlistOffer;
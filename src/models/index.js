@@ -3,8 +3,29 @@ const Patient = require('./Patient');
 const Doctor = require('./Doctor');
 const PatientDoctor = require('./PatientDoctor');
 const Appointment = require('./Appointment');
+const AppointmentSeries = require('./AppointmentSeries');
+const AppointmentReminder = require('./AppointmentReminder');
+const ScheduleTemplate = require('./ScheduleTemplate');
+const ScheduleException = require('./ScheduleException');
+const WaitlistEntry = require('./WaitlistEntry');
+const WaitlistOffer = require('./WaitlistOffer');
 const MedicalRecord = require('./MedicalRecord');
-// const AuditLog = require('./AuditLog');
+const AuditLog = require('./AuditLog');
+const Session = require('./Session');
+const TwoFactorPolicy = require('./TwoFactorPolicy');
+const BreakGlassAccess = require('./BreakGlassAccess');
+const MedicalRecordAccess = require('./MedicalRecordAccess');
+const ConsentDocument = require('./ConsentDocument');
+const Consent = require('./Consent');
+const Allergy = require('./Allergy');
+const Medication = require('./Medication');
+const Prescription = require('./Prescription');
+const PrescriptionItem = require('./PrescriptionItem');
+const DrugInteraction = require('./DrugInteraction');
+const VitalSign = require('./VitalSign');
+const LabOrder = require('./LabOrder');
+const LabResult = require('./LabResult');
+const Hl7Message = require('./Hl7Message');
 
 // Define associations
 
@@ -89,6 +110,90 @@ Doctor.hasMany(Appointment, {
   as: 'appointments'
 });
 
+// AppointmentSeries associations
+AppointmentSeries.belongsTo(Patient, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+
+AppointmentSeries.belongsTo(Doctor, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+
+AppointmentSeries.hasMany(Appointment, {
+  foreignKey: 'seriesId',
+  as: 'appointments'
+});
+
+Appointment.belongsTo(AppointmentSeries, {
+  foreignKey: 'seriesId',
+  as: 'series'
+});
+
+// AppointmentReminder associations
+Appointment.hasMany(AppointmentReminder, {
+  foreignKey: 'appointmentId',
+  as: 'reminders'
+});
+
+AppointmentReminder.belongsTo(Appointment, {
+  foreignKey: 'appointmentId',
+  as: 'appointment'
+});
+
+// Schedule associations
+ScheduleTemplate.belongsTo(Doctor, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+
+ScheduleException.belongsTo(Doctor, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+
+Doctor.hasMany(ScheduleTemplate, {
+  foreignKey: 'doctorId',
+  as: 'scheduleTemplates'
+});
+
+Doctor.hasMany(ScheduleException, {
+  foreignKey: 'doctorId',
+  as: 'scheduleExceptions'
+});
+
+// Waitlist associations
+WaitlistEntry.belongsTo(Patient, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+
+WaitlistEntry.belongsTo(Doctor, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+
+WaitlistEntry.belongsTo(Appointment, {
+  foreignKey: 'appointmentId',
+  as: 'appointment'
+});
+
+WaitlistEntry.hasMany(WaitlistOffer, {
+  foreignKey: 'entryId',
+  as: 'offers'
+});
+
+WaitlistOffer.belongsTo(WaitlistEntry, {
+  foreignKey: 'entryId',
+  as: 'entry'
+});
+
+WaitlistOffer.belongsTo(Doctor, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+
 // MedicalRecord associations
 MedicalRecord.belongsTo(Patient, {
   foreignKey: 'patientId',
@@ -130,16 +235,246 @@ Appointment.hasMany(MedicalRecord, {
   as: 'medicalRecords'
 });
 
-// AuditLog associations (disabled)
-// AuditLog.belongsTo(User, {
-//   foreignKey: 'userId',
-//   as: 'user'
-// });
+// AuditLog associations
+AuditLog.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user',
+  constraints: false
+});
+
+User.hasMany(AuditLog, {
+  foreignKey: 'userId',
+  as: 'auditLogs',
+  constraints: false
+});
+
+// Session associations
+Session.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+User.hasMany(Session, {
+  foreignKey: 'userId',
+  as: 'sessions',
+  onDelete: 'CASCADE'
+});
+
+// BreakGlassAccess associations
+BreakGlassAccess.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+BreakGlassAccess.belongsTo(Patient, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+
+Patient.hasMany(BreakGlassAccess, {
+  foreignKey: 'patientId',
+  as: 'breakGlassAccesses'
+});
+
+// MedicalRecordAccess associations
+MedicalRecordAccess.belongsTo(MedicalRecord, {
+  foreignKey: 'medicalRecordId',
+  as: 'medicalRecord'
+});
+
+MedicalRecordAccess.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+MedicalRecordAccess.belongsTo(User, {
+  foreignKey: 'grantedBy',
+  as: 'grantor'
+});
+
+MedicalRecord.hasMany(MedicalRecordAccess, {
+  foreignKey: 'medicalRecordId',
+  as: 'accessGrants'
+});
+
+// Consent associations
+Consent.belongsTo(Patient, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+
+Consent.belongsTo(Doctor, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+
+Consent.belongsTo(ConsentDocument, {
+  foreignKey: 'documentId',
+  as: 'document'
+});
+
+Patient.hasMany(Consent, {
+  foreignKey: 'patientId',
+  as: 'consents'
+});
+
+// Allergy and medication associations
+// (`allergyEntries` because `allergies` is the legacy free-text column)
+Allergy.belongsTo(Patient, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+
+Patient.hasMany(Allergy, {
+  foreignKey: 'patientId',
+  as: 'allergyEntries'
+});
+
+Medication.belongsTo(Patient, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+
+Medication.belongsTo(Doctor, {
+  foreignKey: 'prescriberId',
+  as: 'prescriber'
+});
+
+Patient.hasMany(Medication, {
+  foreignKey: 'patientId',
+  as: 'medications'
+});
+
+// Prescription associations
+Prescription.belongsTo(Patient, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+
+Prescription.belongsTo(Doctor, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+
+Prescription.belongsTo(Appointment, {
+  foreignKey: 'appointmentId',
+  as: 'appointment'
+});
+
+Prescription.belongsTo(Prescription, {
+  foreignKey: 'renewedFromId',
+  as: 'renewedFrom'
+});
+
+Prescription.hasMany(PrescriptionItem, {
+  foreignKey: 'prescriptionId',
+  as: 'items',
+  onDelete: 'CASCADE'
+});
+
+PrescriptionItem.belongsTo(Prescription, {
+  foreignKey: 'prescriptionId',
+  as: 'prescription'
+});
+
+PrescriptionItem.belongsTo(Medication, {
+  foreignKey: 'medicationId',
+  as: 'medication'
+});
+
+Patient.hasMany(Prescription, {
+  foreignKey: 'patientId',
+  as: 'prescriptions'
+});
+
+Doctor.hasMany(Prescription, {
+  foreignKey: 'doctorId',
+  as: 'prescriptions'
+});
+
+// VitalSign associations
+// (`vitalSignObservations` on MedicalRecord because `vitalSigns` is its JSON column)
+VitalSign.belongsTo(Patient, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+
+VitalSign.belongsTo(MedicalRecord, {
+  foreignKey: 'medicalRecordId',
+  as: 'medicalRecord'
+});
+
+Patient.hasMany(VitalSign, {
+  foreignKey: 'patientId',
+  as: 'vitalSigns'
+});
+
+MedicalRecord.hasMany(VitalSign, {
+  foreignKey: 'medicalRecordId',
+  as: 'vitalSignObservations'
+});
+
+// LabOrder associations
+LabOrder.belongsTo(Patient, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+
+LabOrder.belongsTo(Doctor, {
+  foreignKey: 'doctorId',
+  as: 'doctor'
+});
+
+LabOrder.belongsTo(Appointment, {
+  foreignKey: 'appointmentId',
+  as: 'appointment'
+});
+
+LabOrder.hasMany(LabResult, {
+  foreignKey: 'labOrderId',
+  as: 'results'
+});
+
+LabResult.belongsTo(LabOrder, {
+  foreignKey: 'labOrderId',
+  as: 'labOrder'
+});
+
+LabResult.belongsTo(Patient, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
+
+Patient.hasMany(LabOrder, {
+  foreignKey: 'patientId',
+  as: 'labOrders'
+});
+
+Patient.hasMany(LabResult, {
+  foreignKey: 'patientId',
+  as: 'labResults'
+});
+
+Doctor.hasMany(LabOrder, {
+  foreignKey: 'doctorId',
+  as: 'labOrders'
+});
+
+Appointment.hasMany(LabOrder, {
+  foreignKey: 'appointmentId',
+  as: 'labOrders'
+});
+
+// Hl7Message associations
+Hl7Message.belongsTo(Patient, {
+  foreignKey: 'patientId',
+  as: 'patient'
+});
 
-// User.hasMany(AuditLog, {
-//   foreignKey: 'userId',
-//   as: 'auditLogs'
-// });
+Hl7Message.belongsTo(User, {
+  foreignKey: 'reviewedBy',
+  as: 'reviewer'
+});
 
 module.exports = {
   User,
@@ -147,6 +482,27 @@ module.exports = {
   Doctor,
   PatientDoctor,
   Appointment,
-  MedicalRecord
-  // AuditLog (disabled)
+  AppointmentSeries,
+  AppointmentReminder,
+  ScheduleTemplate,
+  ScheduleException,
+  WaitlistEntry,
+  WaitlistOffer,
+  MedicalRecord,
+  AuditLog,
+  Session,
+  TwoFactorPolicy,
+  BreakGlassAccess,
+  MedicalRecordAccess,
+  ConsentDocument,
+  Consent,
+  Allergy,
+  Medication,
+  Prescription,
+  PrescriptionItem,
+  DrugInteraction,
+  VitalSign,
+  LabOrder,
+  LabResult,
+  Hl7Message
 };
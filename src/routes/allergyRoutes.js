@@ -0,0 +1,183 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Mounted at /api/patients/:id/allergies
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const patientTarget = { resource: 'patient', target: req => req.params.id };
+
+// Validation rules
+const allergyValidation = [
+  body('substance')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Substance is required and must be less than 200 characters'),
+  body('category')
+    .optional()
+    .isIn(['drug', 'food', 'environmental', 'other'])
+    .withMessage('Category must be drug, food, environmental, or other'),
+  body('reaction')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reaction must be less than 500 characters'),
+  body('severity')
+    .optional()
+    .isIn(['mild', 'moderate', 'severe', 'life_threatening', 'unknown'])
+    .withMessage('Severity must be mild, moderate, severe, life_threatening, or unknown'),
+  body('onsetDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Please provide a valid onset date'),
+  body('status')
+    .optional()
+    .isIn(['active', 'inactive', 'resolved'])
+    .withMessage('Status must be active, inactive, or resolved')
+];
+
+const ALLERGY_FIELDS = ['substance', 'category', 'reaction', 'severity', 'onsetDate', 'status', 'notes'];
+
+const pickAllergyFields = (data) => {
+  return ALLERGY_FIELDS.reduce((fields, field) => {
+    if (data[field] !== undefined) fields[field] = data[field];
+    return fields;
+  }, {});
+};
+
+// Get a patient's allergies
+router.get('/', requirePermission('allergy:list', patientTarget), async (req, res) => {
+  try {
+    const { Allergy } = require('../models');
+    const { status, category } = req.query;
+    
+    const whereClause = { patientId: req.params.id };
+    if (status) whereClause.status = status;
+    if (category) whereClause.category = category;
+    
+    const allergies = await Allergy.findAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { allergies }
+    });
+  } catch (error) {
+    console.error('Get allergies error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add an allergy
+router.post('/', allergyValidation, requirePermission('allergy:create', patientTarget), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Allergy } = require('../models');
+    
+    const allergy = await Allergy.create({
+      ...pickAllergyFields(req.body),
+      patientId: req.params.id,
+      recordedBy: req.user.id
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Allergy added successfully',
+      data: { allergy }
+    });
+  } catch (error) {
+    console.error('Create allergy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update an allergy
+router.put('/:allergyId', allergyValidation, requirePermission('allergy:update', patientTarget), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Allergy } = require('../models');
+    const { id, allergyId } = req.params;
+    
+    const allergy = await Allergy.findOne({ where: { id: allergyId, patientId: id } });
+    if (!allergy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Allergy not found'
+      });
+    }
+    
+    await allergy.update(pickAllergyFields(req.body));
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Allergy updated successfully',
+      data: { allergy }
+    });
+  } catch (error) {
+    console.error('Update allergy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete an allergy entered in error
+router.delete('/:allergyId', requirePermission('allergy:delete', patientTarget), async (req, res) => {
+  try {
+    const { Allergy } = require('../models');
+    const { id, allergyId } = req.params;
+    
+    const allergy = await Allergy.findOne({ where: { id: allergyId, patientId: id } });
+    if (!allergy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Allergy not found'
+      });
+    }
+    
+    await allergy.destroy();
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Allergy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete allergy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { findActionableReminder } = require('../services/appointmentReminders');
+const { offerFreedSlots } = require('../services/waitlist');
+
+// Mounted at /api/appointments/reminders. Reminders are answered through the emailed link, which
+// stands in for signing in.
+const router = express.Router();
+
+// Validation rules
+const reminderTokenValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reminder token is required')
+];
+
+const cancelValidation = [
+  ...reminderTokenValidation,
+  body('cancellationReason')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Cancellation reason must be less than 1000 characters')
+];
+
+// Confirm the appointment of a reminder
+router.post('/confirm', reminderTokenValidation, async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const reminder = await findActionableReminder(req.body.token);
+    if (!reminder) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reminder link is invalid or has expired'
+      });
+    }
+    
+    const { appointment } = reminder;
+    if (appointment.status === 'scheduled') {
+      await appointment.update({ status: 'confirmed' });
+    }
+    await reminder.update({ response: 'confirmed', respondedAt: new Date() });
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Appointment confirmed successfully',
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Confirm appointment from reminder error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Cancel the appointment of a reminder, under the same notice period as other cancellations
+router.post('/cancel', cancelValidation, async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Appointment, Patient } = require('../models');
+    
+    const reminder = await findActionableReminder(req.body.token);
+    if (!reminder) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reminder link is invalid or has expired'
+      });
+    }
+    
+    const { appointment } = reminder;
+    if (!appointment.canBeCancelled()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Appointment cannot be cancelled at this time'
+      });
+    }
+    
+    const patient = await Patient.findByPk(appointment.patientId);
+    await Appointment.cancel([appointment], {
+      cancelledBy: patient.userId,
+      cancellationReason: req.body.cancellationReason || 'Cancelled from reminder'
+    });
+    await reminder.update({ response: 'cancelled', respondedAt: new Date() });
+    
+    // Offer the freed time to patients on the doctor's waitlist
+    try {
+      await offerFreedSlots([appointment]);
+    } catch (error) {
+      console.error('Waitlist offer error:', error);
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Appointment cancelled successfully',
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Cancel appointment from reminder error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,19 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/accessPolicy');
+const {
+  WEEKDAYS,
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  ACTIVE_STATUSES,
+  SchedulingError,
+  generateOccurrences,
+  bookSlots,
+  describeConflicts
+} = require('../services/appointmentScheduling');
+const { loadSchedule } = require('../services/doctorSchedule');
+const { offerFreedSlots } = require('../services/waitlist');
 
 const router = express.Router();
 
@@ -36,8 +49,83 @@ const appointmentValidation = [
     .withMessage('Symptoms must be less than 2000 characters')
 ];
 
+const seriesValidation = [
+  ...appointmentValidation,
+  body('recurrence.frequency')
+    .isIn(FREQUENCIES)
+    .withMessage(`Recurrence frequency must be one of ${FREQUENCIES.join(', ')}`),
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Recurrence interval must be between 1 and 12'),
+  body('recurrence.daysOfWeek')
+    .optional()
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Days of week must be a list of weekdays'),
+  body('recurrence.daysOfWeek.*')
+    .isIn(WEEKDAYS)
+    .withMessage('Invalid day of week'),
+  body('recurrence.count')
+    .optional()
+    .isInt({ min: 1, max: MAX_OCCURRENCES })
+    .withMessage(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`),
+  body('recurrence.until')
+    .optional()
+    .isISO8601()
+    .withMessage('Recurrence until must be a valid date'),
+  body('recurrence')
+    .custom(recurrence => Boolean(recurrence && (recurrence.count || recurrence.until)))
+    .withMessage('Recurrence needs a count or an until date'),
+  body('onConflict')
+    .optional()
+    .isIn(['reject', 'skip'])
+    .withMessage('onConflict must be reject or skip')
+];
+
+// `this` changes only the appointment; `following` also the later occurrences of its series
+const scopeValidation = body('scope')
+  .optional()
+  .isIn(['this', 'following'])
+  .withMessage('Scope must be this or following');
+
+const rescheduleValidation = [
+  scopeValidation,
+  body('appointmentDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid appointment date is required'),
+  body('duration')
+    .optional()
+    .isInt({ min: 15, max: 240 })
+    .withMessage('Duration must be between 15 and 240 minutes'),
+  body('type')
+    .optional()
+    .isIn(['consultation', 'follow_up', 'emergency', 'routine_checkup', 'specialist_referral'])
+    .withMessage('Invalid appointment type'),
+  body('reason')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be less than 1000 characters')
+];
+
+// The appointment with the later active occurrences of its series when `scope` is `following`
+const getScopedAppointments = async (appointment, scope) => {
+  const { Appointment } = require('../models');
+  const { Op } = require('sequelize');
+
+  if (scope !== 'following') return [appointment];
+  return await Appointment.findAll({
+    where: {
+      seriesId: appointment.seriesId,
+      status: { [Op.in]: ACTIVE_STATUSES },
+      appointmentDate: { [Op.gte]: appointment.appointmentDate }
+    },
+    order: [['appointmentDate', 'ASC']]
+  });
+};
+
 // Get all appointments
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('appointment:list'), async (req, res) => {
   try {
     const { Appointment, Patient, Doctor, User } = require('../models');
     const { Op } = require('sequelize');
@@ -46,6 +134,7 @@ router.get('/', async (req, res) => {
       limit = 10, 
       patientId, 
       doctorId, 
+      seriesId,
       status, 
       type,
       dateFrom,
@@ -58,6 +147,7 @@ router.get('/', async (req, res) => {
     
     if (patientId) whereClause.patientId = patientId;
     if (doctorId) whereClause.doctorId = doctorId;
+    if (seriesId) whereClause.seriesId = seriesId;
     if (status) whereClause.status = status;
     if (type) whereClause.type = type;
     
@@ -74,23 +164,8 @@ router.get('/', async (req, res) => {
       whereClause.status = { [Op.in]: ['scheduled', 'confirmed'] };
     }
     
-    // Role-based filtering
-    if (req.user.role === 'patient') {
-      const { Patient } = require('../models');
-      const userPatient = await Patient.findOne({ where: { userId: req.user.id } });
-      if (userPatient) {
-        whereClause.patientId = userPatient.id;
-      }
-    } else if (req.user.role === 'doctor') {
-      const { Doctor } = require('../models');
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (userDoctor) {
-        whereClause.doctorId = userDoctor.id;
-      }
-    }
-    
     const { count, rows: appointments } = await Appointment.findAndCountAll({
-      where: whereClause,
+      where: { [Op.and]: [whereClause, req.access.where] },
       include: [
         {
           model: Patient,
@@ -138,9 +213,9 @@ router.get('/', async (req, res) => {
 });
 
 // Get appointment by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('appointment:read', { target: req => req.params.id }), async (req, res) => {
   try {
-    const { Appointment, Patient, Doctor, User } = require('../models');
+    const { Appointment, AppointmentReminder, Patient, Doctor, User } = require('../models');
     const { id } = req.params;
     
     const appointment = await Appointment.findByPk(id, {
@@ -162,8 +237,13 @@ router.get('/:id', async (req, res) => {
             as: 'user',
             attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
           }]
+        },
+        {
+          model: AppointmentReminder,
+          as: 'reminders'
         }
-      ]
+      ],
+      order: [[{ model: AppointmentReminder, as: 'reminders' }, 'createdAt', 'ASC']]
     });
     
     if (!appointment) {
@@ -173,29 +253,6 @@ router.get('/:id', async (req, res) => {
       });
     }
     
-    // Check access permissions
-    if (req.user.role === 'patient') {
-      const { Patient } = require('../models');
-      const userPatient = await Patient.findOne({ where: { userId: req.user.id } });
-      if (!userPatient || userPatient.id !== appointment.patientId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
-    if (req.user.role === 'doctor') {
-      const { Doctor } = require('../models');
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (!userDoctor || userDoctor.id !== appointment.doctorId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
     res.status(200).json({
       status: 'success',
       data: { appointment }
@@ -210,7 +267,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new appointment
-router.post('/', appointmentValidation, async (req, res) => {
+router.post('/', appointmentValidation, requirePermission('appointment:create', { target: req => req.body }), async (req, res) => {
   try {
     const { validationResult } = require('express-validator');
     const errors = validationResult(req);
@@ -223,7 +280,6 @@ router.post('/', appointmentValidation, async (req, res) => {
     }
     
     const { Appointment, Patient, Doctor } = require('../models');
-    const { Op } = require('sequelize');
     const { 
       patientId, 
       doctorId, 
@@ -252,67 +308,206 @@ router.post('/', appointmentValidation, async (req, res) => {
       });
     }
     
-    // Check if doctor is available at the requested time
     const appointmentStart = new Date(appointmentDate);
-    const appointmentEnd = new Date(appointmentStart.getTime() + duration * 60000);
     
-    const conflictingAppointment = await Appointment.findOne({
-      where: {
+    // Check if appointment is in the future
+    if (appointmentStart <= new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Appointment must be scheduled for a future date'
+      });
+    }
+    
+    // Check that the doctor is available at the requested time (within their schedule, clear of
+    // their other appointments and under their daily limit) and book it while their row is locked
+    const { conflicts: [conflicts], result: appointment } = await bookSlots(doctorId, [{ start: appointmentStart, duration }], {}, async (doctor, [conflicts], transaction) => {
+      if (conflicts.length) return null;
+      
+      return await Appointment.create({
+        patientId,
         doctorId,
-        status: { [Op.in]: ['scheduled', 'confirmed'] },
-        [Op.or]: [
-          {
-            appointmentDate: {
-              [Op.between]: [appointmentStart, appointmentEnd]
-            }
-          },
-          {
-            [Op.and]: [
-              { appointmentDate: { [Op.lte]: appointmentStart } },
-              {
-                appointmentDate: {
-                  [Op.gte]: new Date(appointmentStart.getTime() - duration * 60000)
-                }
-              }
-            ]
-          }
-        ]
-      }
+        appointmentDate: appointmentStart,
+        duration,
+        type,
+        reason,
+        symptoms,
+        status: 'scheduled'
+      }, { transaction });
     });
     
-    if (conflictingAppointment) {
+    if (!appointment) {
       return res.status(409).json({
         status: 'error',
-        message: 'Doctor is not available at the requested time'
+        message: 'Doctor is not available at the requested time',
+        data: { conflicts }
       });
     }
     
-    // Check if appointment is in the future
-    if (appointmentStart <= new Date()) {
+    res.status(201).json({
+      status: 'success',
+      message: 'Appointment scheduled successfully',
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Create appointment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Schedule a recurring appointment series
+router.post('/series', seriesValidation, requirePermission('appointment:create', { target: req => req.body }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         status: 'error',
-        message: 'Appointment must be scheduled for a future date'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
     
-    const appointment = await Appointment.create({
+    const { AppointmentSeries, Patient, Doctor } = require('../models');
+    const {
       patientId,
       doctorId,
-      appointmentDate: appointmentStart,
-      duration,
-      type,
+      appointmentDate,
+      duration = 30,
+      type = 'consultation',
       reason,
       symptoms,
-      status: 'scheduled'
+      recurrence,
+      onConflict = 'reject'
+    } = req.body;
+    
+    const patient = await Patient.findByPk(patientId);
+    if (!patient) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Patient not found'
+      });
+    }
+    
+    const doctor = await Doctor.findByPk(doctorId);
+    if (!doctor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Doctor not found'
+      });
+    }
+    
+    const rule = {
+      frequency: recurrence.frequency,
+      interval: recurrence.interval || 1,
+      daysOfWeek: recurrence.frequency === 'weekly' ? recurrence.daysOfWeek : undefined,
+      count: recurrence.count,
+      until: recurrence.until
+    };
+    const dates = generateOccurrences(appointmentDate, rule);
+    
+    // Every occurrence is checked; conflicting ones fail the whole series unless asked to skip them
+    const slots = dates.map(start => ({ start, duration }));
+    const { conflicts, result } = await bookSlots(doctorId, slots, {}, async (doctor, conflicts, transaction) => {
+      const free = dates.filter((date, index) => conflicts[index].length === 0);
+      if (free.length === 0 || (free.length < dates.length && onConflict !== 'skip')) return null;
+      
+      return await AppointmentSeries.schedule({
+        ...rule,
+        patientId,
+        doctorId,
+        startDate: dates[0],
+        duration,
+        type,
+        reason,
+        symptoms,
+        createdBy: req.user.id,
+        dates: free
+      }, { transaction });
     });
+    const report = describeConflicts(slots, conflicts);
+    
+    if (!result) {
+      return res.status(409).json({
+        status: 'error',
+        message: report.length === slots.length
+          ? 'None of the occurrences of the series are available'
+          : 'Some occurrences of the series are not available',
+        data: {
+          occurrences: slots.length,
+          conflicts: report
+        }
+      });
+    }
     
+    const { series, appointments } = result;
     res.status(201).json({
       status: 'success',
-      message: 'Appointment scheduled successfully',
-      data: { appointment }
+      message: report.length
+        ? `Appointment series scheduled with ${appointments.length} of ${slots.length} occurrences`
+        : 'Appointment series scheduled successfully',
+      data: {
+        series,
+        appointments,
+        skipped: report
+      }
     });
   } catch (error) {
-    console.error('Create appointment error:', error);
+    if (error instanceof SchedulingError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Create appointment series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get an appointment series with its occurrences
+router.get('/series/:id', requirePermission('appointment:read', { resource: 'appointmentSeries', target: req => req.params.id }), async (req, res) => {
+  try {
+    const { AppointmentSeries, Appointment, Patient, Doctor, User } = require('../models');
+    
+    const series = await AppointmentSeries.findByPk(req.params.id, {
+      include: [
+        {
+          model: Appointment,
+          as: 'appointments'
+        },
+        {
+          model: Patient,
+          as: 'patient',
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+          }]
+        },
+        {
+          model: Doctor,
+          as: 'doctor',
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+          }]
+        }
+      ],
+      order: [[{ model: Appointment, as: 'appointments' }, 'appointmentDate', 'ASC']]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { series }
+    });
+  } catch (error) {
+    console.error('Get appointment series error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -321,7 +516,7 @@ router.post('/', appointmentValidation, async (req, res) => {
 });
 
 // Update appointment
-router.put('/:id', appointmentValidation, async (req, res) => {
+router.put('/:id', appointmentValidation, requirePermission('appointment:update', { target: req => req.params.id }), async (req, res) => {
   try {
     const { validationResult } = require('express-validator');
     const errors = validationResult(req);
@@ -344,32 +539,9 @@ router.put('/:id', appointmentValidation, async (req, res) => {
       });
     }
     
-    // Check access permissions
-    if (req.user.role === 'patient') {
-      const { Patient } = require('../models');
-      const userPatient = await Patient.findOne({ where: { userId: req.user.id } });
-      if (!userPatient || userPatient.id !== appointment.patientId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
-    if (req.user.role === 'doctor') {
-      const { Doctor } = require('../models');
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (!userDoctor || userDoctor.id !== appointment.doctorId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
-    // Only allow certain fields to be updated based on role
+    // Only allow certain fields to be updated based on permissions
     const allowedFields = ['notes', 'diagnosis', 'prescription', 'followUpRequired', 'followUpDate'];
-    if (req.user.role === 'doctor') {
+    if (hasPermission(req.user.role, 'appointment:update:status')) {
       allowedFields.push('status', 'cost', 'paymentStatus');
     }
     
@@ -396,14 +568,23 @@ router.put('/:id', appointmentValidation, async (req, res) => {
   }
 });
 
-// Cancel appointment
-router.patch('/:id/cancel', async (req, res) => {
+// Reschedule an appointment, or an occurrence and the following ones of a series
+router.patch('/:id/reschedule', rescheduleValidation, requirePermission('appointment:update', { target: req => req.params.id }), async (req, res) => {
   try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
     const { Appointment } = require('../models');
-    const { id } = req.params;
-    const { cancellationReason } = req.body;
+    const { scope = 'this', appointmentDate, duration, type, reason } = req.body;
     
-    const appointment = await Appointment.findByPk(id);
+    const appointment = await Appointment.findByPk(req.params.id);
     if (!appointment) {
       return res.status(404).json({
         status: 'error',
@@ -411,48 +592,135 @@ router.patch('/:id/cancel', async (req, res) => {
       });
     }
     
-    // Check if appointment can be cancelled
-    if (!appointment.canBeCancelled()) {
+    if (!ACTIVE_STATUSES.includes(appointment.status)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Appointment cannot be cancelled at this time'
+        message: 'Only scheduled or confirmed appointments can be rescheduled'
+      });
+    }
+    
+    if (scope === 'following' && !appointment.seriesId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only appointments of a series have following occurrences'
       });
     }
     
-    // Check access permissions
-    if (req.user.role === 'patient') {
-      const { Patient } = require('../models');
-      const userPatient = await Patient.findOne({ where: { userId: req.user.id } });
-      if (!userPatient || userPatient.id !== appointment.patientId) {
-        return res.status(403).json({
+    // Following occurrences move by as much as this one
+    const shift = appointmentDate ? new Date(appointmentDate) - new Date(appointment.appointmentDate) : 0;
+    const appointments = await getScopedAppointments(appointment, scope);
+    
+    const changes = { shift };
+    if (duration) changes.duration = duration;
+    if (type) changes.type = type;
+    if (reason !== undefined) changes.reason = reason;
+    
+    if (shift || duration) {
+      // New times are checked and taken while the doctor's row is locked, as when booking
+      const slots = appointments.map(occurrence => ({
+        appointmentId: occurrence.id,
+        start: new Date(new Date(occurrence.appointmentDate).getTime() + shift),
+        duration: duration || occurrence.duration
+      }));
+      const { conflicts, result } = await bookSlots(appointment.doctorId, slots, {
+        excludeIds: appointments.map(occurrence => occurrence.id)
+      }, async (doctor, conflicts, transaction) => {
+        if (conflicts.some(slotConflicts => slotConflicts.length)) return null;
+        return await Appointment.reschedule(appointments, changes, { transaction });
+      });
+      
+      if (!result) {
+        return res.status(409).json({
           status: 'error',
-          message: 'Access denied'
+          message: 'Doctor is not available at the requested time',
+          data: { conflicts: describeConflicts(slots, conflicts) }
         });
       }
+    } else {
+      await Appointment.reschedule(appointments, changes);
     }
     
-    if (req.user.role === 'doctor') {
-      const { Doctor } = require('../models');
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (!userDoctor || userDoctor.id !== appointment.doctorId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
+    res.status(200).json({
+      status: 'success',
+      message: appointments.length > 1
+        ? `${appointments.length} appointments rescheduled successfully`
+        : 'Appointment rescheduled successfully',
+      data: {
+        appointment: appointments[0],
+        ...(scope === 'following' ? { appointments } : {})
       }
+    });
+  } catch (error) {
+    console.error('Reschedule appointment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Cancel appointment
+router.patch('/:id/cancel', scopeValidation, requirePermission('appointment:cancel', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Appointment } = require('../models');
+    const { id } = req.params;
+    const { cancellationReason, scope = 'this' } = req.body;
+    
+    const appointment = await Appointment.findByPk(id);
+    if (!appointment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Appointment not found'
+      });
+    }
+    
+    // Check if appointment can be cancelled
+    if (!appointment.canBeCancelled()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Appointment cannot be cancelled at this time'
+      });
+    }
+    
+    if (scope === 'following' && !appointment.seriesId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only appointments of a series have following occurrences'
+      });
     }
     
-    await appointment.update({
-      status: 'cancelled',
-      cancelledAt: new Date(),
+    const appointments = await getScopedAppointments(appointment, scope);
+    await Appointment.cancel(appointments, {
       cancelledBy: req.user.id,
       cancellationReason
     });
     
+    // Offer the freed times to patients on the doctor's waitlist
+    try {
+      await offerFreedSlots(appointments);
+    } catch (error) {
+      console.error('Waitlist offer error:', error);
+    }
+    
     res.status(200).json({
       status: 'success',
-      message: 'Appointment cancelled successfully',
-      data: { appointment }
+      message: appointments.length > 1
+        ? `${appointments.length} appointments cancelled successfully`
+        : 'Appointment cancelled successfully',
+      data: {
+        appointment: appointments[0],
+        ...(scope === 'following' ? { appointments } : {})
+      }
     });
   } catch (error) {
     console.error('Cancel appointment error:', error);
@@ -464,7 +732,7 @@ router.patch('/:id/cancel', async (req, res) => {
 });
 
 // Confirm appointment
-router.patch('/:id/confirm', authorize('doctor', 'admin'), async (req, res) => {
+router.patch('/:id/confirm', requirePermission('appointment:confirm', { target: req => req.params.id }), async (req, res) => {
   try {
     const { Appointment } = require('../models');
     const { id } = req.params;
@@ -500,8 +768,8 @@ router.patch('/:id/confirm', authorize('doctor', 'admin'), async (req, res) => {
   }
 });
 
-// Get doctor's availability
-router.get('/doctor/:doctorId/availability', async (req, res) => {
+// Get doctor's availability: the free slots of a day within their schedule
+router.get('/doctor/:doctorId/availability', requirePermission('doctor:read'), async (req, res) => {
   try {
     const { Appointment, Doctor } = require('../models');
     const { Op } = require('sequelize');
@@ -516,9 +784,9 @@ router.get('/doctor/:doctorId/availability', async (req, res) => {
       });
     }
     
-    const targetDate = date ? new Date(date) : new Date();
-    const startOfDay = new Date(targetDate.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(targetDate.setHours(23, 59, 59, 999));
+    const targetDate = date ? new Date(`${date.slice(0, 10)}T00:00:00`) : new Date();
+    const startOfDay = new Date(new Date(targetDate).setHours(0, 0, 0, 0));
+    const endOfDay = new Date(new Date(targetDate).setHours(23, 59, 59, 999));
     
     const appointments = await Appointment.findAll({
       where: {
@@ -526,49 +794,54 @@ router.get('/doctor/:doctorId/availability', async (req, res) => {
         appointmentDate: {
           [Op.between]: [startOfDay, endOfDay]
         },
-        status: { [Op.in]: ['scheduled', 'confirmed'] }
+        status: { [Op.in]: ACTIVE_STATUSES }
       },
       order: [['appointmentDate', 'ASC']]
     });
     
-    // Generate available time slots
+    const schedule = await loadSchedule(doctor, startOfDay, endOfDay);
+    const day = schedule.getDay(startOfDay);
+    
+    // Generate available time slots in each window of the working hours, none once the doctor
+    // has as many appointments as they see in a day
     const availableSlots = [];
     const consultationDuration = doctor.consultationDuration || 30;
-    const startHour = doctor.availableHours?.start || '09:00';
-    const endHour = doctor.availableHours?.end || '17:00';
-    
-    const [startHourNum, startMinNum] = startHour.split(':').map(Number);
-    const [endHourNum, endMinNum] = endHour.split(':').map(Number);
-    
-    const startTime = new Date(startOfDay);
-    startTime.setHours(startHourNum, startMinNum, 0, 0);
-    
-    const endTime = new Date(startOfDay);
-    endTime.setHours(endHourNum, endMinNum, 0, 0);
+    const dailyLimitReached = Boolean(doctor.maxPatientsPerDay) && appointments.length >= doctor.maxPatientsPerDay;
     
-    let currentTime = new Date(startTime);
-    
-    while (currentTime < endTime) {
-      const slotEnd = new Date(currentTime.getTime() + consultationDuration * 60000);
+    (dailyLimitReached ? [] : day.hours).forEach(window => {
+      const [startHourNum, startMinNum] = window.start.split(':').map(Number);
+      const [endHourNum, endMinNum] = window.end.split(':').map(Number);
       
-      // Check if this slot conflicts with existing appointments
-      const hasConflict = appointments.some(appointment => {
-        const appointmentStart = new Date(appointment.appointmentDate);
-        const appointmentEnd = new Date(appointmentStart.getTime() + appointment.duration * 60000);
-        
-        return (currentTime < appointmentEnd && slotEnd > appointmentStart);
-      });
+      const startTime = new Date(startOfDay);
+      startTime.setHours(startHourNum, startMinNum, 0, 0);
+      
+      const endTime = new Date(startOfDay);
+      endTime.setHours(endHourNum, endMinNum, 0, 0);
       
-      if (!hasConflict) {
-        availableSlots.push({
-          start: new Date(currentTime),
-          end: new Date(slotEnd),
-          duration: consultationDuration
+      let currentTime = new Date(startTime);
+      
+      while (currentTime.getTime() + consultationDuration * 60000 <= endTime.getTime()) {
+        const slotEnd = new Date(currentTime.getTime() + consultationDuration * 60000);
+        
+        // Check if this slot conflicts with existing appointments
+        const hasConflict = appointments.some(appointment => {
+          const appointmentStart = new Date(appointment.appointmentDate);
+          const appointmentEnd = new Date(appointmentStart.getTime() + appointment.duration * 60000);
+          
+          return (currentTime < appointmentEnd && slotEnd > appointmentStart);
         });
+        
+        if (!hasConflict) {
+          availableSlots.push({
+            start: new Date(currentTime),
+            end: new Date(slotEnd),
+            duration: consultationDuration
+          });
+        }
+        
+        currentTime = slotEnd;
       }
-      
-      currentTime = new Date(currentTime.getTime() + consultationDuration * 60000);
-    }
+    });
     
     res.status(200).json({
       status: 'success',
@@ -576,9 +849,14 @@ router.get('/doctor/:doctorId/availability', async (req, res) => {
         doctor: {
           id: doctor.id,
           consultationDuration: doctor.consultationDuration,
-          availableHours: doctor.availableHours
+          availableHours: doctor.availableHours,
+          maxPatientsPerDay: doctor.maxPatientsPerDay
         },
-        date: targetDate,
+        date: day.date,
+        workingHours: day.hours,
+        blocked: day.blocked,
+        closure: day.closure,
+        dailyLimitReached,
         availableSlots,
         existingAppointments: appointments
       }
@@ -1,11 +1,11 @@
 const express = require('express');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // All routes require authentication and admin access
 router.use(authenticateToken);
-router.use(authorize('admin'));
+router.use(requirePermission('auditLog:read'));
 
 // Get audit logs
 router.get('/', async (req, res) => {
@@ -140,7 +140,9 @@ router.get('/failed-logins', async (req, res) => {
       limit = 50, 
       dateFrom, 
       dateTo,
-      ipAddress 
+      ipAddress,
+      userId,
+      action
     } = req.query;
     
     const { count, rows: logs } = await AuditLog.getFailedLogins({
@@ -148,7 +150,9 @@ router.get('/failed-logins', async (req, res) => {
       limit: parseInt(limit),
       dateFrom,
       dateTo,
-      ipAddress
+      ipAddress,
+      userId,
+      action
     });
     
     res.status(200).json({
@@ -172,6 +176,30 @@ router.get('/failed-logins', async (req, res) => {
   }
 });
 
+// Verify the audit log hash chain
+router.get('/verify', async (req, res) => {
+  try {
+    const { AuditLog } = require('../models');
+    
+    const result = await AuditLog.verifyChain();
+    
+    res.status(200).json({
+      status: 'success',
+      message: result.valid ? 'Audit log chain is intact' : 'Audit log chain is broken',
+      data: {
+        ...result,
+        verifiedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Verify audit chain error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get audit log by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -296,14 +324,14 @@ router.get('/stats/overview', async (req, res) => {
     // Get daily activity
     const dailyActivity = await AuditLog.findAll({
       attributes: [
-        [AuditLog.sequelize.fn('DATE', AuditLog.sequelize.col('createdAt')), 'date'],
+        [AuditLog.sequelize.fn('DATE', AuditLog.sequelize.col('created_at')), 'date'],
         [AuditLog.sequelize.fn('COUNT', AuditLog.sequelize.col('id')), 'count']
       ],
       where: {
         createdAt: { [Op.gte]: daysAgo }
       },
-      group: [AuditLog.sequelize.fn('DATE', AuditLog.sequelize.col('createdAt'))],
-      order: [[AuditLog.sequelize.fn('DATE', AuditLog.sequelize.col('createdAt')), 'ASC']],
+      group: [AuditLog.sequelize.fn('DATE', AuditLog.sequelize.col('created_at'))],
+      order: [[AuditLog.sequelize.fn('DATE', AuditLog.sequelize.col('created_at')), 'ASC']],
       raw: true
     });
     
@@ -419,6 +447,9 @@ router.get('/export/csv', async (req, res) => {
       limit: 10000 // Limit for performance
     });
     
+    // Quote a CSV field, doubling any embedded quotes
+    const csvField = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    
     // Generate CSV
     const csvHeader = 'Date,Time,User,Action,Resource,Category,Severity,IP Address,Status,Description\n';
     const csvRows = logs.map(log => {
@@ -428,14 +459,14 @@ router.get('/export/csv', async (req, res) => {
       return [
         date.toISOString().split('T')[0],
         date.toTimeString().split(' ')[0],
-        `"${userInfo}"`,
-        `"${log.action}"`,
-        `"${log.resource}"`,
-        `"${log.category}"`,
-        `"${log.severity}"`,
-        `"${log.ipAddress || 'N/A'}"`,
+        csvField(userInfo),
+        csvField(log.action),
+        csvField(log.resource),
+        csvField(log.category),
+        csvField(log.severity),
+        csvField(log.ipAddress || 'N/A'),
         log.isSuccessful ? 'Success' : 'Failed',
-        `"${log.description || ''}"`
+        csvField(log.description || '')
       ].join(',');
     }).join('\n');
     
@@ -1,12 +1,24 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
 const {
   register,
   login,
   getProfile,
   updateProfile,
   changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  refresh,
   logout
 } = require('../controllers/authController');
 
@@ -75,9 +87,83 @@ const changePasswordValidation = [
     .withMessage('New password must be at least 6 characters long')
 ];
 
+const emailTokenValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required')
+];
+
+const emailValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+];
+
+const twoFactorChallengeValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...twoFactorCodeValidation
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeValidation
+];
+
+const twoFactorPolicyValidation = [
+  body('role')
+    .isIn(['admin', 'doctor', 'patient'])
+    .withMessage('Role must be admin, doctor, or patient'),
+  body('isRequired')
+    .isBoolean()
+    .withMessage('isRequired must be a boolean')
+    .toBoolean()
+];
+
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
 // Public routes
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
+router.post('/refresh', refreshValidation, refresh);
+router.post('/verify-email', emailTokenValidation, verifyEmail);
+router.post('/resend-verification', emailValidation, resendVerification);
+router.post('/forgot-password', emailValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+router.post('/2fa/verify', twoFactorChallengeValidation, verifyTwoFactor);
+
+// Enrolment works with an access token or, when the role requires it, a login challenge
+router.post('/2fa/setup', optionalAuth, setupTwoFactor);
+router.post('/2fa/enable', optionalAuth, twoFactorCodeValidation, enableTwoFactor);
 
 // Protected routes
 router.use(authenticateToken); // All routes below require authentication
@@ -86,5 +172,9 @@ router.get('/profile', getProfile);
 router.put('/profile', updateProfileValidation, updateProfile);
 router.put('/change-password', changePasswordValidation, changePassword);
 router.post('/logout', logout);
+router.post('/2fa/disable', disableTwoFactorValidation, disableTwoFactor);
+router.post('/2fa/backup-codes', twoFactorCodeValidation, regenerateBackupCodes);
+router.get('/2fa/policy', requirePermission('twoFactorPolicy:read'), getTwoFactorPolicy);
+router.put('/2fa/policy', requirePermission('twoFactorPolicy:update'), twoFactorPolicyValidation, updateTwoFactorPolicy);
 
 module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Validation rules
+const consentDocumentValidation = [
+  body('type')
+    .isIn(['treatment', 'data_sharing', 'research'])
+    .withMessage('Consent type must be treatment, data_sharing, or research'),
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title is required and must be less than 200 characters'),
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Content is required')
+];
+
+// Get consent documents: the current version of each type, or every version of one type
+router.get('/', requirePermission('consentDocument:read'), async (req, res) => {
+  try {
+    const { ConsentDocument } = require('../models');
+    const { type } = req.query;
+    
+    let documents;
+    if (type) {
+      documents = await ConsentDocument.findAll({
+        where: { type },
+        order: [['version', 'DESC']]
+      });
+    } else {
+      documents = (await Promise.all(
+        ['treatment', 'data_sharing', 'research'].map(documentType => ConsentDocument.getCurrent(documentType))
+      )).filter(Boolean);
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: { documents }
+    });
+  } catch (error) {
+    console.error('Get consent documents error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get consent document by ID
+router.get('/:id', requirePermission('consentDocument:read'), async (req, res) => {
+  try {
+    const { ConsentDocument } = require('../models');
+    const { id } = req.params;
+    
+    const document = await ConsentDocument.findByPk(id);
+    if (!document) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Consent document not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: { document }
+    });
+  } catch (error) {
+    console.error('Get consent document error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Publish a new version of a consent document (admin only)
+router.post('/', requirePermission('consentDocument:publish'), consentDocumentValidation, async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { ConsentDocument } = require('../models');
+    const { type, title, content } = req.body;
+    
+    const document = await ConsentDocument.publish({
+      type,
+      title,
+      content,
+      publishedBy: req.user.id
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: `Consent document version ${document.version} published successfully`,
+      data: { document }
+    });
+  } catch (error) {
+    console.error('Publish consent document error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getAccessFilter } = require('../services/accessPolicy');
 
 const router = express.Router();
 
@@ -34,7 +35,7 @@ const doctorValidation = [
 ];
 
 // Get all doctors
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('doctor:list'), async (req, res) => {
   try {
     const { Doctor, User } = require('../models');
     const { Op } = require('sequelize');
@@ -92,7 +93,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get doctor by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('doctor:read'), async (req, res) => {
   try {
     const { Doctor, User } = require('../models');
     const { id } = req.params;
@@ -126,7 +127,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create doctor profile
-router.post('/', doctorValidation, async (req, res) => {
+router.post('/', requirePermission('doctor:create'), doctorValidation, async (req, res) => {
   try {
     const { validationResult } = require('express-validator');
     const errors = validationResult(req);
@@ -141,8 +142,8 @@ router.post('/', doctorValidation, async (req, res) => {
     
     const { Doctor } = require('../models');
     
-    // Check if doctor profile already exists for this user
-    if (req.user.role === 'doctor') {
+    // Users limited to their own profile can only create it once
+    if (!req.access.any) {
       const existingDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
       if (existingDoctor) {
         return res.status(409).json({
@@ -154,7 +155,7 @@ router.post('/', doctorValidation, async (req, res) => {
     
     const doctorData = {
       ...req.body,
-      userId: req.user.role === 'doctor' ? req.user.id : req.body.userId
+      userId: req.access.any ? req.body.userId : req.user.id
     };
     
     const doctor = await Doctor.create(doctorData);
@@ -177,7 +178,7 @@ router.post('/', doctorValidation, async (req, res) => {
 });
 
 // Update doctor profile
-router.put('/:id', doctorValidation, async (req, res) => {
+router.put('/:id', doctorValidation, requirePermission('doctor:update', { target: req => req.params.id }), async (req, res) => {
   try {
     const { validationResult } = require('express-validator');
     const errors = validationResult(req);
@@ -200,14 +201,6 @@ router.put('/:id', doctorValidation, async (req, res) => {
       });
     }
     
-    // Check if user can update this doctor data
-    if (req.user.role === 'doctor' && doctor.userId !== req.user.id) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Access denied'
-      });
-    }
-    
     await doctor.update(req.body);
     
     res.status(200).json({
@@ -225,7 +218,7 @@ router.put('/:id', doctorValidation, async (req, res) => {
 });
 
 // Delete doctor profile (admin only)
-router.delete('/:id', authorize('admin'), async (req, res) => {
+router.delete('/:id', requirePermission('doctor:delete'), async (req, res) => {
   try {
     const { Doctor } = require('../models');
     const { id } = req.params;
@@ -254,9 +247,10 @@ router.delete('/:id', authorize('admin'), async (req, res) => {
 });
 
 // Get doctor's patients
-router.get('/:id/patients', authorize('doctor', 'admin'), async (req, res) => {
+router.get('/:id/patients', requirePermission('patientDoctor:list', { resource: 'doctor', target: req => req.params.id }), async (req, res) => {
   try {
     const { Doctor, Patient, User, PatientDoctor } = require('../models');
+    const { Op } = require('sequelize');
     const { id } = req.params;
     const { page = 1, limit = 10, status } = req.query;
     
@@ -268,14 +262,6 @@ router.get('/:id/patients', authorize('doctor', 'admin'), async (req, res) => {
       });
     }
     
-    // Check if user can access this doctor's patients
-    if (req.user.role === 'doctor' && doctor.userId !== req.user.id) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Access denied'
-      });
-    }
-    
     const offset = (page - 1) * limit;
     const whereClause = { doctorId: id };
     
@@ -284,7 +270,7 @@ router.get('/:id/patients', authorize('doctor', 'admin'), async (req, res) => {
     }
     
     const { count, rows: relationships } = await PatientDoctor.findAndCountAll({
-      where: whereClause,
+      where: { [Op.and]: [whereClause, await getAccessFilter(req.user, 'patientDoctor:list')] },
       include: [{
         model: Patient,
         as: 'patient',
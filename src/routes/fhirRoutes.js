@@ -0,0 +1,592 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { Op } = require('sequelize');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getScopes, getAccessFilter, canAccess, getHiddenRecordIds } = require('../services/accessPolicy');
+const { VITAL_SIGN_TYPES } = require('../data/vitalSigns');
+const {
+  FHIR_VERSION,
+  APPOINTMENT_STATUSES,
+  ENCOUNTER_STATUSES,
+  toPatient,
+  toPractitioner,
+  toAppointment,
+  toEncounter,
+  vitalSignToObservation,
+  labResultToObservation,
+  toSearchBundle,
+  toOperationOutcome,
+  getBaseUrl
+} = require('../services/fhirMapper');
+
+// FHIR R4 read API, mounted at /fhir. Resources are read-only views of the REST API's data and
+// are authorized by the same permissions.
+const router = express.Router();
+
+const DEFAULT_COUNT = 20;
+const MAX_COUNT = 100;
+// Deepest page reachable with `_offset`; observation searches load offset + count rows of each source
+const MAX_OFFSET = 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const USER_ATTRIBUTES = ['id', 'firstName', 'lastName', 'email', 'phone'];
+
+// Search parameters per resource type, also listed in the CapabilityStatement
+const SEARCH_PARAMS = {
+  Patient: [
+    { name: '_id', type: 'token', documentation: 'Patient ID' },
+    { name: 'identifier', type: 'token', documentation: 'Medical record number' },
+    { name: 'name', type: 'string', documentation: 'Start of the first or last name' },
+    { name: 'family', type: 'string', documentation: 'Start of the last name' },
+    { name: 'given', type: 'string', documentation: 'Start of the first name' },
+    { name: 'birthdate', type: 'date', documentation: 'Date of birth' },
+    { name: 'gender', type: 'token', documentation: 'male | female | other' }
+  ],
+  Practitioner: [
+    { name: '_id', type: 'token', documentation: 'Doctor ID' },
+    { name: 'identifier', type: 'token', documentation: 'License number' },
+    { name: 'name', type: 'string', documentation: 'Start of the first or last name' },
+    { name: 'family', type: 'string', documentation: 'Start of the last name' },
+    { name: 'given', type: 'string', documentation: 'Start of the first name' }
+  ],
+  Appointment: [
+    { name: '_id', type: 'token', documentation: 'Appointment ID' },
+    { name: 'patient', type: 'reference', documentation: 'Patient/<id>' },
+    { name: 'practitioner', type: 'reference', documentation: 'Practitioner/<id>' },
+    { name: 'date', type: 'date', documentation: 'Start of the appointment' },
+    { name: 'status', type: 'token', documentation: Object.values(APPOINTMENT_STATUSES).join(' | ') }
+  ],
+  Encounter: [
+    { name: '_id', type: 'token', documentation: 'Encounter (appointment) ID' },
+    { name: 'patient', type: 'reference', documentation: 'Patient/<id>' },
+    { name: 'practitioner', type: 'reference', documentation: 'Practitioner/<id>' },
+    { name: 'date', type: 'date', documentation: 'Start of the encounter' },
+    { name: 'status', type: 'token', documentation: [...new Set(Object.values(ENCOUNTER_STATUSES))].join(' | ') }
+  ],
+  Observation: [
+    { name: '_id', type: 'token', documentation: 'Vital sign or lab result ID' },
+    { name: 'patient', type: 'reference', documentation: 'Patient/<id>' },
+    { name: 'subject', type: 'reference', documentation: 'Patient/<id>' },
+    { name: 'category', type: 'token', documentation: 'vital-signs | laboratory' },
+    { name: 'code', type: 'token', documentation: 'LOINC code' },
+    { name: 'date', type: 'date', documentation: 'When the observation was made' }
+  ]
+};
+
+// Comma-separated values of a search parameter, any of which may match
+const searchValues = (value) => {
+  return [].concat(value || [])
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+};
+
+// Token values without their `system|` prefix
+const tokenValues = (value) => searchValues(value).map(entry => entry.split('|').pop()).filter(Boolean);
+
+// IDs from `_id` values or references such as `Patient/<id>`; anything that cannot be one of our
+// IDs is dropped, so it matches nothing
+const idValues = (value, type) => {
+  return searchValues(value)
+    .map(entry => (type ? entry.replace(new RegExp(`^(.*/)?${type}/`), '') : entry))
+    .filter(id => UUID_PATTERN.test(id));
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// FHIR string search: case-insensitive match on the start of the value
+const startsWith = (column, value) => ({
+  [Op.or]: searchValues(value).map(entry => ({ [column]: { [Op.iLike]: `${escapeLike(entry)}%` } }))
+});
+
+const DATE_PATTERN = /^(eq|gt|ge|lt|le)?(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:\d{2})?)?)?)?$/;
+
+// A date search value such as `ge2024-01-01` as a condition. The value stands for the whole
+// year, month, day or second it names; `eq` matches anything within it.
+const parseDateParam = (value, { dateOnly = false } = {}) => {
+  const match = String(value).match(DATE_PATTERN);
+  if (!match) return null;
+  
+  const [, prefix = 'eq', year, month, day, time, zone] = match;
+  if (Number(month) > 12 || Number(day) > 31) return null;
+  
+  let start;
+  let end;
+  if (time) {
+    start = new Date(`${year}-${month}-${day}T${time}${zone || 'Z'}`);
+    end = new Date(start.getTime() + 1000);
+  } else {
+    start = new Date(Date.UTC(Number(year), Number(month || 1) - 1, Number(day || 1)));
+    end = new Date(start);
+    if (day) end.setUTCDate(end.getUTCDate() + 1);
+    else if (month) end.setUTCMonth(end.getUTCMonth() + 1);
+    else end.setUTCFullYear(end.getUTCFullYear() + 1);
+  }
+  if (Number.isNaN(start.getTime())) return null;
+  
+  const format = (date) => (dateOnly ? date.toISOString().slice(0, 10) : date);
+  return {
+    eq: { [Op.gte]: format(start), [Op.lt]: format(end) },
+    gt: { [Op.gte]: format(end) },
+    ge: { [Op.gte]: format(start) },
+    lt: { [Op.lt]: format(start) },
+    le: { [Op.lt]: format(end) }
+  }[prefix];
+};
+
+// Repeated date parameters must all match, e.g. `date=ge2024-01-01&date=lt2024-07-01`
+const dateWhere = (value, options) => ({
+  [Op.and]: [].concat(value).map(entry => parseDateParam(entry, options))
+});
+
+// Validation rules
+const searchValidation = [
+  query('_count')
+    .optional()
+    .isInt({ min: 1, max: MAX_COUNT })
+    .withMessage(`_count must be between 1 and ${MAX_COUNT}`),
+  query('_offset')
+    .optional()
+    .isInt({ min: 0, max: MAX_OFFSET })
+    .withMessage(`_offset must be between 0 and ${MAX_OFFSET}; narrow the search to reach older matches`),
+  ...['date', 'birthdate'].map(name => query(name)
+    .optional()
+    .custom(value => [].concat(value).every(entry => parseDateParam(entry)))
+    .withMessage(`${name} must be a date (YYYY, YYYY-MM, YYYY-MM-DD or a date-time), optionally prefixed with eq, gt, ge, lt or le`))
+];
+
+const getPaging = (req) => ({
+  count: parseInt(req.query._count || DEFAULT_COUNT),
+  offset: parseInt(req.query._offset || 0)
+});
+
+const sendBundle = (req, res, type, resources, total) => {
+  res.status(200).json(toSearchBundle({
+    baseUrl: getBaseUrl(req),
+    type,
+    resources,
+    total,
+    ...getPaging(req),
+    maxOffset: MAX_OFFSET,
+    query: req.query
+  }));
+};
+
+const sendValidationErrors = (req, res) => {
+  const { validationResult } = require('express-validator');
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  
+  res.status(400).json({
+    status: 'error',
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Where clause on `patientId` limiting a patient-level permission such as `vitalSign:list` to
+// the patients the user holds it for
+const getPatientScope = async (user, permission) => {
+  if (getScopes(user.role, permission).includes('any')) return {};
+  
+  const { Patient } = require('../models');
+  const patients = await Patient.findAll({
+    where: await getAccessFilter(user, permission, 'patient'),
+    attributes: ['id']
+  });
+  return { patientId: { [Op.in]: patients.map(patient => patient.id) } };
+};
+
+const appointmentInclude = () => {
+  const { Patient, Doctor, User } = require('../models');
+  return [
+    {
+      model: Patient,
+      as: 'patient',
+      attributes: ['id'],
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName'] }]
+    },
+    {
+      model: Doctor,
+      as: 'doctor',
+      attributes: ['id'],
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName'] }]
+    }
+  ];
+};
+
+// Answer in FHIR JSON; errors from the shared middleware are turned into OperationOutcomes
+router.use((req, res, next) => {
+  res.type('application/fhir+json');
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && body.status === 'error' && !body.resourceType) {
+      return json(toOperationOutcome(res.statusCode, body.message, body.errors));
+    }
+    return json(body);
+  };
+  next();
+});
+
+// Get the CapabilityStatement describing what this server supports (no authentication)
+router.get('/metadata', (req, res) => {
+  res.status(200).json({
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    software: { name: 'Healthcare API' },
+    implementation: {
+      description: 'Healthcare API FHIR R4 read access',
+      url: getBaseUrl(req)
+    },
+    fhirVersion: FHIR_VERSION,
+    format: ['json'],
+    rest: [{
+      mode: 'server',
+      security: {
+        description: 'Send the access token from POST /api/auth/login as a Bearer token. Users see the same patients and data as in the REST API.'
+      },
+      resource: Object.entries(SEARCH_PARAMS).map(([type, searchParam]) => ({
+        type,
+        interaction: [{ code: 'read' }, { code: 'search-type' }],
+        searchParam
+      }))
+    }]
+  });
+});
+
+// All other routes require authentication
+router.use(authenticateToken);
+
+// Search patients
+router.get('/Patient', searchValidation, requirePermission('patient:list'), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    
+    const { Patient, User } = require('../models');
+    const { count, offset } = getPaging(req);
+    const { _id, identifier, name, family, given, birthdate, gender } = req.query;
+    
+    const where = [req.access.where];
+    const userWhere = [];
+    
+    if (_id) where.push({ id: { [Op.in]: idValues(_id) } });
+    if (identifier) where.push({ medicalRecordNumber: { [Op.in]: tokenValues(identifier) } });
+    if (gender) where.push({ gender: { [Op.in]: tokenValues(gender).filter(value => ['male', 'female', 'other'].includes(value)) } });
+    if (birthdate) where.push({ dateOfBirth: dateWhere(birthdate, { dateOnly: true }) });
+    if (name) userWhere.push({ [Op.or]: [startsWith('firstName', name), startsWith('lastName', name)] });
+    if (family) userWhere.push(startsWith('lastName', family));
+    if (given) userWhere.push(startsWith('firstName', given));
+    
+    const { count: total, rows } = await Patient.findAndCountAll({
+      where: { [Op.and]: where },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: USER_ATTRIBUTES,
+        where: userWhere.length ? { [Op.and]: userWhere } : undefined
+      }],
+      limit: count,
+      offset,
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      distinct: true
+    });
+    
+    sendBundle(req, res, 'Patient', rows.map(toPatient), total);
+  } catch (error) {
+    console.error('FHIR patient search error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Read a patient
+router.get('/Patient/:id', requirePermission('patient:read', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { Patient, User } = require('../models');
+    
+    const patient = await Patient.findByPk(req.params.id, {
+      include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }]
+    });
+    
+    res.status(200).json(toPatient(patient));
+  } catch (error) {
+    console.error('FHIR patient read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Search practitioners (doctors)
+router.get('/Practitioner', searchValidation, requirePermission('doctor:list'), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    
+    const { Doctor, User } = require('../models');
+    const { count, offset } = getPaging(req);
+    const { _id, identifier, name, family, given } = req.query;
+    
+    const where = [req.access.where];
+    const userWhere = [];
+    
+    if (_id) where.push({ id: { [Op.in]: idValues(_id) } });
+    if (identifier) where.push({ licenseNumber: { [Op.in]: tokenValues(identifier) } });
+    if (name) userWhere.push({ [Op.or]: [startsWith('firstName', name), startsWith('lastName', name)] });
+    if (family) userWhere.push(startsWith('lastName', family));
+    if (given) userWhere.push(startsWith('firstName', given));
+    
+    const { count: total, rows } = await Doctor.findAndCountAll({
+      where: { [Op.and]: where },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: USER_ATTRIBUTES,
+        where: userWhere.length ? { [Op.and]: userWhere } : undefined
+      }],
+      limit: count,
+      offset,
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      distinct: true
+    });
+    
+    sendBundle(req, res, 'Practitioner', rows.map(toPractitioner), total);
+  } catch (error) {
+    console.error('FHIR practitioner search error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Read a practitioner
+router.get('/Practitioner/:id', requirePermission('doctor:read'), async (req, res) => {
+  try {
+    const { Doctor, User } = require('../models');
+    
+    const doctor = UUID_PATTERN.test(req.params.id) && await Doctor.findByPk(req.params.id, {
+      include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }]
+    });
+    
+    if (!doctor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Practitioner not found'
+      });
+    }
+    
+    res.status(200).json(toPractitioner(doctor));
+  } catch (error) {
+    console.error('FHIR practitioner read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Appointments are served both as FHIR Appointments and as the Encounters they book
+const searchAppointments = (type, toResource, statuses) => async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    
+    const { Appointment } = require('../models');
+    const { count, offset } = getPaging(req);
+    const { _id, patient, practitioner, date, status } = req.query;
+    
+    const where = [req.access.where];
+    
+    if (_id) where.push({ id: { [Op.in]: idValues(_id) } });
+    if (patient) where.push({ patientId: { [Op.in]: idValues(patient, 'Patient') } });
+    if (practitioner) where.push({ doctorId: { [Op.in]: idValues(practitioner, 'Practitioner') } });
+    if (date) where.push({ appointmentDate: dateWhere(date) });
+    if (status) {
+      const codes = tokenValues(status);
+      where.push({ status: { [Op.in]: Object.keys(statuses).filter(value => codes.includes(statuses[value])) } });
+    }
+    
+    const { count: total, rows } = await Appointment.findAndCountAll({
+      where: { [Op.and]: where },
+      include: appointmentInclude(),
+      limit: count,
+      offset,
+      order: [['appointmentDate', 'DESC'], ['id', 'ASC']],
+      distinct: true
+    });
+    
+    sendBundle(req, res, type, rows.map(toResource), total);
+  } catch (error) {
+    console.error(`FHIR ${type.toLowerCase()} search error:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+const readAppointment = (type, toResource) => async (req, res) => {
+  try {
+    const { Appointment } = require('../models');
+    
+    const appointment = await Appointment.findByPk(req.params.id, { include: appointmentInclude() });
+    
+    res.status(200).json(toResource(appointment));
+  } catch (error) {
+    console.error(`FHIR ${type.toLowerCase()} read error:`, error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+};
+
+const appointmentTarget = { target: req => req.params.id };
+
+router.get('/Appointment', searchValidation, requirePermission('appointment:list'), searchAppointments('Appointment', toAppointment, APPOINTMENT_STATUSES));
+router.get('/Appointment/:id', requirePermission('appointment:read', appointmentTarget), readAppointment('Appointment', toAppointment));
+router.get('/Encounter', searchValidation, requirePermission('appointment:list'), searchAppointments('Encounter', toEncounter, ENCOUNTER_STATUSES));
+router.get('/Encounter/:id', requirePermission('appointment:read', appointmentTarget), readAppointment('Encounter', toEncounter));
+
+// Search observations: vital signs (category `vital-signs`) and lab results (`laboratory`),
+// newest first. Users see the patients they may list vitals or lab results for; vitals
+// recorded with confidential records they cannot see and results of cancelled orders are
+// left out, as in the REST API.
+router.get('/Observation', searchValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    
+    const { VitalSign, LabResult, LabOrder } = require('../models');
+    const { count, offset } = getPaging(req);
+    const { _id, patient, subject, category, code, date } = req.query;
+    
+    const categories = tokenValues(category);
+    const codes = tokenValues(code);
+    const patientIds = patient || subject ? idValues(patient || subject, 'Patient') : null;
+    
+    const where = [];
+    if (_id) where.push({ id: { [Op.in]: idValues(_id) } });
+    if (patientIds) where.push({ patientId: { [Op.in]: patientIds } });
+    if (date) where.push({ observedAt: dateWhere(date) });
+    
+    const sources = [];
+    
+    const vitalTypes = Object.keys(VITAL_SIGN_TYPES).filter(type => !codes.length || codes.includes(VITAL_SIGN_TYPES[type].loinc));
+    if ((!categories.length || categories.includes('vital-signs')) && vitalTypes.length) {
+      const vitalWhere = [...where, await getPatientScope(req.user, 'vitalSign:list')];
+      if (codes.length) vitalWhere.push({ type: { [Op.in]: vitalTypes } });
+      
+      const hiddenRecordIds = await getHiddenRecordIds(req.user, patientIds ? { patientId: { [Op.in]: patientIds } } : {});
+      if (hiddenRecordIds.length) {
+        vitalWhere.push({
+          [Op.or]: [
+            { medicalRecordId: null },
+            { medicalRecordId: { [Op.notIn]: hiddenRecordIds } }
+          ]
+        });
+      }
+      
+      sources.push({ model: VitalSign, where: vitalWhere, toResource: vitalSignToObservation });
+    }
+    
+    if (!categories.length || categories.includes('laboratory')) {
+      const labWhere = [...where, await getPatientScope(req.user, 'labResult:list')];
+      if (codes.length) labWhere.push({ analyteCode: { [Op.in]: codes } });
+      
+      sources.push({
+        model: LabResult,
+        where: labWhere,
+        include: [{
+          model: LabOrder,
+          as: 'labOrder',
+          attributes: ['id', 'appointmentId'],
+          where: { status: { [Op.ne]: 'cancelled' } }
+        }],
+        toResource: labResultToObservation
+      });
+    }
+    
+    // Take enough of each kind to fill the page, then merge them by date
+    const found = await Promise.all(sources.map(({ model, where: clauses, include, toResource }) => {
+      return model.findAndCountAll({
+        where: { [Op.and]: clauses },
+        include,
+        limit: offset + count,
+        order: [['observedAt', 'DESC'], ['id', 'ASC']]
+      }).then(({ count: total, rows }) => ({ total, rows, toResource }));
+    }));
+    
+    const total = found.reduce((sum, { total: sourceTotal }) => sum + sourceTotal, 0);
+    const resources = found
+      .flatMap(({ rows, toResource }) => rows.map(row => ({ observedAt: new Date(row.observedAt), resource: toResource(row) })))
+      .sort((a, b) => b.observedAt - a.observedAt)
+      .slice(offset, offset + count)
+      .map(({ resource }) => resource);
+    
+    sendBundle(req, res, 'Observation', resources, total);
+  } catch (error) {
+    console.error('FHIR observation search error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Read an observation: a vital sign or a lab result
+router.get('/Observation/:id', async (req, res) => {
+  try {
+    const { VitalSign, LabResult, LabOrder, Patient } = require('../models');
+    const { id } = req.params;
+    
+    const vital = UUID_PATTERN.test(id) && await VitalSign.findByPk(id);
+    const result = UUID_PATTERN.test(id) && !vital && await LabResult.findByPk(id, {
+      include: [{ model: LabOrder, as: 'labOrder', attributes: ['id', 'appointmentId', 'status'] }]
+    });
+    
+    if (!vital && (!result || result.labOrder.status === 'cancelled')) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Observation not found'
+      });
+    }
+    
+    const observation = vital || result;
+    const patient = await Patient.findByPk(observation.patientId);
+    const permission = vital ? 'vitalSign:list' : 'labResult:list';
+    
+    let allowed = await canAccess(req.user, permission, patient, 'patient');
+    if (allowed && vital && vital.medicalRecordId) {
+      allowed = (await getHiddenRecordIds(req.user, { id: vital.medicalRecordId })).length === 0;
+    }
+    
+    if (!allowed) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+    
+    res.status(200).json(vital ? vitalSignToObservation(vital) : labResultToObservation(result));
+  } catch (error) {
+    console.error('FHIR observation read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Anything else is not part of this server
+router.use((req, res) => {
+  res.status(404).json({
+    status: 'error',
+    message: `Unsupported FHIR interaction: ${req.method} ${req.baseUrl}${req.path}`
+  });
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { canAccess } = require('../services/accessPolicy');
 const { uploadSingle, uploadMultiple, uploadFields, handleUploadError, getFileInfo, deleteFile } = require('../middleware/upload');
 const path = require('path');
 
@@ -9,7 +10,7 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // Upload single medical document
-router.post('/medical-document', authorize('doctor', 'admin'), uploadSingle('medicalDocument'), handleUploadError, async (req, res) => {
+router.post('/medical-document', requirePermission('file:upload'), uploadSingle('medicalDocument'), handleUploadError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -35,7 +36,7 @@ router.post('/medical-document', authorize('doctor', 'admin'), uploadSingle('med
 });
 
 // Upload multiple medical documents
-router.post('/medical-documents', authorize('doctor', 'admin'), uploadMultiple('medicalDocuments', 10), handleUploadError, async (req, res) => {
+router.post('/medical-documents', requirePermission('file:upload'), uploadMultiple('medicalDocuments', 10), handleUploadError, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -61,7 +62,7 @@ router.post('/medical-documents', authorize('doctor', 'admin'), uploadMultiple('
 });
 
 // Upload lab results
-router.post('/lab-results', authorize('doctor', 'admin'), uploadMultiple('labResults', 5), handleUploadError, async (req, res) => {
+router.post('/lab-results', requirePermission('file:upload'), uploadMultiple('labResults', 5), handleUploadError, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -87,7 +88,7 @@ router.post('/lab-results', authorize('doctor', 'admin'), uploadMultiple('labRes
 });
 
 // Upload imaging files
-router.post('/imaging', authorize('doctor', 'admin'), uploadMultiple('imaging', 10), handleUploadError, async (req, res) => {
+router.post('/imaging', requirePermission('file:upload'), uploadMultiple('imaging', 10), handleUploadError, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -113,7 +114,7 @@ router.post('/imaging', authorize('doctor', 'admin'), uploadMultiple('imaging',
 });
 
 // Upload prescription
-router.post('/prescription', authorize('doctor', 'admin'), uploadSingle('prescription'), handleUploadError, async (req, res) => {
+router.post('/prescription', requirePermission('file:upload'), uploadSingle('prescription'), handleUploadError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -139,7 +140,7 @@ router.post('/prescription', authorize('doctor', 'admin'), uploadSingle('prescri
 });
 
 // Upload profile image
-router.post('/profile-image', uploadSingle('profileImage'), handleUploadError, async (req, res) => {
+router.post('/profile-image', requirePermission('user:update', { target: req => req.user }), uploadSingle('profileImage'), handleUploadError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -172,7 +173,7 @@ router.post('/profile-image', uploadSingle('profileImage'), handleUploadError, a
 });
 
 // Upload mixed files for medical record
-router.post('/medical-record/:recordId', authorize('doctor', 'admin'), uploadFields([
+router.post('/medical-record/:recordId', requirePermission('file:upload'), requirePermission('medicalRecord:update', { target: req => req.params.recordId }), uploadFields([
   { name: 'medicalDocument', maxCount: 5 },
   { name: 'labResult', maxCount: 5 },
   { name: 'imaging', maxCount: 10 },
@@ -182,21 +183,7 @@ router.post('/medical-record/:recordId', authorize('doctor', 'admin'), uploadFie
     const { recordId } = req.params;
     const { MedicalRecord } = require('../models');
     
-    // Verify medical record exists and user has access
     const record = await MedicalRecord.findByPk(recordId);
-    if (!record) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Medical record not found'
-      });
-    }
-    
-    if (req.user.role === 'doctor' && record.createdBy !== req.user.id) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Access denied'
-      });
-    }
     
     // Process uploaded files
     const uploadedFiles = [];
@@ -249,7 +236,7 @@ router.post('/medical-record/:recordId', authorize('doctor', 'admin'), uploadFie
 });
 
 // Delete file
-router.delete('/:filename', authorize('doctor', 'admin'), async (req, res) => {
+router.delete('/:filename', requirePermission('file:delete'), async (req, res) => {
   try {
     const { filename } = req.params;
     const { MedicalRecord } = require('../models');
@@ -270,8 +257,8 @@ router.delete('/:filename', authorize('doctor', 'admin'), async (req, res) => {
         !attachment.url.includes(filename)
       );
       
-      if (req.user.role === 'doctor' && record.createdBy !== req.user.id) {
-        continue; // Skip records not created by this doctor
+      if (!(await canAccess(req.user, 'medicalRecord:update', record))) {
+        continue; // Skip records this user may not change
       }
       
       await record.update({ 
@@ -305,7 +292,7 @@ router.delete('/:filename', authorize('doctor', 'admin'), async (req, res) => {
 });
 
 // Get file info
-router.get('/info/:filename', async (req, res) => {
+router.get('/info/:filename', requirePermission('file:read'), async (req, res) => {
   try {
     const { filename } = req.params;
     const filePath = path.join(__dirname, '../../uploads', filename);
@@ -342,7 +329,7 @@ router.get('/info/:filename', async (req, res) => {
 });
 
 // List uploaded files
-router.get('/list', authorize('doctor', 'admin'), async (req, res) => {
+router.get('/list', requirePermission('file:list'), async (req, res) => {
   try {
     const { page = 1, limit = 20, type } = req.query;
     const fs = require('fs');
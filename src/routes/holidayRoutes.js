@@ -0,0 +1,146 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { dateKey } = require('../services/doctorSchedule');
+const { findAffectedAppointments } = require('../services/appointmentScheduling');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Validation rules
+const holidayValidation = [
+  body('startDate')
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .bail()
+    .custom((endDate, { req }) => endDate >= req.body.startDate)
+    .withMessage('End date must not be before start date'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Reason is required and must be less than 255 characters')
+];
+
+// Get practice holidays, by default those from today
+router.get('/', [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], requirePermission('holiday:list'), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { ScheduleException } = require('../models');
+    const { Op } = require('sequelize');
+    const { from = dateKey(new Date()), to } = req.query;
+    
+    const holidays = await ScheduleException.findAll({
+      where: {
+        type: 'holiday',
+        doctorId: null,
+        endDate: { [Op.gte]: from.slice(0, 10) },
+        ...(to ? { startDate: { [Op.lte]: to.slice(0, 10) } } : {})
+      },
+      order: [['startDate', 'ASC']]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { holidays }
+    });
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Close the practice for one or more days. Appointments on those days are returned to be rescheduled.
+router.post('/', holidayValidation, requirePermission('holiday:create'), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { ScheduleException } = require('../models');
+    const { startDate, endDate, reason } = req.body;
+    
+    const holiday = await ScheduleException.create({
+      type: 'holiday',
+      startDate: startDate.slice(0, 10),
+      endDate: (endDate || startDate).slice(0, 10),
+      reason,
+      createdBy: req.user.id
+    });
+    
+    const affectedAppointments = await findAffectedAppointments({
+      startDate: holiday.startDate,
+      endDate: holiday.endDate
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Holiday created successfully',
+      data: { holiday, affectedAppointments }
+    });
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete a holiday
+router.delete('/:id', requirePermission('holiday:delete'), async (req, res) => {
+  try {
+    const { ScheduleException } = require('../models');
+    
+    const holiday = await ScheduleException.findOne({
+      where: { id: req.params.id, type: 'holiday', doctorId: null }
+    });
+    if (!holiday) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Holiday not found'
+      });
+    }
+    
+    await holiday.destroy();
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Holiday deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body } = require('express-validator');
+const { authenticateToken, requirePermission, requireApiKey } = require('../middleware/auth');
+
+const router = express.Router();
+
+// HL7 v2 messages arrive as ER7 text rather than JSON
+const HL7_CONTENT_TYPES = ['application/hl7-v2', 'x-application/hl7-v2+er7', 'text/plain'];
+
+// Validation rules
+const resolveValidation = [
+  body('patientId')
+    .isUUID()
+    .withMessage('Valid patient ID is required'),
+  body('reviewNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Review notes must be less than 2000 characters')
+];
+
+const rejectValidation = [
+  body('reviewNotes')
+    .trim()
+    .isLength({ min: 3, max: 2000 })
+    .withMessage('A reason for rejecting is required')
+];
+
+const sendAck = (res, statusCode, ack) => {
+  res.status(statusCode).type('application/hl7-v2').send(ack);
+};
+
+// HL7 messages are limited per API key rather than per IP (the global limiter skips them); the
+// lab is told to resend with an AE ACK
+const hl7Limiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.HL7_RATE_LIMIT) || 300,
+  keyGenerator: () => 'HL7_API_KEY',
+  handler: (req, res) => {
+    const { parseHeader, buildAck } = require('../services/hl7Parser');
+    sendAck(res, 429, buildAck(parseHeader(req.body), 'AE', 'Too many messages; resend later'));
+  }
+});
+
+// Receive an ORU^R01 lab result message from the lab (API key in X-API-Key). Replies with an
+// HL7 ACK: AA when the results were stored or the message was queued for review, AR when the
+// message cannot be accepted, AE on a server error.
+router.post('/hl7', requireApiKey('HL7_API_KEY'), express.text({ type: HL7_CONTENT_TYPES, limit: '1mb' }), hl7Limiter, async (req, res) => {
+  const { Hl7ParseError, parseHeader, buildAck } = require('../services/hl7Parser');
+  const raw = typeof req.body === 'string' ? req.body : '';
+  
+  try {
+    const { ingestOru } = require('../services/hl7Ingestion');
+    const { message, duplicate } = await ingestOru(raw);
+    const header = parseHeader(raw);
+    
+    if (duplicate) {
+      return sendAck(res, 200, buildAck(header, 'AA', 'Duplicate message; already received'));
+    }
+    
+    if (message.status === 'pending_review') {
+      return sendAck(res, 202, buildAck(header, 'AA', `Queued for review: ${message.reviewReason}`));
+    }
+    
+    sendAck(res, 200, buildAck(header, 'AA', `${message.resultCount} results stored`));
+  } catch (error) {
+    if (error instanceof Hl7ParseError) {
+      return sendAck(res, 400, buildAck(parseHeader(raw), 'AR', error.message));
+    }
+    
+    console.error('HL7 ingestion error:', error);
+    sendAck(res, 500, buildAck(parseHeader(raw), 'AE', 'Internal server error'));
+  }
+});
+
+// Get received HL7 messages, by default the review queue (Admin only)
+router.get('/hl7/messages', authenticateToken, requirePermission('hl7Message:list'), async (req, res) => {
+  try {
+    const { Hl7Message } = require('../models');
+    const { page = 1, limit = 20, status = 'pending_review', reviewReason } = req.query;
+    
+    const offset = (page - 1) * limit;
+    const whereClause = {};
+    
+    if (status !== 'all') whereClause.status = status;
+    if (reviewReason) whereClause.reviewReason = reviewReason;
+    
+    const { count, rows } = await Hl7Message.findAndCountAll({
+      where: whereClause,
+      attributes: { exclude: ['raw'] },
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'ASC']]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        messages: rows.map(message => message.toSummary()),
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get HL7 messages error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a received HL7 message with its raw text and parsed content (Admin only)
+router.get('/hl7/messages/:id', authenticateToken, requirePermission('hl7Message:read', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { Hl7Message } = require('../models');
+    const { parseOru } = require('../services/hl7Parser');
+    
+    const message = await Hl7Message.findByPk(req.params.id);
+    if (!message) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'HL7 message not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message,
+        parsed: parseOru(message.raw)
+      }
+    });
+  } catch (error) {
+    console.error('Get HL7 message error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Resolve a queued message by choosing the patient it is about; its results are then stored
+router.post('/hl7/messages/:id/resolve', authenticateToken, resolveValidation, requirePermission('hl7Message:resolve', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Hl7Message, Patient } = require('../models');
+    const { parseOru } = require('../services/hl7Parser');
+    const { processMessage } = require('../services/hl7Ingestion');
+    const { patientId, reviewNotes } = req.body;
+    
+    const message = await Hl7Message.findByPk(req.params.id);
+    if (!message) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'HL7 message not found'
+      });
+    }
+    
+    if (message.status !== 'pending_review') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot resolve a ${message.status.replace('_', ' ')} message`
+      });
+    }
+    
+    const patient = await Patient.findByPk(patientId);
+    if (!patient) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Patient not found'
+      });
+    }
+    
+    const updated = await processMessage(message, parseOru(message.raw), {
+      patient,
+      reviewedBy: req.user.id,
+      reviewNotes
+    });
+    
+    if (updated.status === 'pending_review') {
+      return res.status(409).json({
+        status: 'error',
+        message: updated.reviewDetails,
+        data: { message: updated.toSummary() }
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'HL7 message resolved successfully',
+      data: { message: updated.toSummary() }
+    });
+  } catch (error) {
+    console.error('Resolve HL7 message error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reject a queued message, e.g. one sent to the wrong facility; nothing is stored
+router.post('/hl7/messages/:id/reject', authenticateToken, rejectValidation, requirePermission('hl7Message:resolve', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Hl7Message } = require('../models');
+    
+    const message = await Hl7Message.findByPk(req.params.id);
+    if (!message) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'HL7 message not found'
+      });
+    }
+    
+    if (message.status !== 'pending_review') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot reject a ${message.status.replace('_', ' ')} message`
+      });
+    }
+    
+    await message.update({
+      status: 'rejected',
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+      reviewNotes: req.body.reviewNotes
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'HL7 message rejected',
+      data: { message: message.toSummary() }
+    });
+  } catch (error) {
+    console.error('Reject HL7 message error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
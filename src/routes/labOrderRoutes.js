@@ -0,0 +1,383 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All lab order routes require authentication
+router.use(authenticateToken);
+
+// Validation rules
+const labOrderValidation = [
+  body('appointmentId')
+    .isUUID()
+    .withMessage('Valid appointment ID is required'),
+  body('tests')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('An order needs between 1 and 50 tests'),
+  body('tests.*.code')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Each test needs a LOINC code'),
+  body('tests.*.name')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Test name must be less than 200 characters'),
+  body('priority')
+    .optional()
+    .isIn(['routine', 'urgent', 'stat'])
+    .withMessage('Invalid priority'),
+  body('clinicalNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Clinical notes must be less than 2000 characters')
+];
+
+const resultValidation = [
+  body('results')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Between 1 and 100 results are required'),
+  body('results.*.analyteCode')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Each result needs a LOINC analyte code'),
+  body('results.*.analyteName')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Analyte name must be less than 200 characters'),
+  body('results.*.value')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Value must be numeric; use valueText for other results'),
+  body('results.*.valueText')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Value text must be less than 200 characters'),
+  body('results.*.unit')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Unit must be less than 50 characters'),
+  body(['results.*.referenceLow', 'results.*.referenceHigh'])
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Reference limits must be numeric'),
+  body('results.*.flag')
+    .optional({ nullable: true })
+    .isIn(['critical_low', 'low', 'normal', 'high', 'critical_high', 'abnormal'])
+    .withMessage('Invalid abnormal flag'),
+  body('results.*.status')
+    .optional()
+    .isIn(['preliminary', 'final'])
+    .withMessage('Status must be preliminary or final'),
+  body('results.*.observedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid collection date')
+];
+
+const cancelValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 1000 })
+    .withMessage('A reason for cancelling is required')
+];
+
+const labOrderIncludes = () => {
+  const { LabResult, Patient, Doctor, User } = require('../models');
+  return [
+    {
+      model: LabResult,
+      as: 'results'
+    },
+    {
+      model: Patient,
+      as: 'patient',
+      attributes: ['id', 'dateOfBirth', 'gender'],
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName']
+      }]
+    },
+    {
+      model: Doctor,
+      as: 'doctor',
+      attributes: ['id', 'specialization'],
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName']
+      }]
+    }
+  ];
+};
+
+// Get lab orders (admins see all, doctors those they placed or of assigned patients, patients their own)
+router.get('/', requirePermission('labOrder:list'), async (req, res) => {
+  try {
+    const { LabOrder } = require('../models');
+    const { Op } = require('sequelize');
+    const { page = 1, limit = 10, patientId, doctorId, appointmentId, status } = req.query;
+    
+    const offset = (page - 1) * limit;
+    const whereClause = {};
+    
+    if (patientId) whereClause.patientId = patientId;
+    if (doctorId) whereClause.doctorId = doctorId;
+    if (appointmentId) whereClause.appointmentId = appointmentId;
+    if (status) whereClause.status = status;
+    
+    const { count, rows: labOrders } = await LabOrder.findAndCountAll({
+      where: { [Op.and]: [whereClause, req.access.where] },
+      include: labOrderIncludes(),
+      distinct: true,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['orderedAt', 'DESC']]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        labOrders,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get lab orders error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get lab order by ID with its results
+router.get('/:id', requirePermission('labOrder:read', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { LabOrder } = require('../models');
+    
+    const labOrder = await LabOrder.findByPk(req.params.id, {
+      include: labOrderIncludes()
+    });
+    
+    if (!labOrder) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lab order not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: { labOrder }
+    });
+  } catch (error) {
+    console.error('Get lab order error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Order lab tests from an appointment (doctors, for assigned patients)
+router.post('/', labOrderValidation, requirePermission('labOrder:create', { resource: 'appointment', target: req => req.body.appointmentId }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { LabOrder, Appointment } = require('../models');
+    const { getProfileIds } = require('../services/accessPolicy');
+    const { appointmentId, tests, priority, clinicalNotes } = req.body;
+    
+    const { doctorId } = await getProfileIds(req.user);
+    if (!doctorId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'A doctor profile is required to order lab tests'
+      });
+    }
+    
+    const appointment = await Appointment.findByPk(appointmentId);
+    if (!appointment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Appointment not found'
+      });
+    }
+    
+    if (['cancelled', 'no_show'].includes(appointment.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot order lab tests for a ${appointment.status.replace('_', '-')} appointment`
+      });
+    }
+    
+    const codes = tests.map(test => test.code);
+    if (new Set(codes).size !== codes.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Each test can only be ordered once per order'
+      });
+    }
+    
+    const labOrder = await LabOrder.create({
+      patientId: appointment.patientId,
+      doctorId,
+      appointmentId,
+      tests: LabOrder.buildTests(tests),
+      priority,
+      clinicalNotes
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Lab order created successfully',
+      data: { labOrder }
+    });
+  } catch (error) {
+    console.error('Create lab order error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Enter results for an order. A result for an analyte that already has one replaces it;
+// replacing a final result marks it amended and keeps the earlier version in `history`.
+router.post('/:id/results', resultValidation, requirePermission('labOrder:result', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { LabOrder, Patient } = require('../models');
+    const { results } = req.body;
+    
+    const labOrder = await LabOrder.findByPk(req.params.id);
+    if (!labOrder) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lab order not found'
+      });
+    }
+    
+    if (labOrder.status === 'cancelled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot enter results for a cancelled lab order'
+      });
+    }
+    
+    const missingValue = results.find(result =>
+      (result.value === undefined || result.value === null) && !result.valueText
+    );
+    if (missingValue) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Result for ${missingValue.analyteCode} needs a value or valueText`
+      });
+    }
+    
+    const codes = results.map(result => result.analyteCode);
+    if (new Set(codes).size !== codes.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Each analyte can only be reported once per request'
+      });
+    }
+    
+    const patient = await Patient.findByPk(labOrder.patientId);
+    const saved = await labOrder.recordResults(results, patient, { enteredBy: req.user.id });
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Lab results recorded successfully',
+      data: { labOrder, results: saved }
+    });
+  } catch (error) {
+    console.error('Record lab results error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Cancel a lab order that has no results yet
+router.patch('/:id/cancel', cancelValidation, requirePermission('labOrder:cancel', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { LabOrder } = require('../models');
+    
+    const labOrder = await LabOrder.findByPk(req.params.id);
+    if (!labOrder) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Lab order not found'
+      });
+    }
+    
+    if (labOrder.status !== 'ordered') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot cancel a ${labOrder.status} lab order`
+      });
+    }
+    
+    await labOrder.update({
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy: req.user.id,
+      cancellationReason: req.body.reason
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Lab order cancelled successfully',
+      data: { labOrder }
+    });
+  } catch (error) {
+    console.error('Cancel lab order error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
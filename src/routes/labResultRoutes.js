@@ -0,0 +1,91 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Mounted at /api/patients/:id/labs
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const patientTarget = { resource: 'patient', target: req => req.params.id };
+
+// Validation rules
+const cumulativeValidation = [
+  query('code')
+    .optional()
+    .isString()
+    .withMessage('Code must be one or more comma-separated LOINC codes'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid from date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid to date'),
+  query('abnormal')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Abnormal must be true or false')
+];
+
+// Cumulative lab view: one row per analyte with its results over time, oldest first.
+// Results of cancelled orders are left out; `abnormal=true` keeps analytes with an
+// out-of-range result only.
+router.get('/', cumulativeValidation, requirePermission('labResult:list', patientTarget), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { LabResult, LabOrder } = require('../models');
+    const { Op } = require('sequelize');
+    const { code, from, to, abnormal } = req.query;
+    
+    const whereClause = { patientId: req.params.id };
+    const codes = code ? code.split(',').map(value => value.trim()).filter(Boolean) : [];
+    if (codes.length) whereClause.analyteCode = { [Op.in]: codes };
+    
+    if (from || to) {
+      whereClause.observedAt = {};
+      if (from) whereClause.observedAt[Op.gte] = new Date(from);
+      if (to) whereClause.observedAt[Op.lte] = new Date(to);
+    }
+    
+    const results = await LabResult.findAll({
+      where: whereClause,
+      include: [{
+        model: LabOrder,
+        as: 'labOrder',
+        attributes: [],
+        where: { status: { [Op.ne]: 'cancelled' } }
+      }],
+      order: [['observedAt', 'ASC'], ['analyteName', 'ASC']]
+    });
+    
+    const cumulative = LabResult.cumulate(results);
+    if (abnormal === 'true') {
+      cumulative.analytes = cumulative.analytes.filter(analyte => analyte.abnormalCount > 0);
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: cumulative
+    });
+  } catch (error) {
+    console.error('Get cumulative lab results error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
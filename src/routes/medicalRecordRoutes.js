@@ -1,6 +1,8 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logDataAccess, logSecurityEvent } = require('../middleware/auditLogger');
+const { getAccessFilter } = require('../services/accessPolicy');
 
 const router = express.Router();
 
@@ -32,8 +34,42 @@ const medicalRecordValidation = [
     .withMessage('Priority must be low, medium, high, or urgent')
 ];
 
+const accessGrantValidation = [
+  body('userId')
+    .isUUID()
+    .withMessage('Valid user ID is required'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid expiry date is required'),
+  body('reason')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be less than 1000 characters')
+];
+
+// Record every read of a confidential medical record in the audit log
+const logConfidentialReads = async (req, records) => {
+  for (const record of records.filter(r => r.isConfidential)) {
+    await logDataAccess({
+      userId: req.user.id,
+      action: 'confidential_record_read',
+      resource: 'medical_record',
+      resourceId: record.id,
+      method: req.method,
+      endpoint: req.originalUrl,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent'),
+      sessionId: req.sessionId,
+      severity: 'medium',
+      description: `Confidential ${record.recordType} record read`,
+      isSuccessful: true
+    });
+  }
+};
+
 // Get all medical records
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('medicalRecord:list'), async (req, res) => {
   try {
     const { MedicalRecord, Patient, Doctor, User } = require('../models');
     const { Op } = require('sequelize');
@@ -65,33 +101,17 @@ router.get('/', async (req, res) => {
       if (dateTo) whereClause.createdAt[Op.lte] = new Date(dateTo);
     }
     
-    // Search filter
+    // Search filter (diagnosis is encrypted at rest and cannot be searched)
     if (search) {
       whereClause[Op.or] = [
         { title: { [Op.iLike]: `%${search}%` } },
         { description: { [Op.iLike]: `%${search}%` } },
-        { diagnosis: { [Op.iLike]: `%${search}%` } },
         { treatment: { [Op.iLike]: `%${search}%` } }
       ];
     }
     
-    // Role-based filtering
-    if (req.user.role === 'patient') {
-      const { Patient } = require('../models');
-      const userPatient = await Patient.findOne({ where: { userId: req.user.id } });
-      if (userPatient) {
-        whereClause.patientId = userPatient.id;
-      }
-    } else if (req.user.role === 'doctor') {
-      const { Doctor } = require('../models');
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (userDoctor) {
-        whereClause.doctorId = userDoctor.id;
-      }
-    }
-    
     const { count, rows: records } = await MedicalRecord.findAndCountAll({
-      where: whereClause,
+      where: { [Op.and]: [whereClause, req.access.where] },
       include: [
         {
           model: Patient,
@@ -117,6 +137,8 @@ router.get('/', async (req, res) => {
       order: [['createdAt', 'DESC']]
     });
     
+    await logConfidentialReads(req, records);
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -139,7 +161,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get medical record by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('medicalRecord:read', { target: req => req.params.id }), async (req, res) => {
   try {
     const { MedicalRecord, Patient, Doctor, User } = require('../models');
     const { id } = req.params;
@@ -174,28 +196,7 @@ router.get('/:id', async (req, res) => {
       });
     }
     
-    // Check access permissions
-    if (req.user.role === 'patient') {
-      const { Patient } = require('../models');
-      const userPatient = await Patient.findOne({ where: { userId: req.user.id } });
-      if (!userPatient || userPatient.id !== record.patientId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
-    if (req.user.role === 'doctor') {
-      const { Doctor } = require('../models');
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (!userDoctor || userDoctor.id !== record.doctorId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
+    await logConfidentialReads(req, [record]);
     
     res.status(200).json({
       status: 'success',
@@ -210,8 +211,8 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create new medical record
-router.post('/', medicalRecordValidation, async (req, res) => {
+// Create new medical record (for a patient the author may see)
+router.post('/', medicalRecordValidation, requirePermission('medicalRecord:create', { resource: 'patient', target: req => req.body.patientId }), async (req, res) => {
   try {
     const { validationResult } = require('express-validator');
     const errors = validationResult(req);
@@ -223,7 +224,7 @@ router.post('/', medicalRecordValidation, async (req, res) => {
       });
     }
     
-    const { MedicalRecord, Patient, Doctor } = require('../models');
+    const { MedicalRecord, Patient, Doctor, VitalSign } = require('../models');
     const { 
       patientId, 
       doctorId, 
@@ -264,14 +265,6 @@ router.post('/', medicalRecordValidation, async (req, res) => {
       });
     }
     
-    // Only doctors and admins can create medical records
-    if (req.user.role === 'patient') {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Patients cannot create medical records'
-      });
-    }
-    
     const record = await MedicalRecord.create({
       patientId,
       doctorId,
@@ -295,6 +288,11 @@ router.post('/', medicalRecordValidation, async (req, res) => {
       createdBy: req.user.id
     });
     
+    // Vitals taken with the record also go into the patient's vital sign series
+    if (vitalSigns) {
+      await VitalSign.syncFromRecord(record, patient, { recordedBy: req.user.id });
+    }
+    
     res.status(201).json({
       status: 'success',
       message: 'Medical record created successfully',
@@ -309,8 +307,8 @@ router.post('/', medicalRecordValidation, async (req, res) => {
   }
 });
 
-// Update medical record
-router.put('/:id', medicalRecordValidation, async (req, res) => {
+// Update medical record (only the creating doctor or admin)
+router.put('/:id', medicalRecordValidation, requirePermission('medicalRecord:update', { target: req => req.params.id }), async (req, res) => {
   try {
     const { validationResult } = require('express-validator');
     const errors = validationResult(req);
@@ -322,7 +320,7 @@ router.put('/:id', medicalRecordValidation, async (req, res) => {
       });
     }
     
-    const { MedicalRecord } = require('../models');
+    const { MedicalRecord, Patient, VitalSign } = require('../models');
     const { id } = req.params;
     
     const record = await MedicalRecord.findByPk(id);
@@ -333,21 +331,6 @@ router.put('/:id', medicalRecordValidation, async (req, res) => {
       });
     }
     
-    // Check access permissions - only the creating doctor or admin can update
-    if (req.user.role === 'patient') {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Patients cannot update medical records'
-      });
-    }
-    
-    if (req.user.role === 'doctor' && record.createdBy !== req.user.id) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Only the creating doctor can update this record'
-      });
-    }
-    
     // Only allow certain fields to be updated
     const allowedFields = [
       'title', 'description', 'symptoms', 'diagnosis', 'treatment', 
@@ -365,6 +348,11 @@ router.put('/:id', medicalRecordValidation, async (req, res) => {
     
     await record.update(updateData);
     
+    if (updateData.vitalSigns !== undefined) {
+      const patient = await Patient.findByPk(record.patientId);
+      await VitalSign.syncFromRecord(record, patient, { recordedBy: req.user.id });
+    }
+    
     res.status(200).json({
       status: 'success',
       message: 'Medical record updated successfully',
@@ -380,7 +368,7 @@ router.put('/:id', medicalRecordValidation, async (req, res) => {
 });
 
 // Archive medical record
-router.patch('/:id/archive', authorize('doctor', 'admin'), async (req, res) => {
+router.patch('/:id/archive', requirePermission('medicalRecord:archive', { target: req => req.params.id }), async (req, res) => {
   try {
     const { MedicalRecord } = require('../models');
     const { id } = req.params;
@@ -393,14 +381,6 @@ router.patch('/:id/archive', authorize('doctor', 'admin'), async (req, res) => {
       });
     }
     
-    // Check if user can archive this record
-    if (req.user.role === 'doctor' && record.createdBy !== req.user.id) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Only the creating doctor can archive this record'
-      });
-    }
-    
     await record.update({ 
       status: 'archived',
       lastModifiedBy: req.user.id
@@ -421,24 +401,12 @@ router.patch('/:id/archive', authorize('doctor', 'admin'), async (req, res) => {
 });
 
 // Get patient's medical history summary
-router.get('/patient/:patientId/summary', async (req, res) => {
+router.get('/patient/:patientId/summary', requirePermission('medicalRecord:read', { resource: 'patient', target: req => req.params.patientId }), async (req, res) => {
   try {
     const { MedicalRecord, Patient } = require('../models');
     const { patientId } = req.params;
     const { months = 12 } = req.query;
     
-    // Check access permissions
-    if (req.user.role === 'patient') {
-      const { Patient } = require('../models');
-      const userPatient = await Patient.findOne({ where: { userId: req.user.id } });
-      if (!userPatient || userPatient.id !== patientId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
     const patient = await Patient.findByPk(patientId);
     if (!patient) {
       return res.status(404).json({
@@ -450,13 +418,19 @@ router.get('/patient/:patientId/summary', async (req, res) => {
     const monthsAgo = new Date();
     monthsAgo.setMonth(monthsAgo.getMonth() - parseInt(months));
     
+    // Confidential records the user may not see are left out of the summary
     const records = await MedicalRecord.findAll({
       where: {
-        patientId,
-        status: 'active',
-        createdAt: {
-          [require('sequelize').Op.gte]: monthsAgo
-        }
+        [require('sequelize').Op.and]: [
+          {
+            patientId,
+            status: 'active',
+            createdAt: {
+              [require('sequelize').Op.gte]: monthsAgo
+            }
+          },
+          await getAccessFilter(req.user, 'medicalRecord:list')
+        ]
       },
       order: [['createdAt', 'DESC']],
       limit: 50
@@ -494,6 +468,8 @@ router.get('/patient/:patientId/summary', async (req, res) => {
     
     summary.recentDiagnoses = diagnosisRecords;
     
+    await logConfidentialReads(req, records);
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -514,8 +490,168 @@ router.get('/patient/:patientId/summary', async (req, res) => {
   }
 });
 
+// List who has been granted access to a confidential record (author or admin)
+router.get('/:id/access', requirePermission('medicalRecord:share', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { MedicalRecordAccess, User } = require('../models');
+    const { id } = req.params;
+    
+    const grants = await MedicalRecordAccess.findActiveForRecord(id, {
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName', 'email', 'role']
+      }]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { grants }
+    });
+  } catch (error) {
+    console.error('Get record access error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Grant a user access to a confidential record (author or admin)
+router.post('/:id/access', accessGrantValidation, requirePermission('medicalRecord:share', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { MedicalRecord, MedicalRecordAccess, User } = require('../models');
+    const { id } = req.params;
+    const { userId, expiresAt, reason } = req.body;
+    
+    const record = await MedicalRecord.findByPk(id);
+    if (!record.isConfidential) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only confidential records need explicit access'
+      });
+    }
+    
+    const grantee = await User.findByPk(userId);
+    if (!grantee || !grantee.isActive) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+    
+    // Sharing with a doctor needs the patient's data sharing consent for that doctor
+    if (grantee.role === 'doctor') {
+      const { Doctor, Consent } = require('../models');
+      const doctor = await Doctor.findOne({ where: { userId } });
+      if (!doctor || !(await Consent.hasActiveConsent(record.patientId, 'data_sharing', doctor.id))) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Patient has not consented to sharing data with this doctor'
+        });
+      }
+    }
+    
+    if (await MedicalRecordAccess.hasActiveGrant(id, userId)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'User already has access to this record'
+      });
+    }
+    
+    const grant = await MedicalRecordAccess.create({
+      medicalRecordId: id,
+      userId,
+      grantedBy: req.user.id,
+      reason,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+    
+    await logSecurityEvent({
+      userId: req.user.id,
+      action: 'confidential_access_granted',
+      resource: 'medical_record',
+      resourceId: id,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent'),
+      requestData: { userId, expiresAt, reason },
+      severity: 'medium',
+      description: `Access to confidential record granted to ${grantee.email}`,
+      isSuccessful: true
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Access granted successfully',
+      data: { grant }
+    });
+  } catch (error) {
+    console.error('Grant record access error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke a user's access to a confidential record (author or admin)
+router.delete('/:id/access/:userId', requirePermission('medicalRecord:share', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { MedicalRecordAccess } = require('../models');
+    const { id, userId } = req.params;
+    
+    const grants = (await MedicalRecordAccess.findActiveForRecord(id))
+      .filter(grant => grant.userId === userId);
+    
+    if (grants.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Access grant not found'
+      });
+    }
+    
+    for (const grant of grants) {
+      await grant.update({ revokedAt: new Date(), revokedBy: req.user.id });
+    }
+    
+    await logSecurityEvent({
+      userId: req.user.id,
+      action: 'confidential_access_revoked',
+      resource: 'medical_record',
+      resourceId: id,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent'),
+      requestData: { userId },
+      severity: 'medium',
+      description: 'Access to confidential record revoked',
+      isSuccessful: true
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Access revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke record access error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get records requiring follow-up
-router.get('/follow-up/required', authorize('doctor', 'admin'), async (req, res) => {
+router.get('/follow-up/required', requirePermission('medicalRecord:list'), async (req, res) => {
   try {
     const { MedicalRecord, Patient, Doctor, User } = require('../models');
     const { page = 1, limit = 10, overdue = false } = req.query;
@@ -536,17 +672,8 @@ router.get('/follow-up/required', authorize('doctor', 'admin'), async (req, res)
       };
     }
     
-    // If user is doctor, only show their records
-    if (req.user.role === 'doctor') {
-      const { Doctor } = require('../models');
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (userDoctor) {
-        whereClause.doctorId = userDoctor.id;
-      }
-    }
-    
     const { count, rows: records } = await MedicalRecord.findAndCountAll({
-      where: whereClause,
+      where: { [require('sequelize').Op.and]: [whereClause, req.access.where] },
       include: [
         {
           model: Patient,
@@ -572,6 +699,8 @@ router.get('/follow-up/required', authorize('doctor', 'admin'), async (req, res)
       order: [['followUpDate', 'ASC']]
     });
     
+    await logConfidentialReads(req, records);
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -0,0 +1,250 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Mounted at /api/patients/:id/medications
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const patientTarget = { resource: 'patient', target: req => req.params.id };
+
+// Validation rules
+const medicationValidation = [
+  body('drug')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Drug is required and must be less than 200 characters'),
+  body('dose')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Dose must be less than 100 characters'),
+  body('route')
+    .optional({ nullable: true })
+    .isIn(['oral', 'sublingual', 'intravenous', 'intramuscular', 'subcutaneous', 'topical',
+      'transdermal', 'inhalation', 'nasal', 'ophthalmic', 'otic', 'rectal', 'other'])
+    .withMessage('Invalid route of administration'),
+  body('frequency')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Frequency must be less than 100 characters'),
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  body('stopDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Please provide a valid stop date'),
+  body('prescriberId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Please provide a valid prescriber ID')
+];
+
+const MEDICATION_FIELDS = [
+  'drug', 'dose', 'route', 'frequency', 'startDate', 'stopDate', 'prescriberId', 'prescriberName', 'notes'
+];
+
+const pickMedicationFields = (data) => {
+  return MEDICATION_FIELDS.reduce((fields, field) => {
+    if (data[field] !== undefined) fields[field] = data[field];
+    return fields;
+  }, {});
+};
+
+const stopsBeforeStart = ({ startDate, stopDate }) => {
+  return Boolean(startDate && stopDate && new Date(stopDate) < new Date(startDate));
+};
+
+const prescriberInclude = () => {
+  const { Doctor, User } = require('../models');
+  return {
+    model: Doctor,
+    as: 'prescriber',
+    attributes: ['id', 'specialization'],
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: ['id', 'firstName', 'lastName']
+    }]
+  };
+};
+
+// Get a patient's medications (`?active=true` for current ones only)
+router.get('/', requirePermission('medication:list', patientTarget), async (req, res) => {
+  try {
+    const { Medication } = require('../models');
+    const { Op } = require('sequelize');
+    const { active } = req.query;
+    
+    const whereClause = { patientId: req.params.id };
+    if (active === 'true') {
+      whereClause[Op.or] = [
+        { stopDate: null },
+        { stopDate: { [Op.gte]: new Date().toISOString().slice(0, 10) } }
+      ];
+    }
+    
+    const medications = await Medication.findAll({
+      where: whereClause,
+      include: [prescriberInclude()],
+      order: [['startDate', 'DESC'], ['createdAt', 'DESC']]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { medications }
+    });
+  } catch (error) {
+    console.error('Get medications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add a medication; a doctor recording it is the prescriber unless another is given
+router.post('/', medicationValidation, requirePermission('medication:create', patientTarget), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Medication, Doctor } = require('../models');
+    const { getProfileIds } = require('../services/accessPolicy');
+    const fields = pickMedicationFields(req.body);
+    
+    if (stopsBeforeStart(fields)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Stop date must not be before start date'
+      });
+    }
+    
+    if (fields.prescriberId && !(await Doctor.findByPk(fields.prescriberId))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Doctor not found'
+      });
+    }
+    
+    if (!fields.prescriberId && !fields.prescriberName) {
+      fields.prescriberId = (await getProfileIds(req.user)).doctorId;
+    }
+    
+    const medication = await Medication.create({
+      ...fields,
+      patientId: req.params.id,
+      recordedBy: req.user.id
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Medication added successfully',
+      data: { medication }
+    });
+  } catch (error) {
+    console.error('Create medication error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update a medication, e.g. set its stop date
+router.put('/:medicationId', medicationValidation, requirePermission('medication:update', patientTarget), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Medication, Doctor } = require('../models');
+    const { id, medicationId } = req.params;
+    const fields = pickMedicationFields(req.body);
+    
+    const medication = await Medication.findOne({ where: { id: medicationId, patientId: id } });
+    if (!medication) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Medication not found'
+      });
+    }
+    
+    if (stopsBeforeStart({ ...medication.get(), ...fields })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Stop date must not be before start date'
+      });
+    }
+    
+    if (fields.prescriberId && !(await Doctor.findByPk(fields.prescriberId))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Doctor not found'
+      });
+    }
+    
+    await medication.update(fields);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Medication updated successfully',
+      data: { medication }
+    });
+  } catch (error) {
+    console.error('Update medication error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete a medication entered in error
+router.delete('/:medicationId', requirePermission('medication:delete', patientTarget), async (req, res) => {
+  try {
+    const { Medication } = require('../models');
+    const { id, medicationId } = req.params;
+    
+    const medication = await Medication.findOne({ where: { id: medicationId, patientId: id } });
+    if (!medication) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Medication not found'
+      });
+    }
+    
+    await medication.destroy();
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Medication deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete medication error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
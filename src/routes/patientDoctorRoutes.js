@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getAccessFilter } = require('../services/accessPolicy');
 
 const router = express.Router();
 
@@ -36,7 +37,7 @@ const relationshipValidation = [
 ];
 
 // Get all patient-doctor relationships
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('patientDoctor:list'), async (req, res) => {
   console.log('GET /api/patient-doctors called');
   try {
     const { PatientDoctor, Patient, Doctor, User } = require('../models');
@@ -60,16 +61,8 @@ router.get('/', async (req, res) => {
     if (status) whereClause.status = status;
     if (priority) whereClause.priority = priority;
     
-    // If user is doctor, only show their relationships
-    if (req.user.role === 'doctor') {
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (userDoctor) {
-        whereClause.doctorId = userDoctor.id;
-      }
-    }
-    
     const { count, rows: relationships } = await PatientDoctor.findAndCountAll({
-      where: whereClause,
+      where: { [Op.and]: [whereClause, req.access.where] },
       include: [
         {
           model: Patient,
@@ -117,7 +110,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get relationship by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('patientDoctor:read', { target: req => req.params.id }), async (req, res) => {
   try {
     const { PatientDoctor, Patient, Doctor, User } = require('../models');
     const { id } = req.params;
@@ -152,27 +145,6 @@ router.get('/:id', async (req, res) => {
       });
     }
     
-    // Check access permissions
-    if (req.user.role === 'patient') {
-      const userPatient = await Patient.findOne({ where: { userId: req.user.id } });
-      if (!userPatient || userPatient.id !== relationship.patientId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
-    if (req.user.role === 'doctor') {
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (!userDoctor || userDoctor.id !== relationship.doctorId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
     res.status(200).json({
       status: 'success',
       data: { relationship }
@@ -187,7 +159,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new patient-doctor relationship
-router.post('/', relationshipValidation, async (req, res) => {
+router.post('/', relationshipValidation, requirePermission('patientDoctor:create', { target: req => req.body }), async (req, res) => {
   console.log('POST /api/patient-doctors called');
   console.log('User role:', req.user?.role);
   console.log('User ID:', req.user?.id);
@@ -202,32 +174,9 @@ router.post('/', relationshipValidation, async (req, res) => {
       });
     }
     
-    const { PatientDoctor, Patient, Doctor } = require('../models');
+    const { PatientDoctor, Patient, Doctor, Consent } = require('../models');
     const { patientId, doctorId, relationshipType, startDate, endDate, notes, referralReason, diagnosis, treatmentPlan, nextAppointment, priority, status } = req.body;
     
-    // Check if user has permission to create this relationship
-    if (req.user.role === 'patient') {
-      // For patients, we need to find their patient profile first
-      const userPatient = await Patient.findOne({ where: { userId: req.user.id } });
-      console.log('Patient check:', { userId: req.user.id, userPatient: userPatient?.id, requestedPatientId: patientId });
-      if (!userPatient || userPatient.id !== patientId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Patients can only create relationships for themselves'
-        });
-      }
-    } else if (req.user.role === 'doctor') {
-      // For doctors, we need to find their doctor profile first
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (!userDoctor || userDoctor.id !== doctorId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Doctors can only create relationships for themselves'
-        });
-      }
-    }
-    // Admins can create any relationship
-    
     // Verify patient and doctor exist
     const patient = await Patient.findByPk(patientId);
     const doctor = await Doctor.findByPk(doctorId);
@@ -246,6 +195,14 @@ router.post('/', relationshipValidation, async (req, res) => {
       });
     }
     
+    // The relationship gives the doctor access to the patient's data
+    if (!(await Consent.hasActiveConsent(patientId, 'data_sharing', doctorId))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Patient has not consented to sharing data with this doctor'
+      });
+    }
+    
     // Check if relationship already exists
     const existingRelationship = await PatientDoctor.findOne({
       where: {
@@ -292,7 +249,7 @@ router.post('/', relationshipValidation, async (req, res) => {
 });
 
 // Update patient-doctor relationship
-router.put('/:id', relationshipValidation, async (req, res) => {
+router.put('/:id', relationshipValidation, requirePermission('patientDoctor:update', { target: req => req.params.id }), async (req, res) => {
   try {
     const { validationResult } = require('express-validator');
     const errors = validationResult(req);
@@ -315,27 +272,6 @@ router.put('/:id', relationshipValidation, async (req, res) => {
       });
     }
     
-    // Check access permissions
-    if (req.user.role === 'patient') {
-      const userPatient = await Patient.findOne({ where: { userId: req.user.id } });
-      if (!userPatient || userPatient.id !== relationship.patientId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
-    if (req.user.role === 'doctor') {
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (!userDoctor || userDoctor.id !== relationship.doctorId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
     await relationship.update(req.body);
     
     res.status(200).json({
@@ -353,7 +289,7 @@ router.put('/:id', relationshipValidation, async (req, res) => {
 });
 
 // Delete patient-doctor relationship
-router.delete('/:id', authorize('admin', 'doctor'), async (req, res) => {
+router.delete('/:id', requirePermission('patientDoctor:delete', { target: req => req.params.id }), async (req, res) => {
   try {
     const { PatientDoctor } = require('../models');
     const { id } = req.params;
@@ -366,17 +302,6 @@ router.delete('/:id', authorize('admin', 'doctor'), async (req, res) => {
       });
     }
     
-    // Check if doctor can delete this relationship
-    if (req.user.role === 'doctor') {
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (!userDoctor || userDoctor.id !== relationship.doctorId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
     await relationship.destroy();
     
     res.status(200).json({
@@ -392,24 +317,13 @@ router.delete('/:id', authorize('admin', 'doctor'), async (req, res) => {
   }
 });
 
-// Get patient's doctors
-router.get('/patient/:patientId/doctors', async (req, res) => {
+// Get patient's doctors (anyone who may see the patient)
+router.get('/patient/:patientId/doctors', requirePermission('patient:read', { target: req => req.params.patientId }), async (req, res) => {
   try {
     const { PatientDoctor, Doctor, User } = require('../models');
     const { patientId } = req.params;
     const { status = 'active' } = req.query;
     
-    // Check access permissions
-    if (req.user.role === 'patient') {
-      const userPatient = await Patient.findOne({ where: { userId: req.user.id } });
-      if (!userPatient || userPatient.id !== patientId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
     const relationships = await PatientDoctor.findAll({
       where: { 
         patientId,
@@ -441,27 +355,19 @@ router.get('/patient/:patientId/doctors', async (req, res) => {
 });
 
 // Get doctor's patients
-router.get('/doctor/:doctorId/patients', async (req, res) => {
+router.get('/doctor/:doctorId/patients', requirePermission('patientDoctor:list', { resource: 'doctor', target: req => req.params.doctorId }), async (req, res) => {
   try {
     const { PatientDoctor, Patient, User } = require('../models');
+    const { Op } = require('sequelize');
     const { doctorId } = req.params;
     const { status = 'active' } = req.query;
     
-    // Check access permissions
-    if (req.user.role === 'doctor') {
-      const userDoctor = await Doctor.findOne({ where: { userId: req.user.id } });
-      if (!userDoctor || userDoctor.id !== doctorId) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    }
-    
     const relationships = await PatientDoctor.findAll({
-      where: { 
-        doctorId,
-        status 
+      where: {
+        [Op.and]: [
+          { doctorId, status },
+          await getAccessFilter(req.user, 'patientDoctor:list')
+        ]
       },
       include: [{
         model: Patient,
@@ -1,12 +1,15 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { body, query } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logSecurityEvent, auditRequestSummary } = require('../middleware/auditLogger');
 
 const router = express.Router();
 
 // All patient routes require authentication
 router.use(authenticateToken);
 
+const RECORD_TYPES = ['consultation', 'diagnosis', 'treatment', 'lab_result', 'imaging', 'prescription', 'vaccination', 'surgery', 'emergency', 'follow_up'];
+
 // Validation rules
 const patientValidation = [
   body('dateOfBirth')
@@ -33,23 +36,38 @@ const patientValidation = [
     .withMessage('Please provide a valid emergency contact phone number')
 ];
 
-// Get all patients (admin, doctors, and patients can see their own)
-router.get('/', async (req, res) => {
+const breakGlassValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('A reason of at least 10 characters is required for emergency access')
+];
+
+const consentValidation = [
+  body('type')
+    .isIn(['treatment', 'data_sharing', 'research'])
+    .withMessage('Consent type must be treatment, data_sharing, or research'),
+  body('doctorId')
+    .if(body('type').equals('data_sharing'))
+    .isUUID()
+    .withMessage('Data sharing consent requires a valid doctor ID'),
+  body('signature')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Signature (full name) is required')
+];
+
+// Get all patients (admins see all, doctors their assigned patients, patients their own profile)
+router.get('/', requirePermission('patient:list'), async (req, res) => {
   try {
     const { Patient, User } = require('../models');
     const { Op } = require('sequelize');
-    const { page = 1, limit = 10, search, gender, bloodType } = req.query;
+    const { blindIndex } = require('../services/fieldEncryption');
+    const { page = 1, limit = 10, search, gender, bloodType, insuranceNumber, medicalRecordNumber } = req.query;
     
     const offset = (page - 1) * limit;
     const whereClause = {};
     
-    // Role-based filtering
-    if (req.user.role === 'patient') {
-      // Patients can only see their own profile
-      whereClause.userId = req.user.id;
-    }
-    // Admins and doctors can see all patients
-    
     if (gender) {
       whereClause.gender = gender;
     }
@@ -58,8 +76,17 @@ router.get('/', async (req, res) => {
       whereClause.bloodType = bloodType;
     }
     
+    // Insurance numbers are encrypted, so only exact matches via the blind index are possible
+    if (insuranceNumber) {
+      whereClause.insuranceNumberIndex = blindIndex(insuranceNumber, 'patients.insuranceNumber');
+    }
+    
+    if (medicalRecordNumber) {
+      whereClause.medicalRecordNumber = medicalRecordNumber;
+    }
+    
     const { count, rows: patients } = await Patient.findAndCountAll({
-      where: whereClause,
+      where: { [Op.and]: [whereClause, req.access.where] },
       include: [{
         model: User,
         as: 'user',
@@ -99,7 +126,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get patient by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('patient:read', { target: req => req.params.id }), async (req, res) => {
   try {
     const { Patient, User } = require('../models');
     const { id } = req.params;
@@ -119,14 +146,6 @@ router.get('/:id', async (req, res) => {
       });
     }
     
-    // Check if user can access this patient data
-    if (req.user.role === 'patient' && patient.userId !== req.user.id) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Access denied'
-      });
-    }
-    
     res.status(200).json({
       status: 'success',
       data: { patient }
@@ -141,7 +160,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create patient profile
-router.post('/', patientValidation, async (req, res) => {
+router.post('/', requirePermission('patient:create'), patientValidation, async (req, res) => {
   try {
     const { validationResult } = require('express-validator');
     const errors = validationResult(req);
@@ -155,8 +174,8 @@ router.post('/', patientValidation, async (req, res) => {
     
     const { Patient } = require('../models');
     
-    // Check if patient profile already exists for this user
-    if (req.user.role === 'patient') {
+    // Users limited to their own profile can only create it once
+    if (!req.access.any) {
       const existingPatient = await Patient.findOne({ where: { userId: req.user.id } });
       if (existingPatient) {
         return res.status(409).json({
@@ -166,9 +185,11 @@ router.post('/', patientValidation, async (req, res) => {
       }
     }
     
+    // Medical record numbers are assigned by the system
+    const { medicalRecordNumber, ...profile } = req.body;
     const patientData = {
-      ...req.body,
-      userId: req.user.role === 'patient' ? req.user.id : req.body.userId
+      ...profile,
+      userId: req.access.any ? req.body.userId : req.user.id
     };
     
     const patient = await Patient.create(patientData);
@@ -188,7 +209,7 @@ router.post('/', patientValidation, async (req, res) => {
 });
 
 // Update patient profile
-router.put('/:id', patientValidation, async (req, res) => {
+router.put('/:id', patientValidation, requirePermission('patient:update', { target: req => req.params.id }), async (req, res) => {
   try {
     const { validationResult } = require('express-validator');
     const errors = validationResult(req);
@@ -211,23 +232,510 @@ router.put('/:id', patientValidation, async (req, res) => {
       });
     }
     
-    // Check if user can update this patient data
-    if (req.user.role === 'patient' && patient.userId !== req.user.id) {
-      return res.status(403).json({
+    const { medicalRecordNumber, ...profile } = req.body;
+    await patient.update(profile);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Patient profile updated successfully',
+      data: { patient }
+    });
+  } catch (error) {
+    console.error('Update patient error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a patient's consents
+router.get('/:id/consents', requirePermission('consent:list', { resource: 'patient', target: req => req.params.id }), async (req, res) => {
+  try {
+    const { Consent, ConsentDocument, Doctor, User } = require('../models');
+    const { id } = req.params;
+    const { status, type } = req.query;
+    
+    const whereClause = { patientId: id };
+    if (status) whereClause.status = status;
+    if (type) whereClause.type = type;
+    
+    const consents = await Consent.findAll({
+      where: whereClause,
+      include: [
+        {
+          model: ConsentDocument,
+          as: 'document',
+          attributes: ['id', 'type', 'version', 'title']
+        },
+        {
+          model: Doctor,
+          as: 'doctor',
+          attributes: ['id', 'specialization'],
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'firstName', 'lastName']
+          }]
+        }
+      ],
+      order: [['signedAt', 'DESC']]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { consents }
+    });
+  } catch (error) {
+    console.error('Get consents error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Grant consent by signing the current version of its consent document
+router.post('/:id/consents', consentValidation, requirePermission('consent:grant', { resource: 'patient', target: req => req.params.id }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Consent, ConsentDocument, Doctor } = require('../models');
+    const { id } = req.params;
+    const { type, signature } = req.body;
+    const doctorId = type === 'data_sharing' ? req.body.doctorId : null;
+    
+    const document = await ConsentDocument.getCurrent(type);
+    if (!document) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'No consent document has been published for this consent type'
+      });
+    }
+    
+    if (doctorId && !(await Doctor.findByPk(doctorId))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Doctor not found'
+      });
+    }
+    
+    const existingConsent = await Consent.findOne({
+      where: { patientId: id, type, doctorId, status: 'granted' }
+    });
+    
+    if (existingConsent && existingConsent.documentVersion === document.version) {
+      return res.status(409).json({
         status: 'error',
-        message: 'Access denied'
+        message: 'Consent has already been granted'
       });
     }
     
-    await patient.update(req.body);
+    // Signing a newer version replaces consent given to an older one
+    if (existingConsent) {
+      await existingConsent.withdraw(req.user.id, `Superseded by version ${document.version}`);
+    }
+    
+    const consent = await Consent.create({
+      patientId: id,
+      type,
+      doctorId,
+      documentId: document.id,
+      documentVersion: document.version,
+      signature,
+      signedAt: new Date(),
+      signedBy: req.user.id,
+      signatureIp: req.ip || req.connection.remoteAddress
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Consent granted successfully',
+      data: { consent }
+    });
+  } catch (error) {
+    console.error('Grant consent error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Withdraw consent
+router.patch('/:id/consents/:consentId/withdraw', requirePermission('consent:withdraw', { resource: 'patient', target: req => req.params.id }), async (req, res) => {
+  try {
+    const { Consent } = require('../models');
+    const { id, consentId } = req.params;
+    const { reason } = req.body;
+    
+    const consent = await Consent.findOne({ where: { id: consentId, patientId: id } });
+    if (!consent) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Consent not found'
+      });
+    }
+    
+    if (!consent.isActive()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Consent has already been withdrawn'
+      });
+    }
+    
+    await consent.withdraw(req.user.id, reason);
     
     res.status(200).json({
       status: 'success',
-      message: 'Patient profile updated successfully',
-      data: { patient }
+      message: 'Consent withdrawn successfully',
+      data: { consent }
     });
   } catch (error) {
-    console.error('Update patient error:', error);
+    console.error('Withdraw consent error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(['fhir'])
+    .withMessage('Format must be fhir')
+];
+
+const chartPdfValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid from date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid to date'),
+  query('recordType')
+    .optional()
+    .customSanitizer(value => [].concat(value).join(','))
+    .custom(value => String(value).split(',').every(type => RECORD_TYPES.includes(type.trim())))
+    .withMessage(`Record type must be one or more of: ${RECORD_TYPES.join(', ')}`)
+];
+
+// Record a chart export in the audit trail, whether or not it completed
+const logExport = async (req, { format = 'fhir', counts = {}, error = null } = {}) => {
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  let description = `Patient chart exported as a FHIR bundle of ${total} resources`;
+  if (format === 'pdf') description = 'Patient chart exported as a PDF';
+  if (error) description = `Patient chart export failed after ${total} ${format === 'pdf' ? 'entries' : 'resources'}`;
+  
+  await logSecurityEvent({
+    userId: req.user.id,
+    action: 'patient_chart_export',
+    resource: 'patient',
+    resourceId: req.params.id,
+    method: req.method,
+    endpoint: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent'),
+    sessionId: req.sessionId,
+    requestData: { ...req.query, format },
+    metadata: { resourceCounts: counts },
+    severity: 'medium',
+    description,
+    isSuccessful: !error,
+    errorMessage: error ? error.message : null
+  });
+};
+
+// Export a patient's whole chart as a FHIR Bundle, streamed as it is read (for transfers)
+router.get('/:id/export', exportValidation, requirePermission('patient:export', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Patient, User } = require('../models');
+    const { exportPatientBundle } = require('../services/fhirExport');
+    const { getBaseUrl } = require('../services/fhirMapper');
+    
+    const patient = await Patient.findByPk(req.params.id, {
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+      }]
+    });
+    
+    res.status(200);
+    res.setHeader('Content-Type', 'application/fhir+json');
+    res.setHeader('Content-Disposition', `attachment; filename=patient-${patient.medicalRecordNumber}-fhir.json`);
+    
+    const counts = await exportPatientBundle(res, patient, req.user, { baseUrl: getBaseUrl(req) });
+    res.end();
+    
+    await logExport(req, { format: 'fhir', counts });
+  } catch (error) {
+    console.error('Export patient error:', error);
+    await logExport(req, { format: 'fhir', error });
+    
+    // Part of the bundle may already be sent; cut the download off so it is not taken as complete
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+const importValidation = [
+  query('dryRun')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('dryRun must be true or false'),
+  query('patientId')
+    .optional()
+    .isUUID()
+    .withMessage('Valid patient ID is required'),
+  query('doctorId')
+    .optional()
+    .isUUID()
+    .withMessage('Valid doctor ID is required'),
+  body('resourceType')
+    .equals('Bundle')
+    .withMessage('A FHIR Bundle is required'),
+  body('entry')
+    .isArray({ min: 1 })
+    .withMessage('The bundle has no entries')
+];
+
+// What the audit trail keeps of an imported bundle: its shape, never the clinical data it carries
+const summarizeImport = (req) => {
+  const entries = Array.isArray(req.body && req.body.entry) ? req.body.entry : [];
+  const resourceCounts = {};
+  entries.forEach(entry => {
+    const type = entry && entry.resource && typeof entry.resource.resourceType === 'string'
+      ? entry.resource.resourceType
+      : 'unknown';
+    resourceCounts[type] = (resourceCounts[type] || 0) + 1;
+  });
+  
+  return {
+    entryCount: entries.length,
+    resourceCounts,
+    dryRun: req.query.dryRun !== 'false'
+  };
+};
+
+// Record a chart import (or its dry run) in the audit trail
+const logImport = async (req, { report = null, error = null } = {}) => {
+  const dryRun = req.query.dryRun !== 'false';
+  const summary = report ? report.summary : null;
+  await logSecurityEvent({
+    userId: req.user.id,
+    action: dryRun ? 'patient_chart_import_preview' : 'patient_chart_import',
+    resource: 'patient',
+    resourceId: report && report.patient.targetId ? report.patient.targetId : null,
+    method: req.method,
+    endpoint: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent'),
+    sessionId: req.sessionId,
+    requestData: { dryRun, entries: Array.isArray(req.body.entry) ? req.body.entry.length : 0 },
+    metadata: summary ? { summary } : {},
+    severity: dryRun ? 'low' : 'medium',
+    description: summary
+      ? `Patient chart ${dryRun ? 'import previewed' : 'imported'} from a FHIR bundle: ${summary.created} created, ${summary.merged} merged, ${summary.skipped} skipped`
+      : 'Patient chart import failed',
+    isSuccessful: !error,
+    errorMessage: error ? error.message : null
+  });
+};
+
+// Download a patient's chart as a PDF (for patients requesting a copy of their records).
+// `from`/`to` and `recordType` filter the appointments and medical records; every page is
+// watermarked with the requester and the time of the export.
+router.get('/:id/chart.pdf', chartPdfValidation, requirePermission('patient:export', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Patient, User } = require('../models');
+    const { getChart, renderChartPdf } = require('../services/chartPdf');
+    const { from, to, recordType } = req.query;
+    
+    const patient = await Patient.findByPk(req.params.id, {
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+      }]
+    });
+    
+    // A date without a time covers that whole day
+    const filters = {
+      from: from ? new Date(from) : null,
+      to: to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : null,
+      recordTypes: recordType ? recordType.split(',').map(type => type.trim()) : []
+    };
+    
+    const chart = await getChart(patient, req.user, filters);
+    const counts = {
+      allergies: chart.allergies.length,
+      medications: chart.medications.length,
+      careTeam: chart.careTeam.length,
+      appointments: chart.appointments.length,
+      medicalRecords: chart.records.length
+    };
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="patient-${patient.medicalRecordNumber}-chart.pdf"`);
+    renderChartPdf(chart, res, { requester: req.user, generatedAt: new Date(), filters });
+    
+    await logExport(req, { format: 'pdf', counts });
+  } catch (error) {
+    console.error('Render patient chart error:', error);
+    await logExport(req, { format: 'pdf', error });
+    
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Import a patient's chart from a FHIR Bundle (when onboarding from another clinic). By default
+// this is a dry run that reports what would be created, merged or skipped without saving
+// anything; `dryRun=false` imports it.
+router.post('/import', express.json({ type: 'application/fhir+json', limit: '10mb' }), auditRequestSummary(summarizeImport), importValidation, requirePermission('patient:import'), async (req, res) => {
+  const { FhirImportError, importPatientBundle } = require('../services/fhirImport');
+  
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const dryRun = req.query.dryRun !== 'false';
+    const report = await importPatientBundle(req.body, req.user, {
+      dryRun,
+      patientId: req.query.patientId,
+      doctorId: req.query.doctorId
+    });
+    await logImport(req, { report });
+    
+    const { outcome } = report.patient;
+    if (outcome === 'skipped') {
+      return res.status(409).json({
+        status: 'error',
+        message: `The patient cannot be imported: ${report.patient.reason}`,
+        data: { report }
+      });
+    }
+    
+    let message = 'Patient chart imported successfully';
+    if (dryRun) message = 'Import preview; nothing was saved';
+    res.status(dryRun || outcome === 'merged' ? 200 : 201).json({
+      status: 'success',
+      message,
+      data: { report }
+    });
+  } catch (error) {
+    if (error instanceof FhirImportError) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    console.error('Import patient error:', error);
+    await logImport(req, { error });
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Open emergency access to a patient without a care relationship (break-glass)
+router.post('/:id/break-glass', breakGlassValidation, requirePermission('patient:breakGlass', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { BreakGlassAccess } = require('../models');
+    const { id } = req.params;
+    const { reason } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    
+    const access = await BreakGlassAccess.grant({
+      userId: req.user.id,
+      patientId: id,
+      reason,
+      ipAddress
+    });
+    
+    await logSecurityEvent({
+      userId: req.user.id,
+      action: 'break_glass_access',
+      resource: 'patient',
+      resourceId: id,
+      ipAddress,
+      userAgent: req.get('User-Agent'),
+      requestData: { reason },
+      severity: 'high',
+      description: `Emergency access to patient opened until ${access.expiresAt.toISOString()}: ${reason}`,
+      isSuccessful: true
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Emergency access granted',
+      data: { access }
+    });
+  } catch (error) {
+    console.error('Break-glass access error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Internal server error'
@@ -236,7 +744,7 @@ router.put('/:id', patientValidation, async (req, res) => {
 });
 
 // Delete patient profile (admin only)
-router.delete('/:id', authorize('admin'), async (req, res) => {
+router.delete('/:id', requirePermission('patient:delete'), async (req, res) => {
   try {
     const { Patient } = require('../models');
     const { id } = req.params;
@@ -0,0 +1,432 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logSecurityEvent } = require('../middleware/auditLogger');
+
+const router = express.Router();
+
+// All prescription routes require authentication
+router.use(authenticateToken);
+
+// Validation rules
+const overrideValidation = [
+  body('overrideReason')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Override reason must be between 10 and 1000 characters'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be less than 2000 characters')
+];
+
+const prescriptionValidation = [
+  body('patientId')
+    .isUUID()
+    .withMessage('Valid patient ID is required'),
+  body('appointmentId')
+    .optional()
+    .isUUID()
+    .withMessage('Please provide a valid appointment ID'),
+  body('items')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('A prescription needs between 1 and 20 items'),
+  body('items.*.drug')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each item needs a drug name of less than 200 characters'),
+  body('items.*.strength')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each item needs a strength, e.g. "500 mg"'),
+  body('items.*.dosage')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Each item needs dosage directions'),
+  body('items.*.quantity')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Quantity must be between 1 and 1000'),
+  body('items.*.refills')
+    .optional()
+    .isInt({ min: 0, max: 12 })
+    .withMessage('Refills must be between 0 and 12'),
+  ...overrideValidation
+];
+
+const discontinueValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 1000 })
+    .withMessage('A reason for discontinuing is required')
+];
+
+const prescriptionIncludes = () => {
+  const { PrescriptionItem, Patient, Doctor, User } = require('../models');
+  return [
+    {
+      model: PrescriptionItem,
+      as: 'items'
+    },
+    {
+      model: Patient,
+      as: 'patient',
+      attributes: ['id', 'dateOfBirth'],
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName']
+      }]
+    },
+    {
+      model: Doctor,
+      as: 'doctor',
+      attributes: ['id', 'specialization', 'licenseNumber', 'clinicAddress'],
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName']
+      }]
+    }
+  ];
+};
+
+// Run the allergy and interaction checks; sends a 409 and resolves to null when
+// blocking conflicts are not overridden, otherwise resolves to the conflicts found
+const checkSafety = async (req, res, patientId, drugs, options) => {
+  const { checkPrescription } = require('../services/prescriptionSafety');
+  const { blocking, warnings } = await checkPrescription(patientId, drugs, options);
+  
+  if (blocking.length > 0 && !req.body.overrideReason) {
+    res.status(409).json({
+      status: 'error',
+      message: 'Prescription conflicts with the patient\'s allergies or medications; an override reason is required',
+      data: { blocking, warnings }
+    });
+    return null;
+  }
+  
+  return { blocking, warnings };
+};
+
+const logOverride = async (req, prescription, blocking) => {
+  await logSecurityEvent({
+    userId: req.user.id,
+    action: 'prescription_override',
+    resource: 'prescription',
+    resourceId: prescription.id,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent'),
+    requestData: { overrideReason: req.body.overrideReason, conflicts: blocking },
+    severity: 'high',
+    description: `Prescription written despite ${blocking.length} blocking conflict(s): ${req.body.overrideReason}`,
+    isSuccessful: true
+  });
+};
+
+// Get prescriptions (admins see all, doctors those they wrote or of assigned patients, patients their own)
+router.get('/', requirePermission('prescription:list'), async (req, res) => {
+  try {
+    const { Prescription } = require('../models');
+    const { Op } = require('sequelize');
+    const { page = 1, limit = 10, patientId, doctorId, status } = req.query;
+    
+    const offset = (page - 1) * limit;
+    const whereClause = {};
+    
+    if (patientId) whereClause.patientId = patientId;
+    if (doctorId) whereClause.doctorId = doctorId;
+    if (status) whereClause.status = status;
+    
+    const { count, rows: prescriptions } = await Prescription.findAndCountAll({
+      where: { [Op.and]: [whereClause, req.access.where] },
+      include: prescriptionIncludes(),
+      distinct: true,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['prescribedAt', 'DESC']]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        prescriptions,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get prescriptions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get prescription by ID
+router.get('/:id', requirePermission('prescription:read', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { Prescription } = require('../models');
+    
+    const prescription = await Prescription.findByPk(req.params.id, {
+      include: prescriptionIncludes()
+    });
+    
+    if (!prescription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Prescription not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: { prescription }
+    });
+  } catch (error) {
+    console.error('Get prescription error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download a prescription as a printable PDF
+router.get('/:id/pdf', requirePermission('prescription:read', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { Prescription, PrescriptionItem } = require('../models');
+    const { renderPrescriptionPdf } = require('../services/prescriptionPdf');
+    
+    const prescription = await Prescription.findByPk(req.params.id, {
+      include: prescriptionIncludes(),
+      order: [[{ model: PrescriptionItem, as: 'items' }, 'createdAt', 'ASC']]
+    });
+    
+    if (!prescription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Prescription not found'
+      });
+    }
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="prescription-${prescription.id}.pdf"`);
+    renderPrescriptionPdf(prescription, res);
+  } catch (error) {
+    console.error('Render prescription error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Prescribe (doctors, for assigned patients). Allergy matches and contraindicated
+// interactions block unless `overrideReason` is given; other interactions are warnings.
+router.post('/', prescriptionValidation, requirePermission('prescription:create', { resource: 'patient', target: req => req.body.patientId }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Prescription, Appointment } = require('../models');
+    const { getProfileIds } = require('../services/accessPolicy');
+    const { patientId, appointmentId, items, notes, overrideReason } = req.body;
+    
+    const { doctorId } = await getProfileIds(req.user);
+    if (!doctorId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'A doctor profile is required to prescribe'
+      });
+    }
+    
+    if (appointmentId) {
+      const appointment = await Appointment.findByPk(appointmentId);
+      if (!appointment || appointment.patientId !== patientId) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Appointment not found'
+        });
+      }
+    }
+    
+    const safety = await checkSafety(req, res, patientId, items.map(item => item.drug));
+    if (!safety) return;
+    
+    const prescription = await Prescription.prescribe({
+      patientId,
+      doctorId,
+      appointmentId,
+      notes,
+      items,
+      alerts: [...safety.blocking, ...safety.warnings],
+      overrideReason: safety.blocking.length > 0 ? overrideReason : null,
+      recordedBy: req.user.id
+    });
+    
+    if (safety.blocking.length > 0) {
+      await logOverride(req, prescription, safety.blocking);
+    }
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Prescription created successfully',
+      data: { prescription, warnings: safety.warnings }
+    });
+  } catch (error) {
+    console.error('Create prescription error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Renew a prescription: writes a new one with the same items, re-running the safety checks
+router.post('/:id/renew', overrideValidation, requirePermission('prescription:renew', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Prescription, PrescriptionItem } = require('../models');
+    const { getProfileIds } = require('../services/accessPolicy');
+    const { notes, overrideReason } = req.body;
+    
+    const { doctorId } = await getProfileIds(req.user);
+    if (!doctorId) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'A doctor profile is required to prescribe'
+      });
+    }
+    
+    const previous = await Prescription.findByPk(req.params.id, {
+      include: [{ model: PrescriptionItem, as: 'items' }]
+    });
+    
+    if (!previous) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Prescription not found'
+      });
+    }
+    
+    if (previous.status !== 'active') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot renew a ${previous.status} prescription`
+      });
+    }
+    
+    const items = previous.items.map(item => ({
+      drug: item.drug,
+      strength: item.strength,
+      dosage: item.dosage,
+      quantity: item.quantity,
+      refills: item.refills,
+      medicationId: item.medicationId
+    }));
+    
+    // The medications being continued are not checked against themselves
+    const safety = await checkSafety(req, res, previous.patientId, items.map(item => item.drug), {
+      excludeMedicationIds: items.map(item => item.medicationId).filter(Boolean)
+    });
+    if (!safety) return;
+    
+    const prescription = await Prescription.prescribe({
+      patientId: previous.patientId,
+      doctorId,
+      notes: notes !== undefined ? notes : previous.notes,
+      items,
+      alerts: [...safety.blocking, ...safety.warnings],
+      overrideReason: safety.blocking.length > 0 ? overrideReason : null,
+      renewedFromId: previous.id,
+      recordedBy: req.user.id
+    });
+    
+    if (safety.blocking.length > 0) {
+      await logOverride(req, prescription, safety.blocking);
+    }
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Prescription renewed successfully',
+      data: { prescription, warnings: safety.warnings }
+    });
+  } catch (error) {
+    console.error('Renew prescription error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Discontinue a prescription; its medications are stopped from today
+router.patch('/:id/discontinue', discontinueValidation, requirePermission('prescription:discontinue', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Prescription } = require('../models');
+    
+    const prescription = await Prescription.findByPk(req.params.id);
+    if (!prescription) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Prescription not found'
+      });
+    }
+    
+    if (prescription.status !== 'active') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot discontinue a ${prescription.status} prescription`
+      });
+    }
+    
+    await prescription.discontinue(req.user.id, req.body.reason);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Prescription discontinued successfully',
+      data: { prescription }
+    });
+  } catch (error) {
+    console.error('Discontinue prescription error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,339 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  WEEKDAYS,
+  TIME_PATTERN,
+  normalizeHours,
+  normalizeWeeklyHours,
+  loadSchedule
+} = require('../services/doctorSchedule');
+const { findAffectedAppointments } = require('../services/appointmentScheduling');
+
+// Mounted at /api/doctors/:id/schedule
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const doctorTarget = { resource: 'doctor', target: req => req.params.id };
+
+// Longest period the schedule can be read for at once
+const MAX_SCHEDULE_DAYS = 62;
+
+// Validation rules
+const scheduleQueryValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+const templateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  body('weeklyHours')
+    .custom(weeklyHours => Boolean(normalizeWeeklyHours(weeklyHours))),
+  body('effectiveFrom')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Effective from must be a valid date'),
+  body('effectiveUntil')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Effective until must be a valid date')
+    .bail()
+    .custom((effectiveUntil, { req }) => !req.body.effectiveFrom || effectiveUntil >= req.body.effectiveFrom)
+    .withMessage('Effective until must not be before effective from')
+];
+
+const exceptionValidation = [
+  body('type')
+    .isIn(['override', 'blocked', 'time_off'])
+    .withMessage('Type must be override, blocked, or time_off'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .bail()
+    .custom((endDate, { req }) => endDate >= req.body.startDate)
+    .withMessage('End date must not be before start date'),
+  body('startTime')
+    .if(body('type').equals('blocked'))
+    .matches(TIME_PATTERN)
+    .withMessage('Blocked time needs a start time as HH:MM'),
+  body('endTime')
+    .if(body('type').equals('blocked'))
+    .matches(TIME_PATTERN)
+    .withMessage('Blocked time needs an end time as HH:MM')
+    .bail()
+    .custom((endTime, { req }) => endTime > req.body.startTime)
+    .withMessage('End time must be after start time'),
+  body('hours')
+    .if(body('type').equals('override'))
+    .custom(hours => Boolean(normalizeHours(hours))),
+  body('reason')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Reason must be less than 255 characters')
+];
+
+// Get a doctor's schedule: templates, exceptions and the resulting working hours of each day
+// from `from` (default today) to `to` (default a week later)
+router.get('/', scheduleQueryValidation, requirePermission('schedule:read', doctorTarget), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { Doctor, ScheduleTemplate } = require('../models');
+    const doctor = await Doctor.findByPk(req.params.id);
+    
+    const from = req.query.from ? new Date(`${req.query.from.slice(0, 10)}T00:00:00`) : new Date();
+    const to = req.query.to ? new Date(`${req.query.to.slice(0, 10)}T00:00:00`) : new Date(from);
+    if (!req.query.to) to.setDate(to.getDate() + 6);
+    
+    const days = [];
+    for (const day = new Date(from); day <= to && days.length <= MAX_SCHEDULE_DAYS; day.setDate(day.getDate() + 1)) {
+      days.push(new Date(day));
+    }
+    if (days.length === 0 || days.length > MAX_SCHEDULE_DAYS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `The schedule can be read for 1 to ${MAX_SCHEDULE_DAYS} days at a time`
+      });
+    }
+    
+    const schedule = await loadSchedule(doctor, from, to);
+    const templates = await ScheduleTemplate.findAll({
+      where: { doctorId: doctor.id },
+      order: [['effectiveFrom', 'ASC NULLS FIRST'], ['createdAt', 'ASC']]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        templates,
+        exceptions: schedule.exceptions,
+        days: days.map(day => ({ weekday: WEEKDAYS[day.getDay()], ...schedule.getDay(day) }))
+      }
+    });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add a weekly template
+router.post('/templates', templateValidation, requirePermission('schedule:update', doctorTarget), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { ScheduleTemplate } = require('../models');
+    const { name, weeklyHours, effectiveFrom, effectiveUntil } = req.body;
+    
+    const template = await ScheduleTemplate.create({
+      doctorId: req.params.id,
+      name,
+      weeklyHours: normalizeWeeklyHours(weeklyHours),
+      effectiveFrom: effectiveFrom ? effectiveFrom.slice(0, 10) : null,
+      effectiveUntil: effectiveUntil ? effectiveUntil.slice(0, 10) : null,
+      createdBy: req.user.id
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Schedule template created successfully',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Create schedule template error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Replace a weekly template
+router.put('/templates/:templateId', templateValidation, requirePermission('schedule:update', doctorTarget), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { ScheduleTemplate } = require('../models');
+    const { id, templateId } = req.params;
+    const { name, weeklyHours, effectiveFrom, effectiveUntil } = req.body;
+    
+    const template = await ScheduleTemplate.findOne({ where: { id: templateId, doctorId: id } });
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Schedule template not found'
+      });
+    }
+    
+    await template.update({
+      ...(name ? { name } : {}),
+      weeklyHours: normalizeWeeklyHours(weeklyHours),
+      effectiveFrom: effectiveFrom ? effectiveFrom.slice(0, 10) : null,
+      effectiveUntil: effectiveUntil ? effectiveUntil.slice(0, 10) : null
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule template updated successfully',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Update schedule template error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete a weekly template
+router.delete('/templates/:templateId', requirePermission('schedule:update', doctorTarget), async (req, res) => {
+  try {
+    const { ScheduleTemplate } = require('../models');
+    const { id, templateId } = req.params;
+    
+    const template = await ScheduleTemplate.findOne({ where: { id: templateId, doctorId: id } });
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Schedule template not found'
+      });
+    }
+    
+    await template.destroy();
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete schedule template error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Override the hours of some days, block time or enter time off. The doctor's appointments the
+// change leaves outside their schedule are returned to be rescheduled.
+router.post('/exceptions', exceptionValidation, requirePermission('schedule:update', doctorTarget), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { ScheduleException } = require('../models');
+    const { type, startDate, endDate, startTime, endTime, hours, reason } = req.body;
+    
+    const exception = await ScheduleException.create({
+      doctorId: req.params.id,
+      type,
+      startDate: startDate.slice(0, 10),
+      endDate: (endDate || startDate).slice(0, 10),
+      startTime: type === 'blocked' ? startTime : null,
+      endTime: type === 'blocked' ? endTime : null,
+      hours: type === 'override' ? normalizeHours(hours) : null,
+      reason,
+      createdBy: req.user.id
+    });
+    
+    const affectedAppointments = await findAffectedAppointments({
+      doctorId: req.params.id,
+      startDate: exception.startDate,
+      endDate: exception.endDate
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Schedule exception created successfully',
+      data: { exception, affectedAppointments }
+    });
+  } catch (error) {
+    console.error('Create schedule exception error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete a schedule exception
+router.delete('/exceptions/:exceptionId', requirePermission('schedule:update', doctorTarget), async (req, res) => {
+  try {
+    const { ScheduleException } = require('../models');
+    const { id, exceptionId } = req.params;
+    
+    const exception = await ScheduleException.findOne({ where: { id: exceptionId, doctorId: id } });
+    if (!exception) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Schedule exception not found'
+      });
+    }
+    
+    await exception.destroy();
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Schedule exception deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete schedule exception error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { logSecurityEvent } = require('../middleware/auditLogger');
 const { Op } = require('sequelize');
 
 const router = express.Router();
@@ -8,7 +9,7 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // Get all users (admin only)
-router.get('/', authorize('admin'), async (req, res) => {
+router.get('/', requirePermission('user:list'), async (req, res) => {
   try {
     const { User } = require('../models');
     const { page = 1, limit = 10, role, search } = req.query;
@@ -58,19 +59,11 @@ router.get('/', authorize('admin'), async (req, res) => {
 });
 
 // Get user by ID (admin only or own profile)
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('user:read', { target: req => ({ id: req.params.id }) }), async (req, res) => {
   try {
     const { User } = require('../models');
     const { id } = req.params;
     
-    // Check if user can access this profile
-    if (req.user.role !== 'admin' && req.user.id !== id) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Access denied'
-      });
-    }
-    
     const user = await User.findByPk(id, {
       attributes: { exclude: ['password', 'emailVerificationToken', 'passwordResetToken'] }
     });
@@ -96,20 +89,12 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update user (admin only or own profile)
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('user:update', { target: req => ({ id: req.params.id }) }), async (req, res) => {
   try {
     const { User } = require('../models');
     const { id } = req.params;
     const { firstName, lastName, phone, role, isActive } = req.body;
     
-    // Check if user can update this profile
-    if (req.user.role !== 'admin' && req.user.id !== id) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Access denied'
-      });
-    }
-    
     const user = await User.findByPk(id);
     if (!user) {
       return res.status(404).json({
@@ -118,20 +103,25 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    // Only admin can change role and isActive
+    // Only users who may update any account can change role and isActive
     const updateData = {
       firstName: firstName || user.firstName,
       lastName: lastName || user.lastName,
       phone: phone || user.phone
     };
     
-    if (req.user.role === 'admin') {
+    if (req.access.any) {
       if (role) updateData.role = role;
       if (isActive !== undefined) updateData.isActive = isActive;
     }
     
     await user.update(updateData);
     
+    if (updateData.isActive === false) {
+      const { Session } = require('../models');
+      await Session.revokeAllForUser(user.id, 'account_deactivated');
+    }
+    
     res.status(200).json({
       status: 'success',
       message: 'User updated successfully',
@@ -146,8 +136,149 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// Get a user's active sessions (admin only)
+router.get('/:id/sessions', requirePermission('session:list'), async (req, res) => {
+  try {
+    const { User, Session } = require('../models');
+    const { id } = req.params;
+    
+    const user = await User.findByPk(id);
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+    
+    const sessions = await Session.findAll({
+      where: {
+        userId: id,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastUsedAt', 'DESC']]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke all of a user's sessions (admin only)
+router.delete('/:id/sessions', requirePermission('session:revoke'), async (req, res) => {
+  try {
+    const { User, Session } = require('../models');
+    const { id } = req.params;
+    
+    const user = await User.findByPk(id);
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+    
+    const revoked = await Session.revokeAllForUser(id, 'admin_revoked');
+    
+    res.status(200).json({
+      status: 'success',
+      message: `${revoked} sessions revoked successfully`,
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke a single session (admin only)
+router.delete('/:id/sessions/:sessionId', requirePermission('session:revoke'), async (req, res) => {
+  try {
+    const { Session } = require('../models');
+    const { id, sessionId } = req.params;
+    
+    const session = await Session.findOne({ where: { id: sessionId, userId: id } });
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+    
+    await session.revoke('admin_revoked');
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully',
+      data: { session }
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Unlock an account locked by failed logins (admin only)
+router.patch('/:id/unlock', requirePermission('user:unlock'), async (req, res) => {
+  try {
+    const { User } = require('../models');
+    const { id } = req.params;
+    
+    const user = await User.findByPk(id);
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+    
+    const wasLocked = user.isLocked();
+    await user.resetLoginFailures();
+    
+    await logSecurityEvent({
+      userId: req.user.id,
+      action: 'account_unlocked',
+      resource: 'user',
+      resourceId: user.id,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent'),
+      severity: 'medium',
+      description: wasLocked
+        ? `Account ${user.email} unlocked by admin`
+        : `Failed login counters of ${user.email} cleared by admin`,
+      isSuccessful: true
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Account unlocked successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Delete user (admin only)
-router.delete('/:id', authorize('admin'), async (req, res) => {
+router.delete('/:id', requirePermission('user:delete'), async (req, res) => {
   try {
     const { User } = require('../models');
     const { id } = req.params;
@@ -0,0 +1,230 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { VITAL_SIGN_TYPES } = require('../data/vitalSigns');
+
+// Mounted at /api/patients/:id/vitals
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const patientTarget = { resource: 'patient', target: req => req.params.id };
+
+const VITAL_SIGN_TYPE_NAMES = Object.keys(VITAL_SIGN_TYPES);
+
+// Validation rules
+const seriesValidation = [
+  query('type')
+    .optional()
+    .customSanitizer(value => [].concat(value).join(','))
+    .custom(value => String(value).split(',').every(type => VITAL_SIGN_TYPE_NAMES.includes(type.trim())))
+    .withMessage(`Type must be one or more of: ${VITAL_SIGN_TYPE_NAMES.join(', ')}`),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid from date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid to date')
+];
+
+const vitalSignValidation = [
+  body('observations')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Between 1 and 20 observations are required'),
+  body('observations.*.type')
+    .isIn(VITAL_SIGN_TYPE_NAMES)
+    .withMessage('Invalid vital sign type'),
+  body('observations.*.value')
+    .isFloat()
+    .withMessage('Each observation needs a numeric value'),
+  body('observations.*.unit')
+    .optional()
+    .isString()
+    .withMessage('Unit must be a string'),
+  body('observations.*.observedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid observation date'),
+  body('observedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid observation date'),
+  body('medicalRecordId')
+    .optional()
+    .isUUID()
+    .withMessage('Please provide a valid medical record ID')
+];
+
+// Get a patient's vital sign series (`?type=heart_rate,weight&from=&to=`) with a trend
+// summary and the current reference range per type
+router.get('/', seriesValidation, requirePermission('vitalSign:list', patientTarget), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { VitalSign, Patient } = require('../models');
+    const { Op } = require('sequelize');
+    const { getHiddenRecordIds } = require('../services/accessPolicy');
+    const { type, from, to } = req.query;
+    
+    const patient = await Patient.findByPk(req.params.id);
+    if (!patient) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Patient not found'
+      });
+    }
+    
+    const whereClause = { patientId: patient.id };
+    const types = type ? type.split(',').map(name => name.trim()) : [];
+    if (types.length) whereClause.type = { [Op.in]: types };
+    
+    // A date without a time covers that whole day
+    if (from || to) {
+      whereClause.observedAt = {};
+      if (from) whereClause.observedAt[Op.gte] = new Date(from);
+      if (to) whereClause.observedAt[Op.lte] = new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to);
+    }
+    
+    const hiddenRecordIds = await getHiddenRecordIds(req.user, { patientId: patient.id });
+    if (hiddenRecordIds.length) {
+      whereClause[Op.or] = [
+        { medicalRecordId: null },
+        { medicalRecordId: { [Op.notIn]: hiddenRecordIds } }
+      ];
+    }
+    
+    const vitals = await VitalSign.findAll({
+      where: whereClause,
+      order: [['observedAt', 'ASC'], ['createdAt', 'ASC']]
+    });
+    
+    const series = vitals.reduce((grouped, vital) => {
+      (grouped[vital.type] = grouped[vital.type] || []).push(vital);
+      return grouped;
+    }, {});
+    
+    const trends = {};
+    const ranges = {};
+    Object.entries(series).forEach(([name, observations]) => {
+      trends[name] = VitalSign.summarizeSeries(observations);
+      ranges[name] = VitalSign.getReferenceRange(name, patient);
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { vitals, trends, ranges }
+    });
+  } catch (error) {
+    console.error('Get vital signs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Record vital signs, standalone or as part of one of the patient's medical records
+router.post('/', vitalSignValidation, requirePermission('vitalSign:create', patientTarget), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { VitalSign, Patient, MedicalRecord } = require('../models');
+    const { observations, observedAt, medicalRecordId } = req.body;
+    
+    const unsupported = observations.find(observation => !VitalSign.normalize(observation));
+    if (unsupported) {
+      const definition = VITAL_SIGN_TYPES[unsupported.type];
+      const units = [definition.unit, ...Object.keys(definition.conversions || {})];
+      return res.status(400).json({
+        status: 'error',
+        message: `Unsupported unit "${unsupported.unit}" for ${unsupported.type}; use one of: ${units.join(', ')}`
+      });
+    }
+    
+    const patient = await Patient.findByPk(req.params.id);
+    if (!patient) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Patient not found'
+      });
+    }
+    
+    if (medicalRecordId) {
+      const record = await MedicalRecord.findByPk(medicalRecordId);
+      if (!record || record.patientId !== patient.id) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Medical record not found'
+        });
+      }
+    }
+    
+    const vitals = await VitalSign.record(patient, observations, {
+      observedAt: observedAt ? new Date(observedAt) : new Date(),
+      medicalRecordId,
+      recordedBy: req.user.id
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Vital signs recorded successfully',
+      data: { vitals }
+    });
+  } catch (error) {
+    console.error('Record vital signs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete an observation entered in error
+router.delete('/:vitalSignId', requirePermission('vitalSign:delete', patientTarget), async (req, res) => {
+  try {
+    const { VitalSign } = require('../models');
+    const { id, vitalSignId } = req.params;
+    
+    const vital = await VitalSign.findOne({ where: { id: vitalSignId, patientId: id } });
+    if (!vital) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Vital sign not found'
+      });
+    }
+    
+    await vital.destroy();
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Vital sign deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete vital sign error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,341 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { TIME_PATTERN, dateKey } = require('../services/doctorSchedule');
+const { acceptOffer, declineOffer, leaveWaitlist } = require('../services/waitlist');
+
+const router = express.Router();
+
+// Validation rules
+const waitlistValidation = [
+  body('patientId')
+    .isUUID()
+    .withMessage('Valid patient ID is required'),
+  body('doctorId')
+    .isUUID()
+    .withMessage('Valid doctor ID is required'),
+  body('earliestDate')
+    .isISO8601()
+    .withMessage('Valid earliest date is required'),
+  body('latestDate')
+    .isISO8601()
+    .withMessage('Valid latest date is required')
+    .bail()
+    .custom((latestDate, { req }) => latestDate.slice(0, 10) >= String(req.body.earliestDate).slice(0, 10))
+    .withMessage('Latest date must not be before earliest date')
+    .bail()
+    .custom(latestDate => latestDate.slice(0, 10) >= dateKey(new Date()))
+    .withMessage('Latest date must not be in the past'),
+  body('earliestTime')
+    .optional({ nullable: true })
+    .matches(TIME_PATTERN)
+    .withMessage('Earliest time must be HH:MM'),
+  body('latestTime')
+    .optional({ nullable: true })
+    .matches(TIME_PATTERN)
+    .withMessage('Latest time must be HH:MM')
+    .bail()
+    .custom((latestTime, { req }) => !req.body.earliestTime || latestTime > req.body.earliestTime)
+    .withMessage('Latest time must be after earliest time'),
+  body('type')
+    .optional()
+    .isIn(['consultation', 'follow_up', 'emergency', 'routine_checkup', 'specialist_referral'])
+    .withMessage('Invalid appointment type'),
+  body('reason')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be less than 1000 characters')
+];
+
+const offerTokenValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Offer token is required')
+];
+
+// The pending offer an emailed token belongs to, or null when it is invalid or has expired
+const findPendingOffer = async (token) => {
+  const { WaitlistOffer } = require('../models');
+  const offer = await WaitlistOffer.findOne({ where: { tokenHash: WaitlistOffer.hashToken(token) } });
+  return offer && offer.isPending() ? offer : null;
+};
+
+// Offers are answered through the emailed link, which stands in for signing in
+
+// Accept an offered appointment
+router.post('/offers/accept', offerTokenValidation, async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const offer = await findPendingOffer(req.body.token);
+    const result = offer ? await acceptOffer(offer) : {};
+    if (!result.offer) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Offer link is invalid or has expired'
+      });
+    }
+    
+    if (!result.appointment) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'The appointment has been taken in the meantime; you remain on the waitlist',
+        data: { conflicts: result.conflicts }
+      });
+    }
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Appointment scheduled successfully',
+      data: {
+        appointment: result.appointment,
+        entry: result.entry
+      }
+    });
+  } catch (error) {
+    console.error('Accept waitlist offer error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Decline an offered appointment, staying on the waitlist
+router.post('/offers/decline', offerTokenValidation, async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const offer = await findPendingOffer(req.body.token);
+    if (!offer || !(await declineOffer(offer))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Offer link is invalid or has expired'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Offer declined; you remain on the waitlist'
+    });
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// All other routes require authentication
+router.use(authenticateToken);
+
+// Get waitlist entries
+router.get('/', requirePermission('waitlist:list'), async (req, res) => {
+  try {
+    const { WaitlistEntry, Patient, Doctor, User } = require('../models');
+    const { Op } = require('sequelize');
+    const { page = 1, limit = 10, patientId, doctorId, status } = req.query;
+    
+    const offset = (page - 1) * limit;
+    const whereClause = {};
+    
+    if (patientId) whereClause.patientId = patientId;
+    if (doctorId) whereClause.doctorId = doctorId;
+    if (status) whereClause.status = status;
+    
+    const { count, rows: entries } = await WaitlistEntry.findAndCountAll({
+      where: { [Op.and]: [whereClause, req.access.where] },
+      include: [
+        {
+          model: Patient,
+          as: 'patient',
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+          }]
+        },
+        {
+          model: Doctor,
+          as: 'doctor',
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'firstName', 'lastName']
+          }]
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'ASC']]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        entries,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a waitlist entry with its offers
+router.get('/:id', requirePermission('waitlist:read', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { WaitlistEntry, WaitlistOffer } = require('../models');
+    
+    const entry = await WaitlistEntry.findByPk(req.params.id, {
+      include: [{ model: WaitlistOffer, as: 'offers' }],
+      order: [[{ model: WaitlistOffer, as: 'offers' }, 'createdAt', 'ASC']]
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { entry }
+    });
+  } catch (error) {
+    console.error('Get waitlist entry error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Put a patient on a doctor's waitlist
+router.post('/', waitlistValidation, requirePermission('waitlist:create', { target: req => req.body }), async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { WaitlistEntry, Patient, Doctor } = require('../models');
+    const { Op } = require('sequelize');
+    const {
+      patientId,
+      doctorId,
+      earliestDate,
+      latestDate,
+      earliestTime,
+      latestTime,
+      type = 'consultation',
+      reason
+    } = req.body;
+    
+    const patient = await Patient.findByPk(patientId);
+    if (!patient) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Patient not found'
+      });
+    }
+    
+    const doctor = await Doctor.findByPk(doctorId);
+    if (!doctor) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Doctor not found'
+      });
+    }
+    
+    const existing = await WaitlistEntry.findOne({
+      where: { patientId, doctorId, status: { [Op.in]: ['waiting', 'offered'] } }
+    });
+    if (existing) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Patient is already on this doctor\'s waitlist',
+        data: { entry: existing }
+      });
+    }
+    
+    const entry = await WaitlistEntry.create({
+      patientId,
+      doctorId,
+      earliestDate: earliestDate.slice(0, 10),
+      latestDate: latestDate.slice(0, 10),
+      earliestTime: earliestTime || null,
+      latestTime: latestTime || null,
+      type,
+      reason,
+      createdBy: req.user.id
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Added to the waitlist successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    console.error('Create waitlist entry error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Take a patient off a waitlist; a pending offer passes to the next patient
+router.patch('/:id/cancel', requirePermission('waitlist:cancel', { target: req => req.params.id }), async (req, res) => {
+  try {
+    const { WaitlistEntry } = require('../models');
+    
+    const entry = await WaitlistEntry.findByPk(req.params.id);
+    if (!entry.isOpen()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Patient is no longer waiting'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Removed from the waitlist successfully',
+      data: { entry: await leaveWaitlist(entry) }
+    });
+  } catch (error) {
+    console.error('Cancel waitlist entry error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
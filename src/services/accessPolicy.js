@@ -0,0 +1,406 @@
+const { Op } = require('sequelize');
+
+// Permissions have the form `resource:action:scope`.
+// The scope says which instances the permission covers:
+//   any      - every instance
+//   assigned - instances belonging to patients the doctor has an active care relationship with
+//              and data sharing consent from, or emergency (break-glass) access to
+//   own      - instances belonging to the user (their own profile, appointments, authored records...)
+// Any other third segment is a qualifier checked on its own, e.g. `medicalRecord:read:confidential`,
+// which would let a role read every confidential record. No role holds it by default: confidential
+// records are only visible to their author and to users granted access to the record.
+const SCOPES = ['any', 'assigned', 'own'];
+
+const ROLE_PERMISSIONS = {
+  admin: [
+    'user:list:any', 'user:read:any', 'user:update:any', 'user:delete:any', 'user:unlock:any',
+    'session:list:any', 'session:revoke:any',
+    'patient:list:any', 'patient:read:any', 'patient:create:any', 'patient:update:any', 'patient:delete:any',
+    'patient:export:any', 'patient:import:any',
+    'doctor:list:any', 'doctor:read:any', 'doctor:create:any', 'doctor:update:any', 'doctor:delete:any',
+    'schedule:read:any', 'schedule:update:any', 'holiday:list:any', 'holiday:create:any', 'holiday:delete:any',
+    'patientDoctor:list:any', 'patientDoctor:read:any', 'patientDoctor:create:any',
+    'patientDoctor:update:any', 'patientDoctor:delete:any',
+    'appointment:list:any', 'appointment:read:any', 'appointment:create:any', 'appointment:update:any',
+    'appointment:update:status', 'appointment:cancel:any', 'appointment:confirm:any',
+    'waitlist:list:any', 'waitlist:read:any', 'waitlist:create:any', 'waitlist:cancel:any',
+    'medicalRecord:list:any', 'medicalRecord:read:any', 'medicalRecord:create:any',
+    'medicalRecord:update:any', 'medicalRecord:archive:any', 'medicalRecord:share:any',
+    'file:upload:any', 'file:read:any', 'file:list:any', 'file:delete:any',
+    'consent:list:any', 'consent:grant:any', 'consent:withdraw:any',
+    'consentDocument:read:any', 'consentDocument:publish:any',
+    'allergy:list:any', 'allergy:create:any', 'allergy:update:any', 'allergy:delete:any',
+    'medication:list:any', 'medication:create:any', 'medication:update:any', 'medication:delete:any',
+    'prescription:list:any', 'prescription:read:any', 'prescription:discontinue:any',
+    'vitalSign:list:any', 'vitalSign:create:any', 'vitalSign:delete:any',
+    'labOrder:list:any', 'labOrder:read:any', 'labOrder:result:any', 'labOrder:cancel:any',
+    'labResult:list:any',
+    'hl7Message:list:any', 'hl7Message:read:any', 'hl7Message:resolve:any',
+    'auditLog:read:any',
+    'twoFactorPolicy:read:any', 'twoFactorPolicy:update:any'
+  ],
+  doctor: [
+    'user:read:own', 'user:update:own',
+    'patient:list:assigned', 'patient:read:assigned', 'patient:create:any', 'patient:update:assigned',
+    'patient:export:assigned', 'patient:import:any', 'patient:breakGlass:any',
+    'doctor:list:any', 'doctor:read:any', 'doctor:create:own', 'doctor:update:own',
+    'schedule:read:own', 'schedule:update:own', 'holiday:list:any',
+    'patientDoctor:list:own', 'patientDoctor:read:own', 'patientDoctor:create:own',
+    'patientDoctor:update:own', 'patientDoctor:delete:own',
+    'appointment:list:own', 'appointment:read:own', 'appointment:create:any', 'appointment:update:own',
+    'appointment:update:status', 'appointment:cancel:own', 'appointment:confirm:own',
+    'waitlist:list:own', 'waitlist:read:own', 'waitlist:create:any', 'waitlist:cancel:own',
+    'medicalRecord:list:assigned', 'medicalRecord:read:assigned', 'medicalRecord:create:assigned',
+    'medicalRecord:update:own', 'medicalRecord:archive:own', 'medicalRecord:share:own',
+    'consent:list:assigned', 'consentDocument:read:any',
+    'allergy:list:assigned', 'allergy:create:assigned', 'allergy:update:assigned', 'allergy:delete:assigned',
+    'medication:list:assigned', 'medication:create:assigned', 'medication:update:assigned',
+    'medication:delete:assigned',
+    'prescription:list:own', 'prescription:list:assigned', 'prescription:read:own', 'prescription:read:assigned',
+    'prescription:create:assigned', 'prescription:renew:assigned', 'prescription:discontinue:assigned',
+    'vitalSign:list:assigned', 'vitalSign:create:assigned', 'vitalSign:delete:assigned',
+    'labOrder:list:own', 'labOrder:list:assigned', 'labOrder:read:own', 'labOrder:read:assigned',
+    'labOrder:create:assigned', 'labOrder:result:assigned', 'labOrder:cancel:own', 'labOrder:cancel:assigned',
+    'labResult:list:assigned',
+    'file:upload:any', 'file:read:any', 'file:list:any', 'file:delete:any'
+  ],
+  patient: [
+    'user:read:own', 'user:update:own',
+    'patient:list:own', 'patient:read:own', 'patient:create:own', 'patient:update:own', 'patient:export:own',
+    'doctor:list:any', 'doctor:read:any', 'holiday:list:any',
+    'patientDoctor:list:own', 'patientDoctor:read:own', 'patientDoctor:create:own', 'patientDoctor:update:own',
+    'appointment:list:own', 'appointment:read:own', 'appointment:create:own', 'appointment:update:own',
+    'appointment:cancel:own',
+    'waitlist:list:own', 'waitlist:read:own', 'waitlist:create:own', 'waitlist:cancel:own',
+    'medicalRecord:list:own', 'medicalRecord:read:own',
+    'consent:list:own', 'consent:grant:own', 'consent:withdraw:own', 'consentDocument:read:any',
+    'allergy:list:own', 'allergy:create:own', 'allergy:update:own',
+    'medication:list:own', 'medication:create:own', 'medication:update:own',
+    'prescription:list:own', 'prescription:read:own',
+    'vitalSign:list:own', 'vitalSign:create:own',
+    'labOrder:list:own', 'labOrder:read:own', 'labResult:list:own',
+    'file:read:any'
+  ]
+};
+
+// Check a single permission, e.g. hasPermission('doctor', 'appointment:update:status')
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+// Scopes a role holds for `resource:action`, broadest first
+const getScopes = (role, permission) => {
+  return SCOPES.filter(scope => hasPermission(role, `${permission}:${scope}`));
+};
+
+// Patient and doctor profile IDs of a user, cached per user object (i.e. per request)
+const profileCache = new WeakMap();
+
+const getProfileIds = async (user) => {
+  if (!profileCache.has(user)) {
+    const { Patient, Doctor } = require('../models');
+    const [patient, doctor] = await Promise.all([
+      user.role === 'patient' ? Patient.findOne({ where: { userId: user.id }, attributes: ['id'] }) : null,
+      user.role === 'doctor' ? Doctor.findOne({ where: { userId: user.id }, attributes: ['id'] }) : null
+    ]);
+    profileCache.set(user, {
+      patientId: patient ? patient.id : null,
+      doctorId: doctor ? doctor.id : null
+    });
+  }
+  return profileCache.get(user);
+};
+
+// IDs of patients sharing their data with the user, as a doctor, through data sharing consent
+const getSharingPatientIds = async (user) => {
+  const { doctorId } = await getProfileIds(user);
+  if (!doctorId) return [];
+
+  const { Consent } = require('../models');
+  return await Consent.getSharingPatientIds(doctorId);
+};
+
+// IDs of patients the user, as a doctor, has a currently active care relationship and data
+// sharing consent with, plus those they opened break-glass access to (which needs no consent)
+const getAssignedPatientIds = async (user) => {
+  const { doctorId } = await getProfileIds(user);
+  if (!doctorId) return [];
+
+  const { PatientDoctor, BreakGlassAccess } = require('../models');
+  const [relationships, sharingPatientIds, emergencyPatientIds] = await Promise.all([
+    PatientDoctor.findAll({
+      where: { doctorId, status: 'active', isActive: true }
+    }),
+    getSharingPatientIds(user),
+    BreakGlassAccess.getActivePatientIds(user.id)
+  ]);
+
+  const patientIds = relationships
+    .filter(relationship => relationship.isCurrentlyActive())
+    .map(relationship => relationship.patientId)
+    .filter(patientId => sharingPatientIds.includes(patientId));
+
+  return [...new Set([...patientIds, ...emergencyPatientIds])];
+};
+
+const isAssignedTo = async (user, patientId) => {
+  return Boolean(patientId) && (await getAssignedPatientIds(user)).includes(patientId);
+};
+
+// A where clause that matches nothing, for users without the profile a scope relies on
+const NOTHING = { id: null };
+
+// Confidential records are limited to their author, users granted access to the record
+// and roles holding `medicalRecord:read:confidential`
+const canSeeConfidential = async (user, record) => {
+  if (!record.isConfidential || record.createdBy === user.id) return true;
+  if (hasPermission(user.role, 'medicalRecord:read:confidential')) return true;
+
+  const { MedicalRecordAccess } = require('../models');
+  return await MedicalRecordAccess.hasActiveGrant(record.id, user.id);
+};
+
+const confidentialityWhere = async (user) => {
+  if (hasPermission(user.role, 'medicalRecord:read:confidential')) return null;
+
+  const { MedicalRecordAccess } = require('../models');
+  return {
+    [Op.or]: [
+      { isConfidential: false },
+      { createdBy: user.id },
+      { id: { [Op.in]: await MedicalRecordAccess.getGrantedRecordIds(user.id) } }
+    ]
+  };
+};
+
+// IDs of confidential medical records matching `where` (e.g. one patient's) that the user may
+// not see; data recorded with them, such as vital signs, is left out as well
+const getHiddenRecordIds = async (user, where = {}) => {
+  const visible = await confidentialityWhere(user);
+  if (!visible) return [];
+
+  const { MedicalRecord } = require('../models');
+  const hidden = await MedicalRecord.findAll({
+    where: { ...where, [Op.not]: visible },
+    attributes: ['id']
+  });
+  return hidden.map(record => record.id);
+};
+
+// Doctors only see relationships with patients who consented to share data with them
+const sharesDataWith = async (user, relationship) => {
+  const { doctorId } = await getProfileIds(user);
+  return !doctorId || (await getSharingPatientIds(user)).includes(relationship.patientId);
+};
+
+const sharingWhere = async (user) => {
+  const { doctorId } = await getProfileIds(user);
+  return doctorId ? { patientId: { [Op.in]: await getSharingPatientIds(user) } } : null;
+};
+
+// Ownership rules per resource type. For each scope, `check` decides whether a loaded
+// instance is covered and `where` builds the matching filter for list queries.
+// `guards` add per-action conditions on top of any scope, `filters` their list counterpart.
+// `model` and `label` are used when a route asks the middleware to load the target.
+const RESOURCES = {
+  user: {
+    model: 'User',
+    label: 'User',
+    own: {
+      check: async (user, target) => target.id === user.id,
+      where: async (user) => ({ id: user.id })
+    }
+  },
+  patient: {
+    model: 'Patient',
+    label: 'Patient',
+    own: {
+      check: async (user, patient) => patient.userId === user.id,
+      where: async (user) => ({ userId: user.id })
+    },
+    assigned: {
+      check: async (user, patient) => isAssignedTo(user, patient.id),
+      where: async (user) => ({ id: { [Op.in]: await getAssignedPatientIds(user) } })
+    }
+  },
+  doctor: {
+    model: 'Doctor',
+    label: 'Doctor',
+    own: {
+      check: async (user, doctor) => doctor.userId === user.id,
+      where: async (user) => ({ userId: user.id })
+    }
+  },
+  patientDoctor: {
+    model: 'PatientDoctor',
+    label: 'Relationship',
+    own: {
+      check: async (user, relationship) => {
+        const { patientId, doctorId } = await getProfileIds(user);
+        return Boolean(
+          (patientId && relationship.patientId === patientId) ||
+          (doctorId && relationship.doctorId === doctorId)
+        );
+      },
+      where: async (user) => {
+        const { patientId, doctorId } = await getProfileIds(user);
+        if (patientId) return { patientId };
+        if (doctorId) return { doctorId };
+        return NOTHING;
+      }
+    },
+    guards: {
+      read: sharesDataWith,
+      update: sharesDataWith
+    },
+    filters: {
+      list: sharingWhere
+    }
+  },
+  appointment: {
+    model: 'Appointment',
+    label: 'Appointment',
+    own: {
+      check: async (user, appointment) => RESOURCES.patientDoctor.own.check(user, appointment),
+      where: async (user) => RESOURCES.patientDoctor.own.where(user)
+    },
+    assigned: {
+      check: async (user, appointment) => isAssignedTo(user, appointment.patientId),
+      where: async (user) => ({ patientId: { [Op.in]: await getAssignedPatientIds(user) } })
+    }
+  },
+  // Recurring appointments, covered by the appointment permissions of their occurrences
+  appointmentSeries: {
+    model: 'AppointmentSeries',
+    label: 'Appointment series',
+    own: {
+      check: async (user, series) => RESOURCES.appointment.own.check(user, series),
+      where: async (user) => RESOURCES.appointment.own.where(user)
+    },
+    assigned: {
+      check: async (user, series) => RESOURCES.appointment.assigned.check(user, series),
+      where: async (user) => RESOURCES.appointment.assigned.where(user)
+    }
+  },
+  // Doctors' waitlists; an entry is the user's own if it is for them or on their waitlist
+  waitlist: {
+    model: 'WaitlistEntry',
+    label: 'Waitlist entry',
+    own: {
+      check: async (user, entry) => RESOURCES.patientDoctor.own.check(user, entry),
+      where: async (user) => RESOURCES.patientDoctor.own.where(user)
+    }
+  },
+  medicalRecord: {
+    model: 'MedicalRecord',
+    label: 'Medical record',
+    // A record is the user's own if it is about them or they wrote it
+    own: {
+      check: async (user, record) => {
+        const { patientId } = await getProfileIds(user);
+        return record.createdBy === user.id || Boolean(patientId && record.patientId === patientId);
+      },
+      where: async (user) => {
+        const { patientId } = await getProfileIds(user);
+        return patientId
+          ? { [Op.or]: [{ createdBy: user.id }, { patientId }] }
+          : { createdBy: user.id };
+      }
+    },
+    assigned: {
+      check: async (user, record) => isAssignedTo(user, record.patientId),
+      where: async (user) => ({ patientId: { [Op.in]: await getAssignedPatientIds(user) } })
+    },
+    guards: {
+      read: canSeeConfidential,
+      update: canSeeConfidential,
+      archive: canSeeConfidential
+    },
+    filters: {
+      list: confidentialityWhere
+    }
+  },
+  prescription: {
+    model: 'Prescription',
+    label: 'Prescription',
+    // A prescription is the user's own if it is for them or they wrote it
+    own: {
+      check: async (user, prescription) => RESOURCES.patientDoctor.own.check(user, prescription),
+      where: async (user) => RESOURCES.patientDoctor.own.where(user)
+    },
+    assigned: {
+      check: async (user, prescription) => isAssignedTo(user, prescription.patientId),
+      where: async (user) => ({ patientId: { [Op.in]: await getAssignedPatientIds(user) } })
+    }
+  },
+  labOrder: {
+    model: 'LabOrder',
+    label: 'Lab order',
+    // A lab order is the user's own if it is for them or they ordered it
+    own: {
+      check: async (user, order) => RESOURCES.patientDoctor.own.check(user, order),
+      where: async (user) => RESOURCES.patientDoctor.own.where(user)
+    },
+    assigned: {
+      check: async (user, order) => isAssignedTo(user, order.patientId),
+      where: async (user) => ({ patientId: { [Op.in]: await getAssignedPatientIds(user) } })
+    }
+  },
+  hl7Message: {
+    model: 'Hl7Message',
+    label: 'HL7 message'
+  }
+};
+
+// Decide whether `user` may perform `permission` (`resource:action`) on `target`.
+// `resourceType` names the rules to apply when the target is not the permission's own resource,
+// e.g. reading the medical records of a patient checks `medicalRecord:read` against a patient.
+const canAccess = async (user, permission, target, resourceType = permission.split(':')[0]) => {
+  const scopes = getScopes(user.role, permission);
+  const rules = RESOURCES[resourceType] || {};
+  const action = permission.split(':')[1];
+
+  let covered = scopes.includes('any');
+  for (const scope of scopes) {
+    if (covered) break;
+    if (rules[scope]) covered = await rules[scope].check(user, target);
+  }
+  if (!covered) return false;
+
+  const guard = resourceType === permission.split(':')[0] && rules.guards && rules.guards[action];
+  return guard ? await guard(user, target) : true;
+};
+
+// Where clause limiting a list query on `resource:list` to what the user may see
+const getAccessFilter = async (user, permission, resourceType = permission.split(':')[0]) => {
+  const scopes = getScopes(user.role, permission);
+  const rules = RESOURCES[resourceType] || {};
+  const action = permission.split(':')[1];
+
+  let scopeClause = {};
+  if (!scopes.includes('any')) {
+    const clauses = [];
+    for (const scope of scopes) {
+      if (rules[scope]) clauses.push(await rules[scope].where(user));
+    }
+    if (clauses.length === 0) return NOTHING;
+    scopeClause = clauses.length === 1 ? clauses[0] : { [Op.or]: clauses };
+  }
+
+  const filter = resourceType === permission.split(':')[0] && rules.filters && rules.filters[action];
+  const filterClause = filter ? await filter(user) : null;
+  return filterClause ? { [Op.and]: [scopeClause, filterClause] } : scopeClause;
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  RESOURCES,
+  hasPermission,
+  getScopes,
+  getProfileIds,
+  getSharingPatientIds,
+  getAssignedPatientIds,
+  canAccess,
+  getAccessFilter,
+  getHiddenRecordIds
+};
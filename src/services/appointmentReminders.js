@@ -0,0 +1,155 @@
+const { Op } = require('sequelize');
+const { ACTIVE_STATUSES } = require('./appointmentScheduling');
+const emailService = require('./emailService');
+
+// Appointment reminders, sent by a background scheduler at REMINDER_OFFSETS before each scheduled
+// or confirmed appointment (default "24h,2h"). Each run sends the reminders that have come due, so
+// runs missed during a restart are caught up. Only an appointment's latest due reminder is sent:
+// one booked an hour ahead gets the 2h reminder, not both.
+
+// Attempts at sending a reminder before giving up
+const MAX_ATTEMPTS = 3;
+
+// A reminder claimed this long ago and still not sent (the process stopped while sending) is retried
+const STALE_CLAIM_MINUTES = 10;
+
+// Minutes before the appointment of offsets such as "24h,2h" or "1d,90m", largest first
+const parseOffsets = (value) => {
+  const offsets = String(value).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = /^(\d+)\s*([mhd])$/i.exec(part);
+    if (!match || Number(match[1]) === 0) {
+      throw new Error(`Invalid reminder offset "${part}"; use e.g. 24h, 90m or 2d`);
+    }
+    return Number(match[1]) * { m: 1, h: 60, d: 24 * 60 }[match[2].toLowerCase()];
+  });
+  if (offsets.length === 0) throw new Error('At least one reminder offset is required');
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+// Claim `appointment`'s reminder at `offsetMinutes` for sending at `now`. Resolves to null when it
+// was sent, is being sent elsewhere or has failed MAX_ATTEMPTS times.
+const claimReminder = async (appointment, offsetMinutes, now) => {
+  const { AppointmentReminder } = require('../models');
+
+  const [reminder, created] = await AppointmentReminder.findOrCreate({
+    where: { appointmentId: appointment.id, offsetMinutes, appointmentDate: appointment.appointmentDate },
+    defaults: { status: 'sending', attempts: 1, claimedAt: now }
+  });
+  if (created) return reminder;
+  if (reminder.status === 'sent' || reminder.attempts >= MAX_ATTEMPTS) return null;
+
+  // Retry a failed or abandoned attempt, unless another run got to it first
+  const staleBefore = new Date(now.getTime() - STALE_CLAIM_MINUTES * 60 * 1000);
+  const [count] = await AppointmentReminder.update(
+    { status: 'sending', attempts: reminder.attempts + 1, claimedAt: now },
+    {
+      where: {
+        id: reminder.id,
+        attempts: reminder.attempts,
+        [Op.or]: [{ status: 'failed' }, { status: 'sending', claimedAt: { [Op.lt]: staleBefore } }]
+      }
+    }
+  );
+  return count ? await reminder.reload() : null;
+};
+
+// Create a scheduler that sends due reminders every `intervalMs`:
+//   offsets - minutes before the appointment (default from REMINDER_OFFSETS)
+//   now     - the clock, returning the current Date
+//   send    - delivers a reminder, given (appointment, patient user, doctor user, { token, canCancel });
+//             defaults to emailService.sendAppointmentReminderEmail
+// runOnce() sends what is due at now() and resolves to { sent, failed }; runs never overlap.
+const createReminderScheduler = ({
+  offsets = parseOffsets(process.env.REMINDER_OFFSETS || '24h,2h'),
+  now = () => new Date(),
+  send = (...args) => emailService.sendAppointmentReminderEmail(...args),
+  intervalMs = 60 * 1000
+} = {}) => {
+  let timer = null;
+  let running = null;
+
+  const run = async () => {
+    const { Appointment, AppointmentReminder, Patient, Doctor, User } = require('../models');
+    const time = now();
+    const result = { sent: 0, failed: 0 };
+
+    const appointments = await Appointment.findAll({
+      where: {
+        status: { [Op.in]: ACTIVE_STATUSES },
+        appointmentDate: { [Op.gt]: time, [Op.lte]: new Date(time.getTime() + offsets[0] * 60 * 1000) }
+      },
+      include: [
+        { model: Patient, as: 'patient', include: [{ model: User, as: 'user' }] },
+        { model: Doctor, as: 'doctor', include: [{ model: User, as: 'user' }] }
+      ],
+      order: [['appointmentDate', 'ASC']]
+    });
+
+    for (const appointment of appointments) {
+      const minutesLeft = (new Date(appointment.appointmentDate) - time) / (60 * 1000);
+      const offsetMinutes = Math.min(...offsets.filter(offset => offset >= minutesLeft));
+
+      const reminder = await claimReminder(appointment, offsetMinutes, time);
+      if (!reminder) continue;
+
+      // The token is stored first so the link works as soon as the email arrives
+      const { token, tokenHash } = AppointmentReminder.createToken();
+      try {
+        await reminder.update({ tokenHash });
+        await send(appointment, appointment.patient.user, appointment.doctor.user, {
+          token,
+          canCancel: appointment.canBeCancelled(time)
+        });
+        await reminder.update({ status: 'sent', sentAt: time, lastError: null });
+        await appointment.update({ reminderSent: true, reminderSentAt: time });
+        result.sent++;
+      } catch (error) {
+        console.error('Send appointment reminder error:', error);
+        await reminder.update({ status: 'failed', lastError: error.message });
+        result.failed++;
+      }
+    }
+    return result;
+  };
+
+  const runOnce = () => {
+    if (!running) running = run().finally(() => { running = null; });
+    return running;
+  };
+
+  return {
+    runOnce,
+    start() {
+      if (!timer) {
+        timer = setInterval(() => {
+          runOnce().catch(error => console.error('Appointment reminder run error:', error));
+        }, intervalMs);
+      }
+      return this;
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+};
+
+// The sent reminder an emailed token belongs to, with its appointment, while the link can be used;
+// resolves to null otherwise
+const findActionableReminder = async (token) => {
+  const { Appointment, AppointmentReminder } = require('../models');
+
+  const reminder = await AppointmentReminder.findOne({
+    where: { tokenHash: AppointmentReminder.hashToken(token) },
+    include: [{ model: Appointment, as: 'appointment' }]
+  });
+  return reminder && reminder.appointment && reminder.isActionable(reminder.appointment) ? reminder : null;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  parseOffsets,
+  createReminderScheduler,
+  findActionableReminder
+};
@@ -0,0 +1,256 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { WEEKDAYS, timeOfDay, dateKey, loadSchedule, checkWorkingHours } = require('./doctorSchedule');
+
+// Recurrence rules for appointment series and the availability checks every appointment time
+// goes through. Times of day and weekdays are in the server's time zone, as in doctors' schedules.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const MAX_OCCURRENCES = 104;
+
+// Appointments that still hold their time
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+
+// Longest appointment, so a query for appointments overlapping a period knows how far back to look
+const MAX_DURATION = 240;
+
+class SchedulingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchedulingError';
+  }
+}
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+// Start times of the occurrences of a recurrence rule, the first one being `start`:
+//   frequency  - daily, weekly or monthly (on the day of the month of `start`; months without
+//                that day are skipped)
+//   interval   - every `interval` days, weeks or months (default 1)
+//   daysOfWeek - weekdays of weekly series (default the weekday of `start`)
+//   count      - number of occurrences, or
+//   until      - last day occurrences may fall on
+// Throws SchedulingError for rules without an end or with more than MAX_OCCURRENCES occurrences.
+const generateOccurrences = (start, { frequency, interval = 1, daysOfWeek, count, until }) => {
+  const first = new Date(start);
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new SchedulingError(`Frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (!count && !until) {
+    throw new SchedulingError('A recurrence needs a count or an until date');
+  }
+  if (count > MAX_OCCURRENCES) {
+    throw new SchedulingError(`A series can have at most ${MAX_OCCURRENCES} occurrences`);
+  }
+
+  // An until date without a time covers that whole day
+  let last = null;
+  if (until) {
+    last = new Date(until);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(until)) last = addDays(new Date(`${until}T00:00:00`), 1);
+    if (last < first) throw new SchedulingError('The until date is before the first occurrence');
+  }
+
+  const occurrences = [];
+  // Whether to go on after `date`; false once the rule has ended
+  const add = (date) => {
+    if (last && date >= last) return false;
+    if (date >= first) {
+      if (occurrences.length === MAX_OCCURRENCES) {
+        throw new SchedulingError(`A series can have at most ${MAX_OCCURRENCES} occurrences`);
+      }
+      occurrences.push(date);
+    }
+    return !count || occurrences.length < count;
+  };
+
+  if (frequency === 'daily') {
+    let step = 0;
+    while (add(addDays(first, step * interval))) step++;
+  } else if (frequency === 'weekly') {
+    const days = (daysOfWeek && daysOfWeek.length ? daysOfWeek : [WEEKDAYS[first.getDay()]])
+      .map(day => WEEKDAYS.indexOf(day.toLowerCase()))
+      .sort((a, b) => a - b);
+    const weekStart = addDays(first, -first.getDay());
+    let week = 0;
+    while (days.every(day => add(addDays(weekStart, week * 7 + day)))) week += interval;
+  } else {
+    const dayOfMonth = first.getDate();
+    // Monthly series on the 29th to 31st skip the months that are too short, so the loop is
+    // bounded by the months tried rather than the occurrences found
+    for (let step = 0; step < MAX_OCCURRENCES * 12; step++) {
+      const date = new Date(first);
+      date.setDate(1);
+      date.setMonth(first.getMonth() + step * interval);
+      date.setDate(dayOfMonth);
+      if (date.getDate() === dayOfMonth && !add(date)) break;
+    }
+  }
+
+  return occurrences;
+};
+
+// Why the doctor cannot see a patient from `start` for `duration` minutes, as a list of
+// { code, message, appointmentId? } (empty when the time is free). `schedule` is the doctor's
+// from loadSchedule and `appointments` their active appointments around that time.
+const getConflicts = (schedule, start, duration, appointments) => {
+  const end = addMinutes(start, duration);
+  const conflicts = [];
+
+  if (start <= new Date()) {
+    conflicts.push({ code: 'in_past', message: 'The time has already passed' });
+  }
+  const outsideHours = checkWorkingHours(schedule.getDay(start), start, duration);
+  if (outsideHours) conflicts.push(outsideHours);
+
+  appointments.forEach(appointment => {
+    const appointmentStart = new Date(appointment.appointmentDate);
+    const appointmentEnd = addMinutes(appointmentStart, appointment.duration);
+    if (appointmentStart < end && appointmentEnd > start) {
+      conflicts.push({
+        code: 'overlapping_appointment',
+        message: `The doctor has an appointment from ${timeOfDay(appointmentStart)} to ${timeOfDay(appointmentEnd)}`,
+        appointmentId: appointment.id,
+        start: appointmentStart,
+        end: appointmentEnd
+      });
+    }
+  });
+
+  return conflicts;
+};
+
+// Check appointment times ([{ start, duration, appointmentId? }]) against `doctor`'s schedule,
+// active appointments and maxPatientsPerDay, ignoring the appointments in `excludeIds` (those
+// being moved). Times are checked in order as if each free one was booked, so several on one
+// day count towards its limit. Resolves to the conflicts of each time.
+const checkAvailability = async (doctor, slots, { excludeIds = [], transaction } = {}) => {
+  const { Appointment } = require('../models');
+  if (slots.length === 0) return [];
+
+  const from = new Date(Math.min(...slots.map(slot => slot.start.getTime())));
+  const to = new Date(Math.max(...slots.map(slot => addMinutes(slot.start, slot.duration).getTime())));
+  // Whole days, for the daily limit, and appointments started before `from` that may still run
+  const firstDay = addMinutes(new Date(new Date(from).setHours(0, 0, 0, 0)), -MAX_DURATION);
+  const lastDay = new Date(new Date(to).setHours(23, 59, 59, 999));
+
+  const schedule = await loadSchedule(doctor, from, to, { transaction });
+  const appointments = await Appointment.findAll({
+    where: {
+      doctorId: doctor.id,
+      status: { [Op.in]: ACTIVE_STATUSES },
+      appointmentDate: { [Op.gt]: firstDay, [Op.lte]: lastDay },
+      ...(excludeIds.length ? { id: { [Op.notIn]: excludeIds } } : {})
+    },
+    attributes: ['id', 'appointmentDate', 'duration'],
+    transaction
+  });
+
+  const perDay = {};
+  appointments.forEach(appointment => {
+    const key = dateKey(appointment.appointmentDate);
+    perDay[key] = (perDay[key] || 0) + 1;
+  });
+
+  return slots.map(slot => {
+    const conflicts = getConflicts(schedule, slot.start, slot.duration, appointments);
+    const key = dateKey(slot.start);
+    if (doctor.maxPatientsPerDay && (perDay[key] || 0) >= doctor.maxPatientsPerDay) {
+      conflicts.push({
+        code: 'daily_limit_reached',
+        message: `The doctor sees at most ${doctor.maxPatientsPerDay} patients a day`
+      });
+    }
+    if (conflicts.length === 0) perDay[key] = (perDay[key] || 0) + 1;
+    return conflicts;
+  });
+};
+
+// Check and book appointment times of `doctorId` in one transaction that holds a lock on the
+// doctor's row, so concurrent bookings for the doctor are made one after the other and none can
+// take a time (or the last place of a day) between the check and the commit.
+// `book(doctor, conflicts, transaction)` gets the conflicts of each slot and writes the
+// appointments, or resolves to null to book nothing. Resolves to { conflicts, result }.
+const bookSlots = async (doctorId, slots, { excludeIds = [] } = {}, book) => {
+  const { Doctor } = require('../models');
+
+  return await sequelize.transaction(async (transaction) => {
+    const doctor = await Doctor.findByPk(doctorId, { lock: transaction.LOCK.UPDATE, transaction });
+    const conflicts = await checkAvailability(doctor, slots, { excludeIds, transaction });
+    const result = await book(doctor, conflicts, transaction);
+    return { conflicts, result };
+  });
+};
+
+// Active appointments from `startDate` to `endDate` ("YYYY-MM-DD", of one doctor or all) that
+// their doctor's schedule no longer allows, e.g. after time off was entered, as
+// [{ appointmentId, doctorId, patientId, appointmentDate, conflicts }]
+const findAffectedAppointments = async ({ doctorId, startDate, endDate }) => {
+  const { Appointment, Doctor } = require('../models');
+  const from = new Date(Math.max(Date.now(), new Date(`${startDate}T00:00:00`).getTime()));
+  const to = new Date(`${endDate}T23:59:59.999`);
+
+  const appointments = await Appointment.findAll({
+    where: {
+      ...(doctorId ? { doctorId } : {}),
+      status: { [Op.in]: ACTIVE_STATUSES },
+      appointmentDate: { [Op.between]: [from, to] }
+    },
+    order: [['appointmentDate', 'ASC']]
+  });
+
+  const affected = [];
+  for (const id of new Set(appointments.map(appointment => appointment.doctorId))) {
+    const doctor = await Doctor.findByPk(id);
+    const own = appointments.filter(appointment => appointment.doctorId === id);
+    // Checked against the schedule only; they do not conflict with each other
+    const conflicts = await checkAvailability(doctor, own.map(appointment => ({
+      start: new Date(appointment.appointmentDate),
+      duration: appointment.duration
+    })), { excludeIds: own.map(appointment => appointment.id) });
+
+    own.forEach((appointment, index) => {
+      if (conflicts[index].length === 0) return;
+      affected.push({
+        appointmentId: appointment.id,
+        doctorId: appointment.doctorId,
+        patientId: appointment.patientId,
+        appointmentDate: appointment.appointmentDate,
+        conflicts: conflicts[index]
+      });
+    });
+  }
+  return affected.sort((a, b) => new Date(a.appointmentDate) - new Date(b.appointmentDate));
+};
+
+// Per-occurrence report of the slots that conflict: [{ occurrence, appointmentId?, appointmentDate,
+// conflicts }], `occurrence` counting from 1 and `appointmentId` set for slots of existing appointments
+const describeConflicts = (slots, conflicts) => slots
+  .map((slot, index) => ({
+    occurrence: index + 1,
+    ...(slot.appointmentId ? { appointmentId: slot.appointmentId } : {}),
+    appointmentDate: slot.start,
+    conflicts: conflicts[index]
+  }))
+  .filter(entry => entry.conflicts.length > 0);
+
+module.exports = {
+  WEEKDAYS,
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  ACTIVE_STATUSES,
+  SchedulingError,
+  addMinutes,
+  generateOccurrences,
+  checkAvailability,
+  bookSlots,
+  findAffectedAppointments,
+  describeConflicts
+};
@@ -0,0 +1,253 @@
+const PDFDocument = require('pdfkit');
+const { Op } = require('sequelize');
+const { VITAL_SIGN_TYPES } = require('../data/vitalSigns');
+const { getHiddenRecordIds } = require('./accessPolicy');
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+
+const formatDateTime = (date) => (date ? `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '-');
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : '-');
+
+const humanize = (value) => (value ? String(value).replace(/_/g, ' ') : '-');
+
+// Medical record fields printed under each record, in order
+const RECORD_FIELDS = [
+  ['description', 'Description'],
+  ['symptoms', 'Symptoms'],
+  ['diagnosis', 'Diagnosis'],
+  ['treatment', 'Treatment'],
+  ['prescription', 'Prescription'],
+  ['followUpNotes', 'Follow-up']
+];
+
+// Load what goes into a patient's chart, as `user` may see it. `from`/`to` limit appointments and
+// medical records by date, `recordTypes` the records by type. Confidential records `user` may not
+// read are left out, with the vital signs taken with them.
+const getChart = async (patient, user, { from = null, to = null, recordTypes = [] } = {}) => {
+  const {
+    User,
+    Doctor,
+    PatientDoctor,
+    Appointment,
+    MedicalRecord,
+    VitalSign,
+    Allergy,
+    Medication
+  } = require('../models');
+
+  const doctorInclude = {
+    model: Doctor,
+    as: 'doctor',
+    attributes: ['id', 'specialization'],
+    include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName'] }]
+  };
+
+  const dateRange = (from || to) ? {
+    ...(from ? { [Op.gte]: from } : {}),
+    ...(to ? { [Op.lte]: to } : {})
+  } : null;
+
+  const hiddenRecordIds = await getHiddenRecordIds(user, { patientId: patient.id });
+  const recordWhere = {
+    patientId: patient.id,
+    status: { [Op.ne]: 'deleted' },
+    ...(hiddenRecordIds.length ? { id: { [Op.notIn]: hiddenRecordIds } } : {}),
+    ...(dateRange ? { createdAt: dateRange } : {}),
+    ...(recordTypes.length ? { recordType: { [Op.in]: recordTypes } } : {})
+  };
+
+  const [allergies, medications, careTeam, appointments, records] = await Promise.all([
+    Allergy.findAll({ where: { patientId: patient.id }, order: [['createdAt', 'ASC']] }),
+    Medication.findAll({ where: { patientId: patient.id }, order: [['startDate', 'DESC'], ['createdAt', 'DESC']] }),
+    PatientDoctor.findAll({ where: { patientId: patient.id }, include: [doctorInclude], order: [['startDate', 'ASC']] }),
+    Appointment.findAll({
+      where: { patientId: patient.id, ...(dateRange ? { appointmentDate: dateRange } : {}) },
+      include: [doctorInclude],
+      order: [['appointmentDate', 'DESC']]
+    }),
+    MedicalRecord.findAll({ where: recordWhere, include: [doctorInclude], order: [['createdAt', 'DESC']] })
+  ]);
+
+  const vitalSigns = records.length
+    ? await VitalSign.findAll({
+      where: { medicalRecordId: { [Op.in]: records.map(record => record.id) } },
+      order: [['observedAt', 'ASC']]
+    })
+    : [];
+
+  return { patient, allergies, medications, careTeam, appointments, records, vitalSigns };
+};
+
+// Start a new page when less than `space` points are left, so headings stay with their content
+const ensureSpace = (doc, space) => {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - space) doc.addPage();
+};
+
+const heading = (doc, title) => {
+  ensureSpace(doc, 80);
+  doc.moveDown();
+  doc.fontSize(14).font('Helvetica-Bold').fillColor('#000000').text(title);
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).lineWidth(0.5).stroke('#999999');
+  doc.moveDown(0.5);
+  doc.fontSize(10).font('Helvetica');
+};
+
+const field = (doc, label, value, options = {}) => {
+  doc.font('Helvetica-Bold').text(`${label}: `, { ...options, continued: true });
+  doc.font('Helvetica').text(value === null || value === undefined || value === '' ? '-' : String(value));
+};
+
+const none = (doc, text) => {
+  doc.font('Helvetica-Oblique').text(text).font('Helvetica');
+};
+
+// Vital signs as one line such as "Heart rate 72 bpm, Temperature 38.4 °C (high)"
+const formatVitals = (vitalSigns) => vitalSigns.map(vital => {
+  const type = VITAL_SIGN_TYPES[vital.type];
+  const flag = vital.flag && vital.flag !== 'normal' ? ` (${humanize(vital.flag)})` : '';
+  const unit = vital.unit || (type ? type.unit : '');
+  return `${type ? type.label : humanize(vital.type)} ${vital.value} ${unit}${flag}`;
+}).join(', ');
+
+// The recipient and time printed across and at the foot of every page, so copies can be traced
+const stampPages = (doc, label) => {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const { width, height, margins } = doc.page;
+    const bottomMargin = margins.bottom;
+    // Writing below the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+
+    doc.save();
+    doc.rotate(-35, { origin: [width / 2, height / 2] });
+    doc.fontSize(22).font('Helvetica-Bold').fillColor('#999999').opacity(0.2);
+    doc.text(label, 0, height / 2 - 11, { width, align: 'center', lineBreak: false });
+    doc.restore();
+
+    doc.opacity(1).fontSize(8).font('Helvetica').fillColor('#666666');
+    doc.text(`${label} - Page ${index + 1} of ${range.count}`, margins.left, height - 35, {
+      width: width - margins.left - margins.right,
+      align: 'center',
+      lineBreak: false
+    });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+// Render a chart from getChart as an A4 PDF written to `output` (e.g. an HTTP response).
+// Every page is watermarked with `requester` and `generatedAt`.
+const renderChartPdf = (chart, output, { requester, generatedAt = new Date(), filters = {} }) => {
+  const { VitalSign } = require('../models');
+  const { patient, allergies, medications, careTeam, appointments, records, vitalSigns } = chart;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    bufferPages: true,
+    info: { Title: `Patient chart - ${fullName(patient.user)}` }
+  });
+  doc.pipe(output);
+
+  doc.fillColor('#000000');
+  doc.fontSize(20).font('Helvetica-Bold').text('Patient Chart', { align: 'center' });
+  doc.fontSize(10).font('Helvetica').fillColor('#666666');
+  const period = filters.from || filters.to
+    ? `${filters.from ? formatDate(filters.from) : 'start'} to ${filters.to ? formatDate(filters.to) : 'today'}`
+    : 'all dates';
+  doc.text(`Appointments and medical records: ${period}`, { align: 'center' });
+  if (filters.recordTypes && filters.recordTypes.length) {
+    doc.text(`Record types: ${filters.recordTypes.map(humanize).join(', ')}`, { align: 'center' });
+  }
+  doc.fillColor('#000000');
+
+  heading(doc, 'Demographics');
+  const { user } = patient;
+  field(doc, 'Name', fullName(user));
+  field(doc, 'Medical record number', patient.medicalRecordNumber);
+  field(doc, 'Date of birth', `${formatDate(patient.dateOfBirth)} (age ${patient.getAge()})`);
+  field(doc, 'Gender', humanize(patient.gender));
+  field(doc, 'Blood type', patient.bloodType);
+  field(doc, 'Email', user && user.email);
+  field(doc, 'Phone', user && user.phone);
+  field(doc, 'Address', [patient.address, patient.city, patient.state, patient.zipCode, patient.country].filter(Boolean).join(', '));
+  if (patient.emergencyContactName) {
+    field(doc, 'Emergency contact', [
+      patient.emergencyContactName,
+      patient.emergencyContactRelation && `(${patient.emergencyContactRelation})`,
+      patient.emergencyContactPhone
+    ].filter(Boolean).join(' '));
+  }
+  if (patient.insuranceProvider) field(doc, 'Insurance', patient.insuranceProvider);
+
+  heading(doc, 'Allergies');
+  if (allergies.length === 0) none(doc, 'No allergies recorded');
+  allergies.forEach(allergy => {
+    doc.font('Helvetica-Bold').text(allergy.substance, { continued: true })
+      .font('Helvetica').text(` - ${humanize(allergy.category)}, ${humanize(allergy.severity)}, ${allergy.status}`);
+    if (allergy.reaction) doc.text(`Reaction: ${allergy.reaction}`, { indent: 15 });
+  });
+
+  heading(doc, 'Medications');
+  if (medications.length === 0) none(doc, 'No medications recorded');
+  medications.forEach(medication => {
+    const dosage = [medication.dose, medication.route, medication.frequency].filter(Boolean).join(' ');
+    doc.font('Helvetica-Bold').text(medication.drug, { continued: true })
+      .font('Helvetica').text(`${dosage ? ` - ${dosage}` : ''} (${medication.isActive() ? 'current' : 'stopped'})`);
+    doc.text(`From ${formatDate(medication.startDate)}${medication.stopDate ? ` to ${formatDate(medication.stopDate)}` : ''}`, { indent: 15 });
+  });
+
+  heading(doc, 'Care Team');
+  if (careTeam.length === 0) none(doc, 'No doctors assigned');
+  careTeam.forEach(relationship => {
+    const { doctor } = relationship;
+    doc.font('Helvetica-Bold').text(`Dr. ${fullName(doctor && doctor.user)}`, { continued: true })
+      .font('Helvetica').text(` - ${doctor ? doctor.specialization : '-'}, ${humanize(relationship.relationshipType)}`);
+    const until = relationship.endDate ? ` to ${formatDate(relationship.endDate)}` : '';
+    doc.text(`${formatDate(relationship.startDate)}${until} (${relationship.status})`, { indent: 15 });
+  });
+
+  heading(doc, 'Appointment History');
+  if (appointments.length === 0) none(doc, 'No appointments in this period');
+  appointments.forEach(appointment => {
+    ensureSpace(doc, 30);
+    doc.font('Helvetica-Bold').text(formatDateTime(appointment.appointmentDate), { continued: true })
+      .font('Helvetica').text(` - Dr. ${fullName(appointment.doctor && appointment.doctor.user)}, ${humanize(appointment.type)}, ${humanize(appointment.status)}`);
+    if (appointment.reason) doc.text(`Reason: ${appointment.reason}`, { indent: 15 });
+  });
+
+  heading(doc, 'Medical Records');
+  if (records.length === 0) none(doc, 'No medical records in this period');
+  records.forEach(record => {
+    ensureSpace(doc, 60);
+    doc.moveDown(0.5);
+    doc.fontSize(11).font('Helvetica-Bold').text(record.title);
+    doc.fontSize(10).font('Helvetica').fillColor('#444444')
+      .text(`${formatDateTime(record.createdAt)} - ${humanize(record.recordType)} - Dr. ${fullName(record.doctor && record.doctor.user)}${record.isConfidential ? ' - CONFIDENTIAL' : ''}`);
+    doc.fillColor('#000000');
+
+    RECORD_FIELDS.forEach(([name, label]) => {
+      if (record[name]) field(doc, label, record[name], { indent: 15 });
+    });
+
+    // Records from before vital signs were stored separately only have them in their JSON
+    const recordVitals = vitalSigns.filter(vital => vital.medicalRecordId === record.id);
+    const vitals = recordVitals.length ? recordVitals : VitalSign.fromRecordVitals(record.vitalSigns);
+    if (vitals.length) field(doc, 'Vitals', formatVitals(vitals), { indent: 15 });
+
+    const attachments = record.attachments || [];
+    if (attachments.length) field(doc, 'Attachments', attachments.map(attachment => attachment.name).join(', '), { indent: 15 });
+  });
+
+  stampPages(doc, `Copy issued to ${fullName(requester)} (${requester.role}) on ${formatDateTime(generatedAt)}`);
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  getChart,
+  renderChartPdf
+};
@@ -0,0 +1,124 @@
+// Best-effort parsing of the legacy free-text allergy and medication fields into
+// structured entries. Anything that cannot be interpreted is kept as the substance
+// or drug name, and the original text of each entry is kept in its notes.
+
+// Phrases meaning "nothing to record"
+const NONE_PATTERN = /^(none|nil|n\/?a|nka|nkda|no known (drug )?allergies|no allergies|no medications?)\.?$/i;
+
+const SEVERITY_PATTERNS = [
+  ['life_threatening', /life[\s-]?threatening|anaphyla/i],
+  ['severe', /severe/i],
+  ['moderate', /moderate/i],
+  ['mild', /mild/i]
+];
+
+const DRUG_ALLERGENS = /cillin|sulfa|cephal|codeine|morphine|aspirin|ibuprofen|nsaid|statin|vaccine|contrast|iodine/i;
+const FOOD_ALLERGENS = /peanut|nut|shellfish|fish|egg|milk|dairy|lactose|gluten|wheat|soy|sesame|strawberr/i;
+const ENVIRONMENTAL_ALLERGENS = /pollen|dust|mold|mould|dander|cat|dog|bee|wasp|grass|ragweed|latex/i;
+
+const DOSE_PATTERN = /(\d+(?:\.\d+)?)\s*(mg|mcg|µg|g|ml|units?|iu|%|puffs?|tablets?|tabs?|caps?)\b/i;
+
+const ROUTES = [
+  ['oral', /\b(po|oral(ly)?|by mouth)\b/i],
+  ['sublingual', /\b(sl|sublingual)\b/i],
+  ['intravenous', /\b(iv|intravenous(ly)?)\b/i],
+  ['intramuscular', /\b(im|intramuscular(ly)?)\b/i],
+  ['subcutaneous', /\b(sc|sq|subq|subcut|subcutaneous(ly)?)\b/i],
+  ['topical', /\b(topical(ly)?)\b/i],
+  ['transdermal', /\b(transdermal|patch)\b/i],
+  ['inhalation', /\b(inhaled|inhaler|inhalation|neb(ulized)?)\b/i],
+  ['nasal', /\b(nasal|intranasal)\b/i],
+  ['ophthalmic', /\b(ophthalmic|eye drops?)\b/i],
+  ['otic', /\b(otic|ear drops?)\b/i],
+  ['rectal', /\b(pr|rectal(ly)?)\b/i]
+];
+
+const FREQUENCY_PATTERN = new RegExp([
+  '\\b(q\\.?d|b\\.?i\\.?d|t\\.?i\\.?d|q\\.?i\\.?d|q\\.?h\\.?s|prn|q\\d+h)\\b',
+  '\\b(once|twice|three times|four times)( a| per)? (day|daily|week|weekly)\\b',
+  '\\bevery \\d+ (hours?|days?|weeks?)\\b',
+  '\\b(daily|nightly|weekly|monthly|at bedtime|as needed|in the morning|at night)\\b'
+].join('|'), 'i');
+
+// Split a list on new lines, semicolons and commas outside parentheses
+const splitEntries = (text) => {
+  const entries = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of String(text || '')) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+
+    if (/[\n;]/.test(char) || (char === ',' && depth === 0)) {
+      entries.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current);
+
+  return entries
+    .map(entry => entry.replace(/^\s*([-*•]|\d+[.)])\s*/, '').trim())
+    .filter(entry => entry && !NONE_PATTERN.test(entry));
+};
+
+const clean = (text) => text.replace(/\s+/g, ' ').replace(/^[\s,:;-]+|[\s,:;-]+$/g, '');
+
+const categorize = (substance) => {
+  if (DRUG_ALLERGENS.test(substance)) return 'drug';
+  if (FOOD_ALLERGENS.test(substance)) return 'food';
+  if (ENVIRONMENTAL_ALLERGENS.test(substance)) return 'environmental';
+  return 'other';
+};
+
+// Parse entries such as "Penicillin - hives (severe)" or "Peanuts: anaphylaxis". Only a spaced
+// dash separates the reaction, so hyphenated names such as "Co-trimoxazole" stay whole.
+const parseAllergies = (text) => {
+  return splitEntries(text).map(entry => {
+    const [, head, rest = ''] = entry.match(/^(.+?)(?:\s*[:(]|\s+[–-]\s+)(.*)$/) || [null, entry];
+    const substance = clean(head) || entry;
+    const severity = (SEVERITY_PATTERNS.find(([, pattern]) => pattern.test(entry)) || ['unknown'])[0];
+    const reaction = clean(rest
+      .replace(/[()]/g, ' ')
+      .replace(/\b(life[\s-]?threatening|severe|moderate|mild)\b/gi, '')
+      .replace(/\breaction\b/gi, ''));
+
+    return {
+      substance,
+      category: categorize(substance),
+      reaction: reaction || null,
+      severity,
+      notes: entry
+    };
+  });
+};
+
+// Parse entries such as "Metformin 500 mg PO twice daily" or "Lisinopril 10mg qd"
+const parseMedications = (text) => {
+  return splitEntries(text).map(entry => {
+    const doseMatch = entry.match(DOSE_PATTERN);
+    const route = (ROUTES.find(([, pattern]) => pattern.test(entry)) || [null])[0];
+    const frequencyMatch = entry.match(FREQUENCY_PATTERN);
+
+    // The drug name is whatever precedes the first dose, route or frequency token
+    const cutOffs = [doseMatch, frequencyMatch, ...ROUTES.map(([, pattern]) => entry.match(pattern))]
+      .filter(Boolean)
+      .map(match => match.index);
+    const drug = clean(entry.slice(0, cutOffs.length ? Math.min(...cutOffs) : entry.length)) || entry;
+
+    return {
+      drug,
+      dose: doseMatch ? `${doseMatch[1]} ${doseMatch[2]}` : null,
+      route,
+      frequency: frequencyMatch ? frequencyMatch[0] : null,
+      notes: entry
+    };
+  });
+};
+
+module.exports = {
+  parseAllergies,
+  parseMedications
+};
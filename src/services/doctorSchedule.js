@@ -0,0 +1,202 @@
+const { Op } = require('sequelize');
+
+// Doctors' working hours: weekly templates (several windows a day for breaks and split shifts),
+// per-date overrides, blocked time, time off and clinic-wide holidays. Doctors without a
+// template work their availableDays and availableHours. Dates and times are in the server's
+// time zone.
+
+// In Date#getDay order
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_HOURS = { start: '09:00', end: '17:00' };
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Minutes since midnight of an "HH:MM" time
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// "HH:MM" of a date
+const timeOfDay = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+// "YYYY-MM-DD" of a date
+const dateKey = (date) => {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+};
+
+// "09:00-12:30, 13:30-17:00"
+const formatHours = (hours) => hours.map(window => `${window.start}-${window.end}`).join(', ');
+
+// Check working hours given as [{ start, end }] "HH:MM" windows and return them in order.
+// Throws an Error describing the first invalid or overlapping window.
+const normalizeHours = (hours) => {
+  if (!Array.isArray(hours)) throw new Error('Hours must be a list of { start, end } windows');
+
+  const windows = hours.map(window => {
+    if (!window || !TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      throw new Error('Hours must have a start and end time as HH:MM');
+    }
+    if (window.start >= window.end) throw new Error(`${window.start}-${window.end} ends before it starts`);
+    return { start: window.start, end: window.end };
+  }).sort((a, b) => a.start.localeCompare(b.start));
+
+  windows.forEach((window, index) => {
+    const previous = windows[index - 1];
+    if (previous && window.start < previous.end) {
+      throw new Error(`${formatHours([previous])} and ${formatHours([window])} overlap`);
+    }
+  });
+  return windows;
+};
+
+// Check a weekly template ({ monday: [{ start, end }], ... }; weekdays left out are days off)
+const normalizeWeeklyHours = (weeklyHours) => {
+  if (!weeklyHours || typeof weeklyHours !== 'object' || Array.isArray(weeklyHours)) {
+    throw new Error('Weekly hours must map weekdays to working hours');
+  }
+
+  const result = {};
+  Object.entries(weeklyHours).forEach(([day, hours]) => {
+    if (!WEEKDAYS.includes(day)) throw new Error(`${day} is not a weekday`);
+    try {
+      result[day] = normalizeHours(hours);
+    } catch (error) {
+      throw new Error(`${day}: ${error.message}`);
+    }
+  });
+  return result;
+};
+
+// Windows of `hours` with the `periods` taken out
+const subtractPeriods = (hours, periods) => periods.reduce((windows, period) => windows.flatMap(window => {
+  if (period.end <= window.start || period.start >= window.end) return [window];
+  return [
+    ...(period.start > window.start ? [{ start: window.start, end: period.start }] : []),
+    ...(period.end < window.end ? [{ start: period.end, end: window.end }] : [])
+  ];
+}), hours);
+
+// The template in effect on a day: of those covering it, the one that took effect last
+const findTemplate = (templates, key) => templates
+  .filter(template => (!template.effectiveFrom || template.effectiveFrom <= key) &&
+    (!template.effectiveUntil || template.effectiveUntil >= key))
+  .sort((a, b) => (b.effectiveFrom || '').localeCompare(a.effectiveFrom || ''))[0];
+
+// Load `doctor`'s schedule from `from` to `to`. The result's getDay(date) describes one day as
+// { date, hours, blocked, closure }: `hours` are the windows open for appointments, with blocked
+// time taken out, `blocked` the blocked periods and `closure`, when the doctor does not work
+// that day, a { code, message } conflict (doctor_unavailable, holiday, time_off or
+// outside_working_days).
+const loadSchedule = async (doctor, from, to, { transaction } = {}) => {
+  const { ScheduleTemplate, ScheduleException } = require('../models');
+  const fromKey = dateKey(from);
+  const toKey = dateKey(to);
+
+  const [templates, exceptions] = await Promise.all([
+    ScheduleTemplate.findAll({
+      where: {
+        doctorId: doctor.id,
+        [Op.and]: [
+          { [Op.or]: [{ effectiveFrom: null }, { effectiveFrom: { [Op.lte]: toKey } }] },
+          { [Op.or]: [{ effectiveUntil: null }, { effectiveUntil: { [Op.gte]: fromKey } }] }
+        ]
+      },
+      transaction
+    }),
+    ScheduleException.findAll({
+      where: {
+        [Op.or]: [{ doctorId: doctor.id }, { doctorId: null, type: 'holiday' }],
+        startDate: { [Op.lte]: toKey },
+        endDate: { [Op.gte]: fromKey }
+      },
+      order: [['startDate', 'ASC'], ['startTime', 'ASC']],
+      transaction
+    })
+  ]);
+
+  const getDay = (date) => {
+    const key = dateKey(date);
+    const weekday = WEEKDAYS[new Date(date).getDay()];
+    const onDay = exceptions.filter(exception => exception.startDate <= key && exception.endDate >= key);
+    const find = (type) => onDay.find(exception => exception.type === type);
+    const day = { date: key, hours: [], blocked: [], closure: null };
+
+    const holiday = find('holiday');
+    const timeOff = find('time_off');
+    if (doctor.isAvailable === false) {
+      day.closure = { code: 'doctor_unavailable', message: 'The doctor is not taking appointments' };
+    } else if (holiday) {
+      day.closure = { code: 'holiday', message: `The practice is closed${holiday.reason ? ` for ${holiday.reason}` : ''}` };
+    } else if (timeOff) {
+      day.closure = { code: 'time_off', message: `The doctor is away${timeOff.reason ? ` (${timeOff.reason})` : ''}` };
+    }
+    if (day.closure) return day;
+
+    const override = find('override');
+    const template = findTemplate(templates, key);
+    let hours;
+    if (override) {
+      hours = override.hours || [];
+    } else if (template) {
+      hours = template.weeklyHours[weekday] || [];
+    } else {
+      hours = doctor.isAvailableOnDay(weekday) ? [{ ...(doctor.availableHours || DEFAULT_HOURS) }] : [];
+    }
+    if (hours.length === 0) {
+      day.closure = {
+        code: 'outside_working_days',
+        message: override ? `The doctor does not work on ${key}` : `The doctor does not work on ${weekday}s`
+      };
+      return day;
+    }
+
+    day.blocked = onDay
+      .filter(exception => exception.type === 'blocked')
+      .map(exception => ({ start: exception.startTime, end: exception.endTime, reason: exception.reason }));
+    day.hours = subtractPeriods(hours, day.blocked);
+    return day;
+  };
+
+  return { templates, exceptions, getDay };
+};
+
+// Why a doctor cannot see a patient from `start` for `duration` minutes given their day from
+// loadSchedule: the day's closure, blocked time or working hours, or null when it is in them
+const checkWorkingHours = (day, start, duration) => {
+  if (day.closure) return day.closure;
+
+  const startMinutes = start.getHours() * 60 + start.getMinutes();
+  const endMinutes = startMinutes + duration;
+  if (day.hours.some(window => toMinutes(window.start) <= startMinutes && endMinutes <= toMinutes(window.end))) {
+    return null;
+  }
+
+  const blocked = day.blocked.find(period => toMinutes(period.start) < endMinutes && toMinutes(period.end) > startMinutes);
+  if (blocked) {
+    return {
+      code: 'blocked_time',
+      message: `The doctor is unavailable from ${blocked.start} to ${blocked.end}${blocked.reason ? ` (${blocked.reason})` : ''}`
+    };
+  }
+  return {
+    code: 'outside_working_hours',
+    message: day.hours.length
+      ? `The doctor works ${formatHours(day.hours)} on ${day.date}`
+      : `The doctor has no time left on ${day.date}`
+  };
+};
+
+module.exports = {
+  WEEKDAYS,
+  TIME_PATTERN,
+  toMinutes,
+  timeOfDay,
+  dateKey,
+  normalizeHours,
+  normalizeWeeklyHours,
+  loadSchedule,
+  checkWorkingHours
+};
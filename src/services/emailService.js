@@ -1,7 +1,7 @@
 const nodemailer = require('nodemailer');
 require('dotenv').config({ path: './config.env' });
 
-const transporter = nodemailer.createTransporter({
+const transporter = nodemailer.createTransport({
   service: process.env.EMAIL_SERVICE, // e.g., 'gmail'
   auth: {
     user: process.env.EMAIL_USER,
@@ -20,6 +20,17 @@ const sendEmail = async (options) => {
   await transporter.sendMail(mailOptions);
 };
 
+// Escape user-entered text (names, appointment reasons) for interpolation into an email's HTML
+const escapeHtml = (value) => {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+};
+
 const sendVerificationEmail = async (user, token) => {
   const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
   const html = `
@@ -71,9 +82,50 @@ const sendAppointmentConfirmationEmail = async (appointment, patient, doctor) =>
   });
 };
 
+const sendAppointmentReminderEmail = async (appointment, patient, doctor, { token, canCancel }) => {
+  const reminderUrl = `${process.env.FRONTEND_URL}/appointment-reminder?token=${token}`;
+  const html = `
+    <p>Hello ${escapeHtml(patient.firstName)},</p>
+    <p>This is a reminder of your appointment with Dr. ${escapeHtml(doctor.lastName)}.</p>
+    <p><strong>Date:</strong> ${new Date(appointment.appointmentDate).toLocaleString()}</p>
+    <p><strong>Duration:</strong> ${appointment.duration} minutes</p>
+    ${appointment.reason ? `<p><strong>Reason:</strong> ${escapeHtml(appointment.reason)}</p>` : ''}
+    <p><a href="${reminderUrl}&action=confirm">Confirm the appointment</a></p>
+    ${canCancel ? `<p>If you cannot come, please <a href="${reminderUrl}&action=cancel">cancel the appointment</a> so another patient can have it.</p>` : ''}
+    <p>Regards,</p>
+    <p>The Healthcare Team</p>
+  `;
+  await sendEmail({
+    to: patient.email,
+    subject: 'Appointment Reminder',
+    html
+  });
+};
+
+const sendWaitlistOfferEmail = async (offer, patient, doctor, token) => {
+  const offerUrl = `${process.env.FRONTEND_URL}/waitlist-offer?token=${token}`;
+  const html = `
+    <p>Hello ${escapeHtml(patient.firstName)},</p>
+    <p>An appointment with Dr. ${escapeHtml(doctor.lastName)} has become available and you are next on the waitlist.</p>
+    <p><strong>Date:</strong> ${new Date(offer.appointmentDate).toLocaleString()}</p>
+    <p><strong>Duration:</strong> ${offer.duration} minutes</p>
+    <p><a href="${offerUrl}">Accept or decline the appointment</a></p>
+    <p>This offer is valid until ${new Date(offer.expiresAt).toLocaleString()}, after which it goes to the next patient on the waitlist. You keep your place on the waitlist if you decline.</p>
+    <p>Regards,</p>
+    <p>The Healthcare Team</p>
+  `;
+  await sendEmail({
+    to: patient.email,
+    subject: 'An Appointment Is Available',
+    html
+  });
+};
+
 module.exports = {
   sendEmail,
   sendVerificationEmail,
   sendPasswordResetEmail,
-  sendAppointmentConfirmationEmail
+  sendAppointmentConfirmationEmail,
+  sendAppointmentReminderEmail,
+  sendWaitlistOfferEmail
 };
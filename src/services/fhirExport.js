@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { uploadsDir } = require('../middleware/upload');
+const { getHiddenRecordIds } = require('./accessPolicy');
+const {
+  toPatient,
+  toPractitioner,
+  toAppointment,
+  toEncounter,
+  vitalSignToObservation,
+  labResultToObservation,
+  toCareTeam,
+  toComposition,
+  toDocumentReference,
+  toAllergyIntolerance,
+  toMedicationStatement,
+  attachmentId
+} = require('./fhirMapper');
+
+// Export of a patient's whole chart as a FHIR collection Bundle, written to a stream as it is
+// read so large charts never have to fit in memory
+
+const BATCH_SIZE = 200;
+
+// Bytes of an attachment read per chunk; a multiple of 3 so each chunk encodes to base64 on its own
+const ATTACHMENT_CHUNK_SIZE = 3 * 64 * 1024;
+
+// Write to the stream, waiting for it to drain when its buffer is full
+const write = (stream, chunk) => {
+  if (stream.destroyed) return Promise.reject(new Error('Export stream was closed'));
+  if (stream.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      stream.off('drain', onDrain);
+      reject(new Error('Export stream was closed'));
+    };
+    stream.once('drain', onDrain);
+    stream.once('close', onClose);
+  });
+};
+
+// Read a query in batches, oldest first, handing each row to `handle`
+const eachRow = async (Model, options, handle) => {
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const rows = await Model.findAll({
+      ...options,
+      limit: BATCH_SIZE,
+      offset,
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+    for (const row of rows) {
+      await handle(row);
+    }
+    if (rows.length < BATCH_SIZE) return;
+  }
+};
+
+// Path of an uploaded file from its `/uploads/...` URL, or null if it is not a file in the uploads directory
+const getUploadPath = (url) => {
+  if (!url || !url.startsWith('/uploads/')) return null;
+  const filePath = path.resolve(uploadsDir, decodeURIComponent(url.slice('/uploads/'.length)));
+  if (!filePath.startsWith(`${path.resolve(uploadsDir)}${path.sep}`)) return null;
+  return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+};
+
+// Write `patient`'s chart to `stream` as a FHIR Bundle of type `collection`: demographics, care
+// team, appointments (with their encounters), medical records (as Compositions, with attachments
+// as DocumentReferences and Binaries), vital signs and lab results (as Observations), allergies,
+// medications and the practitioners referenced. What `user` may not see in the REST API, such as
+// confidential records not shared with them, is left out. Resolves to the number of resources
+// written per resource type.
+const exportPatientBundle = async (stream, patient, user, { baseUrl }) => {
+  const {
+    User,
+    Doctor,
+    PatientDoctor,
+    Appointment,
+    MedicalRecord,
+    VitalSign,
+    LabResult,
+    LabOrder,
+    Allergy,
+    Medication
+  } = require('../models');
+
+  const counts = {};
+  const doctorIds = new Set();
+  let firstEntry = true;
+
+  const entryStart = (resourceType, id) => {
+    const separator = firstEntry ? '' : ',';
+    firstEntry = false;
+    counts[resourceType] = (counts[resourceType] || 0) + 1;
+    return `${separator}\n{"fullUrl":${JSON.stringify(`${baseUrl}/${resourceType}/${id}`)},"resource":`;
+  };
+
+  const writeResource = async (resource) => {
+    await write(stream, `${entryStart(resource.resourceType, resource.id)}${JSON.stringify(resource)}}`);
+  };
+
+  // Binary contents are base64-encoded chunk by chunk straight from the file
+  const writeBinary = async (id, contentType, filePath) => {
+    const header = { resourceType: 'Binary', id, contentType: contentType || 'application/octet-stream' };
+    await write(stream, `${entryStart('Binary', id)}${JSON.stringify(header).slice(0, -1)},"data":"`);
+
+    const file = fs.createReadStream(filePath, { highWaterMark: ATTACHMENT_CHUNK_SIZE });
+    let pending = Buffer.alloc(0);
+    for await (const chunk of file) {
+      const data = Buffer.concat([pending, chunk]);
+      const usable = data.length - (data.length % 3);
+      pending = data.subarray(usable);
+      await write(stream, data.subarray(0, usable).toString('base64'));
+    }
+    await write(stream, `${pending.toString('base64')}"}}`);
+  };
+
+  const bundle = {
+    resourceType: 'Bundle',
+    id: crypto.randomUUID(),
+    type: 'collection',
+    timestamp: new Date().toISOString()
+  };
+  await write(stream, `${JSON.stringify(bundle).slice(0, -1)},"entry":[`);
+
+  await writeResource(toPatient(patient));
+
+  // Care team
+  const relationships = await PatientDoctor.findAll({
+    where: { patientId: patient.id },
+    include: [{
+      model: Doctor,
+      as: 'doctor',
+      attributes: ['id'],
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName'] }]
+    }],
+    order: [['startDate', 'ASC']]
+  });
+  if (relationships.length) {
+    relationships.forEach(relationship => doctorIds.add(relationship.doctorId));
+    await writeResource(toCareTeam(patient, relationships));
+  }
+
+  // Appointments and the encounters they book
+  await eachRow(Appointment, { where: { patientId: patient.id } }, async (appointment) => {
+    doctorIds.add(appointment.doctorId);
+    await writeResource(toAppointment(appointment));
+    await writeResource(toEncounter(appointment));
+  });
+
+  // Medical records and their attachments
+  const hiddenRecordIds = await getHiddenRecordIds(user, { patientId: patient.id });
+  const recordWhere = {
+    patientId: patient.id,
+    status: { [Op.ne]: 'deleted' },
+    ...(hiddenRecordIds.length ? { id: { [Op.notIn]: hiddenRecordIds } } : {})
+  };
+  await eachRow(MedicalRecord, { where: recordWhere }, async (record) => {
+    doctorIds.add(record.doctorId);
+    await writeResource(toComposition(record));
+
+    for (const attachment of record.attachments || []) {
+      const filePath = getUploadPath(attachment.url);
+      await writeResource(toDocumentReference(record, attachment, { binary: Boolean(filePath) }));
+      if (filePath) {
+        await writeBinary(attachmentId(record, attachment), attachment.type, filePath);
+      }
+    }
+  });
+
+  // Vital signs, except those recorded with hidden records
+  const vitalWhere = { patientId: patient.id };
+  if (hiddenRecordIds.length) {
+    vitalWhere[Op.or] = [
+      { medicalRecordId: null },
+      { medicalRecordId: { [Op.notIn]: hiddenRecordIds } }
+    ];
+  }
+  await eachRow(VitalSign, { where: vitalWhere }, async (vital) => {
+    await writeResource(vitalSignToObservation(vital));
+  });
+
+  // Lab results of orders that were not cancelled
+  await eachRow(LabResult, {
+    where: { patientId: patient.id },
+    include: [{
+      model: LabOrder,
+      as: 'labOrder',
+      attributes: ['id', 'appointmentId'],
+      where: { status: { [Op.ne]: 'cancelled' } }
+    }]
+  }, async (result) => {
+    await writeResource(labResultToObservation(result));
+  });
+
+  await eachRow(Allergy, { where: { patientId: patient.id } }, async (allergy) => {
+    await writeResource(toAllergyIntolerance(allergy));
+  });
+
+  await eachRow(Medication, { where: { patientId: patient.id } }, async (medication) => {
+    if (medication.prescriberId) doctorIds.add(medication.prescriberId);
+    await writeResource(toMedicationStatement(medication));
+  });
+
+  // Practitioners referenced above
+  const ids = [...doctorIds].filter(Boolean);
+  for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+    const doctors = await Doctor.findAll({
+      where: { id: { [Op.in]: ids.slice(start, start + BATCH_SIZE) } },
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'phone'] }]
+    });
+    for (const doctor of doctors) {
+      await writeResource(toPractitioner(doctor));
+    }
+  }
+
+  await write(stream, '\n]}\n');
+  return counts;
+};
+
+module.exports = {
+  exportPatientBundle
+};
@@ -0,0 +1,934 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { uploadsDir, allowedTypes } = require('../middleware/upload');
+const { canAccess, getProfileIds } = require('./accessPolicy');
+const { matchPatient } = require('./hl7Ingestion');
+const { VITAL_SIGN_TYPES } = require('../data/vitalSigns');
+const {
+  SYSTEMS,
+  UCUM_UNITS,
+  APPOINTMENT_STATUSES,
+  ENCOUNTER_STATUSES,
+  INTERPRETATIONS,
+  RECORD_SECTIONS,
+  ALLERGY_CATEGORIES
+} = require('./fhirMapper');
+
+// Import of a patient's chart from a FHIR Bundle, such as one written by fhirExport.js. The
+// patient is matched to an existing one or created, and the related resources are added unless
+// they are already on file. Every entry gets an outcome in the report: created, merged (the
+// patient only) or skipped, with the reason.
+
+class FhirImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FhirImportError';
+  }
+}
+
+const invert = (map) => Object.entries(map).reduce((inverted, [key, value]) => {
+  if (!(value in inverted)) inverted[value] = key;
+  return inverted;
+}, {});
+
+// FHIR statuses as ours; resources in other statuses (proposed, entered-in-error, ...) are skipped
+const APPOINTMENT_STATUS_CODES = { ...invert(APPOINTMENT_STATUSES), 'checked-in': 'in_progress' };
+const ENCOUNTER_STATUS_CODES = { ...invert(ENCOUNTER_STATUSES), arrived: 'in_progress', triaged: 'in_progress' };
+const LAB_STATUS_CODES = { preliminary: 'preliminary', final: 'final', amended: 'amended', corrected: 'amended' };
+const MEDICATION_STATUS_CODES = {
+  active: 'active',
+  intended: 'active',
+  'on-hold': 'active',
+  unknown: 'active',
+  completed: 'stopped',
+  stopped: 'stopped'
+};
+
+const FLAGS = Object.entries(INTERPRETATIONS).reduce((flags, [flag, { code }]) => ({ ...flags, [code]: flag }), {});
+const ALLERGY_CATEGORY_CODES = invert(ALLERGY_CATEGORIES);
+
+// Units by UCUM code, including those we only accept for conversion
+const UCUM_CODES = { '[degF]': '°F', '[lb_av]': 'lb', '[in_i]': 'in' };
+
+const VITAL_TYPES_BY_LOINC = Object.entries(VITAL_SIGN_TYPES).reduce((types, [type, { loinc }]) => ({ ...types, [loinc]: type }), {});
+
+// LOINC blood pressure panel, whose systolic and diastolic values are components
+const BLOOD_PRESSURE_PANEL = '85354-9';
+
+const SECTION_FIELDS = RECORD_SECTIONS.reduce((fields, [field, title]) => ({ ...fields, [title.toLowerCase()]: field }), {});
+
+// Documents are accepted in the types that can be uploaded
+const DOCUMENT_TYPES = [...new Set(Object.values(allowedTypes).flat())];
+
+const EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'text/plain': '.txt',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/bmp': '.bmp',
+  'image/tiff': '.tiff'
+};
+
+const DIFFERENT_PATIENT = 'Refers to a patient other than the bundle\'s Patient';
+
+// Order in which resource types are imported, so references resolve to what was imported before
+const IMPORT_ORDER = [
+  'Practitioner',
+  'CareTeam',
+  'Appointment',
+  'Encounter',
+  'Composition',
+  'DocumentReference',
+  'Observation',
+  'AllergyIntolerance',
+  'MedicationStatement'
+];
+
+const created = (targetId, details = {}) => ({ outcome: 'created', targetId, ...details });
+
+const skipped = (reason, targetId = null) => ({ outcome: 'skipped', reason, ...(targetId ? { targetId } : {}) });
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Text of a CodeableConcept: its text, else the first coding's display or code
+const conceptText = (concept) => {
+  if (!concept) return null;
+  const codings = concept.coding || [];
+  const display = codings.find(coding => coding.display);
+  return concept.text || (display && display.display) || (codings[0] && codings[0].code) || null;
+};
+
+const conceptCodes = (concept, system) => ((concept && concept.coding) || [])
+  .filter(coding => coding.code && (!system || coding.system === system))
+  .map(coding => coding.code);
+
+const noteText = (resource) => (resource.note || []).map(note => note.text).filter(Boolean).join('\n') || null;
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toDateOnly = (value) => (/^\d{4}-\d{2}-\d{2}/.test(value || '') ? value.slice(0, 10) : null);
+
+// Free text such as "follow up" as one of `values` ("follow_up"), or null
+const toEnum = (value, values) => {
+  const key = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return values.includes(key) ? key : null;
+};
+
+const enumValues = (Model, attribute) => Model.rawAttributes[attribute].values;
+
+// Plain text of an XHTML narrative
+const narrativeText = (narrative) => {
+  if (!narrative || !narrative.div) return null;
+  return narrative.div
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|li)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .trim() || null;
+};
+
+// Duration in minutes from a start and end, within what appointments allow
+const toDuration = (minutes, start, end) => {
+  const value = minutes || (toDate(start) && toDate(end) ? (toDate(end) - toDate(start)) / 60000 : 30);
+  return Math.min(Math.max(Math.round(value), 15), 240);
+};
+
+// Entries of the bundle, with references between them resolved by full URL or by type and ID
+const indexBundle = (bundle) => {
+  const entries = bundle.entry.map((entry, index) => ({
+    index,
+    fullUrl: entry && entry.fullUrl,
+    resource: entry && entry.resource && typeof entry.resource === 'object' ? entry.resource : {}
+  }));
+
+  const byKey = new Map();
+  entries.forEach(entry => {
+    if (entry.fullUrl) byKey.set(entry.fullUrl, entry);
+    if (entry.resource.resourceType && entry.resource.id) {
+      byKey.set(`${entry.resource.resourceType}/${entry.resource.id}`, entry);
+    }
+  });
+
+  const resolve = (reference) => {
+    const value = reference && reference.reference;
+    if (!value) return null;
+    if (byKey.has(value)) return byKey.get(value);
+    const match = value.match(/([A-Za-z]+\/[^/]+?)(?:\/_history\/[^/]+)?$/);
+    return (match && byKey.get(match[1])) || null;
+  };
+
+  return { entries, resolve };
+};
+
+// Demographics of a FHIR Patient as User and Patient fields
+const readPatient = (resource) => {
+  const names = resource.name || [];
+  const name = names.find(entry => entry.use === 'official') || names[0] || {};
+  let firstName = (name.given || []).join(' ') || null;
+  let lastName = name.family || null;
+  if ((!firstName || !lastName) && name.text) {
+    const parts = name.text.trim().split(/\s+/);
+    if (parts.length > 1) {
+      lastName = lastName || parts.pop();
+      firstName = firstName || parts.join(' ');
+    }
+  }
+
+  const telecom = (system) => ((resource.telecom || []).find(entry => entry.system === system && entry.value) || {}).value || null;
+  const email = telecom('email');
+  const address = (resource.address || [])[0] || {};
+  const contact = (resource.contact || [])[0] || {};
+  const contactName = contact.name && (contact.name.text || [...(contact.name.given || []), contact.name.family].filter(Boolean).join(' '));
+  const contactPhone = ((contact.telecom || []).find(entry => entry.system === 'phone') || {}).value;
+
+  const demographics = {
+    medicalRecordNumbers: (resource.identifier || [])
+      .filter(identifier => identifier.system === SYSTEMS.medicalRecordNumber && identifier.value)
+      .map(identifier => identifier.value),
+    user: {
+      firstName,
+      lastName,
+      email: email && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email.toLowerCase() : null,
+      phone: telecom('phone')
+    },
+    patient: {
+      dateOfBirth: toDateOnly(resource.birthDate),
+      gender: ['male', 'female', 'other'].includes(resource.gender) ? resource.gender : null,
+      address: (address.line || []).join(', ') || null,
+      city: address.city || null,
+      state: address.state || null,
+      zipCode: address.postalCode || null,
+      country: address.country || null,
+      emergencyContactName: contactName || null,
+      emergencyContactPhone: contactPhone || null,
+      emergencyContactRelation: conceptText((contact.relationship || [])[0])
+    }
+  };
+
+  const missing = [
+    !firstName && 'given name',
+    !lastName && 'family name',
+    !demographics.patient.dateOfBirth && 'birth date',
+    !demographics.patient.gender && 'gender (male, female or other)'
+  ].filter(Boolean);
+  if (missing.length) {
+    throw new FhirImportError(`The Patient is missing its ${missing.join(', ')}`);
+  }
+
+  return demographics;
+};
+
+// Fields of `instance` that are blank and have a value in `values`, and those that differ
+const compareFields = (instance, values) => {
+  const updates = {};
+  const conflicts = [];
+  Object.entries(values).forEach(([field, value]) => {
+    if (isBlank(value)) return;
+    if (isBlank(instance[field])) {
+      updates[field] = value;
+    } else if (String(instance[field]).toLowerCase() !== String(value).toLowerCase()) {
+      conflicts.push(field);
+    }
+  });
+  return { updates, conflicts };
+};
+
+// Match the bundle's Patient to an existing patient, by medical record number, demographics or
+// email, and fill in what the existing one lacks; otherwise create the patient (and their user
+// account, with a random password to be reset). Values that differ from the existing patient's
+// are kept and reported as conflicts.
+const importPatient = async (demographics, context) => {
+  const { User, Patient } = require('../models');
+  const { user, transaction } = context;
+
+  let patient = null;
+  let account = null;
+  let matchedBy = null;
+
+  if (context.patientId) {
+    patient = await Patient.findByPk(context.patientId, { transaction });
+    if (!patient) throw new FhirImportError('The patient to merge into was not found');
+    matchedBy = 'request';
+  } else {
+    const match = await matchPatient({
+      identifiers: demographics.medicalRecordNumbers.map(id => ({ id, type: 'MR' })),
+      ...demographics.user,
+      ...demographics.patient
+    });
+    if (match.reason === 'patient_ambiguous') {
+      return skipped(`${match.details}; choose the patient to merge into`);
+    }
+    if (match.patient) {
+      patient = match.patient;
+      matchedBy = demographics.medicalRecordNumbers.includes(patient.medicalRecordNumber) ? 'medical_record_number' : 'demographics';
+    }
+  }
+
+  if (!patient && demographics.user.email) {
+    account = await User.findOne({ where: { email: demographics.user.email }, transaction });
+    if (account) {
+      patient = await Patient.findOne({ where: { userId: account.id }, transaction });
+      if (!patient && account.role !== 'patient') {
+        return skipped('The email address belongs to an account that is not a patient');
+      }
+      if (patient) matchedBy = 'email';
+    }
+  }
+
+  if (patient) {
+    if (!(await canAccess(user, 'patient:update', patient))) {
+      return skipped('A matching patient exists that you may not update');
+    }
+
+    account = await User.findByPk(patient.userId, { transaction });
+    const userFields = compareFields(account, demographics.user);
+    const patientFields = compareFields(patient, demographics.patient);
+    await account.update(userFields.updates, { transaction });
+    await patient.update(patientFields.updates, { transaction });
+
+    context.patient = patient;
+    return {
+      outcome: 'merged',
+      targetId: patient.id,
+      matchedBy,
+      updatedFields: [...Object.keys(userFields.updates), ...Object.keys(patientFields.updates)],
+      conflicts: [...userFields.conflicts, ...patientFields.conflicts]
+    };
+  }
+
+  // Accounts need an email address; one without becomes a placeholder for an admin to replace
+  if (!account) {
+    account = await User.create({
+      ...demographics.user,
+      email: demographics.user.email || `patient-${crypto.randomBytes(6).toString('hex')}@imported.invalid`,
+      password: crypto.randomBytes(32).toString('hex'),
+      role: 'patient'
+    }, { transaction });
+  }
+  patient = await Patient.create({ ...demographics.patient, userId: account.id }, { transaction });
+
+  context.patient = patient;
+  return created(patient.id, { userId: account.id, medicalRecordNumber: patient.medicalRecordNumber });
+};
+
+// Practitioners are not created; they are matched to doctors by license number so that the
+// resources referring to them can be
+const importPractitioner = async ({ resource }, { transaction }) => {
+  const { Doctor } = require('../models');
+
+  const licenseNumbers = (resource.identifier || [])
+    .filter(identifier => identifier.value && (identifier.system === SYSTEMS.licenseNumber || conceptCodes(identifier.type).includes('MD')))
+    .map(identifier => identifier.value);
+  const doctor = licenseNumbers.length
+    ? await Doctor.findOne({ where: { licenseNumber: { [Op.in]: licenseNumbers } }, transaction })
+    : null;
+
+  if (!doctor) return skipped('No doctor has the practitioner\'s license number');
+  return skipped('Matched to an existing doctor by license number; practitioners are not created', doctor.id);
+};
+
+// Care relationships with the team members that are doctors here
+const importCareTeam = async ({ resource }, context) => {
+  const { PatientDoctor } = require('../models');
+  const { patient, transaction } = context;
+
+  if (!context.isAboutPatient(resource.subject)) return skipped(DIFFERENT_PATIENT);
+
+  const relationshipTypes = enumValues(PatientDoctor, 'relationshipType');
+  const relationshipIds = [];
+  for (const participant of resource.participant || []) {
+    const doctorId = context.targetOf(participant.member, 'Practitioner');
+    if (!doctorId) continue;
+
+    const relationshipType = toEnum(conceptText((participant.role || [])[0]), relationshipTypes) || 'primary_care';
+    const existing = await PatientDoctor.findOne({ where: { patientId: patient.id, doctorId, relationshipType }, transaction });
+    if (existing) continue;
+
+    const period = participant.period || {};
+    const active = resource.status === 'active' && !period.end;
+    const relationship = await PatientDoctor.create({
+      patientId: patient.id,
+      doctorId,
+      relationshipType,
+      startDate: toDate(period.start) || new Date(),
+      endDate: toDate(period.end),
+      isActive: active,
+      status: active ? 'active' : 'inactive'
+    }, { transaction });
+    relationshipIds.push(relationship.id);
+  }
+
+  if (relationshipIds.length === 0) {
+    return skipped('No members that are doctors here and not already on the patient\'s care team');
+  }
+  return created(relationshipIds[0], { targetIds: relationshipIds });
+};
+
+// Create an appointment unless the patient already has one with the doctor at that time
+const createAppointment = async (fields, { patient, transaction }) => {
+  const { Appointment } = require('../models');
+
+  const existing = await Appointment.findOne({
+    where: { patientId: patient.id, doctorId: fields.doctorId, appointmentDate: fields.appointmentDate },
+    transaction
+  });
+  if (existing) return skipped('Duplicate of an existing appointment', existing.id);
+
+  const appointment = await Appointment.create({ ...fields, patientId: patient.id }, { transaction });
+  return created(appointment.id);
+};
+
+const importAppointment = async ({ resource }, context) => {
+  const { Appointment } = require('../models');
+
+  const status = APPOINTMENT_STATUS_CODES[resource.status];
+  if (!status) return skipped(`Appointments with status "${resource.status}" are not imported`);
+
+  const actors = (resource.participant || []).map(participant => participant.actor).filter(Boolean);
+  if (actors.some(actor => context.typeOf(actor) === 'Patient' && !context.isAboutPatient(actor))) {
+    return skipped(DIFFERENT_PATIENT);
+  }
+
+  const doctorId = actors.map(actor => context.targetOf(actor, 'Practitioner')).find(Boolean);
+  if (!doctorId) return skipped('The practitioner is not a doctor here');
+
+  const appointmentDate = toDate(resource.start);
+  if (!appointmentDate) return skipped('The appointment has no start time');
+
+  return await createAppointment({
+    doctorId,
+    appointmentDate,
+    duration: toDuration(resource.minutesDuration, resource.start, resource.end),
+    status,
+    type: toEnum(conceptText(resource.appointmentType), enumValues(Appointment, 'type')) || 'consultation',
+    reason: conceptText((resource.reasonCode || [])[0]),
+    cancellationReason: status === 'cancelled' ? conceptText(resource.cancelationReason) : null
+  }, context);
+};
+
+// Encounters become appointments, unless they are the visit of an Appointment in the bundle
+const importEncounter = async ({ resource }, context) => {
+  const { Appointment } = require('../models');
+
+  const booked = (resource.appointment || []).map(context.resolve).find(entry => entry && entry.resource.resourceType === 'Appointment');
+  if (booked) {
+    const result = context.results.get(booked);
+    return skipped('Imported through its Appointment', result && result.targetId);
+  }
+
+  const status = ENCOUNTER_STATUS_CODES[resource.status];
+  if (!status) return skipped(`Encounters with status "${resource.status}" are not imported`);
+  if (!context.isAboutPatient(resource.subject)) return skipped(DIFFERENT_PATIENT);
+
+  const doctorId = (resource.participant || []).map(participant => context.targetOf(participant.individual, 'Practitioner')).find(Boolean);
+  if (!doctorId) return skipped('The practitioner is not a doctor here');
+
+  const period = resource.period || {};
+  const appointmentDate = toDate(period.start);
+  if (!appointmentDate) return skipped('The encounter has no start time');
+
+  const emergency = resource.class && resource.class.code === 'EMER';
+  return await createAppointment({
+    doctorId,
+    appointmentDate,
+    duration: toDuration(null, period.start, period.end),
+    status,
+    type: emergency ? 'emergency' : (toEnum(conceptText((resource.type || [])[0]), enumValues(Appointment, 'type')) || 'consultation'),
+    reason: conceptText((resource.reasonCode || [])[0])
+  }, context);
+};
+
+// Compositions become medical records; sections with the titles of our record fields fill those
+// fields, other sections are added to the description
+const importComposition = async ({ resource }, context) => {
+  const { MedicalRecord } = require('../models');
+  const { user, patient, transaction } = context;
+
+  if (resource.status === 'entered-in-error') return skipped('Entered in error');
+  if (!context.isAboutPatient(resource.subject)) return skipped(DIFFERENT_PATIENT);
+
+  const doctorId = (resource.author || []).map(author => context.targetOf(author, 'Practitioner')).find(Boolean) || context.doctorId;
+  if (!doctorId) return skipped('The author is not a doctor here and no doctor was given to record it under');
+
+  const fields = {};
+  const otherSections = [];
+  (resource.section || []).forEach(section => {
+    const content = narrativeText(section.text);
+    if (!content) return;
+    const title = section.title || conceptText(section.code);
+    const field = SECTION_FIELDS[String(title || '').toLowerCase()];
+    if (field && !fields[field]) {
+      fields[field] = content;
+    } else {
+      otherSections.push(title ? `${title}:\n${content}` : content);
+    }
+  });
+  if (otherSections.length) {
+    fields.description = [fields.description, ...otherSections].filter(Boolean).join('\n\n');
+  }
+
+  const title = (resource.title || conceptText(resource.type) || 'Imported record').slice(0, 200);
+  const createdAt = toDate(resource.date) || new Date();
+
+  const existing = await MedicalRecord.findOne({ where: { patientId: patient.id, title, createdAt }, transaction });
+  if (existing) return skipped('Duplicate of an existing medical record', existing.id);
+
+  const record = await MedicalRecord.create({
+    ...fields,
+    patientId: patient.id,
+    doctorId,
+    appointmentId: context.targetOf(resource.encounter, 'Encounter'),
+    recordType: toEnum(conceptText(resource.type), enumValues(MedicalRecord, 'recordType')) || 'consultation',
+    title,
+    isConfidential: ['R', 'V'].includes(resource.confidentiality),
+    createdBy: user.id,
+    createdAt
+  }, { transaction });
+  return created(record.id);
+};
+
+// Save document content under uploads/, as an upload of it would be
+const writeDocument = async (name, contentType, content) => {
+  const directory = path.join(uploadsDir, 'medical-documents');
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const extension = path.extname(name);
+  const suffix = /^\.[a-z0-9]{1,8}$/i.test(extension) ? extension : (EXTENSIONS[contentType] || '');
+  const baseName = path.basename(name, extension).replace(/[^a-zA-Z0-9]/g, '_');
+  const filePath = path.join(directory, `${baseName}_${Date.now()}-${Math.round(Math.random() * 1E9)}${suffix}`);
+
+  await fs.promises.writeFile(filePath, content);
+  return filePath;
+};
+
+// DocumentReferences become attachments of the medical record their Composition was imported as;
+// the content is taken inline or from a Binary in the bundle
+const importDocumentReference = async ({ resource }, context) => {
+  const { MedicalRecord } = require('../models');
+  const { user, transaction } = context;
+
+  if (resource.status === 'entered-in-error') return skipped('Entered in error');
+  if (!context.isAboutPatient(resource.subject)) return skipped(DIFFERENT_PATIENT);
+
+  const related = ((resource.context && resource.context.related) || []).map(context.resolve)
+    .find(entry => entry && entry.resource.resourceType === 'Composition');
+  const recordId = related && context.results.get(related) && context.results.get(related).targetId;
+  if (!recordId) return skipped('Not attached to a Composition that was imported');
+
+  const attachment = ((resource.content || [])[0] || {}).attachment || {};
+  let { data, contentType } = attachment;
+  if (!data && attachment.url) {
+    const binary = context.resolve({ reference: attachment.url });
+    if (binary && binary.resource.resourceType === 'Binary') {
+      data = binary.resource.data;
+      contentType = contentType || binary.resource.contentType;
+      context.binaries.set(binary, resource.id);
+    }
+  }
+
+  if (!data) return skipped('The document content is not in the bundle');
+  if (!DOCUMENT_TYPES.includes(contentType)) return skipped(`Documents of type ${contentType || 'unknown'} are not accepted`);
+
+  const content = Buffer.from(data, 'base64');
+  const name = attachment.title || resource.description || 'document';
+  const record = await MedicalRecord.findByPk(recordId, { transaction });
+  const attachments = record.attachments || [];
+  if (attachments.some(existing => existing.name === name && existing.size === content.length)) {
+    return skipped('Duplicate of an existing attachment', recordId);
+  }
+
+  // Dry runs leave no files behind
+  let url = null;
+  if (!context.dryRun) {
+    const filePath = await writeDocument(name, contentType, content);
+    context.files.push(filePath);
+    url = `/uploads/${path.relative(uploadsDir, filePath).replace(/\\/g, '/')}`;
+  }
+
+  await record.update({
+    attachments: [...attachments, {
+      name,
+      url,
+      type: contentType,
+      size: content.length,
+      uploadedAt: (toDate(attachment.creation) || new Date()).toISOString(),
+      uploadedBy: user.id
+    }],
+    lastModifiedBy: user.id
+  }, { transaction });
+  return created(recordId);
+};
+
+// Unit of a vital sign quantity that the type accepts, from its unit text or UCUM code
+const vitalSignUnit = (type, quantity) => {
+  const definition = VITAL_SIGN_TYPES[type];
+  if (!quantity.unit && !quantity.code) return definition.unit;
+
+  const candidates = [
+    quantity.unit,
+    ...Object.keys(UCUM_UNITS).filter(unit => UCUM_UNITS[unit] === quantity.code),
+    UCUM_CODES[quantity.code]
+  ];
+  return candidates.find(unit => unit && (unit === definition.unit || (definition.conversions && definition.conversions[unit]))) || null;
+};
+
+const importVitalSign = async (resource, observedAt, context) => {
+  const { VitalSign } = require('../models');
+  const { user, patient, transaction } = context;
+
+  const direct = VITAL_TYPES_BY_LOINC[conceptCodes(resource.code, SYSTEMS.loinc).find(code => VITAL_TYPES_BY_LOINC[code])];
+  const readings = direct
+    ? [{ type: direct, quantity: resource.valueQuantity }]
+    : (resource.component || []).map(component => ({
+      type: VITAL_TYPES_BY_LOINC[conceptCodes(component.code, SYSTEMS.loinc).find(code => VITAL_TYPES_BY_LOINC[code])],
+      quantity: component.valueQuantity
+    })).filter(reading => reading.type);
+
+  const observations = [];
+  for (const { type, quantity } of readings) {
+    if (!quantity || typeof quantity.value !== 'number') {
+      return skipped(`No numeric value for ${VITAL_SIGN_TYPES[type].label.toLowerCase()}`);
+    }
+    const unit = vitalSignUnit(type, quantity);
+    if (!unit) return skipped(`Unit ${quantity.unit || quantity.code} is not accepted for ${VITAL_SIGN_TYPES[type].label.toLowerCase()}`);
+
+    const key = `${type}|${observedAt.toISOString()}`;
+    const existing = context.vitalSigns.get(key) || await VitalSign.findOne({ where: { patientId: patient.id, type, observedAt }, transaction });
+    if (!existing) observations.push({ type, value: quantity.value, unit, key });
+  }
+  if (readings.length === 0) return skipped('No vital sign values');
+  if (observations.length === 0) return skipped('Duplicate of existing vital signs');
+
+  const vitals = await VitalSign.record(patient, observations, { observedAt, recordedBy: user.id, transaction });
+  observations.forEach((observation, index) => context.vitalSigns.set(observation.key, vitals[index]));
+  return created(vitals[0].id, { targetIds: vitals.map(vital => vital.id) });
+};
+
+// Laboratory observations become results of lab orders created for them, one per collection
+// time (and encounter), as results without an order of ours are when received over HL7
+const importLabResult = async (resource, observedAt, context) => {
+  const { LabOrder, LabResult } = require('../models');
+  const { user, patient, transaction } = context;
+
+  const status = LAB_STATUS_CODES[resource.status];
+  if (!status) return skipped(`Lab results with status "${resource.status}" are not imported`);
+
+  const analyteCode = conceptCodes(resource.code, SYSTEMS.loinc)[0] || conceptCodes(resource.code)[0];
+  if (!analyteCode) return skipped('The observation has no code');
+
+  const quantity = resource.valueQuantity;
+  const hasValue = quantity && typeof quantity.value === 'number';
+  const valueText = resource.valueString || conceptText(resource.valueCodeableConcept);
+  if (!hasValue && !valueText) return skipped('The observation has no value');
+
+  const appointmentId = context.targetOf(resource.encounter, 'Encounter');
+  const orderKey = `${observedAt.toISOString()}|${appointmentId || ''}`;
+  const order = context.labOrders.get(orderKey);
+  if (order && order.results.some(result => result.analyteCode === analyteCode)) {
+    return skipped('Duplicate of another observation in the bundle');
+  }
+
+  const existing = await LabResult.findOne({ where: { patientId: patient.id, analyteCode, observedAt }, transaction });
+  if (existing) return skipped('Duplicate of an existing lab result', existing.id);
+
+  if (!order) {
+    const labOrder = await LabOrder.create({
+      patientId: patient.id,
+      appointmentId,
+      tests: [],
+      orderedAt: observedAt
+    }, { transaction });
+    context.labOrders.set(orderKey, { labOrder, results: [] });
+  }
+
+  const range = (resource.referenceRange || [])[0] || {};
+  const interpretation = conceptCodes((resource.interpretation || [])[0]).map(code => FLAGS[code]).find(Boolean);
+  const { labOrder, results } = context.labOrders.get(orderKey);
+  const result = await LabResult.create({
+    ...LabResult.evaluate({
+      analyteCode,
+      analyteName: conceptText(resource.code),
+      value: hasValue ? quantity.value : null,
+      valueText: hasValue ? null : valueText,
+      unit: hasValue ? (quantity.unit || quantity.code) : undefined,
+      referenceLow: range.low && typeof range.low.value === 'number' ? range.low.value : undefined,
+      referenceHigh: range.high && typeof range.high.value === 'number' ? range.high.value : undefined,
+      referenceText: range.text,
+      flag: interpretation,
+      status,
+      observedAt,
+      resultedAt: toDate(resource.issued) || undefined,
+      notes: noteText(resource)
+    }, patient),
+    labOrderId: labOrder.id,
+    patientId: patient.id,
+    enteredBy: user.id
+  }, { transaction });
+  results.push(result);
+  return created(result.id, { labOrderId: labOrder.id });
+};
+
+const importObservation = async ({ resource }, context) => {
+  if (['entered-in-error', 'cancelled'].includes(resource.status)) return skipped(`Status is ${resource.status}`);
+  if (!context.isAboutPatient(resource.subject)) return skipped(DIFFERENT_PATIENT);
+
+  const observedAt = toDate(resource.effectiveDateTime || (resource.effectivePeriod && resource.effectivePeriod.start) || resource.issued);
+  if (!observedAt) return skipped('The observation has no date');
+
+  const loincCodes = conceptCodes(resource.code, SYSTEMS.loinc);
+  if (loincCodes.some(code => VITAL_TYPES_BY_LOINC[code]) || loincCodes.includes(BLOOD_PRESSURE_PANEL)) {
+    return await importVitalSign(resource, observedAt, context);
+  }
+
+  const categories = (resource.category || []).flatMap(category => conceptCodes(category, SYSTEMS.observationCategory));
+  if (categories.includes('laboratory')) {
+    return await importLabResult(resource, observedAt, context);
+  }
+  if (categories.includes('vital-signs')) {
+    return skipped('Not a vital sign type recorded here');
+  }
+  return skipped('Only vital sign and laboratory observations are imported');
+};
+
+const importAllergyIntolerance = async ({ resource }, context) => {
+  const { Allergy } = require('../models');
+  const { user, patient, transaction } = context;
+
+  const verification = conceptCodes(resource.verificationStatus);
+  if (verification.includes('entered-in-error') || verification.includes('refuted')) {
+    return skipped(`Verification status is ${verification.join(', ')}`);
+  }
+  if (!context.isAboutPatient(resource.patient)) return skipped(DIFFERENT_PATIENT);
+
+  const substance = conceptText(resource.code);
+  if (!substance) return skipped('The allergy has no substance');
+
+  if (!context.allergies) {
+    context.allergies = await Allergy.findAll({ where: { patientId: patient.id }, transaction });
+  }
+  const existing = context.allergies.find(allergy => allergy.substance.trim().toLowerCase() === substance.trim().toLowerCase());
+  if (existing) return skipped('Duplicate of an existing allergy', existing.id);
+
+  const reactions = resource.reaction || [];
+  const severity = reactions.map(reaction => reaction.severity).find(Boolean) || (resource.criticality === 'high' ? 'severe' : 'unknown');
+  const allergy = await Allergy.create({
+    patientId: patient.id,
+    substance,
+    category: ALLERGY_CATEGORY_CODES[(resource.category || [])[0]] || 'other',
+    reaction: reactions.flatMap(reaction => (reaction.manifestation || []).map(conceptText)).filter(Boolean).join(', ') || null,
+    severity,
+    onsetDate: toDateOnly(resource.onsetDateTime),
+    status: toEnum(conceptCodes(resource.clinicalStatus)[0], enumValues(Allergy, 'status')) || 'active',
+    notes: noteText(resource),
+    source: 'imported',
+    recordedBy: user.id
+  }, { transaction });
+  context.allergies.push(allergy);
+  return created(allergy.id);
+};
+
+const importMedicationStatement = async ({ resource }, context) => {
+  const { Medication } = require('../models');
+  const { user, patient, transaction } = context;
+
+  const status = MEDICATION_STATUS_CODES[resource.status];
+  if (!status) return skipped(`Medication statements with status "${resource.status}" are not imported`);
+  if (!context.isAboutPatient(resource.subject)) return skipped(DIFFERENT_PATIENT);
+
+  const medication = context.resolve(resource.medicationReference);
+  const drug = conceptText(resource.medicationCodeableConcept)
+    || (medication && conceptText(medication.resource.code))
+    || (resource.medicationReference && resource.medicationReference.display);
+  if (!drug) return skipped('The statement names no medication');
+
+  const period = resource.effectivePeriod || {};
+  const startDate = toDateOnly(period.start || resource.effectiveDateTime);
+  let stopDate = toDateOnly(period.end) || (status === 'stopped' ? (toDateOnly(resource.dateAsserted) || new Date().toISOString().slice(0, 10)) : null);
+  if (startDate && stopDate && stopDate < startDate) stopDate = startDate;
+
+  if (!context.medications) {
+    context.medications = await Medication.findAll({ where: { patientId: patient.id }, transaction });
+  }
+  const existing = context.medications.find(entry => entry.drug.trim().toLowerCase() === drug.trim().toLowerCase() && (entry.startDate || null) === startDate);
+  if (existing) return skipped('Duplicate of an existing medication', existing.id);
+
+  // Dosage text is written as "<dose> <route> <frequency>"; the dose is what remains of it
+  const dosage = (resource.dosage || [])[0] || {};
+  const routeText = conceptText(dosage.route);
+  const frequency = conceptText(dosage.timing && dosage.timing.code);
+  const doseQuantity = ((dosage.doseAndRate || [])[0] || {}).doseQuantity;
+  let dose = doseQuantity && typeof doseQuantity.value === 'number' ? [doseQuantity.value, doseQuantity.unit].filter(Boolean).join(' ') : null;
+  if (!dose && dosage.text) {
+    dose = [routeText, frequency].filter(Boolean).reduce((rest, part) => rest.replace(part, ''), dosage.text).replace(/\s+/g, ' ').trim() || null;
+  }
+
+  const prescriberId = context.targetOf(resource.informationSource, 'Practitioner');
+  const saved = await Medication.create({
+    patientId: patient.id,
+    drug,
+    dose,
+    route: toEnum(routeText, enumValues(Medication, 'route')),
+    frequency,
+    startDate,
+    stopDate,
+    prescriberId,
+    prescriberName: prescriberId ? null : (resource.informationSource && resource.informationSource.display) || null,
+    notes: noteText(resource),
+    source: 'imported',
+    recordedBy: user.id
+  }, { transaction });
+  context.medications.push(saved);
+  return created(saved.id);
+};
+
+const IMPORTERS = {
+  Practitioner: importPractitioner,
+  CareTeam: importCareTeam,
+  Appointment: importAppointment,
+  Encounter: importEncounter,
+  Composition: importComposition,
+  DocumentReference: importDocumentReference,
+  Observation: importObservation,
+  AllergyIntolerance: importAllergyIntolerance,
+  MedicationStatement: importMedicationStatement
+};
+
+// Import `bundle` for `user`, all in one transaction. A dry run rolls it back, so its report
+// shows what an import would do. `patientId` names the patient to merge into when the match is
+// ambiguous; `doctorId` the doctor to record as the author of medical records whose author is
+// not a doctor here (by default the importing doctor). Throws FhirImportError when the bundle
+// cannot be imported at all.
+const importPatientBundle = async (bundle, user, { dryRun = true, patientId = null, doctorId = null } = {}) => {
+  const { Doctor, LabOrder } = require('../models');
+  const { entries, resolve } = indexBundle(bundle);
+
+  const patientEntries = entries.filter(entry => entry.resource.resourceType === 'Patient');
+  if (patientEntries.length !== 1) {
+    throw new FhirImportError('The bundle must contain exactly one Patient');
+  }
+  const [patientEntry] = patientEntries;
+  const demographics = readPatient(patientEntry.resource);
+
+  if (doctorId && !(await Doctor.findByPk(doctorId))) {
+    throw new FhirImportError('The doctor to record medical records under was not found');
+  }
+
+  const results = new Map();
+  const context = {
+    user,
+    dryRun,
+    patientId,
+    doctorId: doctorId || (await getProfileIds(user)).doctorId,
+    patient: null,
+    results,
+    resolve,
+    files: [],
+    binaries: new Map(),
+    labOrders: new Map(),
+    vitalSigns: new Map(),
+    typeOf: (reference) => {
+      const entry = resolve(reference);
+      if (entry) return entry.resource.resourceType;
+      const match = String((reference && reference.reference) || '').match(/([A-Za-z]+)\/[^/]+$/);
+      return match ? match[1] : null;
+    },
+    // Resources without a reference to the patient are taken to be about the bundle's Patient
+    isAboutPatient: (reference) => !reference || !reference.reference || resolve(reference) === patientEntry,
+    // ID of what a referenced entry was imported as (or matched to)
+    targetOf: (reference, resourceType) => {
+      const entry = resolve(reference);
+      if (!entry || entry.resource.resourceType !== resourceType) return null;
+      const result = results.get(entry);
+      return (result && result.targetId) || null;
+    }
+  };
+
+  const transaction = await sequelize.transaction();
+  context.transaction = transaction;
+  try {
+    const patientResult = await importPatient(demographics, context);
+    results.set(patientEntry, patientResult);
+
+    for (const resourceType of IMPORT_ORDER) {
+      for (const entry of entries.filter(item => item.resource.resourceType === resourceType)) {
+        results.set(entry, context.patient
+          ? await IMPORTERS[resourceType](entry, context)
+          : skipped('The patient was not imported'));
+      }
+    }
+
+    // Orders get the tests they have results for, and their status from those results
+    for (const { labOrder, results: labResults } of context.labOrders.values()) {
+      await labOrder.update({
+        tests: LabOrder.buildTests([...new Map(labResults.map(result => [result.analyteCode, { code: result.analyteCode, name: result.analyteName }])).values()])
+      }, { transaction });
+      await labOrder.refreshStatus(labResults, { transaction });
+    }
+
+    entries.filter(entry => !results.has(entry)).forEach(entry => {
+      const { resourceType } = entry.resource;
+      if (resourceType === 'Binary' && context.binaries.has(entry)) {
+        results.set(entry, skipped(`Imported as the content of DocumentReference ${context.binaries.get(entry)}`));
+      } else {
+        results.set(entry, skipped(resourceType ? `${resourceType} resources are not imported` : 'The entry has no resource'));
+      }
+    });
+
+    if (dryRun) {
+      await transaction.rollback();
+    } else {
+      await transaction.commit();
+    }
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    await Promise.all(context.files.map(filePath => fs.promises.unlink(filePath).catch(() => {})));
+    throw error;
+  }
+
+  // Records created in a dry run were rolled back, so only IDs of existing ones are reported
+  const createdIds = new Set([...results.values()].filter(result => result.outcome === 'created').map(result => result.targetId));
+  const report = entries.map(entry => {
+    const { targetId, targetIds, userId, medicalRecordNumber, labOrderId, ...result } = results.get(entry);
+    const persisted = !dryRun || !createdIds.has(targetId);
+    return {
+      index: entry.index,
+      fullUrl: entry.fullUrl,
+      resourceType: entry.resource.resourceType || null,
+      id: entry.resource.id,
+      ...result,
+      ...(persisted ? { targetId, targetIds, userId, medicalRecordNumber, labOrderId } : {})
+    };
+  });
+
+  const summary = { created: 0, merged: 0, skipped: 0, byResourceType: {} };
+  report.forEach(({ resourceType, outcome }) => {
+    const type = resourceType || 'unknown';
+    summary[outcome] += 1;
+    summary.byResourceType[type] = summary.byResourceType[type] || { created: 0, merged: 0, skipped: 0 };
+    summary.byResourceType[type][outcome] += 1;
+  });
+
+  return {
+    dryRun,
+    patient: report[patientEntry.index],
+    summary,
+    entries: report
+  };
+};
+
+module.exports = {
+  FhirImportError,
+  importPatientBundle
+};
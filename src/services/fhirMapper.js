@@ -0,0 +1,484 @@
+const crypto = require('crypto');
+const { VITAL_SIGN_TYPES } = require('../data/vitalSigns');
+
+// Mapping of our models to FHIR R4 resources (JSON), plus the Bundle and OperationOutcome
+// wrappers used by the /fhir routes
+
+const FHIR_VERSION = '4.0.1';
+
+const SYSTEMS = {
+  loinc: 'http://loinc.org',
+  ucum: 'http://unitsofmeasure.org',
+  identifierType: 'http://terminology.hl7.org/CodeSystem/v2-0203',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  interpretation: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+  encounterClass: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+  confidentiality: 'http://terminology.hl7.org/CodeSystem/v3-Confidentiality',
+  allergyClinicalStatus: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical',
+  // Our own identifiers
+  medicalRecordNumber: 'urn:healthcare-api:mrn',
+  licenseNumber: 'urn:healthcare-api:license'
+};
+
+// UCUM codes for the units we store; other units are sent as plain text
+const UCUM_UNITS = {
+  mmHg: 'mm[Hg]',
+  bpm: '/min',
+  'breaths/min': '/min',
+  '°C': 'Cel',
+  '%': '%',
+  kg: 'kg',
+  cm: 'cm',
+  'mg/dL': 'mg/dL',
+  'g/dL': 'g/dL',
+  'mmol/L': 'mmol/L',
+  '10*3/uL': '10*3/uL',
+  'U/L': 'U/L',
+  'mIU/L': 'm[IU]/L'
+};
+
+// Our appointment statuses as FHIR Appointment and Encounter statuses
+const APPOINTMENT_STATUSES = {
+  scheduled: 'pending',
+  confirmed: 'booked',
+  in_progress: 'arrived',
+  completed: 'fulfilled',
+  cancelled: 'cancelled',
+  no_show: 'noshow'
+};
+
+const ENCOUNTER_STATUSES = {
+  scheduled: 'planned',
+  confirmed: 'planned',
+  in_progress: 'in-progress',
+  completed: 'finished',
+  cancelled: 'cancelled',
+  no_show: 'cancelled'
+};
+
+const INTERPRETATIONS = {
+  normal: { code: 'N', display: 'Normal' },
+  low: { code: 'L', display: 'Low' },
+  high: { code: 'H', display: 'High' },
+  critical_low: { code: 'LL', display: 'Critical low' },
+  critical_high: { code: 'HH', display: 'Critical high' },
+  abnormal: { code: 'A', display: 'Abnormal' }
+};
+
+const OBSERVATION_CATEGORIES = {
+  'vital-signs': 'Vital Signs',
+  laboratory: 'Laboratory'
+};
+
+// Medical record fields written as Composition sections
+const RECORD_SECTIONS = [
+  ['description', 'Description'],
+  ['symptoms', 'Symptoms'],
+  ['diagnosis', 'Diagnosis'],
+  ['treatment', 'Treatment'],
+  ['prescription', 'Prescription'],
+  ['followUpNotes', 'Follow-up']
+];
+
+const ALLERGY_CATEGORIES = {
+  drug: 'medication',
+  food: 'food',
+  environmental: 'environment'
+};
+
+const ALLERGY_CRITICALITIES = {
+  mild: 'low',
+  moderate: 'low',
+  severe: 'high',
+  life_threatening: 'high',
+  unknown: 'unable-to-assess'
+};
+
+// Drop empty values so resources only carry the elements we have
+const compact = (object) => {
+  Object.keys(object).forEach(key => {
+    const value = object[key];
+    const empty = Array.isArray(value) ? value.length === 0 : (typeof value === 'object' && value !== null && Object.keys(value).length === 0);
+    if (value === null || value === undefined || value === '' || empty) {
+      delete object[key];
+    }
+  });
+  return object;
+};
+
+const toInstant = (value) => (value ? new Date(value).toISOString() : undefined);
+
+const reference = (type, id, display) => (id ? compact({ reference: `${type}/${id}`, display }) : undefined);
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : undefined);
+
+const humanName = (user) => (user ? [{ use: 'official', family: user.lastName, given: [user.firstName] }] : []);
+
+const telecom = (user) => {
+  if (!user) return [];
+  return [
+    user.phone && { system: 'phone', value: user.phone },
+    user.email && { system: 'email', value: user.email }
+  ].filter(Boolean);
+};
+
+const quantity = (value, unit) => {
+  if (value === null || value === undefined) return undefined;
+  const code = UCUM_UNITS[unit];
+  return compact({ value, unit, system: code ? SYSTEMS.ucum : undefined, code });
+};
+
+const escapeXhtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\n/g, '<br/>');
+
+const narrative = (text) => ({
+  status: 'generated',
+  div: `<div xmlns="http://www.w3.org/1999/xhtml">${escapeXhtml(text)}</div>`
+});
+
+const meta = (instance) => (instance.updatedAt ? { lastUpdated: toInstant(instance.updatedAt) } : undefined);
+
+// Patient (with its `user` included)
+const toPatient = (patient) => compact({
+  resourceType: 'Patient',
+  id: patient.id,
+  meta: meta(patient),
+  identifier: [{
+    use: 'usual',
+    type: { coding: [{ system: SYSTEMS.identifierType, code: 'MR', display: 'Medical record number' }] },
+    system: SYSTEMS.medicalRecordNumber,
+    value: patient.medicalRecordNumber
+  }],
+  name: humanName(patient.user),
+  telecom: telecom(patient.user),
+  gender: patient.gender,
+  birthDate: patient.dateOfBirth,
+  address: patient.address || patient.city ? [compact({
+    line: patient.address ? [patient.address] : [],
+    city: patient.city,
+    state: patient.state,
+    postalCode: patient.zipCode,
+    country: patient.country
+  })] : [],
+  contact: patient.emergencyContactName ? [compact({
+    relationship: patient.emergencyContactRelation ? [{ text: patient.emergencyContactRelation }] : [],
+    name: { text: patient.emergencyContactName },
+    telecom: patient.emergencyContactPhone ? [{ system: 'phone', value: patient.emergencyContactPhone }] : []
+  })] : []
+});
+
+// Practitioner from a Doctor (with its `user` included)
+const toPractitioner = (doctor) => compact({
+  resourceType: 'Practitioner',
+  id: doctor.id,
+  meta: meta(doctor),
+  identifier: doctor.licenseNumber ? [{ system: SYSTEMS.licenseNumber, value: doctor.licenseNumber }] : [],
+  name: humanName(doctor.user),
+  telecom: telecom(doctor.user),
+  qualification: doctor.specialization ? [{ code: { text: doctor.specialization } }] : [],
+  communication: (doctor.languages || []).map(language => ({ text: language }))
+});
+
+const appointmentPeriod = (appointment) => {
+  const start = new Date(appointment.appointmentDate);
+  return {
+    start: start.toISOString(),
+    end: new Date(start.getTime() + (appointment.duration || 0) * 60 * 1000).toISOString()
+  };
+};
+
+// Appointment (with `patient` and `doctor` and their users included)
+const toAppointment = (appointment) => compact({
+  resourceType: 'Appointment',
+  id: appointment.id,
+  meta: meta(appointment),
+  status: APPOINTMENT_STATUSES[appointment.status],
+  cancelationReason: appointment.cancellationReason ? { text: appointment.cancellationReason } : undefined,
+  appointmentType: appointment.type ? { text: appointment.type.replace(/_/g, ' ') } : undefined,
+  reasonCode: appointment.reason ? [{ text: appointment.reason }] : [],
+  ...appointmentPeriod(appointment),
+  minutesDuration: appointment.duration,
+  created: toInstant(appointment.createdAt),
+  participant: [
+    { actor: reference('Patient', appointment.patientId, fullName(appointment.patient && appointment.patient.user)), status: 'accepted' },
+    { actor: reference('Practitioner', appointment.doctorId, fullName(appointment.doctor && appointment.doctor.user)), status: 'accepted' }
+  ]
+});
+
+// Encounter for the visit an appointment books; it shares the appointment's ID
+const toEncounter = (appointment) => {
+  const emergency = appointment.type === 'emergency';
+  return compact({
+    resourceType: 'Encounter',
+    id: appointment.id,
+    meta: meta(appointment),
+    status: ENCOUNTER_STATUSES[appointment.status],
+    class: {
+      system: SYSTEMS.encounterClass,
+      code: emergency ? 'EMER' : 'AMB',
+      display: emergency ? 'emergency' : 'ambulatory'
+    },
+    type: appointment.type ? [{ text: appointment.type.replace(/_/g, ' ') }] : [],
+    subject: reference('Patient', appointment.patientId, fullName(appointment.patient && appointment.patient.user)),
+    participant: [{ individual: reference('Practitioner', appointment.doctorId, fullName(appointment.doctor && appointment.doctor.user)) }],
+    appointment: [reference('Appointment', appointment.id)],
+    period: appointmentPeriod(appointment),
+    reasonCode: appointment.reason ? [{ text: appointment.reason }] : []
+  });
+};
+
+const category = (code) => [{
+  coding: [{ system: SYSTEMS.observationCategory, code, display: OBSERVATION_CATEGORIES[code] }]
+}];
+
+const interpretation = (flag) => {
+  const entry = INTERPRETATIONS[flag];
+  return entry ? [{ coding: [{ system: SYSTEMS.interpretation, ...entry }] }] : [];
+};
+
+const referenceRange = (low, high, unit, text) => {
+  const range = compact({ low: quantity(low, unit), high: quantity(high, unit), text });
+  return Object.keys(range).length ? [range] : [];
+};
+
+// Observation from a VitalSign
+const vitalSignToObservation = (vital) => {
+  const type = VITAL_SIGN_TYPES[vital.type];
+  return compact({
+    resourceType: 'Observation',
+    id: vital.id,
+    meta: meta(vital),
+    status: 'final',
+    category: category('vital-signs'),
+    code: {
+      coding: [{ system: SYSTEMS.loinc, code: type.loinc, display: type.label }],
+      text: type.label
+    },
+    subject: reference('Patient', vital.patientId),
+    effectiveDateTime: toInstant(vital.observedAt),
+    issued: toInstant(vital.createdAt),
+    valueQuantity: quantity(vital.value, vital.unit),
+    interpretation: interpretation(vital.flag),
+    referenceRange: referenceRange(vital.referenceLow, vital.referenceHigh, vital.unit)
+  });
+};
+
+// Observation from a LabResult (with its `labOrder` included, for the encounter)
+const labResultToObservation = (result) => compact({
+  resourceType: 'Observation',
+  id: result.id,
+  meta: meta(result),
+  status: result.status,
+  category: category('laboratory'),
+  code: {
+    coding: [{ system: SYSTEMS.loinc, code: result.analyteCode, display: result.analyteName }],
+    text: result.analyteName
+  },
+  subject: reference('Patient', result.patientId),
+  encounter: result.labOrder ? reference('Encounter', result.labOrder.appointmentId) : undefined,
+  effectiveDateTime: toInstant(result.observedAt),
+  issued: toInstant(result.resultedAt),
+  valueQuantity: quantity(result.value, result.unit),
+  valueString: result.value === null || result.value === undefined ? result.valueText : undefined,
+  interpretation: interpretation(result.flag),
+  referenceRange: referenceRange(result.referenceLow, result.referenceHigh, result.unit, result.referenceText),
+  note: result.notes ? [{ text: result.notes }] : []
+});
+
+// CareTeam of a patient from their patient-doctor relationships (with `doctor.user` included);
+// it shares the patient's ID
+const toCareTeam = (patient, relationships) => compact({
+  resourceType: 'CareTeam',
+  id: patient.id,
+  status: relationships.some(relationship => relationship.status === 'active' && relationship.isActive) ? 'active' : 'inactive',
+  subject: reference('Patient', patient.id),
+  participant: relationships.map(relationship => compact({
+    role: [{ text: relationship.relationshipType.replace(/_/g, ' ') }],
+    member: reference('Practitioner', relationship.doctorId, fullName(relationship.doctor && relationship.doctor.user)),
+    period: compact({ start: relationship.startDate, end: relationship.endDate })
+  }))
+});
+
+// Composition holding the text of a medical record
+const toComposition = (record) => compact({
+  resourceType: 'Composition',
+  id: record.id,
+  meta: meta(record),
+  status: 'final',
+  type: {
+    coding: [{ system: SYSTEMS.loinc, code: '11506-3', display: 'Progress note' }],
+    text: record.recordType.replace(/_/g, ' ')
+  },
+  subject: reference('Patient', record.patientId),
+  encounter: reference('Encounter', record.appointmentId),
+  date: toInstant(record.createdAt),
+  author: [reference('Practitioner', record.doctorId)],
+  title: record.title,
+  confidentiality: record.isConfidential ? 'R' : 'N',
+  section: RECORD_SECTIONS
+    .filter(([field]) => record[field])
+    .map(([field, title]) => ({ title, text: narrative(record[field]) }))
+});
+
+// Stable ID for a medical record attachment, shared by its DocumentReference and Binary
+const attachmentId = (record, attachment) => {
+  const hex = crypto.createHash('sha256').update(`${record.id}:${attachment.url}`).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+};
+
+// DocumentReference for a medical record attachment; `binary` says whether its content is in
+// the bundle as a Binary with the same ID
+const toDocumentReference = (record, attachment, { binary = false } = {}) => {
+  const id = attachmentId(record, attachment);
+  const contentType = attachment.type && attachment.type.includes('/') ? attachment.type : undefined;
+  return compact({
+    resourceType: 'DocumentReference',
+    id,
+    status: 'current',
+    description: attachment.name,
+    subject: reference('Patient', record.patientId),
+    date: toInstant(attachment.uploadedAt || record.createdAt),
+    securityLabel: record.isConfidential
+      ? [{ coding: [{ system: SYSTEMS.confidentiality, code: 'R', display: 'restricted' }] }]
+      : [],
+    content: [{
+      attachment: compact({
+        contentType,
+        url: binary ? `Binary/${id}` : undefined,
+        title: attachment.name,
+        size: attachment.size,
+        creation: toInstant(attachment.uploadedAt)
+      })
+    }],
+    context: compact({
+      encounter: record.appointmentId ? [reference('Encounter', record.appointmentId)] : [],
+      related: [reference('Composition', record.id)]
+    })
+  });
+};
+
+// AllergyIntolerance from an Allergy
+const toAllergyIntolerance = (allergy) => compact({
+  resourceType: 'AllergyIntolerance',
+  id: allergy.id,
+  meta: meta(allergy),
+  clinicalStatus: { coding: [{ system: SYSTEMS.allergyClinicalStatus, code: allergy.status }] },
+  category: ALLERGY_CATEGORIES[allergy.category] ? [ALLERGY_CATEGORIES[allergy.category]] : [],
+  criticality: ALLERGY_CRITICALITIES[allergy.severity],
+  code: { text: allergy.substance },
+  patient: reference('Patient', allergy.patientId),
+  onsetDateTime: allergy.onsetDate,
+  recordedDate: toInstant(allergy.createdAt),
+  reaction: allergy.reaction ? [compact({
+    manifestation: [{ text: allergy.reaction }],
+    severity: { mild: 'mild', moderate: 'moderate', severe: 'severe', life_threatening: 'severe' }[allergy.severity]
+  })] : [],
+  note: allergy.notes ? [{ text: allergy.notes }] : []
+});
+
+// MedicationStatement from a Medication
+const toMedicationStatement = (medication) => compact({
+  resourceType: 'MedicationStatement',
+  id: medication.id,
+  meta: meta(medication),
+  status: medication.isActive() ? 'active' : 'completed',
+  medicationCodeableConcept: { text: medication.drug },
+  subject: reference('Patient', medication.patientId),
+  effectivePeriod: compact({ start: medication.startDate, end: medication.stopDate }),
+  dateAsserted: toInstant(medication.createdAt),
+  informationSource: medication.prescriberId
+    ? reference('Practitioner', medication.prescriberId)
+    : (medication.prescriberName ? { display: medication.prescriberName } : undefined),
+  dosage: [medication.dose, medication.route, medication.frequency].some(Boolean) ? [compact({
+    text: [medication.dose, medication.route, medication.frequency].filter(Boolean).join(' '),
+    timing: medication.frequency ? { code: { text: medication.frequency } } : undefined,
+    route: medication.route ? { text: medication.route } : undefined
+  })] : [],
+  note: medication.notes ? [{ text: medication.notes }] : []
+});
+
+// A searchset Bundle for one page of results. `query` is the request's query string object;
+// the links repeat it with the page's `_offset`. There is no next link past `maxOffset`.
+const toSearchBundle = ({ baseUrl, type, resources, total, count, offset, maxOffset = Infinity, query }) => {
+  const pageUrl = (pageOffset) => {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([name, value]) => {
+      if (name === '_offset' || name === '_count') return;
+      [].concat(value).forEach(entry => params.append(name, entry));
+    });
+    params.set('_count', count);
+    params.set('_offset', pageOffset);
+    return `${baseUrl}/${type}?${params.toString()}`;
+  };
+
+  const link = [{ relation: 'self', url: pageUrl(offset) }];
+  if (offset + count < total && offset + count <= maxOffset) link.push({ relation: 'next', url: pageUrl(offset + count) });
+  if (offset > 0) link.push({ relation: 'previous', url: pageUrl(Math.max(offset - count, 0)) });
+
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total,
+    link,
+    entry: resources.map(resource => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' }
+    }))
+  };
+};
+
+const ISSUE_CODES = {
+  400: 'invalid',
+  401: 'login',
+  403: 'forbidden',
+  404: 'not-found',
+  409: 'conflict',
+  422: 'processing',
+  429: 'throttled',
+  503: 'transient'
+};
+
+// OperationOutcome for an error response; `errors` are express-validator errors
+const toOperationOutcome = (statusCode, message, errors = []) => ({
+  resourceType: 'OperationOutcome',
+  issue: (errors.length ? errors : [{ msg: message }]).map(error => compact({
+    severity: statusCode >= 500 ? 'fatal' : 'error',
+    code: ISSUE_CODES[statusCode] || 'exception',
+    diagnostics: error.msg,
+    expression: error.path ? [error.path] : []
+  }))
+});
+
+// Base URL of the FHIR API as seen by the client
+const getBaseUrl = (req) => process.env.FHIR_BASE_URL || `${req.protocol}://${req.get('host')}/fhir`;
+
+module.exports = {
+  FHIR_VERSION,
+  SYSTEMS,
+  UCUM_UNITS,
+  APPOINTMENT_STATUSES,
+  ENCOUNTER_STATUSES,
+  INTERPRETATIONS,
+  OBSERVATION_CATEGORIES,
+  RECORD_SECTIONS,
+  ALLERGY_CATEGORIES,
+  toPatient,
+  toPractitioner,
+  toAppointment,
+  toEncounter,
+  vitalSignToObservation,
+  labResultToObservation,
+  toCareTeam,
+  toComposition,
+  toDocumentReference,
+  toAllergyIntolerance,
+  toMedicationStatement,
+  attachmentId,
+  toSearchBundle,
+  toOperationOutcome,
+  getBaseUrl
+};
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc';
+
+let cachedKeys = null;
+let cachedKeysSource = null;
+
+// Parse FIELD_ENCRYPTION_KEYS ("<version>:<base64 32-byte key>,...") into a Map of version -> key
+const getKeys = () => {
+  const source = process.env.FIELD_ENCRYPTION_KEYS || '';
+  if (cachedKeys && cachedKeysSource === source) return cachedKeys;
+
+  const keys = new Map();
+  source.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [version, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+
+    if (!/^\d+$/.test(version) || key.length !== 32) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must look like <version>:<base64 32-byte key>');
+    }
+    keys.set(parseInt(version), key);
+  });
+
+  cachedKeys = keys;
+  cachedKeysSource = source;
+  return keys;
+};
+
+// Version new values are encrypted with: FIELD_ENCRYPTION_KEY_VERSION, or the highest configured one
+const getCurrentKeyVersion = () => {
+  const keys = getKeys();
+  if (keys.size === 0) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not configured');
+  }
+
+  const version = parseInt(process.env.FIELD_ENCRYPTION_KEY_VERSION) || Math.max(...keys.keys());
+  if (!keys.has(version)) {
+    throw new Error(`Field encryption key version ${version} is not configured`);
+  }
+  return version;
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:v`);
+
+// Key version a stored value was encrypted with, or null for plaintext
+const getValueKeyVersion = (value) => {
+  if (!isEncrypted(value)) return null;
+  return parseInt(value.split(':')[1].slice(1));
+};
+
+// Encrypt a value as `enc:v<version>:<iv>:<tag>:<ciphertext>`.
+// The context (e.g. "patients.allergies") is bound as associated data, so a
+// ciphertext copied into another column fails to decrypt.
+const encrypt = (value, context) => {
+  if (value === null || value === undefined) return value;
+
+  const version = getCurrentKeyVersion();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKeys().get(version), iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX,
+    `v${version}`,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+// Decrypt a stored value; plaintext written before encryption was enabled is returned as-is
+const decrypt = (value, context) => {
+  if (!isEncrypted(value)) return value;
+
+  const [, , iv, tag, ciphertext] = value.split(':');
+  const version = getValueKeyVersion(value);
+  const key = getKeys().get(version);
+  if (!key) {
+    throw new Error(`Field encryption key version ${version} is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Keyed hash used to look up encrypted identifiers by exact match.
+// Case, whitespace and dashes are ignored so "ab-123 4" and "AB1234" match.
+const blindIndex = (value, context) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const secret = process.env.BLIND_INDEX_KEY;
+  if (!secret) {
+    throw new Error('BLIND_INDEX_KEY is not configured');
+  }
+
+  const normalized = String(value).replace(/[\s-]/g, '').toUpperCase();
+  return crypto.createHmac('sha256', secret).update(`${context}:${normalized}`).digest('hex');
+};
+
+// Attribute definition for an encrypted column. `context` is "<table>.<attribute>";
+// with `blindIndex` set, the named attribute is kept in sync with the plaintext.
+const encryptedAttribute = (context, options = {}) => {
+  const { blindIndex: indexAttribute, ...attribute } = options;
+  const name = context.split('.')[1];
+
+  return {
+    ...attribute,
+    type: DataTypes.TEXT,
+    encrypted: { context, blindIndex: indexAttribute || null },
+    get() {
+      return decrypt(this.getDataValue(name), context);
+    },
+    set(value) {
+      this.setDataValue(name, encrypt(value, context));
+      if (indexAttribute) {
+        this.setDataValue(indexAttribute, blindIndex(value, context));
+      }
+    }
+  };
+};
+
+// Blind index attribute definition to pair with an encrypted column
+const blindIndexAttribute = () => ({
+  type: DataTypes.STRING(64),
+  allowNull: true
+});
+
+// Encrypted attributes of a model as [{ attribute, context, blindIndex }]
+const getEncryptedAttributes = (model) => {
+  return Object.entries(model.rawAttributes)
+    .filter(([, definition]) => definition.encrypted)
+    .map(([attribute, definition]) => ({ attribute, ...definition.encrypted }));
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  blindIndex,
+  isEncrypted,
+  getCurrentKeyVersion,
+  getValueKeyVersion,
+  encryptedAttribute,
+  blindIndexAttribute,
+  getEncryptedAttributes
+};
@@ -0,0 +1,197 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Hl7ParseError, parseOru } = require('./hl7Parser');
+
+// PID-3 identifier types taken to be our medical record number; identifiers without a type
+// are tried as well
+const MRN_TYPES = ['MR', 'MRN', 'PI'];
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Find the patient a message is about: by medical record number first, then by exact
+// name, date of birth and (when sent) gender. Resolves to { patient } or to
+// { reason, details, candidatePatientIds } when no single patient matches.
+const matchPatient = async ({ identifiers, firstName, lastName, dateOfBirth, gender }, { transaction } = {}) => {
+  const { Patient, User } = require('../models');
+
+  const mrns = identifiers.filter(identifier => !identifier.type || MRN_TYPES.includes(identifier.type)).map(identifier => identifier.id);
+  if (mrns.length) {
+    const patient = await Patient.findOne({ where: { medicalRecordNumber: { [Op.in]: mrns } }, transaction });
+    if (patient) return { patient };
+  }
+
+  if (!firstName || !lastName || !dateOfBirth) {
+    return {
+      reason: 'patient_not_found',
+      details: 'No patient has the medical record number and the message lacks the name or date of birth to match on'
+    };
+  }
+
+  const candidates = await Patient.findAll({
+    where: { dateOfBirth, ...(gender ? { gender } : {}) },
+    include: [{
+      model: User,
+      as: 'user',
+      attributes: [],
+      where: {
+        firstName: { [Op.iLike]: escapeLike(firstName) },
+        lastName: { [Op.iLike]: escapeLike(lastName) }
+      }
+    }],
+    transaction
+  });
+
+  if (candidates.length === 1) return { patient: candidates[0] };
+  if (candidates.length === 0) {
+    return {
+      reason: 'patient_not_found',
+      details: 'No patient matches the medical record number or demographics'
+    };
+  }
+  return {
+    reason: 'patient_ambiguous',
+    details: `${candidates.length} patients match the demographics`,
+    candidatePatientIds: candidates.map(candidate => candidate.id)
+  };
+};
+
+// The observations of an OBR that carry a result we can store
+const getResults = (order) => {
+  return order.observations
+    .filter(observation => observation.analyteCode && observation.status && (observation.value !== null || observation.valueText))
+    .map(observation => ({
+      analyteCode: observation.analyteCode,
+      analyteName: observation.analyteName,
+      value: observation.value,
+      valueText: observation.valueText,
+      unit: observation.unit,
+      referenceLow: observation.referenceLow,
+      referenceHigh: observation.referenceHigh,
+      referenceText: observation.referenceText,
+      flag: observation.flag,
+      status: observation.status,
+      observedAt: observation.observedAt || order.observedAt || undefined,
+      notes: observation.notes
+    }));
+};
+
+// Store the results of every OBR for the patient. Results are added to the order whose number
+// the lab quotes; results without one of our orders get an order of their own. Resolves to
+// { labOrderIds, resultCount }, or to { reason, details } when an order does not fit.
+const applyResults = async (parsed, patient, enteredBy, transaction) => {
+  const { LabOrder } = require('../models');
+
+  // Check every order before storing anything
+  const targets = [];
+  for (const order of parsed.orders) {
+    let labOrder = null;
+    if (order.placerOrderNumber) {
+      labOrder = await LabOrder.findOne({ where: { orderNumber: order.placerOrderNumber }, transaction });
+    }
+    if (!labOrder && order.fillerOrderNumber) {
+      labOrder = await LabOrder.findOne({ where: { fillerOrderNumber: order.fillerOrderNumber, patientId: patient.id }, transaction });
+    }
+
+    if (labOrder && labOrder.patientId !== patient.id) {
+      return { reason: 'order_mismatch', details: `Order ${labOrder.orderNumber} is for a different patient` };
+    }
+    if (labOrder && labOrder.status === 'cancelled') {
+      return { reason: 'order_mismatch', details: `Order ${labOrder.orderNumber} was cancelled` };
+    }
+    targets.push({ order, labOrder, results: getResults(order) });
+  }
+
+  const labOrderIds = [];
+  let resultCount = 0;
+  for (const { order, labOrder: existing, results } of targets) {
+    if (results.length === 0) continue;
+
+    let labOrder = existing;
+    if (!labOrder) {
+      labOrder = await LabOrder.create({
+        patientId: patient.id,
+        fillerOrderNumber: order.fillerOrderNumber,
+        tests: LabOrder.buildTests([...new Map(results.map(result => [result.analyteCode, { code: result.analyteCode, name: result.analyteName }])).values()]),
+        orderedAt: order.observedAt || new Date()
+      }, { transaction });
+    } else if (!labOrder.fillerOrderNumber && order.fillerOrderNumber) {
+      await labOrder.update({ fillerOrderNumber: order.fillerOrderNumber }, { transaction });
+    }
+
+    await labOrder.recordResults(results, patient, { enteredBy, transaction });
+    labOrderIds.push(labOrder.id);
+    resultCount += results.length;
+  }
+
+  return { labOrderIds, resultCount };
+};
+
+// Match and store a received message in one transaction, or in `options.transaction`, so its
+// results are stored in full or not at all. `patient` skips matching when an admin resolves a
+// queued message. Updates the message to processed/resolved, or leaves it pending review.
+const processMessage = async (message, parsed, options = {}) => {
+  const { patient, reviewedBy = null, reviewNotes = null } = options;
+
+  const store = async (transaction) => {
+    const match = patient ? { patient } : await matchPatient(parsed.patient, { transaction });
+    const outcome = match.patient ? await applyResults(parsed, match.patient, reviewedBy, transaction) : match;
+
+    if (outcome.reason) {
+      return await message.update({
+        status: 'pending_review',
+        reviewReason: outcome.reason,
+        reviewDetails: outcome.details,
+        candidatePatientIds: outcome.candidatePatientIds || [],
+        patientId: match.patient ? match.patient.id : null
+      }, { transaction });
+    }
+
+    return await message.update({
+      status: reviewedBy ? 'resolved' : 'processed',
+      patientId: match.patient.id,
+      labOrderIds: outcome.labOrderIds,
+      resultCount: outcome.resultCount,
+      ...(reviewedBy ? { reviewedBy, reviewedAt: new Date(), reviewNotes } : {})
+    }, { transaction });
+  };
+
+  return options.transaction ? await store(options.transaction) : await sequelize.transaction(store);
+};
+
+// Receive an ORU^R01 message. Throws Hl7ParseError for messages that cannot be accepted.
+// Resolves to { message, duplicate }; a message whose control ID was already received from
+// the same sender is not processed again. The message is stored in the same transaction as its
+// results, so when processing fails nothing is kept and the lab's retry is processed afresh.
+const ingestOru = async (raw) => {
+  const { Hl7Message } = require('../models');
+
+  const parsed = parseOru(raw);
+  const { header } = parsed;
+  if (header.messageType !== 'ORU^R01') {
+    throw new Hl7ParseError(`Unsupported message type ${header.messageType || '(none)'}; only ORU^R01 is accepted`);
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    const existing = await Hl7Message.findOne({
+      where: { sendingApplication: header.sendingApplication, controlId: header.controlId },
+      transaction
+    });
+    if (existing) return { message: existing, duplicate: true };
+
+    const message = await Hl7Message.create({
+      controlId: header.controlId,
+      sendingApplication: header.sendingApplication,
+      sendingFacility: header.sendingFacility,
+      messageType: header.messageType,
+      raw
+    }, { transaction });
+
+    return { message: await processMessage(message, parsed, { transaction }), duplicate: false };
+  });
+};
+
+module.exports = {
+  matchPatient,
+  processMessage,
+  ingestOru
+};
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+
+// Minimal HL7 v2 (ER7, pipe-delimited) parsing for ORU^R01 result messages and ACK building.
+// Fields are addressed with HL7 numbering: for MSH, field 1 is the field separator itself.
+
+class Hl7ParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'Hl7ParseError';
+  }
+}
+
+// Unescape \F\ \S\ \T\ \R\ \E\ sequences and drop formatting ones such as \.br\
+const unescape = (value, { field, component, repetition, escape, subcomponent }) => {
+  if (!value || !value.includes(escape)) return value;
+  const sequences = { F: field, S: component, T: subcomponent, R: repetition, E: escape };
+  const pattern = new RegExp(`\\${escape}([^\\${escape}]*)\\${escape}`, 'g');
+  return value.replace(pattern, (match, code) => {
+    if (sequences[code] !== undefined) return sequences[code];
+    return code === '.br' ? '\n' : '';
+  });
+};
+
+// Split a raw message into segments; each segment is { name, fields } where `fields[n]` is
+// the raw text of field n
+const parseMessage = (raw) => {
+  const text = String(raw || '').replace(/^\uFEFF/, '').trim();
+  if (!text.startsWith('MSH')) {
+    throw new Hl7ParseError('Message must start with an MSH segment');
+  }
+
+  const field = text[3];
+  const [component, repetition, escape, subcomponent] = text.slice(4, 8);
+  if (!field || !component || !repetition || !escape) {
+    throw new Hl7ParseError('MSH segment is missing its encoding characters');
+  }
+  const delimiters = { field, component, repetition, escape, subcomponent: subcomponent || '&' };
+
+  const segments = text.split(/\r\n|\r|\n/).filter(line => line.trim()).map(line => {
+    const parts = line.split(field);
+    const name = parts[0];
+    // MSH-1 is the field separator, so MSH fields are shifted by one
+    const fields = name === 'MSH' ? [name, field, ...parts.slice(1)] : parts;
+    return { name, fields };
+  });
+
+  return { delimiters, segments };
+};
+
+// Components of a field's first repetition, unescaped
+const components = (message, value) => {
+  const { delimiters } = message;
+  const first = String(value || '').split(delimiters.repetition)[0];
+  return first.split(delimiters.component).map(part => unescape(part, delimiters));
+};
+
+// Component `n` (1-based) of a field, or the whole first component
+const getValue = (message, segment, fieldIndex, componentIndex = 1) => {
+  if (!segment) return null;
+  const value = components(message, segment.fields[fieldIndex])[componentIndex - 1];
+  return value === undefined || value === '' ? null : value;
+};
+
+// HL7 timestamps: YYYY[MM[DD[HH[MM[SS[.S]]]]]][+/-ZZZZ]
+const parseTimestamp = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?([+-]\d{4})?$/);
+  if (!match) return null;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+  const offset = zone ? `${zone.slice(0, 3)}:${zone.slice(3)}` : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseDate = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const formatTimestamp = (date = new Date()) => date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+const GENDERS = { M: 'male', F: 'female', O: 'other', A: 'other' };
+
+// OBX-8 abnormal flags
+const ABNORMAL_FLAGS = {
+  N: 'normal',
+  L: 'low',
+  H: 'high',
+  LL: 'critical_low',
+  HH: 'critical_high',
+  '<': 'critical_low',
+  '>': 'critical_high',
+  A: 'abnormal',
+  AA: 'abnormal'
+};
+
+// OBX-11 result statuses. Corrections arrive as final results replacing earlier ones;
+// deleted (D), cannot obtain (X) and wrong-patient (W) results carry no value to store.
+const RESULT_STATUSES = {
+  F: 'final',
+  C: 'final',
+  P: 'preliminary',
+  R: 'preliminary',
+  S: 'preliminary',
+  I: 'preliminary'
+};
+
+// OBX-7 reference ranges such as "3.5-5.1", "<200", ">=40" or "negative"
+const parseReferenceRange = (value) => {
+  if (!value) return {};
+  const between = value.match(/^\s*(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (between) return { referenceLow: Number(between[1]), referenceHigh: Number(between[2]) };
+  const below = value.match(/^\s*<=?\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (below) return { referenceHigh: Number(below[1]) };
+  const above = value.match(/^\s*>=?\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (above) return { referenceLow: Number(above[1]) };
+  return { referenceText: value };
+};
+
+const parseObservation = (message, segment, notes) => {
+  const valueType = getValue(message, segment, 2);
+  // Structured numerics (SN) such as "<^0.01" or "^182" are read as one value
+  const rawValue = valueType === 'SN'
+    ? components(message, segment.fields[5]).join('') || null
+    : getValue(message, segment, 5);
+  const numeric = ['NM', 'SN'].includes(valueType) && rawValue !== null && /^-?\d+(\.\d+)?$/.test(rawValue.trim());
+
+  return {
+    setId: getValue(message, segment, 1),
+    valueType,
+    analyteCode: getValue(message, segment, 3, 1),
+    analyteName: getValue(message, segment, 3, 2),
+    value: numeric ? Number(rawValue) : null,
+    valueText: numeric ? null : rawValue,
+    unit: getValue(message, segment, 6),
+    ...parseReferenceRange(getValue(message, segment, 7)),
+    flag: ABNORMAL_FLAGS[getValue(message, segment, 8)] || null,
+    resultStatus: getValue(message, segment, 11),
+    status: RESULT_STATUSES[getValue(message, segment, 11)] || null,
+    observedAt: parseTimestamp(getValue(message, segment, 14)),
+    notes: notes.length ? notes.join('\n') : null
+  };
+};
+
+// Parse an ORU^R01 message into its header, patient and orders with their observations
+const parseOru = (raw) => {
+  const message = parseMessage(raw);
+  const msh = message.segments[0];
+
+  const header = {
+    sendingApplication: getValue(message, msh, 3),
+    sendingFacility: getValue(message, msh, 4),
+    receivingApplication: getValue(message, msh, 5),
+    receivingFacility: getValue(message, msh, 6),
+    sentAt: parseTimestamp(getValue(message, msh, 7)),
+    messageType: [getValue(message, msh, 9, 1), getValue(message, msh, 9, 2)].filter(Boolean).join('^'),
+    controlId: getValue(message, msh, 10),
+    processingId: getValue(message, msh, 11),
+    version: getValue(message, msh, 12)
+  };
+
+  if (!header.controlId) {
+    throw new Hl7ParseError('MSH-10 message control ID is required');
+  }
+
+  const pid = message.segments.find(segment => segment.name === 'PID');
+  if (!pid) {
+    throw new Hl7ParseError('PID segment is required');
+  }
+
+  const identifiers = String(pid.fields[3] || '').split(message.delimiters.repetition)
+    .map(repetition => components(message, repetition))
+    .filter(parts => parts[0])
+    .map(parts => ({ id: parts[0], authority: parts[3] || null, type: parts[4] || null }));
+
+  const patient = {
+    identifiers,
+    lastName: getValue(message, pid, 5, 1),
+    firstName: getValue(message, pid, 5, 2),
+    dateOfBirth: parseDate(getValue(message, pid, 7)),
+    gender: GENDERS[getValue(message, pid, 8)] || null
+  };
+
+  // OBX segments belong to the OBR before them; NTE segments to the OBX before them
+  const orders = [];
+  let order = null;
+  let observation = null;
+  message.segments.forEach(segment => {
+    if (segment.name === 'OBR') {
+      order = {
+        placerOrderNumber: getValue(message, segment, 2),
+        fillerOrderNumber: getValue(message, segment, 3),
+        code: getValue(message, segment, 4, 1),
+        name: getValue(message, segment, 4, 2),
+        observedAt: parseTimestamp(getValue(message, segment, 7)),
+        observations: []
+      };
+      orders.push(order);
+      observation = null;
+    } else if (segment.name === 'OBX' && order) {
+      observation = { segment, notes: [] };
+      order.observations.push(observation);
+    } else if (segment.name === 'NTE' && observation) {
+      const note = getValue(message, segment, 3);
+      if (note) observation.notes.push(note);
+    }
+  });
+
+  orders.forEach(entry => {
+    entry.observations = entry.observations.map(({ segment, notes }) => parseObservation(message, segment, notes));
+  });
+
+  if (orders.length === 0) {
+    throw new Hl7ParseError('Message has no OBR segments');
+  }
+
+  return { header, patient, orders };
+};
+
+// Read just the MSH header, for acknowledging messages that fail to parse further
+const parseHeader = (raw) => {
+  try {
+    const message = parseMessage(raw);
+    const msh = message.segments[0];
+    return {
+      sendingApplication: getValue(message, msh, 3),
+      sendingFacility: getValue(message, msh, 4),
+      receivingApplication: getValue(message, msh, 5),
+      receivingFacility: getValue(message, msh, 6),
+      controlId: getValue(message, msh, 10),
+      processingId: getValue(message, msh, 11),
+      version: getValue(message, msh, 12)
+    };
+  } catch (error) {
+    return {};
+  }
+};
+
+const escapeValue = (value) => String(value || '')
+  .replace(/\\/g, '\\E\\')
+  .replace(/\|/g, '\\F\\')
+  .replace(/\^/g, '\\S\\')
+  .replace(/&/g, '\\T\\')
+  .replace(/~/g, '\\R\\')
+  .replace(/[\r\n]+/g, ' ');
+
+// Build an ACK for a received message. `code` is AA (accepted), AE (error) or AR (rejected).
+const buildAck = (header, code, text = '') => {
+  const msh = [
+    'MSH',
+    '^~\\&',
+    escapeValue(header.receivingApplication || process.env.HL7_RECEIVING_APPLICATION || 'HEALTHCARE_API'),
+    escapeValue(header.receivingFacility || process.env.HL7_RECEIVING_FACILITY || ''),
+    escapeValue(header.sendingApplication),
+    escapeValue(header.sendingFacility),
+    formatTimestamp(),
+    '',
+    'ACK^R01^ACK',
+    crypto.randomBytes(8).toString('hex').toUpperCase(),
+    escapeValue(header.processingId || 'P'),
+    escapeValue(header.version || '2.5.1')
+  ].join('|');
+  const msa = ['MSA', code, escapeValue(header.controlId), escapeValue(text)].join('|');
+  return `${msh}\r${msa}\r`;
+};
+
+module.exports = {
+  Hl7ParseError,
+  parseMessage,
+  parseOru,
+  parseHeader,
+  parseTimestamp,
+  buildAck
+};
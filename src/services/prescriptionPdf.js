@@ -0,0 +1,84 @@
+const PDFDocument = require('pdfkit');
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : '-');
+
+// Label printed across prescriptions that can no longer be dispensed
+const getVoidLabel = (prescription) => {
+  if (prescription.status === 'discontinued') return 'DISCONTINUED';
+  if (prescription.status === 'renewed') return 'RENEWED';
+  if (!prescription.isActive()) return 'EXPIRED';
+  return null;
+};
+
+const drawWatermark = (doc, label) => {
+  doc.save();
+  doc.rotate(-35, { origin: [doc.page.width / 2, doc.page.height / 2] });
+  doc.fontSize(72).fillColor('#d9534f').opacity(0.25);
+  doc.text(label, 0, doc.page.height / 2 - 36, { width: doc.page.width, align: 'center' });
+  doc.restore();
+};
+
+// Render a prescription, loaded with its patient, doctor (with their users) and items,
+// as a printable A4 PDF written to `output` (e.g. an HTTP response)
+const renderPrescriptionPdf = (prescription, output) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(output);
+
+  const { patient, doctor, items = [] } = prescription;
+  const voidLabel = getVoidLabel(prescription);
+  if (voidLabel) drawWatermark(doc, voidLabel);
+
+  doc.fillColor('#000000').opacity(1);
+  doc.fontSize(20).font('Helvetica-Bold').text('Prescription', { align: 'center' });
+  doc.moveDown();
+
+  doc.fontSize(11).font('Helvetica-Bold').text('Prescriber');
+  doc.font('Helvetica')
+    .text(`Dr. ${fullName(doctor && doctor.user)}`)
+    .text(doctor ? doctor.specialization : '-')
+    .text(`License number: ${doctor ? doctor.licenseNumber : '-'}`);
+  if (doctor && doctor.clinicAddress) doc.text(doctor.clinicAddress);
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').text('Patient');
+  doc.font('Helvetica')
+    .text(fullName(patient && patient.user))
+    .text(`Date of birth: ${formatDate(patient && patient.dateOfBirth)}`);
+  doc.moveDown();
+
+  doc.text(`Date: ${formatDate(prescription.prescribedAt)}`)
+    .text(`Valid until: ${formatDate(prescription.validUntil)}`);
+  doc.moveDown();
+
+  doc.fontSize(14).font('Helvetica-Bold').text('Rx');
+  doc.fontSize(11);
+  items.forEach((item, index) => {
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').text(`${index + 1}. ${item.drug} ${item.strength}`);
+    doc.font('Helvetica')
+      .text(`Sig: ${item.dosage}`, { indent: 15 })
+      .text(`Quantity: ${item.quantity}    Refills: ${item.refills}`, { indent: 15 });
+  });
+
+  if (prescription.notes) {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text('Notes');
+    doc.font('Helvetica').text(prescription.notes);
+  }
+
+  doc.moveDown(3);
+  doc.text('_______________________________', { align: 'right' });
+  doc.text('Prescriber signature', { align: 'right' });
+
+  doc.fontSize(8).fillColor('#666666')
+    .text(`Prescription ID: ${prescription.id}`, 50, doc.page.height - 70, { align: 'center' });
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  renderPrescriptionPdf
+};
@@ -0,0 +1,109 @@
+const { Op } = require('sequelize');
+const { ALLERGY_CLASSES } = require('../data/drugSafety');
+
+// Conflicts that stop a prescription unless the doctor overrides them with a reason
+const BLOCKING_INTERACTION_SEVERITIES = ['contraindicated'];
+
+const normalize = (name) => String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether a drug name mentions a term as a whole word, e.g. "warfarin sodium" mentions "warfarin"
+const mentions = (name, term) => new RegExp(`\\b${escapeRegExp(term)}\\b`).test(normalize(name));
+
+// Drug names an allergy covers: the substance itself and, for drug classes, their members
+const getAllergyTerms = (substance) => {
+  const normalized = normalize(substance);
+  const classTerms = Object.entries(ALLERGY_CLASSES)
+    .filter(([drugClass]) => normalized.includes(drugClass))
+    .flatMap(([, members]) => members);
+  return [normalized, ...classTerms];
+};
+
+const findAllergyConflicts = (drug, allergies) => {
+  return allergies
+    .filter(allergy => {
+      const terms = getAllergyTerms(allergy.substance);
+      return terms.some(term => mentions(drug, term)) || mentions(allergy.substance, normalize(drug));
+    })
+    .map(allergy => ({
+      type: 'allergy',
+      drug,
+      allergen: allergy.substance,
+      severity: allergy.severity,
+      description: allergy.reaction
+        ? `Patient is allergic to ${allergy.substance} (${allergy.reaction})`
+        : `Patient is allergic to ${allergy.substance}`
+    }));
+};
+
+const findInteraction = (drug, otherDrug, interactions) => {
+  return interactions.find(interaction =>
+    (mentions(drug, interaction.drugA) && mentions(otherDrug, interaction.drugB)) ||
+    (mentions(drug, interaction.drugB) && mentions(otherDrug, interaction.drugA))
+  );
+};
+
+// Check drugs about to be prescribed against the patient's active allergies, their current
+// medications (except `excludeMedicationIds`, e.g. those a renewal replaces) and each other.
+// Resolves to { blocking, warnings }, each a list of conflicts.
+const checkPrescription = async (patientId, drugs, { excludeMedicationIds = [] } = {}) => {
+  const { Allergy, Medication, DrugInteraction } = require('../models');
+  const today = new Date().toISOString().slice(0, 10);
+
+  const medicationWhere = {
+    patientId,
+    [Op.or]: [{ stopDate: null }, { stopDate: { [Op.gte]: today } }]
+  };
+  if (excludeMedicationIds.length) medicationWhere.id = { [Op.notIn]: excludeMedicationIds };
+
+  const [allergies, medications, interactions] = await Promise.all([
+    Allergy.findAll({ where: { patientId, status: 'active' } }),
+    Medication.findAll({ where: medicationWhere }),
+    DrugInteraction.findAll()
+  ]);
+
+  const blocking = [];
+  const warnings = [];
+
+  drugs.forEach((drug, index) => {
+    blocking.push(...findAllergyConflicts(drug, allergies));
+
+    medications
+      .filter(medication => normalize(medication.drug) === normalize(drug))
+      .forEach(medication => warnings.push({
+        type: 'duplicate',
+        drug,
+        interactsWith: medication.drug,
+        severity: 'moderate',
+        description: `Patient is already taking ${medication.drug}`
+      }));
+
+    // Each other drug once, even if it is both prescribed again and already taken
+    const others = [
+      ...drugs.slice(index + 1),
+      ...medications.map(medication => medication.drug)
+    ].filter((otherDrug, position, list) =>
+      list.findIndex(candidate => normalize(candidate) === normalize(otherDrug)) === position
+    );
+    others.forEach(otherDrug => {
+      const interaction = findInteraction(drug, otherDrug, interactions);
+      if (!interaction) return;
+
+      const conflict = {
+        type: 'interaction',
+        drug,
+        interactsWith: otherDrug,
+        severity: interaction.severity,
+        description: interaction.description
+      };
+      (BLOCKING_INTERACTION_SEVERITIES.includes(interaction.severity) ? blocking : warnings).push(conflict);
+    });
+  });
+
+  return { blocking, warnings };
+};
+
+module.exports = {
+  checkPrescription
+};
@@ -0,0 +1,43 @@
+// Reference range matching shared by vital signs and lab results. Range tables are lists
+// of entries; the first entry matching the patient's age in years (minAge inclusive,
+// maxAge exclusive) and gender applies. `low`/`high` bound the normal range,
+// `criticalLow`/`criticalHigh` the values needing urgent attention.
+
+const getAgeInYears = (dateOfBirth, at = new Date()) => {
+  if (!dateOfBirth) return null;
+  const birthDate = new Date(dateOfBirth);
+  const date = new Date(at);
+  let age = date.getFullYear() - birthDate.getFullYear();
+  const monthDiff = date.getMonth() - birthDate.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && date.getDate() < birthDate.getDate())) age--;
+  return age;
+};
+
+// The entry of `ranges` that applies to `patient` (dateOfBirth, gender) on date `at`
+const findReferenceRange = (ranges, patient, at = new Date()) => {
+  const age = getAgeInYears(patient && patient.dateOfBirth, at);
+  const gender = patient && patient.gender;
+
+  const range = (ranges || []).find(entry =>
+    (entry.minAge === undefined || (age !== null && age >= entry.minAge)) &&
+    (entry.maxAge === undefined || (age !== null && age < entry.maxAge)) &&
+    (!entry.gender || entry.gender === gender)
+  );
+  return range || null;
+};
+
+// Flag a numeric value against a range; null when there is no range to compare with
+const getFlag = (value, range) => {
+  if (!range || value === null || value === undefined) return null;
+  if (range.criticalLow !== undefined && range.criticalLow !== null && value < range.criticalLow) return 'critical_low';
+  if (range.criticalHigh !== undefined && range.criticalHigh !== null && value > range.criticalHigh) return 'critical_high';
+  if (range.low !== undefined && range.low !== null && value < range.low) return 'low';
+  if (range.high !== undefined && range.high !== null && value > range.high) return 'high';
+  return 'normal';
+};
+
+module.exports = {
+  getAgeInYears,
+  findReferenceRange,
+  getFlag
+};
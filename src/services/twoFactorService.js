@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+
+// Accept codes from the previous and next 30-second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Healthcare Management System';
+const BACKUP_CODE_COUNT = 10;
+
+const hashBackupCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+// Generate a new TOTP secret with its otpauth:// URL and a QR code data URL for authenticator apps
+const generateSecret = async (email) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Check a TOTP code; returns the time step it belongs to, or null if it is invalid.
+// Callers store the step so the same code cannot be replayed.
+const verifyTotp = (code, secret) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return null;
+
+  return Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+};
+
+// Generate one-time backup codes; returns the codes to show once and the hashes to store
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// Find a backup code among stored hashes; returns the remaining hashes, or null if it does not match
+const consumeBackupCode = (code, hashes = []) => {
+  const hash = hashBackupCode(String(code || ''));
+  if (!hashes.includes(hash)) return null;
+  return hashes.filter(stored => stored !== hash);
+};
+
+module.exports = {
+  generateSecret,
+  verifyTotp,
+  generateBackupCodes,
+  consumeBackupCode
+};
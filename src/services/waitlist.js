@@ -0,0 +1,203 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { dateKey } = require('./doctorSchedule');
+const { checkAvailability, bookSlots } = require('./appointmentScheduling');
+const { sendWaitlistOfferEmail } = require('./emailService');
+
+// Doctors' waitlists. A cancelled appointment's time is offered to one waitlisted patient at a
+// time, the one waiting longest whose dates and times it fits. When they decline or let the offer
+// expire, it passes to the next one; each patient is offered a given time once.
+
+// Email an offer to the patient, with the doctor's name and the link to answer it
+const notifyPatient = async (entry, offer, token) => {
+  const { Patient, Doctor, User } = require('../models');
+  const [patient, doctor] = await Promise.all([
+    Patient.findByPk(entry.patientId, { include: [{ model: User, as: 'user' }] }),
+    Doctor.findByPk(offer.doctorId, { include: [{ model: User, as: 'user' }] })
+  ]);
+  await sendWaitlistOfferEmail(offer, patient.user, doctor.user, token);
+};
+
+// Offer a free time of `doctorId` to the next eligible waitlisted patient. Entries are picked while
+// the doctor's row is locked, as for bookings, so two freed times never go to the same patient.
+// Resolves to the offer, or null when the time has passed, is no longer free or nobody is waiting for it.
+const offerSlot = async ({ doctorId, appointmentDate, duration, cancelledAppointmentId = null }) => {
+  const { Doctor, WaitlistEntry, WaitlistOffer } = require('../models');
+  const start = new Date(appointmentDate);
+  if (start <= new Date()) return null;
+
+  const issued = await sequelize.transaction(async (transaction) => {
+    const doctor = await Doctor.findByPk(doctorId, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!doctor) return null;
+
+    const [conflicts] = await checkAvailability(doctor, [{ start, duration }], { transaction });
+    if (conflicts.length) return null;
+
+    const key = dateKey(start);
+    const offered = await WaitlistOffer.findAll({
+      where: { doctorId, appointmentDate: start },
+      attributes: ['entryId'],
+      transaction
+    });
+    const entries = await WaitlistEntry.findAll({
+      where: {
+        doctorId,
+        status: 'waiting',
+        earliestDate: { [Op.lte]: key },
+        latestDate: { [Op.gte]: key },
+        ...(offered.length ? { id: { [Op.notIn]: offered.map(offer => offer.entryId) } } : {})
+      },
+      order: [['createdAt', 'ASC']],
+      transaction
+    });
+    const entry = entries.find(candidate => candidate.accepts(start));
+    if (!entry) return null;
+
+    const { offer, token } = await WaitlistOffer.issue({
+      entryId: entry.id,
+      doctorId,
+      appointmentDate: start,
+      duration,
+      cancelledAppointmentId
+    }, { transaction });
+    await entry.update({ status: 'offered' }, { transaction });
+
+    return { entry, offer, token };
+  });
+  if (!issued) return null;
+
+  try {
+    await notifyPatient(issued.entry, issued.offer, issued.token);
+  } catch (error) {
+    console.error('Send waitlist offer email error:', error);
+  }
+  return issued.offer;
+};
+
+// Offer the times of cancelled appointments; resolves to the offers made
+const offerFreedSlots = async (appointments) => {
+  const offers = [];
+  for (const appointment of appointments) {
+    const offer = await offerSlot({
+      doctorId: appointment.doctorId,
+      appointmentDate: appointment.appointmentDate,
+      duration: appointment.duration,
+      cancelledAppointmentId: appointment.id
+    });
+    if (offer) offers.push(offer);
+  }
+  return offers;
+};
+
+// Close a pending offer with `status` and move its entry to `entryStatus`, then offer the time to
+// the next patient. Resolves to false when the offer was no longer pending (e.g. accepted meanwhile).
+const closeOffer = async (offer, status, entryStatus = 'waiting') => {
+  const { WaitlistEntry, WaitlistOffer } = require('../models');
+
+  const closed = await sequelize.transaction(async (transaction) => {
+    const [count] = await WaitlistOffer.update(
+      { status, respondedAt: status === 'expired' ? null : new Date() },
+      { where: { id: offer.id, status: 'pending' }, transaction }
+    );
+    if (count === 0) return false;
+
+    await WaitlistEntry.update(
+      { status: entryStatus },
+      { where: { id: offer.entryId, status: { [Op.in]: ['waiting', 'offered'] } }, transaction }
+    );
+    return true;
+  });
+
+  if (closed) {
+    await offerSlot({
+      doctorId: offer.doctorId,
+      appointmentDate: offer.appointmentDate,
+      duration: offer.duration,
+      cancelledAppointmentId: offer.cancelledAppointmentId
+    });
+  }
+  return closed;
+};
+
+// Book the appointment of a pending offer. Resolves to { conflicts, offer, entry, appointment };
+// `offer` is missing when it was no longer pending, and `appointment` when the time was taken in
+// the meantime (the offer is then withdrawn and the patient goes back to waiting).
+const acceptOffer = async (offer) => {
+  const { Appointment, WaitlistEntry, WaitlistOffer } = require('../models');
+  const slot = { start: new Date(offer.appointmentDate), duration: offer.duration };
+
+  const { conflicts: [conflicts], result } = await bookSlots(offer.doctorId, [slot], {}, async (doctor, [conflicts], transaction) => {
+    const current = await WaitlistOffer.findByPk(offer.id, { lock: transaction.LOCK.UPDATE, transaction });
+    if (!current || !current.isPending()) return null;
+
+    const entry = await WaitlistEntry.findByPk(current.entryId, { transaction });
+    if (conflicts.length) {
+      await current.update({ status: 'withdrawn', respondedAt: new Date() }, { transaction });
+      await entry.update({ status: 'waiting' }, { transaction });
+      return { offer: current, entry };
+    }
+
+    const appointment = await Appointment.create({
+      patientId: entry.patientId,
+      doctorId: current.doctorId,
+      appointmentDate: current.appointmentDate,
+      duration: current.duration,
+      type: entry.type,
+      reason: entry.reason,
+      status: 'scheduled'
+    }, { transaction });
+    await current.update({ status: 'accepted', respondedAt: new Date() }, { transaction });
+    await entry.update({ status: 'booked', appointmentId: appointment.id }, { transaction });
+
+    return { offer: current, entry, appointment };
+  });
+
+  return { conflicts, ...(result || {}) };
+};
+
+// Decline a pending offer; the patient stays on the waitlist
+const declineOffer = async (offer) => closeOffer(offer, 'declined');
+
+// Take a patient off the waitlist, withdrawing any pending offer
+const leaveWaitlist = async (entry) => {
+  const { WaitlistEntry, WaitlistOffer } = require('../models');
+
+  const pending = await WaitlistOffer.findOne({ where: { entryId: entry.id, status: 'pending' } });
+  if (pending) await closeOffer(pending, 'withdrawn', 'cancelled');
+
+  await WaitlistEntry.update(
+    { status: 'cancelled' },
+    { where: { id: entry.id, status: { [Op.in]: ['waiting', 'offered'] } } }
+  );
+  return await entry.reload();
+};
+
+// Pass offers that expired by `now` on to the next patients, and close the entries whose last
+// date has passed. Run periodically; resolves to the number of offers expired.
+const expireOffers = async (now = new Date()) => {
+  const { WaitlistEntry, WaitlistOffer } = require('../models');
+
+  const due = await WaitlistOffer.findAll({
+    where: { status: 'pending', expiresAt: { [Op.lte]: now } },
+    order: [['expiresAt', 'ASC']]
+  });
+  let expired = 0;
+  for (const offer of due) {
+    if (await closeOffer(offer, 'expired')) expired++;
+  }
+
+  await WaitlistEntry.update(
+    { status: 'expired' },
+    { where: { status: 'waiting', latestDate: { [Op.lt]: dateKey(now) } } }
+  );
+  return expired;
+};
+
+module.exports = {
+  offerSlot,
+  offerFreedSlots,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist,
+  expireOffers
+};
@@ -0,0 +1,226 @@
+const { Op } = require('sequelize');
+const {
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getScopes,
+  canAccess,
+  getAccessFilter
+} = require('../src/services/accessPolicy');
+const {
+  Patient,
+  Doctor,
+  PatientDoctor,
+  Consent,
+  BreakGlassAccess,
+  MedicalRecordAccess
+} = require('../src/models');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const doctorId = 'doctor-profile';
+const patientId = 'patient-profile';
+const otherPatientId = 'other-patient-profile';
+
+// Profiles are cached per user object, so every test gets fresh users
+const doctorUser = () => ({ id: 'doctor-user', role: 'doctor' });
+const patientUser = () => ({ id: 'patient-user', role: 'patient' });
+const adminUser = () => ({ id: 'admin-user', role: 'admin' });
+
+const relationship = (fields = {}) => PatientDoctor.build({
+  patientId,
+  doctorId,
+  relationshipType: 'primary_care',
+  startDate: new Date(Date.now() - 30 * DAY),
+  isActive: true,
+  status: 'active',
+  ...fields
+});
+
+// The doctor's care relationships, the patients sharing data with them and their break-glass access
+const givenDoctor = ({ relationships = [relationship()], sharing = [patientId], emergency = [] } = {}) => {
+  jest.spyOn(PatientDoctor, 'findAll').mockResolvedValue(relationships);
+  jest.spyOn(Consent, 'getSharingPatientIds').mockResolvedValue(sharing);
+  jest.spyOn(BreakGlassAccess, 'getActivePatientIds').mockResolvedValue(emergency);
+};
+
+beforeEach(() => {
+  jest.spyOn(Patient, 'findOne').mockImplementation(async ({ where }) => (
+    where.userId === 'patient-user' ? { id: patientId } : null
+  ));
+  jest.spyOn(Doctor, 'findOne').mockImplementation(async ({ where }) => (
+    where.userId === 'doctor-user' ? { id: doctorId } : null
+  ));
+  jest.spyOn(MedicalRecordAccess, 'hasActiveGrant').mockResolvedValue(false);
+  jest.spyOn(MedicalRecordAccess, 'getGrantedRecordIds').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getScopes', () => {
+  it('returns the scopes a role holds, broadest first', () => {
+    expect(getScopes('admin', 'medicalRecord:read')).toEqual(['any']);
+    expect(getScopes('doctor', 'prescription:read')).toEqual(['assigned', 'own']);
+    expect(getScopes('patient', 'appointment:cancel')).toEqual(['own']);
+  });
+
+  it('returns no scopes for permissions the role lacks or unknown roles', () => {
+    expect(getScopes('patient', 'user:delete')).toEqual([]);
+    expect(getScopes('doctor', 'auditLog:read')).toEqual([]);
+    expect(getScopes('nurse', 'patient:read')).toEqual([]);
+  });
+
+  it('keeps qualifiers separate from scopes', () => {
+    expect(getScopes('doctor', 'appointment:update')).toEqual(['own']);
+    expect(hasPermission('doctor', 'appointment:update:status')).toBe(true);
+    Object.keys(ROLE_PERMISSIONS).forEach(role => {
+      expect(hasPermission(role, 'medicalRecord:read:confidential')).toBe(false);
+    });
+  });
+});
+
+describe('canAccess', () => {
+  it('lets roles with the any scope access every instance without lookups', async () => {
+    await expect(canAccess(adminUser(), 'patient:read', { id: otherPatientId, userId: 'someone' })).resolves.toBe(true);
+    expect(Patient.findOne).not.toHaveBeenCalled();
+  });
+
+  it('refuses permissions the role does not hold', async () => {
+    await expect(canAccess(patientUser(), 'user:delete', { id: 'patient-user' })).resolves.toBe(false);
+  });
+
+  it('limits the own scope to the user\'s own instances', async () => {
+    const user = patientUser();
+    await expect(canAccess(user, 'appointment:read', { patientId, doctorId })).resolves.toBe(true);
+    await expect(canAccess(user, 'appointment:read', { patientId: otherPatientId, doctorId })).resolves.toBe(false);
+    await expect(canAccess(user, 'medicalRecord:read', { patientId, createdBy: 'doctor-user' })).resolves.toBe(true);
+  });
+
+  it('applies the rules of another resource type when asked', async () => {
+    givenDoctor();
+    await expect(canAccess(doctorUser(), 'medicalRecord:read', { id: patientId }, 'patient')).resolves.toBe(true);
+    await expect(canAccess(doctorUser(), 'medicalRecord:read', { id: otherPatientId }, 'patient')).resolves.toBe(false);
+  });
+
+  describe('doctor access to patient records', () => {
+    const record = { id: 'record', patientId, createdBy: 'another-doctor', isConfidential: false };
+
+    it('is allowed through an active relationship with data sharing consent', async () => {
+      givenDoctor();
+      await expect(canAccess(doctorUser(), 'medicalRecord:read', record)).resolves.toBe(true);
+      expect(PatientDoctor.findAll).toHaveBeenCalledWith({
+        where: { doctorId, status: 'active', isActive: true }
+      });
+    });
+
+    it('is refused without a relationship', async () => {
+      givenDoctor({ relationships: [] });
+      await expect(canAccess(doctorUser(), 'medicalRecord:read', record)).resolves.toBe(false);
+    });
+
+    it('is refused when the relationship has ended or not yet started', async () => {
+      givenDoctor({ relationships: [relationship({ endDate: new Date(Date.now() - DAY) })] });
+      await expect(canAccess(doctorUser(), 'medicalRecord:read', record)).resolves.toBe(false);
+
+      givenDoctor({ relationships: [relationship({ startDate: new Date(Date.now() + DAY) })] });
+      await expect(canAccess(doctorUser(), 'medicalRecord:read', record)).resolves.toBe(false);
+    });
+
+    it('is refused when the patient has not consented to share data', async () => {
+      givenDoctor({ sharing: [] });
+      await expect(canAccess(doctorUser(), 'medicalRecord:read', record)).resolves.toBe(false);
+    });
+
+    it('is allowed through break-glass access without a relationship or consent', async () => {
+      givenDoctor({ relationships: [], sharing: [], emergency: [patientId] });
+      await expect(canAccess(doctorUser(), 'medicalRecord:read', record)).resolves.toBe(true);
+    });
+
+    it('covers the records the doctor wrote', async () => {
+      givenDoctor({ relationships: [] });
+      await expect(canAccess(doctorUser(), 'medicalRecord:update', { ...record, createdBy: 'doctor-user' })).resolves.toBe(true);
+      await expect(canAccess(doctorUser(), 'medicalRecord:update', record)).resolves.toBe(false);
+    });
+
+    it('keeps confidential records to their author and users granted access', async () => {
+      givenDoctor();
+      const confidential = { ...record, isConfidential: true };
+      await expect(canAccess(doctorUser(), 'medicalRecord:read', confidential)).resolves.toBe(false);
+
+      MedicalRecordAccess.hasActiveGrant.mockResolvedValue(true);
+      await expect(canAccess(doctorUser(), 'medicalRecord:read', confidential)).resolves.toBe(true);
+      expect(MedicalRecordAccess.hasActiveGrant).toHaveBeenCalledWith('record', 'doctor-user');
+    });
+  });
+
+  it('hides relationships with patients who do not share data with the doctor', async () => {
+    givenDoctor({ sharing: [] });
+    await expect(canAccess(doctorUser(), 'patientDoctor:read', { patientId, doctorId })).resolves.toBe(false);
+
+    givenDoctor();
+    await expect(canAccess(doctorUser(), 'patientDoctor:read', { patientId, doctorId })).resolves.toBe(true);
+    await expect(canAccess(doctorUser(), 'patientDoctor:read', { patientId, doctorId: 'another-doctor' })).resolves.toBe(false);
+  });
+});
+
+describe('getAccessFilter', () => {
+  it('does not filter the any scope', async () => {
+    await expect(getAccessFilter(adminUser(), 'patient:list')).resolves.toEqual({});
+  });
+
+  it('filters the own scope by the user\'s profile', async () => {
+    await expect(getAccessFilter(patientUser(), 'appointment:list')).resolves.toEqual({ patientId });
+    await expect(getAccessFilter(patientUser(), 'patient:list')).resolves.toEqual({ userId: 'patient-user' });
+  });
+
+  it('filters the assigned scope by the patients the doctor may see', async () => {
+    givenDoctor({
+      relationships: [relationship(), relationship({ patientId: otherPatientId })],
+      emergency: ['emergency-patient']
+    });
+    await expect(getAccessFilter(doctorUser(), 'patient:list')).resolves.toEqual({
+      id: { [Op.in]: [patientId, 'emergency-patient'] }
+    });
+  });
+
+  it('combines the scopes a role holds', async () => {
+    givenDoctor();
+    await expect(getAccessFilter(doctorUser(), 'prescription:list')).resolves.toEqual({
+      [Op.or]: [
+        { patientId: { [Op.in]: [patientId] } },
+        { doctorId }
+      ]
+    });
+  });
+
+  it('adds the resource filter, hiding confidential records the doctor may not see', async () => {
+    givenDoctor();
+    MedicalRecordAccess.getGrantedRecordIds.mockResolvedValue(['granted-record']);
+
+    await expect(getAccessFilter(doctorUser(), 'medicalRecord:list')).resolves.toEqual({
+      [Op.and]: [
+        { patientId: { [Op.in]: [patientId] } },
+        {
+          [Op.or]: [
+            { isConfidential: false },
+            { createdBy: 'doctor-user' },
+            { id: { [Op.in]: ['granted-record'] } }
+          ]
+        }
+      ]
+    });
+  });
+
+  it('limits a doctor\'s relationships to patients sharing data with them', async () => {
+    givenDoctor();
+    await expect(getAccessFilter(doctorUser(), 'patientDoctor:list')).resolves.toEqual({
+      [Op.and]: [{ doctorId }, { patientId: { [Op.in]: [patientId] } }]
+    });
+  });
+
+  it('matches nothing when the user lacks the permission or the profile a scope relies on', async () => {
+    await expect(getAccessFilter(patientUser(), 'user:list')).resolves.toEqual({ id: null });
+    await expect(getAccessFilter({ id: 'new-doctor', role: 'doctor' }, 'patientDoctor:list')).resolves.toEqual({ id: null });
+  });
+});
@@ -0,0 +1,196 @@
+const { Op } = require('sequelize');
+const { MAX_ATTEMPTS, parseOffsets, createReminderScheduler } = require('../src/services/appointmentReminders');
+const { Appointment, AppointmentReminder } = require('../src/models');
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date('2026-03-02T08:00:00Z');
+
+const patientUser = { id: 'patient-user', email: 'patient@example.com' };
+const doctorUser = { id: 'doctor-user', email: 'doctor@example.com' };
+
+let appointments;
+let reminders;
+
+const appointment = (id, hoursAhead, status = 'scheduled') => {
+  const stored = {
+    id,
+    status,
+    appointmentDate: new Date(start.getTime() + hoursAhead * HOUR),
+    patient: { user: patientUser },
+    doctor: { user: doctorUser },
+    canBeCancelled: () => true,
+    update: jest.fn(async changes => Object.assign(stored, changes))
+  };
+  appointments.push(stored);
+  return stored;
+};
+
+const storeReminder = (fields) => {
+  const stored = {
+    id: `reminder-${reminders.length + 1}`,
+    ...fields,
+    update: jest.fn(async changes => Object.assign(stored, changes)),
+    reload: jest.fn(async () => stored)
+  };
+  reminders.push(stored);
+  return stored;
+};
+
+// In-memory stand-ins for the queries the scheduler makes
+beforeEach(() => {
+  appointments = [];
+  reminders = [];
+
+  jest.spyOn(Appointment, 'findAll').mockImplementation(async ({ where }) => appointments.filter(stored => (
+    where.status[Op.in].includes(stored.status) &&
+    stored.appointmentDate > where.appointmentDate[Op.gt] &&
+    stored.appointmentDate <= where.appointmentDate[Op.lte]
+  )));
+  jest.spyOn(AppointmentReminder, 'findOrCreate').mockImplementation(async ({ where, defaults }) => {
+    const existing = reminders.find(stored => (
+      stored.appointmentId === where.appointmentId &&
+      stored.offsetMinutes === where.offsetMinutes &&
+      stored.appointmentDate.getTime() === where.appointmentDate.getTime()
+    ));
+    return existing ? [existing, false] : [storeReminder({ ...where, ...defaults }), true];
+  });
+  jest.spyOn(AppointmentReminder, 'update').mockImplementation(async (changes, { where }) => {
+    const claimable = reminders.filter(stored => (
+      stored.id === where.id &&
+      stored.attempts === where.attempts &&
+      where[Op.or].some(condition => stored.status === condition.status &&
+        (!condition.claimedAt || stored.claimedAt < condition.claimedAt[Op.lt]))
+    ));
+    claimable.forEach(stored => Object.assign(stored, changes));
+    return [claimable.length];
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const scheduler = (send, at = start) => createReminderScheduler({
+  offsets: parseOffsets('24h,2h'),
+  now: () => at,
+  send
+});
+
+describe('parseOffsets', () => {
+  it('converts offsets to minutes, largest first', () => {
+    expect(parseOffsets('2h, 1d,90m,24h')).toEqual([1440, 120, 90]);
+  });
+
+  it('rejects malformed or zero offsets', () => {
+    expect(() => parseOffsets('24h,soon')).toThrow('Invalid reminder offset "soon"');
+    expect(() => parseOffsets('0h')).toThrow('Invalid reminder offset');
+    expect(() => parseOffsets(' , ')).toThrow('At least one reminder offset is required');
+  });
+});
+
+describe('appointment reminder scheduler', () => {
+  it('sends only the latest due reminder of each appointment in the window', async () => {
+    const tomorrow = appointment('tomorrow', 23);
+    const soon = appointment('soon', 1);
+    appointment('next-week', 24 * 7);
+    const send = jest.fn().mockResolvedValue({});
+
+    await expect(scheduler(send).runOnce()).resolves.toEqual({ sent: 2, failed: 0 });
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send).toHaveBeenCalledWith(soon, patientUser, doctorUser, { token: expect.any(String), canCancel: true });
+    expect(reminders.map(({ appointmentId, offsetMinutes, status }) => ({ appointmentId, offsetMinutes, status }))).toEqual([
+      { appointmentId: 'tomorrow', offsetMinutes: 1440, status: 'sent' },
+      { appointmentId: 'soon', offsetMinutes: 120, status: 'sent' }
+    ]);
+    expect(tomorrow.update).toHaveBeenCalledWith({ reminderSent: true, reminderSentAt: start });
+  });
+
+  it('stores the hash of the emailed token, not the token', async () => {
+    appointment('tomorrow', 23);
+    const send = jest.fn().mockResolvedValue({});
+
+    await scheduler(send).runOnce();
+
+    const [, , , { token }] = send.mock.calls[0];
+    expect(reminders[0].tokenHash).toBe(AppointmentReminder.hashToken(token));
+    expect(reminders[0].tokenHash).not.toBe(token);
+  });
+
+  it('does not send a reminder twice when runs repeat', async () => {
+    appointment('tomorrow', 23);
+    const send = jest.fn().mockResolvedValue({});
+    const reminderScheduler = scheduler(send);
+
+    await reminderScheduler.runOnce();
+    await expect(reminderScheduler.runOnce()).resolves.toEqual({ sent: 0, failed: 0 });
+    await expect(scheduler(send, new Date(start.getTime() + HOUR)).runOnce()).resolves.toEqual({ sent: 0, failed: 0 });
+
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('sends the next reminder once its offset comes due', async () => {
+    appointment('tomorrow', 23);
+    const send = jest.fn().mockResolvedValue({});
+
+    await scheduler(send).runOnce();
+    await scheduler(send, new Date(start.getTime() + 22 * HOUR)).runOnce();
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(reminders.map(reminder => reminder.offsetMinutes)).toEqual([1440, 120]);
+  });
+
+  it('retries a failed reminder on later runs up to MAX_ATTEMPTS times', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    appointment('tomorrow', 23);
+    const send = jest.fn().mockRejectedValue(new Error('SMTP unavailable'));
+    const reminderScheduler = scheduler(send);
+
+    for (let run = 0; run < MAX_ATTEMPTS; run++) {
+      await expect(reminderScheduler.runOnce()).resolves.toEqual({ sent: 0, failed: 1 });
+    }
+    await expect(reminderScheduler.runOnce()).resolves.toEqual({ sent: 0, failed: 0 });
+
+    expect(send).toHaveBeenCalledTimes(MAX_ATTEMPTS);
+    expect(reminders).toHaveLength(1);
+    expect(reminders[0]).toMatchObject({ status: 'failed', attempts: MAX_ATTEMPTS, lastError: 'SMTP unavailable' });
+  });
+
+  it('sends a reminder whose earlier attempt failed', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    appointment('tomorrow', 23);
+    const send = jest.fn()
+      .mockRejectedValueOnce(new Error('SMTP unavailable'))
+      .mockResolvedValue({});
+    const reminderScheduler = scheduler(send);
+
+    await expect(reminderScheduler.runOnce()).resolves.toEqual({ sent: 0, failed: 1 });
+    await expect(reminderScheduler.runOnce()).resolves.toEqual({ sent: 1, failed: 0 });
+
+    expect(reminders[0]).toMatchObject({ status: 'sent', attempts: 2, lastError: null });
+  });
+
+  it('does not remind of cancelled appointments', async () => {
+    appointment('cancelled', 23, 'cancelled');
+    const send = jest.fn().mockResolvedValue({});
+
+    await expect(scheduler(send).runOnce()).resolves.toEqual({ sent: 0, failed: 0 });
+
+    expect(send).not.toHaveBeenCalled();
+    expect(reminders).toHaveLength(0);
+  });
+
+  it('reminds of a rescheduled appointment at its new time only', async () => {
+    const moved = appointment('moved', 23);
+    const send = jest.fn().mockResolvedValue({});
+    await scheduler(send).runOnce();
+
+    moved.appointmentDate = new Date(start.getTime() + 24 * 7 * HOUR);
+    await expect(scheduler(send, new Date(start.getTime() + 22 * HOUR)).runOnce()).resolves.toEqual({ sent: 0, failed: 0 });
+    expect(send).toHaveBeenCalledTimes(1);
+
+    await scheduler(send, new Date(start.getTime() + (24 * 6 + 1) * HOUR)).runOnce();
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(reminders[1]).toMatchObject({ offsetMinutes: 1440, appointmentDate: moved.appointmentDate, status: 'sent' });
+  });
+});
@@ -0,0 +1,185 @@
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = require('../server');
+const { generateToken } = require('../src/middleware/auth');
+const fhirImport = require('../src/services/fhirImport');
+const {
+  AuditLog,
+  Session,
+  User,
+  Doctor,
+  MedicalRecord,
+  PatientDoctor,
+  Consent,
+  BreakGlassAccess
+} = require('../src/models');
+
+const doctorUser = { id: '11111111-1111-4111-8111-111111111111', role: 'doctor', isActive: true };
+const session = { id: '22222222-2222-4222-8222-222222222222', userId: doctorUser.id, isActive: () => true };
+const doctorId = '33333333-3333-4333-8333-333333333333';
+const patientId = '44444444-4444-4444-8444-444444444444';
+const record = {
+  id: '55555555-5555-4555-8555-555555555555',
+  patientId,
+  doctorId,
+  createdBy: '66666666-6666-4666-8666-666666666666',
+  recordType: 'consultation',
+  isConfidential: false
+};
+
+// Audit entries are written once the response has finished, so wait for them
+const waitForAuditEntries = async (count = 1) => {
+  for (let attempt = 0; attempt < 50 && AuditLog.logAction.mock.calls.length < count; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return AuditLog.logAction.mock.calls.map(([entry]) => entry);
+};
+
+describe('audit logging', () => {
+  const token = generateToken(doctorUser.id, session.id);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+    jest.spyOn(Session, 'findByPk').mockResolvedValue(session);
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ ...doctorUser });
+    jest.spyOn(Doctor, 'findOne').mockResolvedValue({ id: doctorId });
+    jest.spyOn(MedicalRecord, 'findByPk').mockResolvedValue(record);
+    jest.spyOn(BreakGlassAccess, 'getActivePatientIds').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records a doctor viewing a medical record', async () => {
+    jest.spyOn(PatientDoctor, 'findAll').mockResolvedValue([{ patientId, isCurrentlyActive: () => true }]);
+    jest.spyOn(Consent, 'getSharingPatientIds').mockResolvedValue([patientId]);
+
+    const res = await request(app)
+      .get(`/api/medical-records/${record.id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    const entries = await waitForAuditEntries();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      userId: doctorUser.id,
+      action: 'read',
+      resource: 'medical_record',
+      resourceId: record.id,
+      method: 'GET',
+      endpoint: `/api/medical-records/${record.id}`,
+      statusCode: 200,
+      category: 'data_access',
+      sessionId: session.id,
+      isSuccessful: true
+    });
+  });
+
+  it('records a doctor being refused a record of an unassigned patient', async () => {
+    jest.spyOn(PatientDoctor, 'findAll').mockResolvedValue([]);
+    jest.spyOn(Consent, 'getSharingPatientIds').mockResolvedValue([]);
+
+    const res = await request(app)
+      .get(`/api/medical-records/${record.id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    const entries = await waitForAuditEntries();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      userId: doctorUser.id,
+      resource: 'medical_record',
+      resourceId: record.id,
+      statusCode: 403,
+      category: 'authorization',
+      severity: 'high',
+      isSuccessful: false
+    });
+  });
+
+  it('names the resource of routers mounted within another router\'s path', async () => {
+    const requests = [
+      ['/api/holidays', 'holiday'],
+      ['/api/waitlist/offers/accept', 'waitlist_offer'],
+      ['/api/appointments/reminders/confirm', 'appointment_reminder']
+    ];
+
+    for (const [endpoint, resource] of requests) {
+      AuditLog.logAction.mockClear();
+      await request(app).post(endpoint).send({});
+      const entries = await waitForAuditEntries();
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ endpoint, resource });
+    }
+  });
+
+  it('redacts sensitive fields nested in the request body', async () => {
+    jest.spyOn(PatientDoctor, 'findAll').mockResolvedValue([{ patientId, isCurrentlyActive: () => true }]);
+    jest.spyOn(Consent, 'getSharingPatientIds').mockResolvedValue([patientId]);
+
+    const res = await request(app)
+      .post('/api/medical-records')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        patientId,
+        title: 'Follow-up',
+        observations: [{ code: 'bp', notes: 'Reports chest pain' }],
+        patient: { allergies: ['Penicillin'], medications: [{ name: 'Metformin', prescription: 'Metformin 500 mg' }] }
+      });
+
+    expect(res.status).toBe(400);
+    const entries = await waitForAuditEntries();
+    expect(entries).toHaveLength(1);
+    expect(entries[0].requestData.body).toEqual({
+      patientId,
+      title: 'Follow-up',
+      observations: [{ code: 'bp', notes: '[REDACTED]' }],
+      patient: { allergies: '[REDACTED]', medications: [{ name: 'Metformin', prescription: '[REDACTED]' }] }
+    });
+  });
+
+  it('records a summary of an imported bundle, not its clinical data', async () => {
+    User.findByPk.mockResolvedValue({ ...doctorUser, role: 'admin' });
+    jest.spyOn(fhirImport, 'importPatientBundle').mockResolvedValue({
+      patient: { outcome: 'created', targetId: patientId },
+      summary: { created: 4, merged: 0, skipped: 0 }
+    });
+    const clinicalText = ['INS-99887766', 'Type 2 diabetes mellitus', 'Penicillin', 'Anaphylaxis', 'Metformin 500 mg', 'Reports chest pain'];
+    const bundle = {
+      resourceType: 'Bundle',
+      type: 'collection',
+      entry: [
+        { resource: { resourceType: 'Patient', identifier: [{ system: 'urn:insurance', value: clinicalText[0] }] } },
+        { resource: { resourceType: 'Condition', code: { text: clinicalText[1] } } },
+        { resource: { resourceType: 'AllergyIntolerance', code: { text: clinicalText[2] }, reaction: [{ description: clinicalText[3] }] } },
+        { resource: { resourceType: 'MedicationStatement', medicationCodeableConcept: { text: clinicalText[4] }, note: [{ text: clinicalText[5] }] } }
+      ]
+    };
+
+    const res = await request(app)
+      .post('/api/patients/import?dryRun=false')
+      .set('Authorization', `Bearer ${token}`)
+      .send(bundle);
+
+    expect(res.status).toBe(201);
+    const entries = await waitForAuditEntries(2);
+    expect(entries).toHaveLength(2);
+    const logged = JSON.stringify(entries);
+    clinicalText.forEach(text => expect(logged).not.toContain(text));
+
+    const requestEntry = entries.find(entry => entry.endpoint === '/api/patients/import');
+    expect(requestEntry.requestData).toEqual({
+      params: {},
+      query: { dryRun: 'false' },
+      summary: {
+        entryCount: 4,
+        resourceCounts: { Patient: 1, Condition: 1, AllergyIntolerance: 1, MedicationStatement: 1 },
+        dryRun: false
+      }
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const mockSendMail = jest.fn().mockResolvedValue({});
+jest.mock('nodemailer', () => ({
+  createTransport: () => ({ sendMail: mockSendMail })
+}));
+
+const { sendAppointmentReminderEmail, sendWaitlistOfferEmail } = require('../src/services/emailService');
+
+const patient = { firstName: 'Ann <b>', email: 'patient@example.com' };
+const doctor = { lastName: 'O\'Brien & Co' };
+
+const sentHtml = () => mockSendMail.mock.calls[0][0].html;
+
+afterEach(() => {
+  mockSendMail.mockClear();
+});
+
+describe('appointment emails', () => {
+  it('escapes the names and reason in a reminder', async () => {
+    const appointment = {
+      appointmentDate: '2026-03-03T09:00:00Z',
+      duration: 30,
+      reason: '<img src=x onerror="alert(1)">'
+    };
+
+    await sendAppointmentReminderEmail(appointment, patient, doctor, { token: 'abc', canCancel: true });
+
+    const html = sentHtml();
+    expect(html).toContain('Hello Ann &lt;b&gt;,');
+    expect(html).toContain('Dr. O&#39;Brien &amp; Co.');
+    expect(html).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    expect(html).not.toContain('<img');
+  });
+
+  it('escapes the names in a waitlist offer', async () => {
+    const offer = { appointmentDate: '2026-03-03T09:00:00Z', duration: 30, expiresAt: '2026-03-02T12:00:00Z' };
+
+    await sendWaitlistOfferEmail(offer, patient, doctor, 'abc');
+
+    const html = sentHtml();
+    expect(html).toContain('Hello Ann &lt;b&gt;,');
+    expect(html).toContain('Dr. O&#39;Brien &amp; Co has become available');
+  });
+});
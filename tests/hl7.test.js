@@ -0,0 +1,207 @@
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.HL7_API_KEY = 'test-hl7-key';
+
+const app = require('../server');
+const { Hl7ParseError, parseOru } = require('../src/services/hl7Parser');
+const hl7Ingestion = require('../src/services/hl7Ingestion');
+const { AuditLog } = require('../src/models');
+
+const segments = (...lines) => lines.join('\r');
+
+const MSH = 'MSH|^~\\&|LAB|CITYLAB|HEALTHCARE_API|CLINIC|20260302083000+0100||ORU^R01|MSG0001|P|2.5.1';
+const PID = 'PID|1||MRN123^^^CLINIC^MR~998877^^^STATE^SS||Doe^Jane||19800115|F';
+const OBR = 'OBR|1|ORD-1|FIL-9|CHEM^Chemistry panel|||20260302071500';
+
+const oru = segments(
+  MSH,
+  PID,
+  OBR,
+  'OBX|1|NM|2345-7^Glucose||5.4|mmol/L|3.9-5.5|N|||F|||20260302071500',
+  'OBX|2|SN|2160-0^Creatinine||<^0.01|mg/dL|<1.2|L|||F',
+  'OBX|3|ST|8251-1^Comment||Sample \\T\\ slide|||||F',
+  'NTE|1||Fasting \\F\\ morning\\.br\\draw'
+);
+
+describe('parseOru', () => {
+  it('reads the header, patient and observations', () => {
+    const { header, patient, orders } = parseOru(oru);
+
+    expect(header).toMatchObject({
+      sendingApplication: 'LAB',
+      sendingFacility: 'CITYLAB',
+      messageType: 'ORU^R01',
+      controlId: 'MSG0001',
+      version: '2.5.1'
+    });
+    expect(header.sentAt.toISOString()).toBe('2026-03-02T07:30:00.000Z');
+    expect(patient).toEqual({
+      identifiers: [
+        { id: 'MRN123', authority: 'CLINIC', type: 'MR' },
+        { id: '998877', authority: 'STATE', type: 'SS' }
+      ],
+      lastName: 'Doe',
+      firstName: 'Jane',
+      dateOfBirth: '1980-01-15',
+      gender: 'female'
+    });
+    expect(orders).toHaveLength(1);
+    expect(orders[0]).toMatchObject({ placerOrderNumber: 'ORD-1', fillerOrderNumber: 'FIL-9', code: 'CHEM' });
+  });
+
+  it('reads NM values as numbers and SN values as one value', () => {
+    const [glucose, creatinine] = parseOru(oru).orders[0].observations;
+
+    expect(glucose).toMatchObject({
+      valueType: 'NM',
+      analyteCode: '2345-7',
+      value: 5.4,
+      valueText: null,
+      unit: 'mmol/L',
+      referenceLow: 3.9,
+      referenceHigh: 5.5,
+      flag: 'normal',
+      status: 'final'
+    });
+    expect(creatinine).toMatchObject({ valueType: 'SN', value: null, valueText: '<0.01', referenceHigh: 1.2, flag: 'low' });
+
+    const exact = parseOru(segments(MSH, PID, OBR, 'OBX|1|SN|2160-0^Creatinine||^0.82|mg/dL||||F'));
+    expect(exact.orders[0].observations[0]).toMatchObject({ value: 0.82, valueText: null });
+  });
+
+  it('unescapes escape sequences and attaches notes to their observation', () => {
+    const [, , comment] = parseOru(oru).orders[0].observations;
+
+    expect(comment.valueText).toBe('Sample & slide');
+    expect(comment.notes).toBe('Fasting | morning\ndraw');
+
+    const escaped = parseOru(segments(MSH, PID, OBR, 'OBX|1|ST|X^Note||a\\S\\b\\R\\c\\E\\d|||||F'));
+    expect(escaped.orders[0].observations[0].valueText).toBe('a^b~c\\d');
+  });
+
+  it('takes the separators from MSH-1 and MSH-2', () => {
+    const custom = segments(
+      'MSH#$%!@#LAB#CITYLAB#HEALTHCARE_API#CLINIC#20260302083000##ORU$R01#MSG0002#P#2.5.1',
+      'PID#1##MRN123$$$CLINIC$MR%555$$$STATE$SS##Doe$Jane',
+      'OBR#1#ORD-1##CHEM$Chemistry panel',
+      'OBX#1#NM#2345-7$Glucose##5.4#mmol/L#3.9-5.5#N###F',
+      'OBX#2#ST#8251-1$Comment##a!F!b!S!c|d^e#####F'
+    );
+    const { header, patient, orders } = parseOru(custom);
+
+    expect(header).toMatchObject({ messageType: 'ORU^R01', controlId: 'MSG0002' });
+    expect(patient.identifiers).toEqual([
+      { id: 'MRN123', authority: 'CLINIC', type: 'MR' },
+      { id: '555', authority: 'STATE', type: 'SS' }
+    ]);
+    expect(patient).toMatchObject({ lastName: 'Doe', firstName: 'Jane' });
+    expect(orders[0].observations.map(observation => observation.value ?? observation.valueText)).toEqual([5.4, 'a#b$c|d^e']);
+  });
+
+  it('rejects messages it cannot read', () => {
+    expect(() => parseOru('PID|1||MRN123')).toThrow(Hl7ParseError);
+    expect(() => parseOru(segments('MSH|^~\\&|LAB|CITYLAB|||20260302||ORU^R01||P|2.5.1', PID, OBR))).toThrow('MSH-10 message control ID is required');
+    expect(() => parseOru(segments(MSH, OBR))).toThrow('PID segment is required');
+    expect(() => parseOru(segments(MSH, PID))).toThrow('Message has no OBR segments');
+  });
+});
+
+describe('ingestOru', () => {
+  it('rejects messages other than ORU^R01', async () => {
+    const adt = segments(MSH.replace('ORU^R01', 'ADT^A01'), PID, OBR);
+
+    await expect(hl7Ingestion.ingestOru(adt)).rejects.toThrow(Hl7ParseError);
+    await expect(hl7Ingestion.ingestOru(adt)).rejects.toThrow('Unsupported message type ADT^A01; only ORU^R01 is accepted');
+  });
+});
+
+describe('POST /api/integrations/hl7', () => {
+  const post = (message) => request(app)
+    .post('/api/integrations/hl7')
+    .set('X-API-Key', 'test-hl7-key')
+    .set('Content-Type', 'application/hl7-v2')
+    .send(message);
+
+  // The MSA segment of an ACK: [code, control ID, text]
+  const acknowledgement = (res) => res.text.split('\r').find(line => line.startsWith('MSA|')).split('|').slice(1);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(AuditLog, 'logAction').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('requires the API key', async () => {
+    const res = await request(app)
+      .post('/api/integrations/hl7')
+      .set('Content-Type', 'application/hl7-v2')
+      .send(oru);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('accepts stored results with AA', async () => {
+    jest.spyOn(hl7Ingestion, 'ingestOru').mockResolvedValue({
+      message: { status: 'processed', resultCount: 3 },
+      duplicate: false
+    });
+
+    const res = await post(oru);
+
+    expect(res.status).toBe(200);
+    expect(res.type).toBe('application/hl7-v2');
+    expect(acknowledgement(res)).toEqual(['AA', 'MSG0001', '3 results stored']);
+    expect(res.text).toMatch(/^MSH\|\^~\\&\|HEALTHCARE_API\|CLINIC\|LAB\|CITYLAB\|/);
+    expect(hl7Ingestion.ingestOru).toHaveBeenCalledWith(oru);
+  });
+
+  it('accepts duplicates and queued messages with AA', async () => {
+    jest.spyOn(hl7Ingestion, 'ingestOru').mockResolvedValueOnce({ message: {}, duplicate: true });
+
+    let res = await post(oru);
+    expect(res.status).toBe(200);
+    expect(acknowledgement(res)).toEqual(['AA', 'MSG0001', 'Duplicate message; already received']);
+
+    hl7Ingestion.ingestOru.mockResolvedValueOnce({
+      message: { status: 'pending_review', reviewReason: 'patient_not_found' },
+      duplicate: false
+    });
+
+    res = await post(oru);
+    expect(res.status).toBe(202);
+    expect(acknowledgement(res)).toEqual(['AA', 'MSG0001', 'Queued for review: patient_not_found']);
+  });
+
+  it('rejects messages that cannot be accepted with AR', async () => {
+    const res = await post(segments(MSH.replace('ORU^R01', 'ADT^A01'), PID, OBR));
+
+    expect(res.status).toBe(400);
+    expect(acknowledgement(res)).toEqual(['AR', 'MSG0001', 'Unsupported message type ADT\\S\\A01; only ORU\\S\\R01 is accepted']);
+  });
+
+  it('is not held to the per-IP rate limit', async () => {
+    jest.spyOn(hl7Ingestion, 'ingestOru').mockResolvedValue({ message: {}, duplicate: true });
+
+    for (let sent = 0; sent < 100; sent++) {
+      await post(oru);
+    }
+    const res = await post(oru);
+
+    expect(res.status).toBe(200);
+    expect(acknowledgement(res)[0]).toBe('AA');
+  });
+
+  it('answers server errors with AE', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(hl7Ingestion, 'ingestOru').mockRejectedValue(new Error('connection refused'));
+
+    const res = await post(oru);
+
+    expect(res.status).toBe(500);
+    expect(acknowledgement(res)).toEqual(['AE', 'MSG0001', 'Internal server error']);
+  });
+});